@@ -0,0 +1,32 @@
+#!/bin/bash
+
+# Simulate the SRS http_hooks calls for a publish -> DVR -> unpublish cycle
+# Usage: ./fake-srs-hooks.sh <api_url> <hook_secret> <stream_name> <stream_key>
+
+set -e
+
+API_URL=$1
+SECRET=$2
+STREAM_NAME=$3
+STREAM_KEY=$4
+CLIENT_ID="fake-$$"
+
+if [ -z "$API_URL" ] || [ -z "$SECRET" ] || [ -z "$STREAM_NAME" ] || [ -z "$STREAM_KEY" ]; then
+    echo "Usage: $0 <api_url> <hook_secret> <stream_name> <stream_key>"
+    echo "Example: $0 http://localhost:3000 change-me-srs-hook-secret 3f9a1c2b7d4e5f60 sk_..."
+    exit 1
+fi
+
+hook() {
+    local action=$1
+    local extra=$2
+    echo "→ $action"
+    curl -s -w "  HTTP %{http_code}\n" -X POST "$API_URL/api/live/hooks/$action?secret=$SECRET" \
+        -H "Content-Type: application/json" \
+        -d "{\"action\":\"$action\",\"client_id\":\"$CLIENT_ID\",\"ip\":\"203.0.113.10\",\"vhost\":\"__defaultVhost__\",\"app\":\"live\",\"stream\":\"$STREAM_NAME\",\"param\":\"?key=$STREAM_KEY\"$extra}"
+}
+
+hook on_publish
+curl -s "$API_URL/api/live" && echo
+hook on_dvr ",\"cwd\":\"/usr/local/srs\",\"file\":\"./objs/nginx/html/live/$STREAM_NAME/$(date +%s%3N).flv\""
+hook on_unpublish
@@ -2,12 +2,10 @@
 
 /**
  * Video Processing Worker
- * Continuously processes videos from Redis queue
+ * Continuously processes videos from the video-processing job queue
  */
 
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
 
 // Add the web directory to require path
 const webDir = path.join(__dirname, '../web/src');
@@ -15,14 +13,12 @@ process.env.NODE_PATH = webDir;
 require('module').Module._initPaths();
 
 const videoProcessingService = require('../web/src/services/videoProcessingService');
-const { initializeRedis, cache } = require('../web/src/config/redis');
-
-const execAsync = promisify(exec);
+const { initializeRedis } = require('../web/src/config/redis');
+const { initializeDatabase } = require('../web/src/config/database');
 
 class VideoWorker {
     constructor() {
-        this.running = false;
-        this.processingCount = 0;
+        this.worker = null;
         this.maxConcurrentJobs = 1; // Process one video at a time
     }
 
@@ -31,53 +27,26 @@ class VideoWorker {
         console.log(`📁 Processing Path: ${videoProcessingService.processingPath}`);
         console.log(`📜 Scripts Path: ${videoProcessingService.scriptsPath}`);
 
-        // Initialize Redis connection
+        // Initialize connections
+        await initializeDatabase();
         await initializeRedis();
-        console.log('✅ Redis initialized for worker');
-
-        this.running = true;
+        console.log('✅ Database and Redis initialized for worker');
 
-        // Main processing loop
-        while (this.running) {
-            try {
-                if (this.processingCount < this.maxConcurrentJobs) {
-                    await this.processNext();
-                }
+        this.worker = await videoProcessingService.startWorker({
+            concurrency: this.maxConcurrentJobs,
+            pollInterval: 5000
+        });
 
-                // Wait 5 seconds before checking for next job
-                await this.sleep(5000);
-
-            } catch (error) {
-                console.error('❌ Worker error:', error.message);
-                await this.sleep(10000); // Wait longer on error
-            }
-        }
+        await this.worker.done;
 
         console.log('🛑 Video Processing Worker stopped');
     }
 
-    async processNext() {
-        try {
-            const filmId = await videoProcessingService.processNextVideo();
-
-            if (filmId) {
-                this.processingCount++;
-                console.log(`🎥 Processed video: ${filmId} (Active jobs: ${this.processingCount})`);
-                this.processingCount = Math.max(0, this.processingCount - 1);
-            }
-
-        } catch (error) {
-            this.processingCount = Math.max(0, this.processingCount - 1);
-            console.error('❌ Processing error:', error.message);
-        }
-    }
-
     async getQueueStatus() {
         try {
-            const queueLength = await cache.llen('video_processing_queue');
             const status = await videoProcessingService.getQueueStatus();
 
-            console.log(`📊 Queue Status: ${queueLength} pending, ${status.activeJobs} active`);
+            console.log(`📊 Queue Status: ${status.queueLength} pending, ${status.activeJobs} active, ${status.counts.failed} dead-lettered`);
             return status;
 
         } catch (error) {
@@ -88,11 +57,9 @@ class VideoWorker {
 
     async stop() {
         console.log('🛑 Stopping Video Processing Worker...');
-        this.running = false;
-    }
-
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+        if (this.worker) {
+            this.worker.stop();
+        }
     }
 }
 
@@ -11,6 +11,7 @@ const DashboardPage = lazy(() => import('./pages/DashboardPage'));
 const VideoPage = lazy(() => import('./pages/VideoPage'));
 const AdminDashboard = lazy(() => import('./pages/AdminDashboard'));
 const BackstagePage = lazy(() => import('./pages/BackstagePage'));
+const AuthLinkPage = lazy(() => import('./pages/AuthLinkPage'));
 
 // Loading spinner component for Suspense fallback
 const PageLoader = () => (
@@ -39,6 +40,18 @@ function App() {
     setLoading(false);
   }, []);
 
+  // Keep the user from a successful sign-in response
+  const handleSignedIn = (data) => {
+    const userData = {
+      ...data.user,
+      token: data.token,
+      twoFactorSetupRequired: Boolean(data.twoFactorSetupRequired)
+    };
+    setUser(userData);
+    localStorage.setItem('user', JSON.stringify(userData));
+    setIsLoginOpen(false);
+  };
+
   const handleLogin = async (credentials) => {
     try {
       const response = await fetch('/api/auth/login', {
@@ -51,15 +64,11 @@ function App() {
 
       const data = await response.json();
 
-      if (data.success && data.data?.user) {
-        const userData = {
-          ...data.data.user,
-          token: data.data.token
-        };
-        setUser(userData);
-        localStorage.setItem('user', JSON.stringify(userData));
-        setIsLoginOpen(false);
-        return { success: true };
+      if (data.success && data.data?.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.data.challengeToken };
+      } else if (data.success && data.data?.user) {
+        handleSignedIn(data.data);
+        return { success: true, user: data.data.user, twoFactorSetupRequired: data.data.twoFactorSetupRequired };
       } else {
         return { success: false, message: data.message || 'Login failed' };
       }
@@ -69,6 +78,35 @@ function App() {
     }
   };
 
+  // Second login step: { challengeToken, code } or { challengeToken, recoveryCode }
+  const handleTwoFactorLogin = async (payload) => {
+    try {
+      const response = await fetch('/api/auth/login/2fa', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(payload)
+      });
+
+      const data = await response.json();
+
+      if (data.success && data.data?.user) {
+        handleSignedIn(data.data);
+        return { success: true, user: data.data.user, twoFactorSetupRequired: data.data.twoFactorSetupRequired };
+      }
+      return {
+        success: false,
+        // Challenge expired or out of attempts: start over from the password
+        expired: response.status === 401 && !(data.data?.attemptsLeft > 0),
+        message: data.message || 'Invalid code'
+      };
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      return { success: false, message: 'Network error. Please try again.' };
+    }
+  };
+
   const handleRegister = async (userData) => {
     try {
       const response = await fetch('/api/auth/register', {
@@ -163,7 +201,37 @@ function App() {
                 />
                 <Route
                   path="/backstage"
-                  element={<BackstagePage onLogin={handleLogin} />}
+                  element={<BackstagePage onLogin={handleLogin} onTwoFactorLogin={handleTwoFactorLogin} />}
+                />
+                <Route
+                  path="/verify-email"
+                  element={<AuthLinkPage key="verify" mode="verify" />}
+                />
+                <Route
+                  path="/reset-password"
+                  element={<AuthLinkPage key="reset" mode="reset" />}
+                />
+                <Route
+                  path="/login/magic"
+                  element={
+                    <AuthLinkPage
+                      key="magic"
+                      mode="magic"
+                      onSignedIn={handleSignedIn}
+                      onTwoFactorLogin={handleTwoFactorLogin}
+                    />
+                  }
+                />
+                <Route
+                  path="/login/oidc"
+                  element={
+                    <AuthLinkPage
+                      key="oidc"
+                      mode="oidc"
+                      onSignedIn={handleSignedIn}
+                      onTwoFactorLogin={handleTwoFactorLogin}
+                    />
+                  }
                 />
                 <Route
                   path="/creator"
@@ -178,6 +246,7 @@ function App() {
             <LoginModal
               onClose={() => setIsLoginOpen(false)}
               onLogin={handleLogin}
+              onTwoFactorLogin={handleTwoFactorLogin}
               onRegister={handleRegister}
             />
           )}
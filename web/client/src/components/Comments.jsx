@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import ReportDialog from './ReportDialog';
 
 function Comments({ videoId, user }) {
   const [comments, setComments] = useState([]);
@@ -7,6 +8,7 @@ function Comments({ videoId, user }) {
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
   const [expandedReplies, setExpandedReplies] = useState({});
+  const [reportingId, setReportingId] = useState(null);
 
   useEffect(() => {
     fetchComments();
@@ -176,6 +178,15 @@ function Comments({ videoId, user }) {
               {expandedReplies[comment.id] ? 'Hide' : 'Show'} {comment.reply_count} {comment.reply_count === 1 ? 'reply' : 'replies'}
             </button>
           )}
+
+          {user && comment.user_id !== user.id && (
+            <button
+              className="action-button"
+              onClick={() => setReportingId(comment.id)}
+            >
+              Report
+            </button>
+          )}
         </div>
 
         {replyTo === comment.id && (
@@ -261,6 +272,15 @@ function Comments({ videoId, user }) {
           </div>
         )}
       </div>
+
+      {reportingId && (
+        <ReportDialog
+          user={user}
+          contentType="comment"
+          contentId={reportingId}
+          onClose={() => setReportingId(null)}
+        />
+      )}
     </div>
   );
 }
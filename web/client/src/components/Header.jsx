@@ -6,6 +6,8 @@ function Header({ user, onSearchChange, onLoginClick, onLogout }) {
   const [showUserMenu, setShowUserMenu] = useState(false);
   const [showMobileMenu, setShowMobileMenu] = useState(false);
   const location = useLocation();
+  // Sign-ins from before staff roles only have the account role
+  const isStaff = Boolean(user && (user.permissions?.length > 0 || user.role === 'admin' || user.role === 'moderator'));
 
   const handleSearchSubmit = (e) => {
     e.preventDefault();
@@ -60,7 +62,7 @@ function Header({ user, onSearchChange, onLoginClick, onLogout }) {
               <Link to="/dashboard" className={`nav-link ${location.pathname === '/dashboard' ? 'active' : ''}`}>
                 Dashboard
               </Link>
-              {(user.role === 'admin' || user.role === 'moderator') && (
+              {isStaff && (
                 <Link to="/admin" className={`nav-link ${location.pathname === '/admin' ? 'active' : ''}`}>
                   Admin
                 </Link>
@@ -96,7 +98,7 @@ function Header({ user, onSearchChange, onLoginClick, onLogout }) {
                   <Link to="/dashboard" className="mobile-nav-link" onClick={closeMobileMenu}>
                     Dashboard
                   </Link>
-                  {(user.role === 'admin' || user.role === 'moderator') && (
+                  {isStaff && (
                     <Link to="/admin" className="mobile-nav-link" onClick={closeMobileMenu}>
                       Admin
                     </Link>
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+
+// Sign-in provider accounts (Google, GitHub, ...) linked to this account, for the dashboard
+function LinkedAccounts({ user }) {
+  const [accounts, setAccounts] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${user.token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    return response.json();
+  };
+
+  const fetchAccounts = async () => {
+    try {
+      const data = await request('/api/auth/identities');
+      if (data.success) setAccounts(data.data);
+    } catch (err) {
+      console.error('Error fetching linked accounts:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchAccounts();
+  }, [user]);
+
+  const link = async (provider) => {
+    setError('');
+    setNotice('');
+    try {
+      const data = await request(`/api/auth/oidc/${provider.id}/link`, { method: 'POST' });
+      if (data.success) {
+        window.location.href = data.data.authorizationUrl;
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  const unlink = async (identity) => {
+    if (!window.confirm(`Unlink your ${identity.providerName} account?`)) return;
+
+    setError('');
+    setNotice('');
+    try {
+      const data = await request(`/api/auth/identities/${identity.id}`, { method: 'DELETE' });
+      if (data.success) {
+        setNotice(data.message);
+        fetchAccounts();
+      } else {
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  // Nothing to show when no providers are configured and nothing is linked
+  if (!accounts || (accounts.providers.length === 0 && accounts.identities.length === 0)) return null;
+
+  const linkedProviders = new Set(accounts.identities.map(identity => identity.provider));
+
+  return (
+    <div className="section linked-accounts">
+      <h2>Linked Accounts</h2>
+
+      {accounts.identities.length === 0 ? (
+        <p>Link an account to sign in without your password.</p>
+      ) : (
+        <ul className="linked-accounts__list">
+          {accounts.identities.map(identity => (
+            <li key={identity.id}>
+              <span>
+                <strong>{identity.providerName}</strong>
+                {identity.email && ` · ${identity.email}`}
+              </span>
+              <button className="btn btn--outline btn--small" onClick={() => unlink(identity)}>
+                Unlink
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!accounts.passwordSet && (
+        <p className="linked-accounts__hint">
+          Your account has no password yet. Use "Forgot password?" when signing in to set one.
+        </p>
+      )}
+
+      {notice && <div className="form-notice">{notice}</div>}
+      {error && <div className="form-error">{error}</div>}
+
+      <div className="film-actions">
+        {accounts.providers
+          .filter(provider => !linkedProviders.has(provider.id))
+          .map(provider => (
+            <button key={provider.id} className="btn btn--secondary btn--small" onClick={() => link(provider)}>
+              Link {provider.name}
+            </button>
+          ))}
+      </div>
+    </div>
+  );
+}
+
+export default LinkedAccounts;
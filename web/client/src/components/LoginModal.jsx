@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import TwoFactorCodeForm from './TwoFactorCodeForm';
 
-function LoginModal({ onClose, onLogin, onRegister }) {
+function LoginModal({ onClose, onLogin, onTwoFactorLogin, onRegister }) {
   const [isSignUp, setIsSignUp] = useState(false);
   const [formData, setFormData] = useState({
     email: '',
@@ -10,6 +11,16 @@ function LoginModal({ onClose, onLogin, onRegister }) {
   });
   const [errors, setErrors] = useState({});
   const [isLoading, setIsLoading] = useState(false);
+  const [notice, setNotice] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [providers, setProviders] = useState([]);
+
+  useEffect(() => {
+    fetch('/api/auth/oidc/providers')
+      .then(response => response.json())
+      .then(data => setProviders(data.data?.providers || []))
+      .catch(err => console.error('Error fetching sign-in providers:', err));
+  }, []);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -54,6 +65,38 @@ function LoginModal({ onClose, onLogin, onRegister }) {
     return Object.keys(newErrors).length === 0;
   };
 
+  // Forgot password / magic link: both only need the email address
+  const requestEmailLink = async (url) => {
+    setNotice('');
+    if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      setErrors({ email: 'Enter your email address first' });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ email: formData.email })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setErrors({});
+        setNotice(data.message);
+      } else {
+        setErrors({ submit: data.message || 'Something went wrong. Please try again.' });
+      }
+    } catch (error) {
+      setErrors({ submit: 'Network error. Please try again.' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
@@ -79,7 +122,9 @@ function LoginModal({ onClose, onLogin, onRegister }) {
         });
       }
 
-      if (!result.success) {
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (!result.success) {
         if (result.errors) {
           setErrors(result.errors.reduce((acc, err) => ({
             ...acc,
@@ -97,6 +142,33 @@ function LoginModal({ onClose, onLogin, onRegister }) {
   };
 
 
+  const handleTwoFactor = async (payload) => {
+    const result = await onTwoFactorLogin({ challengeToken, ...payload });
+    if (result.expired) {
+      setChallengeToken(null);
+      setErrors({ submit: result.message });
+    }
+    return result;
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="modal-overlay" onClick={onClose}>
+        <div className="login-modal" onClick={(e) => e.stopPropagation()}>
+          <div className="modal-header">
+            <h2>Two-Factor Authentication</h2>
+          </div>
+          <div className="modal-body">
+            <TwoFactorCodeForm
+              onSubmit={handleTwoFactor}
+              onCancel={() => setChallengeToken(null)}
+            />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="login-modal" onClick={(e) => e.stopPropagation()}>
@@ -171,12 +243,39 @@ function LoginModal({ onClose, onLogin, onRegister }) {
               </div>
             )}
 
+            {!isSignUp && (
+              <div className="auth-links">
+                <button
+                  type="button"
+                  className="link-btn"
+                  disabled={isLoading}
+                  onClick={() => requestEmailLink('/api/auth/password/forgot')}
+                >
+                  Forgot password?
+                </button>
+                <button
+                  type="button"
+                  className="link-btn"
+                  disabled={isLoading}
+                  onClick={() => requestEmailLink('/api/auth/magic-link')}
+                >
+                  Email me a sign-in link
+                </button>
+              </div>
+            )}
+
             {errors.submit && (
               <div className="form-error">
                 {errors.submit}
               </div>
             )}
 
+            {notice && (
+              <div className="form-notice">
+                {notice}
+              </div>
+            )}
+
             <button 
               type="submit" 
               className="submit-btn"
@@ -190,6 +289,21 @@ function LoginModal({ onClose, onLogin, onRegister }) {
             </button>
           </form>
 
+          {providers.length > 0 && (
+            <div className="oauth-providers">
+              <div className="oauth-divider"><span>or</span></div>
+              {providers.map(provider => (
+                <button
+                  key={provider.id}
+                  type="button"
+                  className="btn btn--outline oauth-btn"
+                  onClick={() => { window.location.href = `/api/auth/oidc/${provider.id}/start`; }}
+                >
+                  Continue with {provider.name}
+                </button>
+              ))}
+            </div>
+          )}
 
           <div className="auth-switch">
             {isSignUp ? (
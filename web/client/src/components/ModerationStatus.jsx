@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+
+const ACTION_LABELS = {
+  approved: 'Approved',
+  rejected: 'Rejected',
+  flagged: 'Flagged for review',
+  appeal_filed: 'Appeal submitted',
+  appeal_vote_approve: 'Appeal reviewed',
+  appeal_vote_reject: 'Appeal reviewed',
+  appeal_approved: 'Appeal approved',
+  appeal_rejected: 'Appeal rejected'
+};
+
+// Moderation outcome, decision history and appeal form, shown to a film's owner
+function ModerationStatus({ videoId, user }) {
+  const [moderation, setModeration] = useState(null);
+  const [appealing, setAppealing] = useState(false);
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchModeration = async () => {
+    try {
+      const response = await fetch(`/api/videos/${videoId}/moderation`, {
+        headers: {
+          'Authorization': `Bearer ${user.token}`
+        }
+      });
+      const data = await response.json();
+      if (data.success) {
+        setModeration(data.moderation);
+      }
+    } catch (err) {
+      console.error('Failed to fetch moderation status:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchModeration();
+  }, [videoId]);
+
+  const submitAppeal = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`/api/videos/${videoId}/appeal`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ message })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setNotice(data.message);
+        setAppealing(false);
+        setMessage('');
+        fetchModeration();
+      } else {
+        setError(data.errors?.[0]?.msg || data.message || 'Failed to submit appeal');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!moderation || moderation.history.length === 0) return null;
+
+  return (
+    <div className="moderation-status">
+      <h3>Moderation: <span className={`status-badge status-${moderation.status}`}>{moderation.status}</span></h3>
+      {moderation.status === 'rejected' && moderation.notes && <p>Reason: {moderation.notes}</p>}
+      {moderation.appeal && <p>Your appeal is waiting for review by two moderators.</p>}
+
+      <ul className="moderation-history">
+        {moderation.history.map((entry, index) => (
+          <li key={index}>
+            <span className="moderation-history__date">{new Date(entry.createdAt).toLocaleDateString()}</span>
+            {ACTION_LABELS[entry.action] || entry.action}
+            {!entry.byYou && (entry.reason || entry.notes) && `: ${entry.reason || entry.notes}`}
+          </li>
+        ))}
+      </ul>
+
+      {notice && <div className="form-notice">{notice}</div>}
+
+      {moderation.canAppeal && !appealing && (
+        <button className="btn btn--secondary btn--small" onClick={() => setAppealing(true)}>
+          Appeal This Decision
+        </button>
+      )}
+
+      {appealing && (
+        <form className="appeal-form" onSubmit={submitAppeal}>
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            placeholder="Explain why this decision should be reconsidered"
+            rows="4"
+            maxLength="2000"
+            required
+          />
+          {error && <div className="form-error">{error}</div>}
+          <div className="film-actions">
+            <button type="submit" className="btn btn--primary btn--small" disabled={message.trim().length < 10 || submitting}>
+              {submitting ? 'Submitting...' : 'Submit Appeal'}
+            </button>
+            <button type="button" className="btn btn--outline btn--small" onClick={() => setAppealing(false)}>
+              Cancel
+            </button>
+          </div>
+          <p className="appeal-form__hint">
+            You can appeal within {moderation.appealWindowDays} days. Two moderators who didn't make the original decision will review it.
+          </p>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default ModerationStatus;
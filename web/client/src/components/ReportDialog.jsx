@@ -0,0 +1,110 @@
+import React, { useState, useEffect } from 'react';
+
+// Report a video, comment, channel or user to the moderators
+function ReportDialog({ user, contentType, contentId, onClose }) {
+  const [reasons, setReasons] = useState([]);
+  const [reason, setReason] = useState('');
+  const [description, setDescription] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  useEffect(() => {
+    fetch('/api/reports/reasons')
+      .then(response => response.json())
+      .then(data => setReasons(data.reasons || []))
+      .catch(err => console.error('Failed to fetch report reasons:', err));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) return;
+
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch('/api/reports', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${user.token}`
+        },
+        body: JSON.stringify({ contentType, contentId, reason, description: description.trim() || null })
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        setNotice(data.message);
+      } else {
+        setError(data.errors?.[0]?.message || data.message || 'Failed to send report');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="login-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>Report {contentType}</h2>
+          <button className="modal-close" onClick={onClose}>
+            <svg viewBox="0 0 24 24" width="24" height="24">
+              <path fill="currentColor" d="M19,6.41L17.59,5L12,10.59L6.41,5L5,6.41L10.59,12L5,17.59L6.41,19L12,13.41L17.59,19L19,17.59L13.41,12L19,6.41Z"/>
+            </svg>
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {notice ? (
+            <>
+              <div className="form-notice">{notice}</div>
+              <button type="button" className="submit-btn" onClick={onClose}>
+                Done
+              </button>
+            </>
+          ) : (
+            <form onSubmit={handleSubmit} className="login-form">
+              <div className="report-reasons">
+                {reasons.map(option => (
+                  <label key={option.id} className="report-reason">
+                    <input
+                      type="radio"
+                      name="reason"
+                      value={option.id}
+                      checked={reason === option.id}
+                      onChange={() => setReason(option.id)}
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="reportDescription">Details (optional)</label>
+                <textarea
+                  id="reportDescription"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                  rows="3"
+                  maxLength="1000"
+                  placeholder="Anything that helps the moderators, e.g. a timestamp or the original work"
+                />
+              </div>
+
+              {error && <div className="form-error">{error}</div>}
+
+              <button type="submit" className="submit-btn" disabled={!reason || submitting}>
+                {submitting ? 'Sending...' : 'Send Report'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReportDialog;
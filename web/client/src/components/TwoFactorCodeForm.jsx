@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+
+// Asks for an authenticator code, or a recovery code instead. onSubmit gets
+// { code } or { recoveryCode } and resolves to { success, message }.
+function TwoFactorCodeForm({ onSubmit, submitLabel = 'Verify', onCancel }) {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setIsLoading(true);
+
+    try {
+      const result = await onSubmit(useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.trim() });
+      if (!result.success) {
+        setError(result.message || 'Invalid code');
+        setValue('');
+      }
+    } catch (err) {
+      setError('Network error. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="login-form">
+      <div className="form-group">
+        <label htmlFor="twoFactorCode">
+          {useRecoveryCode ? 'Recovery code' : 'Code from your authenticator app'}
+        </label>
+        <input
+          type="text"
+          id="twoFactorCode"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          className={error ? 'error' : ''}
+          placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+          inputMode={useRecoveryCode ? 'text' : 'numeric'}
+          autoComplete="one-time-code"
+          autoFocus
+          required
+        />
+        {error && <span className="error-text">{error}</span>}
+      </div>
+
+      <button type="submit" className="submit-btn" disabled={isLoading || !value.trim()}>
+        {isLoading ? <div className="loading-spinner small"></div> : submitLabel}
+      </button>
+
+      <div className="auth-links">
+        <button
+          type="button"
+          className="link-btn"
+          onClick={() => {
+            setUseRecoveryCode(!useRecoveryCode);
+            setValue('');
+            setError('');
+          }}
+        >
+          {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+        </button>
+        {onCancel && (
+          <button type="button" className="link-btn" onClick={onCancel}>
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default TwoFactorCodeForm;
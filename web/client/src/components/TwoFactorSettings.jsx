@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+
+// Two-factor enrollment, recovery codes and disabling, for the dashboard
+function TwoFactorSettings({ user }) {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [action, setAction] = useState(null);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${user.token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    return response.json();
+  };
+
+  const fetchStatus = async () => {
+    try {
+      const data = await request('/api/auth/2fa');
+      if (data.success) setStatus(data.data);
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchStatus();
+  }, [user]);
+
+  const reset = () => {
+    setAction(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const startSetup = async () => {
+    reset();
+    setNotice('');
+    const data = await request('/api/auth/2fa/setup', { method: 'POST' });
+    if (data.success) {
+      setSetup(data.data);
+      setAction('enable');
+    } else {
+      setError(data.message);
+    }
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const endpoints = {
+      enable: ['/api/auth/2fa/enable', { code }],
+      regenerate: ['/api/auth/2fa/recovery-codes', { code }],
+      disable: ['/api/auth/2fa/disable', { password, code }]
+    };
+    const [url, payload] = endpoints[action];
+
+    try {
+      const data = await request(url, { method: 'POST', body: JSON.stringify(payload) });
+      if (!data.success) {
+        setError(data.errors?.[0]?.message || data.message);
+        return;
+      }
+
+      setNotice(data.message);
+      setRecoveryCodes(data.data?.recoveryCodes || null);
+      setSetup(null);
+      reset();
+      fetchStatus();
+    } catch (err) {
+      setError('Network error. Please try again.');
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div className="section two-factor-settings">
+      <h2>Two-Factor Authentication</h2>
+
+      {status.enabled ? (
+        <p>
+          On since {new Date(status.enabledAt).toLocaleDateString()}.{' '}
+          {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining === 1 ? '' : 's'} left.
+        </p>
+      ) : (
+        <p>
+          {status.required
+            ? 'Admin accounts must turn on two-factor authentication before using admin tools.'
+            : 'Protect your account with a code from an authenticator app when you sign in.'}
+        </p>
+      )}
+
+      {notice && <div className="form-notice">{notice}</div>}
+
+      {recoveryCodes && (
+        <div className="recovery-codes">
+          <p>Save these recovery codes. Each one works once if you lose your authenticator app.</p>
+          <ul>
+            {recoveryCodes.map(recoveryCode => <li key={recoveryCode}><code>{recoveryCode}</code></li>)}
+          </ul>
+        </div>
+      )}
+
+      {setup && action === 'enable' && (
+        <div className="two-factor-setup">
+          <img src={setup.qrCode} alt="Authenticator QR code" width="200" height="200" />
+          <p>Can't scan it? Enter this key: <code>{setup.secret}</code></p>
+        </div>
+      )}
+
+      {action ? (
+        <form onSubmit={submit} className="login-form">
+          {action === 'disable' && (
+            <div className="form-group">
+              <label htmlFor="twoFactorPassword">Password</label>
+              <input
+                type="password"
+                id="twoFactorPassword"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+          )}
+          <div className="form-group">
+            <label htmlFor="twoFactorSettingsCode">Code from your authenticator app</label>
+            <input
+              type="text"
+              id="twoFactorSettingsCode"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              placeholder="123456"
+              required
+            />
+          </div>
+          {error && <div className="form-error">{error}</div>}
+          <div className="film-actions">
+            <button type="submit" className="btn btn--primary btn--small">
+              {{ enable: 'Turn On', regenerate: 'Generate New Codes', disable: 'Turn Off' }[action]}
+            </button>
+            <button type="button" className="btn btn--outline btn--small" onClick={() => { reset(); setSetup(null); }}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div className="film-actions">
+          {status.enabled ? (
+            <>
+              <button className="btn btn--secondary btn--small" onClick={() => { reset(); setAction('regenerate'); }}>
+                New Recovery Codes
+              </button>
+              {!status.required && (
+                <button className="btn btn--outline btn--small" onClick={() => { reset(); setAction('disable'); }}>
+                  Turn Off
+                </button>
+              )}
+            </>
+          ) : (
+            <button className="btn btn--primary btn--small" onClick={startSetup}>
+              Set Up Two-Factor Authentication
+            </button>
+          )}
+          {error && !action && <div className="form-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -1,6 +1,7 @@
 import React, { useRef, useState, useEffect } from 'react';
+import { loadThumbnailTrack, findThumbnail } from '../utils/thumbnailTrack';
 
-function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, autoplay = false }) {
+function VideoPlayer({ videoUrl, thumbnailUrl, thumbnailsTrackUrl, title, captions = [], onEnded, onTimeUpdate, autoplay = false }) {
   const videoRef = useRef(null);
   const [isPlaying, setIsPlaying] = useState(false);
   const [progress, setProgress] = useState(0);
@@ -12,6 +13,9 @@ function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, aut
   const [duration, setDuration] = useState(0);
   const [quality, setQuality] = useState('720p');
   const [playbackSpeed, setPlaybackSpeed] = useState(1);
+  const [activeCaption, setActiveCaption] = useState('off');
+  const [previewCues, setPreviewCues] = useState([]);
+  const [hoverPreview, setHoverPreview] = useState(null);
   const controlsTimeout = useRef(null);
 
   useEffect(() => {
@@ -52,6 +56,37 @@ function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, aut
     };
   }, [onTimeUpdate, onEnded]);
 
+  useEffect(() => {
+    const defaultCaption = captions.find(caption => caption.is_default);
+    setActiveCaption(defaultCaption ? defaultCaption.id : 'off');
+  }, [captions]);
+
+  useEffect(() => {
+    const video = videoRef.current;
+    if (!video) return;
+
+    // Track elements are rendered in the same order as the captions prop
+    Array.from(video.textTracks).forEach((track, index) => {
+      track.mode = captions[index] && captions[index].id === activeCaption ? 'showing' : 'disabled';
+    });
+  }, [activeCaption, captions]);
+
+  useEffect(() => {
+    setPreviewCues([]);
+    if (!thumbnailsTrackUrl) return;
+
+    const controller = new AbortController();
+    loadThumbnailTrack(thumbnailsTrackUrl, controller.signal)
+      .then(setPreviewCues)
+      .catch((error) => {
+        if (error.name !== 'AbortError') {
+          console.error('Failed to load preview thumbnails:', error);
+        }
+      });
+
+    return () => controller.abort();
+  }, [thumbnailsTrackUrl]);
+
   useEffect(() => {
     if (autoplay && videoRef.current) {
       videoRef.current.play().then(() => setIsPlaying(true)).catch(console.error);
@@ -76,6 +111,49 @@ function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, aut
     video.currentTime = pos * video.duration;
   };
 
+  const handleProgressHover = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const pos = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const time = pos * (duration || 0);
+    const cue = findThumbnail(previewCues, time);
+
+    setHoverPreview({
+      time,
+      left: pos * rect.width,
+      barWidth: rect.width,
+      cue
+    });
+  };
+
+  const renderHoverPreview = () => {
+    if (!hoverPreview || !duration) return null;
+
+    const { cue } = hoverPreview;
+    const width = cue ? cue.width || 160 : 0;
+    // Keep the preview inside the player at either end of the bar
+    const style = cue
+      ? { left: Math.min(Math.max(hoverPreview.left - width / 2, 0), Math.max(hoverPreview.barWidth - width, 0)) }
+      : { left: hoverPreview.left, transform: 'translateX(-50%)' };
+
+    return (
+      <div className="progress-preview" style={style}>
+        {cue && (
+          <div
+            className="progress-preview-image"
+            style={{
+              width: cue.width || 160,
+              height: cue.height || 90,
+              backgroundImage: `url("${cue.url}")`,
+              backgroundPosition: `-${cue.x}px -${cue.y}px`,
+              backgroundSize: cue.width ? 'auto' : 'cover'
+            }}
+          />
+        )}
+        <span className="progress-preview-time">{formatTime(hoverPreview.time)}</span>
+      </div>
+    );
+  };
+
   const handleVolumeChange = (e) => {
     const newVolume = parseFloat(e.target.value);
     setVolume(newVolume);
@@ -134,6 +212,16 @@ function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, aut
         onClick={togglePlay}
       >
         <source src={videoUrl} type="video/mp4" />
+        {captions.map(caption => (
+          <track
+            key={caption.id}
+            kind={caption.kind}
+            label={caption.label}
+            srcLang={caption.language}
+            src={caption.url}
+            default={caption.is_default}
+          />
+        ))}
         Your browser does not support the video tag.
       </video>
 
@@ -146,7 +234,13 @@ function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, aut
       )}
 
       <div className={`video-controls ${showControls ? 'show' : ''}`}>
-        <div className="progress-bar" onClick={handleProgressClick}>
+        <div
+          className="progress-bar"
+          onClick={handleProgressClick}
+          onMouseMove={handleProgressHover}
+          onMouseLeave={() => setHoverPreview(null)}
+        >
+          {renderHoverPreview()}
           <div className="progress-filled" style={{ width: `${progress}%` }}>
             <div className="progress-thumb"></div>
           </div>
@@ -221,6 +315,20 @@ function VideoPlayer({ videoUrl, thumbnailUrl, title, onEnded, onTimeUpdate, aut
               <option value="480p">480p</option>
               <option value="720p">720p HD</option>
             </select>
+
+            {captions.length > 0 && (
+              <select
+                className="caption-select"
+                value={activeCaption}
+                onChange={(e) => setActiveCaption(e.target.value)}
+                title="Subtitles/CC"
+              >
+                <option value="off">CC Off</option>
+                {captions.map(caption => (
+                  <option key={caption.id} value={caption.id}>{caption.label}</option>
+                ))}
+              </select>
+            )}
           </div>
 
           <button className="control-button" onClick={toggleFullscreen}>
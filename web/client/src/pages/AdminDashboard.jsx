@@ -4,26 +4,45 @@ import './AdminDashboard.css';
 
 const AdminDashboard = ({ user }) => {
   const navigate = useNavigate();
-  const [activeTab, setActiveTab] = useState('stats');
+  const [activeTab, setActiveTab] = useState(null);
+  const [access, setAccess] = useState(null);
   const [stats, setStats] = useState(null);
   const [moderationQueue, setModerationQueue] = useState([]);
   const [users, setUsers] = useState([]);
   const [reports, setReports] = useState([]);
+  const [scanRules, setScanRules] = useState(null);
   const [activityLog, setActivityLog] = useState([]);
+  const [histories, setHistories] = useState({});
+  const [duplicates, setDuplicates] = useState({});
+  const [staffRoles, setStaffRoles] = useState(null);
+  const [roleEditor, setRoleEditor] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
-  // Check if user is admin/moderator
+  // Tabs, and the permission each needs
+  const tabs = [
+    { key: 'stats', label: 'Statistics', permission: 'dashboard.view' },
+    { key: 'moderation', label: 'Moderation Queue', permission: 'moderation.review' },
+    { key: 'users', label: 'User Management', permission: 'users.view' },
+    { key: 'reports', label: 'Reports', permission: 'reports.manage' },
+    { key: 'scanning', label: 'Scan Rules', permission: 'moderation.review' },
+    { key: 'roles', label: 'Staff Roles', permission: 'roles.manage' }
+  ];
+
+  const can = (permission) => Boolean(access?.permissions.includes(permission));
+
+  // Staff only; the tabs shown depend on the user's roles
   useEffect(() => {
     if (!user || !user.token) {
       navigate('/');
       return;
     }
 
-    // Fetch initial data
-    fetchStats();
+    fetchAccess();
   }, [user, navigate]);
 
+  const formatGB = (bytes) => `${((bytes || 0) / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+
   const fetchWithAuth = async (url, options = {}) => {
     const response = await fetch(url, {
       ...options,
@@ -35,6 +54,25 @@ const AdminDashboard = ({ user }) => {
     });
 
     if (response.status === 403) {
+      const denied = await response.json().catch(() => ({}));
+
+      if (denied.code === 'PERMISSION_REQUIRED' && access) {
+        throw new Error(denied.error);
+      }
+
+      // Destructive actions need a fresh 2FA check on this session
+      if (denied.code === 'TWO_FACTOR_REQUIRED' && await verifyTwoFactor()) {
+        return fetchWithAuth(url, options);
+      }
+      if (denied.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+        alert('Turn on two-factor authentication in your dashboard to use admin tools.');
+        navigate('/dashboard');
+        return null;
+      }
+      if (denied.code === 'TWO_FACTOR_REQUIRED') {
+        throw new Error('Two-factor verification failed');
+      }
+
       alert('Access denied. Admin privileges required.');
       navigate('/');
       return null;
@@ -47,6 +85,39 @@ const AdminDashboard = ({ user }) => {
     return data;
   };
 
+  const verifyTwoFactor = async () => {
+    const code = prompt('Enter the code from your authenticator app (or a recovery code):');
+    if (!code) return false;
+
+    const trimmed = code.trim();
+    const response = await fetch('/api/auth/2fa/verify', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${user.token}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(/^\d{6}$/.test(trimmed) ? { code: trimmed } : { recoveryCode: trimmed })
+    });
+    return response.ok;
+  };
+
+  const fetchAccess = async () => {
+    try {
+      const data = await fetchWithAuth('/api/admin/me');
+      if (!data) return;
+      setAccess(data);
+
+      const firstTab = tabs.find(tab => data.permissions.includes(tab.permission));
+      if (firstTab) {
+        setActiveTab(firstTab.key);
+        if (firstTab.key === 'stats') fetchStats();
+        else loadTab(firstTab.key);
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const fetchStats = async () => {
     try {
       setLoading(true);
@@ -84,14 +155,134 @@ const AdminDashboard = ({ user }) => {
     }
   };
 
+  const fetchReports = async (status = 'pending') => {
+    try {
+      setLoading(true);
+      const data = await fetchWithAuth(`/api/admin/reports?status=${status}&limit=50`);
+      if (data) setReports(data.reports || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchScanRules = async () => {
+    try {
+      setLoading(true);
+      const data = await fetchWithAuth('/api/admin/moderation/scan-rules');
+      if (data) setScanRules(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const saveScanRule = async (key, rule) => {
+    try {
+      await fetchWithAuth(`/api/admin/moderation/scan-rules/${key}`, {
+        method: 'PUT',
+        body: JSON.stringify(rule)
+      });
+      fetchScanRules();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const editScanRule = (rule) => {
+    const changes = {};
+    if (rule.kind === 'keywords') {
+      const keywords = prompt('Keywords (comma separated):', rule.keywords.join(', '));
+      if (keywords === null) return;
+      changes.keywords = keywords.split(',');
+    } else {
+      const value = prompt(`Match when ${rule.signal} is ${rule.operator === 'gte' ? 'at least' : 'at most'}:`, rule.value);
+      if (value === null) return;
+      changes.value = value;
+    }
+    const score = prompt('Risk score (0-100):', rule.score);
+    if (score === null) return;
+
+    saveScanRule(rule.key, { ...rule, ...changes, score });
+  };
+
+  const addScanRule = (kind) => {
+    const name = prompt('Rule name:');
+    if (!name) return;
+    const key = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 50);
+
+    const rule = { name, kind };
+    if (kind === 'keywords') {
+      const keywords = prompt('Keywords to look for in titles, descriptions and tags (comma separated):');
+      if (!keywords) return;
+      rule.keywords = keywords.split(',');
+    } else {
+      rule.signal = prompt(`Signal (${Object.keys(scanRules.signals).join(', ')}):`);
+      if (!rule.signal) return;
+      rule.operator = confirm('Match when the signal is at least the value? Cancel to match when it is at most the value.') ? 'gte' : 'lte';
+      rule.value = prompt('Value:');
+      if (rule.value === null) return;
+    }
+    rule.score = prompt('Risk score (0-100):', '20');
+    if (rule.score === null) return;
+
+    saveScanRule(key, rule);
+  };
+
+  const removeScanRule = async (rule) => {
+    if (!confirm(rule.builtIn ? `Reset "${rule.name}" to its default?` : `Delete "${rule.name}"?`)) return;
+
+    try {
+      await fetchWithAuth(`/api/admin/moderation/scan-rules/${rule.key}`, { method: 'DELETE' });
+      fetchScanRules();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const resolveReport = async (report) => {
+    const removable = report.content_type === 'video' || report.content_type === 'comment';
+    const action = removable && confirm(`Remove this ${report.content_type}? Cancel to keep it and only record a warning.`)
+      ? 'content_removed'
+      : 'user_warned';
+    const notes = prompt('Resolution notes (optional):');
+
+    try {
+      await fetchWithAuth(`/api/admin/reports/${report.id}/resolve`, {
+        method: 'POST',
+        body: JSON.stringify({ action, notes })
+      });
+      fetchReports();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const dismissReport = async (reportId) => {
+    const notes = prompt('Why is this report being dismissed? (optional)');
+
+    try {
+      await fetchWithAuth(`/api/admin/reports/${reportId}/dismiss`, {
+        method: 'POST',
+        body: JSON.stringify({ notes })
+      });
+      fetchReports();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
   const approveVideo = async (videoId) => {
     try {
       const notes = prompt('Add approval notes (optional):');
-      await fetchWithAuth(`/api/admin/moderation/video/${videoId}/approve`, {
+      const data = await fetchWithAuth(`/api/admin/moderation/video/${videoId}/approve`, {
         method: 'POST',
         body: JSON.stringify({ notes })
       });
-      alert('Video approved successfully!');
+      if (!data) return;
+      alert(data.message || 'Video approved successfully!');
       fetchModerationQueue();
       fetchStats();
     } catch (err) {
@@ -106,11 +297,12 @@ const AdminDashboard = ({ user }) => {
     const notes = prompt('Additional notes (optional):');
 
     try {
-      await fetchWithAuth(`/api/admin/moderation/video/${videoId}/reject`, {
+      const data = await fetchWithAuth(`/api/admin/moderation/video/${videoId}/reject`, {
         method: 'POST',
         body: JSON.stringify({ reason, notes })
       });
-      alert('Video rejected');
+      if (!data) return;
+      alert(data.message || 'Video rejected');
       fetchModerationQueue();
       fetchStats();
     } catch (err) {
@@ -118,6 +310,34 @@ const AdminDashboard = ({ user }) => {
     }
   };
 
+  const toggleHistory = async (videoId) => {
+    if (histories[videoId]) {
+      setHistories({ ...histories, [videoId]: null });
+      return;
+    }
+
+    try {
+      const data = await fetchWithAuth(`/api/admin/moderation/video/${videoId}/history`);
+      if (data) setHistories({ ...histories, [videoId]: data.history });
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
+  const toggleDuplicates = async (videoId) => {
+    if (duplicates[videoId]) {
+      setDuplicates({ ...duplicates, [videoId]: null });
+      return;
+    }
+
+    try {
+      const data = await fetchWithAuth(`/api/admin/moderation/video/${videoId}/matches`);
+      if (data) setDuplicates({ ...duplicates, [videoId]: data.matches });
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
   const banUser = async (userId) => {
     const reason = prompt('Ban reason (required):');
     if (!reason) return;
@@ -152,10 +372,52 @@ const AdminDashboard = ({ user }) => {
     }
   };
 
+  const fetchStaffRoles = async () => {
+    try {
+      setLoading(true);
+      const data = await fetchWithAuth('/api/admin/roles');
+      if (data) setStaffRoles(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const editRoles = async (member) => {
+    if (!staffRoles) await fetchStaffRoles();
+    setRoleEditor({ id: member.id, username: member.username, roles: member.staff_roles || member.roles || [] });
+  };
+
+  const toggleEditorRole = (role) => {
+    const roles = roleEditor.roles.includes(role)
+      ? roleEditor.roles.filter(existing => existing !== role)
+      : [...roleEditor.roles, role];
+    setRoleEditor({ ...roleEditor, roles });
+  };
+
+  const saveRoles = async () => {
+    try {
+      const data = await fetchWithAuth(`/api/admin/users/${roleEditor.id}/roles`, {
+        method: 'PUT',
+        body: JSON.stringify({ roles: roleEditor.roles })
+      });
+      if (!data) return;
+      setRoleEditor(null);
+      fetchStaffRoles();
+      if (activeTab === 'users') fetchUsers();
+    } catch (err) {
+      alert(`Error: ${err.message}`);
+    }
+  };
+
   const handleTabChange = (tab) => {
     setActiveTab(tab);
     setError(null);
+    loadTab(tab);
+  };
 
+  const loadTab = (tab) => {
     switch(tab) {
       case 'moderation':
         fetchModerationQueue();
@@ -163,6 +425,15 @@ const AdminDashboard = ({ user }) => {
       case 'users':
         fetchUsers();
         break;
+      case 'reports':
+        fetchReports();
+        break;
+      case 'scanning':
+        fetchScanRules();
+        break;
+      case 'roles':
+        fetchStaffRoles();
+        break;
       default:
         fetchStats();
     }
@@ -178,40 +449,56 @@ const AdminDashboard = ({ user }) => {
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  const formatSpan = (start, end) => {
+    return `${formatDuration(Math.floor(start))}-${formatDuration(Math.ceil(end))}`;
+  };
+
   return (
     <div className="admin-dashboard">
       <div className="admin-header">
         <h1>Admin Dashboard</h1>
         <div className="admin-user-info">
-          {user?.username} ({user?.role || 'admin'})
+          {user?.username} ({access?.staffRoles.map(role => role.replace(/_/g, ' ')).join(', ') || 'staff'})
         </div>
       </div>
 
       <div className="admin-tabs">
-        <button
-          className={activeTab === 'stats' ? 'active' : ''}
-          onClick={() => handleTabChange('stats')}
-        >
-          Statistics {stats?.videos_pending_moderation > 0 && `(${stats.videos_pending_moderation} pending)`}
-        </button>
-        <button
-          className={activeTab === 'moderation' ? 'active' : ''}
-          onClick={() => handleTabChange('moderation')}
-        >
-          Moderation Queue
-        </button>
-        <button
-          className={activeTab === 'users' ? 'active' : ''}
-          onClick={() => handleTabChange('users')}
-        >
-          User Management
-        </button>
+        {tabs.filter(tab => can(tab.permission)).map(tab => (
+          <button
+            key={tab.key}
+            className={activeTab === tab.key ? 'active' : ''}
+            onClick={() => handleTabChange(tab.key)}
+          >
+            {tab.label}
+            {tab.key === 'stats' && stats?.videos_pending_moderation > 0 && ` (${stats.videos_pending_moderation} pending)`}
+          </button>
+        ))}
       </div>
 
       <div className="admin-content">
         {error && <div className="admin-error">{error}</div>}
         {loading && <div className="admin-loading">Loading...</div>}
 
+        {roleEditor && staffRoles && (
+          <div className="role-editor">
+            <h4>Staff roles for {roleEditor.username}</h4>
+            {staffRoles.roles.map(role => (
+              <label key={role.key}>
+                <input
+                  type="checkbox"
+                  checked={roleEditor.roles.includes(role.key)}
+                  onChange={() => toggleEditorRole(role.key)}
+                />
+                <strong>{role.name}</strong>: {role.permissions.map(permission => staffRoles.permissions[permission]).join('; ')}
+              </label>
+            ))}
+            <div className="rule-actions">
+              <button className="btn-approve" onClick={saveRoles}>Save</button>
+              <button className="btn-view" onClick={() => setRoleEditor(null)}>Cancel</button>
+            </div>
+          </div>
+        )}
+
         {/* Statistics Tab */}
         {activeTab === 'stats' && stats && (
           <div className="stats-grid">
@@ -241,6 +528,31 @@ const AdminDashboard = ({ user }) => {
               <h3>Banned Users</h3>
               <div className="stat-value">{stats.banned_users}</div>
             </div>
+            {stats.storage && (
+              <>
+                <div className="stat-card savings">
+                  <h3>Storage Savings</h3>
+                  <div className="stat-value">${stats.storage.monthly_savings.toLocaleString()}/mo</div>
+                  <div className="stat-subtext">
+                    ${stats.storage.monthly_cost.toLocaleString()}/mo vs ${stats.storage.monthly_cost_all_hot.toLocaleString()}/mo all hot
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <h3>Hot / Cool Storage</h3>
+                  <div className="stat-value">{stats.storage.tiers.hot.videos} / {stats.storage.tiers.cool.videos}</div>
+                  <div className="stat-subtext">
+                    {formatGB(stats.storage.tiers.hot.bytes)} hot, {formatGB(stats.storage.tiers.cool.bytes)} cool
+                  </div>
+                </div>
+                <div className="stat-card">
+                  <h3>Archived Films</h3>
+                  <div className="stat-value">{stats.storage.tiers.archive.videos}</div>
+                  <div className="stat-subtext">
+                    {formatGB(stats.storage.tiers.archive.bytes)} archived, {formatGB(stats.storage.dropped_bytes)} dropped
+                  </div>
+                </div>
+              </>
+            )}
           </div>
         )}
 
@@ -251,6 +563,7 @@ const AdminDashboard = ({ user }) => {
               <button onClick={() => fetchModerationQueue('pending')}>Pending</button>
               <button onClick={() => fetchModerationQueue('flagged')}>Flagged</button>
               <button onClick={() => fetchModerationQueue('reviewing')}>Reviewing</button>
+              <button onClick={() => fetchModerationQueue('appeal')}>Appeals</button>
             </div>
 
             {moderationQueue.length === 0 ? (
@@ -268,11 +581,59 @@ const AdminDashboard = ({ user }) => {
                         <p>Duration: {formatDuration(video.duration)} | Uploaded: {formatDate(video.created_at)}</p>
                         <p>Status: <span className={`status-badge ${video.moderation_status}`}>{video.moderation_status}</span></p>
                         {video.flag_count > 0 && <p className="flag-count">Flags: {video.flag_count}</p>}
+                        {video.risk_score !== null && video.risk_score !== undefined && (
+                          <p>
+                            Scan risk: <span className="priority-badge">{video.risk_score}</span>
+                            {video.scan_matches?.map(match => `${match.name} (${match.detail})`).join(', ')}
+                          </p>
+                        )}
+                        {video.scan_status === 'failed' && <p className="flag-count">Scan failed</p>}
+                        {video.duplicate_count > 0 && <p className="flag-count">Possible duplicates: {video.duplicate_count}</p>}
+                        {video.appeal && (
+                          <div className="appeal-info">
+                            <p>Appeal ({video.appeal.reviews}/2 reviews): "{video.appeal.message}"</p>
+                            <p>Rejected with: {video.moderation_notes}</p>
+                          </div>
+                        )}
+                        {histories[video.id] && (
+                          <ul className="queue-history">
+                            {histories[video.id].map(entry => (
+                              <li key={entry.id}>
+                                {formatDate(entry.created_at)}: <strong>{entry.action.replace(/_/g, ' ')}</strong>
+                                {entry.actor_username && ` by ${entry.actor_username}`}
+                                {(entry.reason || entry.notes) && ` - ${entry.reason || entry.notes}`}
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                        {duplicates[video.id] && (
+                          <ul className="queue-history">
+                            {duplicates[video.id].length === 0 && <li>No duplicates found</li>}
+                            {duplicates[video.id].map(match => (
+                              <li key={match.matched_video_id}>
+                                <a href={`/video/${match.matched_video_id}`} target="_blank" rel="noopener noreferrer">{match.matched_title}</a>
+                                {' '}by {match.matched_owner_username}{match.same_owner && ' (same owner)'}{match.matched_owner_banned && ' (banned)'}:
+                                {' '}<strong>{match.match_type === 'exact' ? 'exact copy' : `${Math.round(match.similarity * 100)}% similar`}</strong>,
+                                {' '}<span className={`status-badge ${match.matched_moderation_status}`}>{match.matched_moderation_status}</span>
+                                <ul>
+                                  {match.segments.map((segment, index) => (
+                                    <li key={index}>
+                                      {segment.kind === 'audio' ? 'Audio' : 'Picture'} {formatSpan(segment.start, segment.end)}
+                                      {' '}matches {formatSpan(segment.matchedStart, segment.matchedEnd)}
+                                    </li>
+                                  ))}
+                                </ul>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
                       </div>
                     </div>
                     <div className="queue-actions">
                       <button className="btn-approve" onClick={() => approveVideo(video.id)}>Approve</button>
                       <button className="btn-reject" onClick={() => rejectVideo(video.id)}>Reject</button>
+                      <button className="btn-view" onClick={() => toggleHistory(video.id)}>History</button>
+                      <button className="btn-view" onClick={() => toggleDuplicates(video.id)}>Duplicates</button>
                       <a href={`/video/${video.id}`} target="_blank" rel="noopener noreferrer" className="btn-view">View</a>
                     </div>
                   </div>
@@ -282,6 +643,125 @@ const AdminDashboard = ({ user }) => {
           </div>
         )}
 
+        {/* Reports Tab */}
+        {activeTab === 'reports' && (
+          <div className="moderation-queue">
+            <div className="queue-filters">
+              <button onClick={() => fetchReports('pending')}>Open</button>
+              <button onClick={() => fetchReports('resolved')}>Resolved</button>
+              <button onClick={() => fetchReports('dismissed')}>Dismissed</button>
+            </div>
+
+            {reports.length === 0 ? (
+              <div className="empty-state">No reports</div>
+            ) : (
+              <div className="video-queue-list">
+                {reports.map(report => (
+                  <div key={report.id} className="queue-item">
+                    <div className="queue-video-info">
+                      <div>
+                        <h4>
+                          <span className="priority-badge">{report.priority}</span>
+                          {report.content_type}: {report.content_preview || '(deleted)'}
+                        </h4>
+                        <p>
+                          Reasons: {Object.entries(report.reasons || {}).map(([reason, count]) => `${reason} (${count})`).join(', ')}
+                        </p>
+                        <p>
+                          {report.report_count} {report.report_count === 1 ? 'report' : 'reports'}, first by {report.reporter_username} on {formatDate(report.created_at)}
+                        </p>
+                        {report.description && <p>"{report.description}"</p>}
+                        {report.status !== 'pending' && (
+                          <p>
+                            <span className={`status-badge ${report.status}`}>{report.status}</span>
+                            {' '}by {report.moderator_username}{report.action_taken && ` (${report.action_taken})`}
+                            {report.moderator_notes && `: ${report.moderator_notes}`}
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                    <div className="queue-actions">
+                      {report.status === 'pending' && (
+                        <>
+                          <button className="btn-approve" onClick={() => resolveReport(report)}>Uphold</button>
+                          <button className="btn-reject" onClick={() => dismissReport(report.id)}>Dismiss</button>
+                        </>
+                      )}
+                      {report.content_type === 'video' && (
+                        <a href={`/watch/${report.content_id}`} target="_blank" rel="noopener noreferrer" className="btn-view">View</a>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Scan Rules Tab */}
+        {activeTab === 'scanning' && scanRules && (
+          <div className="scan-rules">
+            <p>
+              {scanRules.enabled
+                ? `Every processed film is scanned. Matching rules add their score to its risk (up to 100); ${
+                    scanRules.autoApproveBelow > 0
+                      ? `films under ${scanRules.autoApproveBelow} are approved automatically.`
+                      : 'automatic approval is off.'}`
+                : 'Scanning is turned off (SCANNING_ENABLED=false).'}
+            </p>
+            {can('moderation.rules') && (
+              <div className="queue-filters">
+                <button onClick={() => addScanRule('keywords')}>Add Keyword Rule</button>
+                <button onClick={() => addScanRule('threshold')}>Add Signal Rule</button>
+              </div>
+            )}
+
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Rule</th>
+                  <th>Matches</th>
+                  <th>Score</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {scanRules.rules.map(rule => (
+                  <tr key={rule.key} className={rule.enabled ? '' : 'disabled-rule'}>
+                    <td>
+                      {rule.name}
+                      {rule.builtIn && <span className="rule-origin">{rule.customized ? 'built-in, changed' : 'built-in'}</span>}
+                    </td>
+                    <td>
+                      {rule.kind === 'keywords'
+                        ? rule.keywords.join(', ')
+                        : `${rule.signal} ${rule.operator === 'gte' ? '≥' : '≤'} ${rule.value}`}
+                    </td>
+                    <td>{rule.score}</td>
+                    <td>{rule.enabled ? <span className="status-active">On</span> : 'Off'}</td>
+                    <td className="rule-actions">
+                      {can('moderation.rules') && (
+                        <>
+                          <button className="btn-view" onClick={() => editScanRule(rule)}>Edit</button>
+                          <button className="btn-view" onClick={() => saveScanRule(rule.key, { ...rule, enabled: !rule.enabled })}>
+                            {rule.enabled ? 'Disable' : 'Enable'}
+                          </button>
+                          {rule.customized && (
+                            <button className="btn-reject" onClick={() => removeScanRule(rule)}>
+                              {rule.builtIn ? 'Reset' : 'Delete'}
+                            </button>
+                          )}
+                        </>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Users Tab */}
         {activeTab === 'users' && (
           <div className="users-management">
@@ -295,8 +775,10 @@ const AdminDashboard = ({ user }) => {
                 <option value="">All Roles</option>
                 <option value="user">User</option>
                 <option value="creator">Creator</option>
+                <option value="super_admin">Super admin</option>
                 <option value="moderator">Moderator</option>
-                <option value="admin">Admin</option>
+                <option value="waiver_reviewer">Waiver reviewer</option>
+                <option value="support">Support</option>
               </select>
             </div>
 
@@ -306,6 +788,7 @@ const AdminDashboard = ({ user }) => {
                   <th>Username</th>
                   <th>Email</th>
                   <th>Role</th>
+                  <th>Staff Roles</th>
                   <th>Videos</th>
                   <th>Joined</th>
                   <th>Status</th>
@@ -318,6 +801,11 @@ const AdminDashboard = ({ user }) => {
                     <td>{u.username}</td>
                     <td>{u.email}</td>
                     <td><span className={`role-badge ${u.role}`}>{u.role}</span></td>
+                    <td>
+                      {u.staff_roles.map(role => (
+                        <span key={role} className={`role-badge ${role}`}>{role.replace(/_/g, ' ')}</span>
+                      ))}
+                    </td>
                     <td>{u.video_count}</td>
                     <td>{formatDate(u.created_at)}</td>
                     <td>
@@ -327,11 +815,14 @@ const AdminDashboard = ({ user }) => {
                         <span className="status-active">Active</span>
                       )}
                     </td>
-                    <td>
-                      {u.is_banned ? (
+                    <td className="rule-actions">
+                      {can('users.ban') && (u.is_banned ? (
                         <button className="btn-unban" onClick={() => unbanUser(u.id)}>Unban</button>
                       ) : (
                         <button className="btn-ban" onClick={() => banUser(u.id)}>Ban</button>
+                      ))}
+                      {can('roles.manage') && (
+                        <button className="btn-view" onClick={() => editRoles(u)}>Roles</button>
                       )}
                     </td>
                   </tr>
@@ -340,6 +831,51 @@ const AdminDashboard = ({ user }) => {
             </table>
           </div>
         )}
+
+        {/* Staff Roles Tab */}
+        {activeTab === 'roles' && staffRoles && (
+          <div className="staff-roles">
+            <p>
+              Staff members and their roles. To give someone a role, find them under User Management and choose Roles.
+              Role changes need a recent two-factor check and are recorded in the activity log.
+            </p>
+
+            <table className="users-table">
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Email</th>
+                  <th>Roles</th>
+                  <th>Status</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {staffRoles.staff.map(member => (
+                  <tr key={member.id} className={member.isBanned ? 'banned-user' : ''}>
+                    <td>{member.username}</td>
+                    <td>{member.email}</td>
+                    <td>
+                      {member.roles.map(role => (
+                        <span key={role} className={`role-badge ${role}`}>{role.replace(/_/g, ' ')}</span>
+                      ))}
+                    </td>
+                    <td>
+                      {member.isBanned ? (
+                        <span className="status-banned">Banned</span>
+                      ) : (
+                        <span className="status-active">Active</span>
+                      )}
+                    </td>
+                    <td>
+                      <button className="btn-view" onClick={() => editRoles(member)}>Edit</button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import TwoFactorCodeForm from '../components/TwoFactorCodeForm';
+
+// Landing page for the links in account emails: /verify-email,
+// /reset-password and /login/magic, each with ?token=; and for the return
+// from a sign-in provider: /login/oidc with ?code=, ?linked= or ?error=
+const TITLES = {
+  verify: 'Verify Email',
+  reset: 'Reset Password',
+  magic: 'Sign In',
+  oidc: 'Sign In'
+};
+
+function AuthLinkPage({ mode, onSignedIn, onTwoFactorLogin }) {
+  const [searchParams] = useSearchParams();
+  const token = mode === 'oidc' ? searchParams.get('code') : searchParams.get('token');
+  const navigate = useNavigate();
+
+  const [status, setStatus] = useState(mode === 'reset' ? 'form' : 'working');
+  const [message, setMessage] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const redeemed = useRef(false);
+
+  const post = async (url, payload) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(payload)
+    });
+    return response.json();
+  };
+
+  useEffect(() => {
+    // Links are single use, so only redeem once even if the effect re-runs
+    if (mode === 'reset' || redeemed.current) return;
+    redeemed.current = true;
+
+    if (mode === 'oidc' && searchParams.get('linked')) {
+      setStatus('done');
+      setMessage(`Your ${searchParams.get('linked')} account is now linked. You can use it to sign in.`);
+      return;
+    }
+    if (mode === 'oidc' && searchParams.get('error')) {
+      setStatus('error');
+      setMessage(searchParams.get('error'));
+      return;
+    }
+
+    if (!token) {
+      setStatus('error');
+      setMessage('This link is missing its token.');
+      return;
+    }
+
+    const redeem = async () => {
+      try {
+        if (mode === 'verify') {
+          const data = await post('/api/auth/verify-email', { token });
+          setStatus(data.success ? 'done' : 'error');
+          setMessage(data.success ? 'Your email address is verified.' : data.message);
+        } else {
+          const data = mode === 'oidc'
+            ? await post('/api/auth/oidc/exchange', { code: token })
+            : await post('/api/auth/magic-link/verify', { token });
+          if (data.success && data.data?.twoFactorRequired) {
+            setChallengeToken(data.data.challengeToken);
+            setStatus('twoFactor');
+          } else if (data.success && data.data?.user) {
+            onSignedIn(data.data);
+            navigate('/', { replace: true });
+          } else {
+            setStatus('error');
+            setMessage(data.message || 'Sign-in failed');
+          }
+        }
+      } catch (err) {
+        console.error('Auth link error:', err);
+        setStatus('error');
+        setMessage('Network error. Please try again.');
+      }
+    };
+
+    redeem();
+  }, [mode, token]);
+
+  const handleTwoFactor = async (payload) => {
+    const result = await onTwoFactorLogin({ challengeToken, ...payload });
+    if (result.success) {
+      navigate('/', { replace: true });
+    } else if (result.expired) {
+      setStatus('error');
+      setMessage(result.message);
+    }
+    return result;
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setStatus('working');
+    try {
+      const data = await post('/api/auth/password/reset', { token, newPassword });
+      if (data.success) {
+        setStatus('done');
+        setMessage(data.message);
+      } else {
+        setStatus('form');
+        setError(data.errors?.[0]?.message || data.message || 'Password reset failed');
+      }
+    } catch (err) {
+      console.error('Password reset error:', err);
+      setStatus('form');
+      setError('Network error. Please try again.');
+    }
+  };
+
+  return (
+    <div className="auth-page">
+      <div className="login-modal">
+        <div className="modal-header">
+          <h2>{TITLES[mode]}</h2>
+        </div>
+
+        <div className="modal-body">
+          {status === 'working' && (
+            <div className="loading-container">
+              <div className="loading-spinner"></div>
+            </div>
+          )}
+
+          {status === 'form' && (
+            <form onSubmit={handleReset} className="login-form">
+              <div className="form-group">
+                <label htmlFor="newPassword">New Password</label>
+                <input
+                  type="password"
+                  id="newPassword"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  placeholder="At least 8 characters, with upper and lower case and a number"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="confirmPassword">Confirm Password</label>
+                <input
+                  type="password"
+                  id="confirmPassword"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="Confirm your new password"
+                  required
+                />
+              </div>
+
+              {error && <div className="form-error">{error}</div>}
+
+              <button type="submit" className="submit-btn" disabled={!token}>
+                Set New Password
+              </button>
+            </form>
+          )}
+
+          {status === 'twoFactor' && <TwoFactorCodeForm onSubmit={handleTwoFactor} />}
+
+          {status === 'done' && <div className="form-notice">{message}</div>}
+          {status === 'error' && <div className="form-error">{message}</div>}
+
+          {(status === 'done' || status === 'error') && (
+            <div className="auth-switch">
+              <button type="button" className="link-btn" onClick={() => navigate('/')}>
+                Back to ReelShorts
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AuthLinkPage;
@@ -1,13 +1,20 @@
 import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
+import TwoFactorCodeForm from '../components/TwoFactorCodeForm';
 
-function BackstagePage({ onLogin }) {
+function BackstagePage({ onLogin, onTwoFactorLogin }) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [challengeToken, setChallengeToken] = useState(null);
   const navigate = useNavigate();
 
+  // Admins without 2FA are sent to enroll first; admin tools refuse them until then
+  const enter = (result) => {
+    navigate(result.twoFactorSetupRequired ? '/dashboard' : '/admin');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -15,8 +22,10 @@ function BackstagePage({ onLogin }) {
 
     const result = await onLogin({ email, password });
 
-    if (result.success) {
-      navigate('/admin');
+    if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+    } else if (result.success) {
+      enter(result);
     } else {
       setError(result.message || 'Invalid credentials');
     }
@@ -72,88 +81,104 @@ function BackstagePage({ onLogin }) {
           </div>
         )}
 
-        <form onSubmit={handleSubmit}>
-          <div style={{ marginBottom: '20px' }}>
-            <label style={{
-              display: 'block',
-              color: '#e8f4f8',
-              marginBottom: '8px',
-              fontSize: '14px',
-              fontWeight: '500'
-            }}>
-              Email
-            </label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-              style={{
-                width: '100%',
-                padding: '12px',
-                background: '#2a303c',
-                border: '1px solid #4a5568',
-                borderRadius: '6px',
+        {challengeToken ? (
+          <TwoFactorCodeForm
+            onSubmit={async (payload) => {
+              const result = await onTwoFactorLogin({ challengeToken, ...payload });
+              if (result.success) {
+                enter(result);
+              } else if (result.expired) {
+                setChallengeToken(null);
+                setError(result.message);
+              }
+              return result;
+            }}
+            onCancel={() => setChallengeToken(null)}
+          />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '20px' }}>
+              <label style={{
+                display: 'block',
                 color: '#e8f4f8',
-                fontSize: '16px',
-                outline: 'none'
-              }}
-              onFocus={(e) => e.target.style.borderColor = '#065fd4'}
-              onBlur={(e) => e.target.style.borderColor = '#4a5568'}
-            />
-          </div>
+                marginBottom: '8px',
+                fontSize: '14px',
+                fontWeight: '500'
+              }}>
+                Email
+              </label>
+              <input
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+                style={{
+                  width: '100%',
+                  padding: '12px',
+                  background: '#2a303c',
+                  border: '1px solid #4a5568',
+                  borderRadius: '6px',
+                  color: '#e8f4f8',
+                  fontSize: '16px',
+                  outline: 'none'
+                }}
+                onFocus={(e) => e.target.style.borderColor = '#065fd4'}
+                onBlur={(e) => e.target.style.borderColor = '#4a5568'}
+              />
+            </div>
+
+            <div style={{ marginBottom: '30px' }}>
+              <label style={{
+                display: 'block',
+                color: '#e8f4f8',
+                marginBottom: '8px',
+                fontSize: '14px',
+                fontWeight: '500'
+              }}>
+                Password
+              </label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                style={{
+                  width: '100%',
+                  padding: '12px',
+                  background: '#2a303c',
+                  border: '1px solid #4a5568',
+                  borderRadius: '6px',
+                  color: '#e8f4f8',
+                  fontSize: '16px',
+                  outline: 'none'
+                }}
+                onFocus={(e) => e.target.style.borderColor = '#065fd4'}
+                onBlur={(e) => e.target.style.borderColor = '#4a5568'}
+              />
+            </div>
 
-          <div style={{ marginBottom: '30px' }}>
-            <label style={{
-              display: 'block',
-              color: '#e8f4f8',
-              marginBottom: '8px',
-              fontSize: '14px',
-              fontWeight: '500'
-            }}>
-              Password
-            </label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
+            <button
+              type="submit"
+              disabled={loading}
               style={{
                 width: '100%',
-                padding: '12px',
-                background: '#2a303c',
-                border: '1px solid #4a5568',
+                padding: '14px',
+                background: loading ? '#555' : 'linear-gradient(135deg, #e50914 0%, #ff6b6b 100%)',
+                color: 'white',
+                border: 'none',
                 borderRadius: '6px',
-                color: '#e8f4f8',
                 fontSize: '16px',
-                outline: 'none'
+                fontWeight: '600',
+                cursor: loading ? 'not-allowed' : 'pointer',
+                transition: 'all 0.3s'
               }}
-              onFocus={(e) => e.target.style.borderColor = '#065fd4'}
-              onBlur={(e) => e.target.style.borderColor = '#4a5568'}
-            />
-          </div>
-
-          <button
-            type="submit"
-            disabled={loading}
-            style={{
-              width: '100%',
-              padding: '14px',
-              background: loading ? '#555' : 'linear-gradient(135deg, #e50914 0%, #ff6b6b 100%)',
-              color: 'white',
-              border: 'none',
-              borderRadius: '6px',
-              fontSize: '16px',
-              fontWeight: '600',
-              cursor: loading ? 'not-allowed' : 'pointer',
-              transition: 'all 0.3s'
-            }}
-            onMouseOver={(e) => !loading && (e.target.style.transform = 'translateY(-2px)')}
-            onMouseOut={(e) => !loading && (e.target.style.transform = 'translateY(0)')}
-          >
-            {loading ? 'Signing in...' : 'Sign In'}
-          </button>
-        </form>
+              onMouseOver={(e) => !loading && (e.target.style.transform = 'translateY(-2px)')}
+              onMouseOut={(e) => !loading && (e.target.style.transform = 'translateY(0)')}
+            >
+              {loading ? 'Signing in...' : 'Sign In'}
+            </button>
+          </form>
+        )}
 
         <p style={{
           color: '#718096',
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import LinkedAccounts from '../components/LinkedAccounts';
 
 function DashboardPage({ user, onLoginClick }) {
   const [userFilms, setUserFilms] = useState([]);
@@ -167,6 +169,9 @@ function DashboardPage({ user, onLoginClick }) {
               </div>
             </div>
           </div>
+
+          <TwoFactorSettings user={user} />
+          <LinkedAccounts user={user} />
         </div>
       </div>
     </div>
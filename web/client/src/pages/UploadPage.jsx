@@ -1,10 +1,15 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { ResumableUpload, getFileFingerprint, getPendingUploads } from '../utils/resumableUpload';
 
 function UploadPage({ user, onLoginClick }) {
   const [dragActive, setDragActive] = useState(false);
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploading, setUploading] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [pendingUploads, setPendingUploads] = useState([]);
+  const uploadRef = useRef(null);
   const [formData, setFormData] = useState({
     title: '',
     director: '',
@@ -16,6 +21,20 @@ function UploadPage({ user, onLoginClick }) {
   });
   const navigate = useNavigate();
 
+  // Unfinished uploads from a previous visit can be resumed by reselecting the file
+  useEffect(() => {
+    setPendingUploads(getPendingUploads());
+  }, []);
+
+  // Stop sending chunks when leaving the page; the session stays resumable
+  useEffect(() => {
+    return () => {
+      if (uploadRef.current) {
+        uploadRef.current.pause();
+      }
+    };
+  }, []);
+
   // Redirect to login if not authenticated
   if (!user) {
     return (
@@ -43,19 +62,32 @@ function UploadPage({ user, onLoginClick }) {
     }
   };
 
+  const selectFile = (file) => {
+    setSelectedFile(file);
+    setProgress(0);
+    setPaused(false);
+    uploadRef.current = null;
+
+    // Restore the form if this file matches an unfinished upload
+    const pending = pendingUploads.find(p => p.fingerprint === getFileFingerprint(file));
+    if (pending && pending.metadata) {
+      setFormData(prev => ({ ...prev, ...pending.metadata }));
+    }
+  };
+
   const handleDrop = (e) => {
     e.preventDefault();
     e.stopPropagation();
     setDragActive(false);
 
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      setSelectedFile(e.dataTransfer.files[0]);
+      selectFile(e.dataTransfer.files[0]);
     }
   };
 
   const handleFileSelect = (e) => {
     if (e.target.files && e.target.files[0]) {
-      setSelectedFile(e.target.files[0]);
+      selectFile(e.target.files[0]);
     }
   };
 
@@ -67,32 +99,20 @@ function UploadPage({ user, onLoginClick }) {
     }));
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
-
-    if (!selectedFile) {
-      alert('Please select a file to upload');
-      return;
-    }
-
+  const runUpload = async (upload) => {
     setUploading(true);
+    setPaused(false);
 
     try {
-      const submitData = new FormData();
-      submitData.append('video', selectedFile);
-      Object.keys(formData).forEach(key => {
-        submitData.append(key, formData[key]);
-      });
-
-      const response = await fetch('/api/upload/film', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${user.token}`
-        },
-        body: submitData
-      });
-
-      const result = await response.json();
+      const result = await upload.start();
+
+      // null means the upload was paused
+      if (!result) {
+        return;
+      }
+
+      uploadRef.current = null;
+      setPendingUploads(getPendingUploads());
 
       if (result.success) {
         alert('Film uploaded successfully!');
@@ -102,12 +122,60 @@ function UploadPage({ user, onLoginClick }) {
       }
     } catch (error) {
       console.error('Upload error:', error);
-      alert('Upload failed. Please try again.');
+      alert(`Upload failed: ${error.message || 'Please try again.'}`);
     } finally {
       setUploading(false);
     }
   };
 
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!selectedFile) {
+      alert('Please select a file to upload');
+      return;
+    }
+
+    const upload = new ResumableUpload(selectedFile, {
+      token: user.token,
+      metadata: {
+        ...formData,
+        crew: formData.director,
+        production_year: formData.year
+      },
+      onProgress: (offset, size) => setProgress(Math.round((offset / size) * 100))
+    });
+    uploadRef.current = upload;
+
+    await runUpload(upload);
+  };
+
+  const handlePause = () => {
+    if (uploadRef.current) {
+      uploadRef.current.pause();
+      setPaused(true);
+    }
+  };
+
+  const handleResume = () => {
+    if (uploadRef.current) {
+      runUpload(uploadRef.current);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (uploadRef.current) {
+      await uploadRef.current.abort();
+      uploadRef.current = null;
+    }
+    setPaused(false);
+    setProgress(0);
+    setPendingUploads(getPendingUploads());
+  };
+
+  const canResume = selectedFile &&
+    pendingUploads.some(p => p.fingerprint === getFileFingerprint(selectedFile));
+
   return (
     <div className="upload-page">
       <div className="container">
@@ -118,6 +186,19 @@ function UploadPage({ user, onLoginClick }) {
           </p>
         </div>
 
+        {pendingUploads.length > 0 && !selectedFile && (
+          <div className="upload-pending">
+            <p>You have unfinished uploads. Select the same file again to continue where you left off:</p>
+            <ul>
+              {pendingUploads.map(p => (
+                <li key={p.uploadId}>
+                  {p.filename} ({(p.size / (1024 * 1024)).toFixed(2)} MB)
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         <form onSubmit={handleSubmit} className="upload-form-container">
           <div className="upload-area">
             <div
@@ -134,9 +215,21 @@ function UploadPage({ user, onLoginClick }) {
                   <p className="upload-zone__subtitle">
                     {(selectedFile.size / (1024 * 1024)).toFixed(2)} MB
                   </p>
-                  <button type="button" className="btn btn--secondary" onClick={() => setSelectedFile(null)}>
-                    Choose Different File
-                  </button>
+                  {(uploading || paused || progress > 0) && (
+                    <div className="upload-progress">
+                      <div className="upload-progress__bar">
+                        <div className="upload-progress__fill" style={{ width: `${progress}%` }}></div>
+                      </div>
+                      <p className="upload-progress__text">
+                        {paused ? `Paused at ${progress}%` : `${progress}% uploaded`}
+                      </p>
+                    </div>
+                  )}
+                  {!uploading && !paused && (
+                    <button type="button" className="btn btn--secondary" onClick={() => setSelectedFile(null)}>
+                      Choose Different File
+                    </button>
+                  )}
                 </div>
               ) : (
                 <>
@@ -269,13 +362,28 @@ function UploadPage({ user, onLoginClick }) {
             </div>
 
             <div className="form-actions">
-              <button
-                type="submit"
-                className="btn btn--primary btn--large"
-                disabled={uploading || !selectedFile}
-              >
-                {uploading ? 'Uploading...' : 'Upload Film'}
-              </button>
+              {uploading ? (
+                <button type="button" className="btn btn--secondary btn--large" onClick={handlePause}>
+                  Pause Upload
+                </button>
+              ) : paused ? (
+                <>
+                  <button type="button" className="btn btn--primary btn--large" onClick={handleResume}>
+                    Resume Upload
+                  </button>
+                  <button type="button" className="btn btn--secondary btn--large" onClick={handleCancel}>
+                    Cancel Upload
+                  </button>
+                </>
+              ) : (
+                <button
+                  type="submit"
+                  className="btn btn--primary btn--large"
+                  disabled={!selectedFile}
+                >
+                  {canResume ? 'Resume Upload' : 'Upload Film'}
+                </button>
+              )}
             </div>
           </div>
         </form>
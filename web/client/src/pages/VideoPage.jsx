@@ -3,6 +3,8 @@ import { useParams, useNavigate } from 'react-router-dom';
 import VideoPlayer from '../components/VideoPlayer';
 import Comments from '../components/Comments';
 import Ratings from '../components/Ratings';
+import ReportDialog from '../components/ReportDialog';
+import ModerationStatus from '../components/ModerationStatus';
 
 function VideoPage({ user }) {
   const { videoId } = useParams();
@@ -11,10 +13,15 @@ function VideoPage({ user }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [relatedVideos, setRelatedVideos] = useState([]);
+  const [captions, setCaptions] = useState([]);
+  const [stream, setStream] = useState(null);
+  const [reporting, setReporting] = useState(false);
 
   useEffect(() => {
     if (videoId) {
       fetchVideo();
+      fetchStream();
+      fetchCaptions();
       fetchRelatedVideos();
       recordView();
     }
@@ -42,6 +49,40 @@ function VideoPage({ user }) {
     }
   };
 
+  // Signed, expiring playback URLs; owners can play their own private films
+  const fetchStream = async () => {
+    try {
+      const headers = user ? {
+        'Authorization': `Bearer ${user.token}`
+      } : {};
+
+      const response = await fetch(`/api/cdn/video/${videoId}/stream`, { headers });
+      const data = await response.json();
+      if (data.success) {
+        setStream(data);
+      }
+    } catch (error) {
+      console.error('Failed to fetch stream URL:', error);
+    }
+  };
+
+  // Caption URLs are signed like the stream's; owners see their private films' tracks
+  const fetchCaptions = async () => {
+    try {
+      const headers = user ? {
+        'Authorization': `Bearer ${user.token}`
+      } : {};
+
+      const response = await fetch(`/api/videos/${videoId}/captions`, { headers });
+      const data = await response.json();
+      if (data.success) {
+        setCaptions(data.captions);
+      }
+    } catch (error) {
+      console.error('Failed to fetch captions:', error);
+    }
+  };
+
   const fetchRelatedVideos = async () => {
     try {
       const response = await fetch(`/api/videos/search?limit=6`);
@@ -116,9 +157,11 @@ function VideoPage({ user }) {
       <div className="video-main">
         <div className="video-container">
           <VideoPlayer
-            videoUrl={video.hls_url || `/uploads/videos/${videoId}.mp4`}
-            thumbnailUrl={video.thumbnail_url}
+            videoUrl={stream?.stream_url || video.hls_url || `/uploads/videos/${videoId}.mp4`}
+            thumbnailUrl={stream?.thumbnail_url || video.thumbnail_url}
+            thumbnailsTrackUrl={stream?.thumbnails_track_url || video.preview_thumbnails_url}
             title={video.title}
+            captions={captions}
             autoplay={true}
           />
         </div>
@@ -140,6 +183,14 @@ function VideoPage({ user }) {
               {video.average_rating ? parseFloat(video.average_rating).toFixed(1) : 'No ratings'}
             </span>
             <span className="stat-item">{formatDate(video.created_at)}</span>
+            {user && video.owner_id !== user.id && (
+              <button className="stat-item report-button" onClick={() => setReporting(true)}>
+                <svg viewBox="0 0 24 24" width="20" height="20">
+                  <path fill="currentColor" d="M14.4,6L14,4H5V21H7V14H12.6L13,16H20V6H14.4Z" />
+                </svg>
+                Report
+              </button>
+            )}
           </div>
 
           <div className="video-channel">
@@ -174,10 +225,21 @@ function VideoPage({ user }) {
           )}
         </div>
 
+        {user && video.owner_id === user.id && <ModerationStatus videoId={videoId} user={user} />}
+
         <Ratings videoId={videoId} user={user} />
         <Comments videoId={videoId} user={user} />
       </div>
 
+      {reporting && (
+        <ReportDialog
+          user={user}
+          contentType="video"
+          contentId={videoId}
+          onClose={() => setReporting(false)}
+        />
+      )}
+
       <div className="video-sidebar">
         <h3 className="sidebar-title">Related Videos</h3>
         <div className="related-videos">
@@ -0,0 +1,271 @@
+const SESSIONS_ENDPOINT = '/api/upload/sessions';
+const STORAGE_PREFIX = 'resumable-upload:';
+const MAX_RETRIES = 5;
+
+// Identify a file across page reloads (the File object itself can't be stored)
+export const getFileFingerprint = (file) => `${file.name}:${file.size}:${file.lastModified}`;
+
+const readStoredSession = (fingerprint) => {
+  try {
+    const stored = localStorage.getItem(`${STORAGE_PREFIX}${fingerprint}`);
+    return stored ? JSON.parse(stored) : null;
+  } catch (e) {
+    localStorage.removeItem(`${STORAGE_PREFIX}${fingerprint}`);
+    return null;
+  }
+};
+
+const writeStoredSession = (fingerprint, session) => {
+  localStorage.setItem(`${STORAGE_PREFIX}${fingerprint}`, JSON.stringify(session));
+};
+
+const clearStoredSession = (fingerprint) => {
+  localStorage.removeItem(`${STORAGE_PREFIX}${fingerprint}`);
+};
+
+// List unfinished uploads saved by previous page loads
+export const getPendingUploads = () => {
+  const pending = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(STORAGE_PREFIX)) {
+      const session = readStoredSession(key.slice(STORAGE_PREFIX.length));
+      if (session) {
+        pending.push(session);
+      }
+    }
+  }
+  return pending;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class UploadError extends Error {
+  constructor(message, status, data = null) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+/**
+ * Resumable upload against /api/upload/sessions.
+ *
+ * The session id is kept in localStorage keyed by the file fingerprint, so
+ * after a reload selecting the same file picks up where it left off.
+ */
+export class ResumableUpload {
+  constructor(file, { token, metadata = {}, onProgress } = {}) {
+    this.file = file;
+    this.token = token;
+    this.metadata = metadata;
+    this.onProgress = onProgress;
+    this.fingerprint = getFileFingerprint(file);
+    this.uploadId = null;
+    this.offset = 0;
+    this.chunkSize = 16 * 1024 * 1024;
+    this.controller = null;
+    this.paused = false;
+  }
+
+  authHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
+  }
+
+  reportProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.offset, this.file.size);
+    }
+  }
+
+  async createSession() {
+    const response = await fetch(SESSIONS_ENDPOINT, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.authHeaders()
+      },
+      body: JSON.stringify({
+        filename: this.file.name,
+        size: this.file.size,
+        mimeType: this.file.type,
+        metadata: this.metadata
+      })
+    });
+
+    const data = await response.json();
+    if (!response.ok) {
+      throw new UploadError(data.message || data.error || 'Failed to start upload', response.status, data);
+    }
+
+    this.uploadId = data.uploadId;
+    this.offset = 0;
+    this.chunkSize = data.chunkSize || this.chunkSize;
+
+    writeStoredSession(this.fingerprint, {
+      uploadId: this.uploadId,
+      fingerprint: this.fingerprint,
+      filename: this.file.name,
+      size: this.file.size,
+      metadata: this.metadata,
+      createdAt: new Date().toISOString()
+    });
+  }
+
+  // Ask the server how many bytes it already has; null if the session is gone
+  async fetchOffset() {
+    const response = await fetch(`${SESSIONS_ENDPOINT}/${this.uploadId}`, {
+      method: 'HEAD',
+      headers: this.authHeaders()
+    });
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new UploadError('Failed to check upload offset', response.status);
+    }
+
+    return parseInt(response.headers.get('Upload-Offset'), 10);
+  }
+
+  async uploadChunk() {
+    const end = Math.min(this.offset + this.chunkSize, this.file.size);
+    const chunk = this.file.slice(this.offset, end);
+
+    this.controller = new AbortController();
+    const response = await fetch(`${SESSIONS_ENDPOINT}/${this.uploadId}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(this.offset),
+        ...this.authHeaders()
+      },
+      body: chunk,
+      signal: this.controller.signal
+    });
+
+    const serverOffset = response.headers.get('Upload-Offset');
+    if (response.status === 409 && serverOffset !== null) {
+      // Server has a different offset (e.g. after an interrupted chunk); resync
+      this.offset = parseInt(serverOffset, 10);
+      return;
+    }
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new UploadError(data.message || data.error || 'Chunk upload failed', response.status, data);
+    }
+
+    this.offset = parseInt(serverOffset, 10);
+  }
+
+  async finalize() {
+    const response = await fetch(`${SESSIONS_ENDPOINT}/${this.uploadId}/finalize`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...this.authHeaders()
+      },
+      body: JSON.stringify(this.metadata)
+    });
+
+    const data = await response.json();
+
+    // A refused film keeps its session, so finalizing can be retried with
+    // corrected details without sending the file again
+    if (!response.ok) {
+      throw new UploadError(data.message || data.error || 'Upload failed', response.status, data);
+    }
+
+    clearStoredSession(this.fingerprint);
+    return data;
+  }
+
+  /**
+   * Start or resume the upload. Resolves with the finalize response, or with
+   * null if the upload was paused.
+   */
+  async start() {
+    this.paused = false;
+
+    const stored = readStoredSession(this.fingerprint);
+    if (!this.uploadId && stored) {
+      this.uploadId = stored.uploadId;
+      this.metadata = { ...stored.metadata, ...this.metadata };
+    }
+
+    if (this.uploadId) {
+      const offset = await this.fetchOffset();
+      if (offset === null) {
+        // Session expired on the server; start over
+        clearStoredSession(this.fingerprint);
+        this.uploadId = null;
+      } else {
+        this.offset = offset;
+      }
+    }
+
+    if (!this.uploadId) {
+      await this.createSession();
+    }
+
+    this.reportProgress();
+
+    let retries = 0;
+    while (this.offset < this.file.size) {
+      if (this.paused) {
+        return null;
+      }
+
+      try {
+        await this.uploadChunk();
+        retries = 0;
+        this.reportProgress();
+      } catch (error) {
+        if (this.paused) {
+          return null;
+        }
+        if (error instanceof UploadError && error.status < 500) {
+          throw error;
+        }
+        if (retries >= MAX_RETRIES) {
+          throw error;
+        }
+
+        retries++;
+        await sleep(Math.min(1000 * 2 ** retries, 30000));
+
+        const offset = await this.fetchOffset().catch(() => undefined);
+        if (offset === null) {
+          throw new UploadError('Upload session expired', 404);
+        }
+        if (offset !== undefined) {
+          this.offset = offset;
+        }
+      }
+    }
+
+    return this.finalize();
+  }
+
+  pause() {
+    this.paused = true;
+    if (this.controller) {
+      this.controller.abort();
+    }
+  }
+
+  async abort() {
+    this.pause();
+    if (this.uploadId) {
+      await fetch(`${SESSIONS_ENDPOINT}/${this.uploadId}`, {
+        method: 'DELETE',
+        headers: this.authHeaders()
+      }).catch(() => {});
+    }
+    clearStoredSession(this.fingerprint);
+  }
+}
+
+export default ResumableUpload;
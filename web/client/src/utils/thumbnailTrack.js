@@ -0,0 +1,61 @@
+// WebVTT thumbnails track: each cue's text is an image URL with an optional
+// #xywh=x,y,w,h fragment selecting a tile in a sprite sheet
+
+const TIMING = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+const toSeconds = (timestamp) => timestamp
+  .split(':')
+  .reduce((total, part) => total * 60 + parseFloat(part), 0);
+
+export const parseThumbnailTrack = (text, trackUrl) => {
+  const base = new URL(trackUrl, window.location.href);
+  const cues = [];
+
+  text.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach((block) => {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex(line => TIMING.test(line));
+    if (timingIndex === -1 || !lines[timingIndex + 1]) return;
+
+    const [, start, end] = lines[timingIndex].match(TIMING);
+    const [src, fragment] = lines[timingIndex + 1].trim().split('#');
+    const xywh = fragment && fragment.match(/^xywh=(\d+),(\d+),(\d+),(\d+)$/);
+
+    cues.push({
+      start: toSeconds(start),
+      end: toSeconds(end),
+      url: new URL(src, base).href,
+      x: xywh ? parseInt(xywh[1], 10) : 0,
+      y: xywh ? parseInt(xywh[2], 10) : 0,
+      width: xywh ? parseInt(xywh[3], 10) : null,
+      height: xywh ? parseInt(xywh[4], 10) : null
+    });
+  });
+
+  return cues;
+};
+
+export const loadThumbnailTrack = async (trackUrl, signal) => {
+  const response = await fetch(trackUrl, { signal });
+  if (!response.ok) {
+    throw new Error(`Failed to load thumbnails track (${response.status})`);
+  }
+  return parseThumbnailTrack(await response.text(), trackUrl);
+};
+
+export const findThumbnail = (cues, time) => {
+  let low = 0;
+  let high = cues.length - 1;
+
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (time < cues[mid].start) {
+      high = mid - 1;
+    } else if (time >= cues[mid].end) {
+      low = mid + 1;
+    } else {
+      return cues[mid];
+    }
+  }
+
+  return null;
+};
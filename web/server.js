@@ -22,6 +22,7 @@ const waiverRoutes = require('./src/routes/waivers');
 const monitoringRoutes = require('./src/routes/monitoring');
 const filmsRoutes = require('./src/routes/films');
 const videosRoutes = require('./src/routes/videos');
+const captionsRoutes = require('./src/routes/captions');
 const commentsRoutes = require('./src/routes/comments');
 const ratingsRoutes = require('./src/routes/ratings');
 const profileRoutes = require('./src/routes/profile');
@@ -31,10 +32,19 @@ const playlistsRoutes = require('./src/routes/playlists');
 const notificationsRoutes = require('./src/routes/notifications');
 const shareRoutes = require('./src/routes/share');
 const searchRoutes = require('./src/routes/search');
+const reportsRoutes = require('./src/routes/reports');
 const adminRoutes = require('./src/routes/admin');
 const analyticsRoutes = require('./src/routes/analytics');
 const recommendationsRoutes = require('./src/routes/recommendations');
 const cdnRoutes = require('./src/routes/cdn');
+const liveRoutes = require('./src/routes/live');
+const storageRoutes = require('./src/routes/storage');
+const keysRoutes = require('./src/routes/keys');
+const liveStreamService = require('./src/services/liveStreamService');
+const liveChatService = require('./src/services/liveChatService');
+const socketService = require('./src/services/socketService');
+const storageService = require('./src/services/storageService');
+const { authenticateSocket } = require('./src/middleware/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -64,7 +74,17 @@ app.use(morgan('combined'));
 // Rate limiting
 const limiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
-    max: 100 // limit each IP to 100 requests per windowMs
+    max: 100, // limit each IP to 100 requests per windowMs
+    // Resumable upload chunks and offset checks are authenticated and would
+    // exhaust the window on a single multi-GB upload. SRS hooks all come from
+    // one host (a DVR segment every 30s per live stream). Signed storage
+    // URLs serve media segments, several per playback minute, and the
+    // token-gated playback proxy serves playlists and sprite redirects.
+    skip: (req) => (/^\/api\/upload\/sessions\/[^/]+$/.test(req.originalUrl) &&
+        (req.method === 'PATCH' || req.method === 'HEAD')) ||
+        req.originalUrl.startsWith('/api/live/hooks/') ||
+        req.originalUrl.startsWith('/api/storage/') ||
+        /^\/api\/cdn\/video\/[^/]+\/play\//.test(req.originalUrl)
 });
 app.use('/api', limiter);
 
@@ -118,6 +138,7 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/waivers', waiverRoutes);
 app.use('/api/monitoring', monitoringRoutes);
 app.use('/api/films', filmsRoutes);
+app.use('/api/videos/:videoId/captions', captionsRoutes);
 app.use('/api/videos', videosRoutes);
 app.use('/api/comments', commentsRoutes);
 app.use('/api/ratings', ratingsRoutes);
@@ -128,10 +149,14 @@ app.use('/api/playlists', playlistsRoutes);
 app.use('/api/notifications', notificationsRoutes);
 app.use('/api/share', shareRoutes);
 app.use('/api/search', searchRoutes);
+app.use('/api/reports', reportsRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/recommendations', recommendationsRoutes);
 app.use('/api/cdn', cdnRoutes);
+app.use('/api/live', liveRoutes);
+app.use('/api/storage', storageRoutes);
+app.use('/api/keys', keysRoutes);
 
 // Serve React app
 app.use(express.static(path.join(__dirname, 'dist')));
@@ -142,18 +167,32 @@ app.get('*', (req, res) => {
 // Initialize progress tracker
 let progressTracker;
 
-// Socket.io for real-time features
+// Live stream status changes from the SRS hooks
+liveStreamService.attachSocket(io);
+liveChatService.attachSocket(io);
+
+// Bind sockets to the user in the handshake token; anonymous sockets can watch but not chat
+io.use(authenticateSocket);
+
+// Socket.io for real-time features. Every room join is authorized against
+// the socket's user; denials are sent back as 'room-error' (or the ack).
 io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
+    const user = socket.data.user;
+    console.log('User connected:', socket.id, user ? `(user ${user.id})` : '(anonymous)');
 
-    // Join user room for personal notifications
-    socket.on('join-user', (userId) => {
-        socket.join(`user-${userId}`);
-        console.log(`User ${socket.id} joined user room ${userId}`);
+    // Personal notifications; authenticated sockets join their own room automatically
+    if (user) {
+        socket.join(`user-${user.id}`);
+    }
+
+    // Kept for older clients; only the socket's own user room can be joined
+    socketService.onJoin(socket, 'join-user', 'user', (room) => {
+        socket.join(room);
+        console.log(`User ${socket.id} joined user room ${user.id}`);
     });
 
-    // Join upload progress tracking
-    socket.on('join-upload-progress', (filmId) => {
+    // Join upload progress tracking (film owner or admin)
+    socketService.onJoin(socket, 'join-upload-progress', 'upload', (room, filmId) => {
         if (progressTracker) {
             progressTracker.handleUserJoinProgress(socket, filmId);
             console.log(`User ${socket.id} joined upload progress for ${filmId}`);
@@ -168,17 +207,19 @@ io.on('connection', (socket) => {
         }
     });
 
-    // Join stream room
-    socket.on('join-stream', (streamId) => {
-        socket.join(`stream-${streamId}`);
+    // Join stream room (private streams: owner, chat moderators, admins)
+    socketService.onJoin(socket, 'join-stream', 'stream', (room, streamId) => {
+        socket.join(room);
         console.log(`User ${socket.id} joined stream ${streamId}`);
         
         // Notify others in the room
-        socket.to(`stream-${streamId}`).emit('user-joined', socket.id);
+        socket.to(room).emit('user-joined', socket.id);
     });
 
     // Leave stream room
     socket.on('leave-stream', (streamId) => {
+        if (!socket.rooms.has(`stream-${streamId}`)) return;
+
         socket.leave(`stream-${streamId}`);
         console.log(`User ${socket.id} left stream ${streamId}`);
         
@@ -186,24 +227,20 @@ io.on('connection', (socket) => {
         socket.to(`stream-${streamId}`).emit('user-left', socket.id);
     });
 
-    // Handle chat messages
-    socket.on('chat-message', (data) => {
-        const { streamId, message, username } = data;
-        
-        // Broadcast to all users in the stream room
-        io.to(`stream-${streamId}`).emit('chat-message', {
-            username,
-            message,
-            timestamp: new Date().toISOString()
-        });
-    });
+    // Live chat: send, and moderator delete/timeout
+    liveChatService.handleSocket(socket);
 
     // Handle live viewer count updates
-    socket.on('update-viewer-count', (streamId) => {
-        const room = io.sockets.adapter.rooms.get(`stream-${streamId}`);
-        const viewerCount = room ? room.size : 0;
-        
-        io.to(`stream-${streamId}`).emit('viewer-count-updated', viewerCount);
+    socket.on('update-viewer-count', async (streamId) => {
+        if (!socket.rooms.has(`stream-${streamId}`)) return;
+
+        try {
+            // Counted across all server instances through the adapter
+            const sockets = await io.in(`stream-${streamId}`).fetchSockets();
+            io.to(`stream-${streamId}`).emit('viewer-count-updated', sockets.length);
+        } catch (error) {
+            console.error('Viewer count error:', error);
+        }
     });
 
     socket.on('disconnect', () => {
@@ -230,6 +267,7 @@ async function startServer() {
     try {
         await initializeDatabase();
         await initializeRedis();
+        await socketService.attachRedisAdapter(io);
         
         // Initialize progress tracker
         progressTracker = new ProgressTracker(io);
@@ -242,7 +280,7 @@ async function startServer() {
             console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
             console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
             console.log(`💾 Processing Drive: ${process.env.PROCESSING_DRIVE || '/mnt/HC_Volume_103339423'}`);
-            console.log(`☁️  S3 Endpoint: ${process.env.S3_ENDPOINT || 'Not configured'}`);
+            console.log(`📦 Storage driver: ${storageService.driverName}`);
 
             // Log CDN status
             if (process.env.USE_CDN === 'true') {
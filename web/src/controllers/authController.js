@@ -1,24 +1,139 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const RecoveryCode = require('../models/RecoveryCode');
 const { cache } = require('../config/redis');
+const sessionService = require('../services/sessionService');
+const emailService = require('../services/emailService');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+
+// Links sent by email: how long they stay valid, the client page they open
+// and the template variable that holds the URL
+const EMAIL_LINKS = {
+    verify_email: {
+        ttl: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 3600,
+        path: '/verify-email',
+        urlVariable: 'verification_url'
+    },
+    password_reset: {
+        ttl: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60,
+        path: '/reset-password',
+        urlVariable: 'reset_url'
+    },
+    magic_link: {
+        ttl: (parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * 60,
+        path: '/login/magic',
+        urlVariable: 'login_url'
+    }
+};
+
+const EMAIL_SENT_MESSAGE = 'If an account exists for that email, we have sent a link to it.';
+
+const describeTtl = (seconds) => {
+    if (seconds % 3600 === 0) {
+        const hours = seconds / 3600;
+        return `${hours} hour${hours === 1 ? '' : 's'}`;
+    }
+    return `${Math.round(seconds / 60)} minutes`;
+};
 
 class AuthController {
-    // Generate JWT token
-    static generateToken(userId) {
-        return jwt.sign(
-            { userId },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
+    // Open a session for the device making the request; returns { session, token, refreshToken }
+    static startSession(req, userId, deviceName = req.body.deviceName) {
+        return sessionService.create(userId, {
+            userAgent: req.get('User-Agent') || '',
+            ip: req.ip,
+            deviceName: typeof deviceName === 'string' ? deviceName.trim().slice(0, 100) || null : null
+        });
+    }
+
+    // Email the user a single-use link for verify_email, password_reset or magic_link
+    static async sendAccountEmail(req, user, purpose) {
+        const link = EMAIL_LINKS[purpose];
+        const token = await AuthToken.create(user.id, purpose, link.ttl, req.ip);
+        const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+
+        return emailService.sendTemplateEmail(user.email, purpose, {
+            display_name: user.display_name || user.username,
+            email: user.email,
+            [link.urlVariable]: `${baseUrl}${link.path}?token=${encodeURIComponent(token)}`,
+            expires_in: describeTtl(link.ttl)
+        });
     }
 
-    // Generate refresh token
-    static generateRefreshToken(userId) {
-        return jwt.sign(
-            { userId, type: 'refresh' },
-            process.env.JWT_SECRET,
-            { expiresIn: '30d' }
-        );
+    // Super admins without 2FA are told to enroll; admin tools refuse them until they do
+    static isTwoFactorSetupRequired(account, staffRoles) {
+        return !account.two_factor_enabled && twoFactorService.isRequired({ staffRoles });
+    }
+
+    /**
+     * Send the login response for a user who passed the first factor (password
+     * or magic link). With 2FA enabled this answers with a challenge instead,
+     * and the session is opened by loginTwoFactor once a code is given.
+     * @param {Object} [options.secondFactor] - how 2FA was passed, if it was
+     * @param {string} [options.deviceName] - device name kept from the first step
+     */
+    static async completeLogin(req, res, user, { secondFactor = null, deviceName = req.body.deviceName } = {}) {
+        if (user.two_factor_enabled && !secondFactor) {
+            const challengeToken = await twoFactorService.createChallenge(user.id, { deviceName });
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken,
+                    expiresIn: twoFactorService.challengeTtl
+                }
+            });
+        }
+
+        await User.updateLastLogin(user.id);
+
+        const account = 'staff_roles' in user ? user : await User.findById(user.id);
+        const staffRoles = permissionService.getRoles(account);
+
+        // Open a session for this device; other devices stay signed in
+        const { session, token, refreshToken } = await AuthController.startSession(req, user.id, deviceName);
+        if (secondFactor) {
+            await twoFactorService.markVerified(user.id, session.id);
+        }
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    displayName: user.display_name,
+                    verified: user.verified,
+                    avatarUrl: user.avatar_url,
+                    bio: user.bio,
+                    role: user.role || 'user',
+                    staffRoles,
+                    permissions: permissionService.getPermissions(staffRoles),
+                    twoFactorEnabled: Boolean(user.two_factor_enabled)
+                },
+                token,
+                refreshToken,
+                twoFactorSetupRequired: AuthController.isTwoFactorSetupRequired(account, staffRoles)
+            }
+        });
+    }
+
+    // Session as shown in the device list
+    static formatSession(session, currentSessionId) {
+        return {
+            id: session.id,
+            device: session.device,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastSeenAt: session.lastSeenAt,
+            expiresAt: session.expiresAt,
+            current: session.id === currentSessionId
+        };
     }
 
     // Register new user
@@ -50,20 +165,12 @@ class AuthController {
                 displayName
             });
 
-            // Generate tokens
-            const token = AuthController.generateToken(user.id);
-            const refreshToken = AuthController.generateRefreshToken(user.id);
+            // Open a session for this device
+            const { token, refreshToken } = await AuthController.startSession(req, user.id);
 
-            // Cache user session
-            await cache.set(`user_session:${user.id}`, {
-                userId: user.id,
-                username: user.username,
-                email: user.email,
-                loginTime: new Date().toISOString()
-            }, 7 * 24 * 3600); // 7 days
-
-            // Store refresh token in cache
-            await cache.set(`refresh_token:${user.id}`, refreshToken, 30 * 24 * 3600); // 30 days
+            AuthController.sendAccountEmail(req, user, 'verify_email').catch(error => {
+                console.error('Verification email error:', error);
+            });
 
             res.status(201).json({
                 success: true,
@@ -130,137 +237,498 @@ class AuthController {
                 });
             }
 
-            // Update last login
-            await User.updateLastLogin(user.id);
+            await AuthController.completeLogin(req, res, user);
+
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed',
+                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+            });
+        }
+    }
+
+    // Second login step: the authenticator code (or a recovery code) for a challenge
+    static async loginTwoFactor(req, res) {
+        try {
+            const { challengeToken, code, recoveryCode } = req.body;
+
+            const challenge = await twoFactorService.getChallenge(challengeToken);
+            if (!challenge) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'This sign-in attempt has expired. Please log in again.'
+                });
+            }
+
+            const method = await twoFactorService.verifySecondFactor(challenge.userId, { code, recoveryCode });
+            if (!method) {
+                const attemptsLeft = await twoFactorService.failChallenge(challengeToken, challenge);
+                return res.status(401).json({
+                    success: false,
+                    message: attemptsLeft > 0
+                        ? 'Invalid verification code'
+                        : 'Too many invalid codes. Please log in again.',
+                    data: { attemptsLeft }
+                });
+            }
+
+            await twoFactorService.completeChallenge(challengeToken);
+
+            const user = await User.findById(challenge.userId);
+            await AuthController.completeLogin(req, res, user, {
+                secondFactor: method,
+                deviceName: challenge.deviceName
+            });
+
+        } catch (error) {
+            console.error('Two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed'
+            });
+        }
+    }
+
+    // Confirm an email address from the link sent at registration
+    static async verifyEmail(req, res) {
+        try {
+            const userId = await AuthToken.consume(req.body.token, 'verify_email');
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This verification link is invalid or has expired'
+                });
+            }
+
+            await User.markVerified(userId);
+
+            res.json({
+                success: true,
+                message: 'Email verified',
+                data: { verified: true }
+            });
+
+        } catch (error) {
+            console.error('Verify email error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify email'
+            });
+        }
+    }
+
+    // Send a new verification link to the signed-in user
+    static async resendVerification(req, res) {
+        try {
+            const user = await User.findById(req.user.id);
+            if (user.verified) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your email is already verified'
+                });
+            }
+
+            const sent = await AuthController.sendAccountEmail(req, user, 'verify_email');
+            if (!sent) {
+                return res.status(503).json({
+                    success: false,
+                    message: 'The verification email could not be sent. Please try again later.'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `Verification email sent to ${user.email}`
+            });
+
+        } catch (error) {
+            console.error('Resend verification error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send verification email'
+            });
+        }
+    }
+
+    // Email a password reset link. The response is the same whether or not
+    // the account exists, so it can't be used to look up emails.
+    static async forgotPassword(req, res) {
+        try {
+            const user = await User.findByEmail(req.body.email.toLowerCase().trim());
+            if (user) {
+                AuthController.sendAccountEmail(req, user, 'password_reset').catch(error => {
+                    console.error('Password reset email error:', error);
+                });
+            }
+
+            res.json({
+                success: true,
+                message: EMAIL_SENT_MESSAGE
+            });
 
-            // Generate tokens
-            const token = AuthController.generateToken(user.id);
-            const refreshToken = AuthController.generateRefreshToken(user.id);
+        } catch (error) {
+            console.error('Forgot password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to request password reset'
+            });
+        }
+    }
 
-            // Cache user session
-            await cache.set(`user_session:${user.id}`, {
-                userId: user.id,
-                username: user.username,
-                email: user.email,
-                loginTime: new Date().toISOString()
-            }, 7 * 24 * 3600); // 7 days
+    // Set a new password from a reset link and sign out every device
+    static async resetPassword(req, res) {
+        try {
+            const { token, newPassword } = req.body;
 
-            // Store refresh token
-            await cache.set(`refresh_token:${user.id}`, refreshToken, 30 * 24 * 3600); // 30 days
+            const userId = await AuthToken.consume(token, 'password_reset');
+            if (!userId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This password reset link is invalid or has expired'
+                });
+            }
+
+            await User.setPassword(userId, newPassword);
+            await AuthToken.invalidate(userId, 'magic_link');
+            const revokedSessions = await sessionService.revokeAll(userId);
+
+            res.json({
+                success: true,
+                message: 'Password reset. Please sign in with your new password.',
+                data: { revokedSessions }
+            });
+
+        } catch (error) {
+            console.error('Reset password error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to reset password'
+            });
+        }
+    }
+
+    // Email a passwordless sign-in link (MAGIC_LINK_ENABLED)
+    static async requestMagicLink(req, res) {
+        try {
+            if (process.env.MAGIC_LINK_ENABLED !== 'true') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Passwordless sign-in is not enabled'
+                });
+            }
+
+            const user = await User.findByEmail(req.body.email.toLowerCase().trim());
+            if (user) {
+                AuthController.sendAccountEmail(req, user, 'magic_link').catch(error => {
+                    console.error('Magic link email error:', error);
+                });
+            }
+
+            res.json({
+                success: true,
+                message: EMAIL_SENT_MESSAGE
+            });
+
+        } catch (error) {
+            console.error('Magic link request error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send sign-in link'
+            });
+        }
+    }
+
+    // Sign in with a magic link. Opening it proves the email address, so the
+    // account is marked verified too.
+    static async magicLinkLogin(req, res) {
+        try {
+            if (process.env.MAGIC_LINK_ENABLED !== 'true') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Passwordless sign-in is not enabled'
+                });
+            }
+
+            const userId = await AuthToken.consume(req.body.token, 'magic_link');
+            const user = userId && await User.findById(userId);
+            if (!user) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This sign-in link is invalid or has expired'
+                });
+            }
+
+            await User.markVerified(user.id);
+            user.verified = true;
+
+            await AuthController.completeLogin(req, res, user);
+
+        } catch (error) {
+            console.error('Magic link login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed'
+            });
+        }
+    }
+
+    // Two-factor status of the current user
+    static async getTwoFactorStatus(req, res) {
+        try {
+            const twoFactor = await User.getTwoFactor(req.user.id);
+            const enabled = Boolean(twoFactor && twoFactor.two_factor_enabled);
 
             res.json({
                 success: true,
-                message: 'Login successful',
                 data: {
-                    user: {
-                        id: user.id,
-                        username: user.username,
-                        email: user.email,
-                        displayName: user.display_name,
-                        verified: user.verified,
-                        avatarUrl: user.avatar_url,
-                        bio: user.bio,
-                        role: user.role || 'user'
-                    },
-                    token,
-                    refreshToken
+                    enabled,
+                    enabledAt: enabled ? twoFactor.two_factor_enabled_at : null,
+                    required: twoFactorService.isRequired(req.user),
+                    recoveryCodesRemaining: enabled ? await RecoveryCode.countRemaining(req.user.id) : 0,
+                    verifiedRecently: await twoFactorService.isRecentlyVerified(req.user.id, req.user.sessionId)
                 }
             });
 
         } catch (error) {
-            console.error('Login error:', error);
+            console.error('Get two-factor status error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Login failed',
-                error: process.env.NODE_ENV === 'development' ? error.message : undefined
+                message: 'Failed to get two-factor status'
             });
         }
     }
 
-    // Logout user
-    static async logout(req, res) {
+    // Start enrollment: secret and QR code for the authenticator app
+    static async setupTwoFactor(req, res) {
         try {
-            const userId = req.user.id;
+            const twoFactor = await User.getTwoFactor(req.user.id);
+            if (twoFactor && twoFactor.two_factor_enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already enabled'
+                });
+            }
 
-            // Remove user session from cache
-            await cache.del(`user_session:${userId}`);
-            await cache.del(`refresh_token:${userId}`);
+            const setup = await twoFactorService.startSetup(req.user);
 
             res.json({
                 success: true,
-                message: 'Logout successful'
+                message: 'Scan the QR code with your authenticator app, then confirm with a code',
+                data: setup
             });
 
         } catch (error) {
-            console.error('Logout error:', error);
+            console.error('Two-factor setup error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Logout failed'
+                message: 'Failed to start two-factor setup'
             });
         }
     }
 
-    // Refresh token
-    static async refreshToken(req, res) {
+    // Finish enrollment with a code from the app; returns recovery codes once
+    static async enableTwoFactor(req, res) {
         try {
-            const { refreshToken } = req.body;
+            const recoveryCodes = await twoFactorService.confirmSetup(req.user.id, req.body.code);
+            if (!recoveryCodes) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid code, or the setup has expired. Please try again.'
+                });
+            }
 
-            if (!refreshToken) {
+            if (req.user.sessionId) {
+                await twoFactorService.markVerified(req.user.id, req.user.sessionId);
+            }
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            console.error('Enable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to enable two-factor authentication'
+            });
+        }
+    }
+
+    // Turn 2FA off; needs the password and a current code or recovery code
+    static async disableTwoFactor(req, res) {
+        try {
+            const { password, code, recoveryCode } = req.body;
+
+            if (twoFactorService.isRequired(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is required for super admin accounts'
+                });
+            }
+
+            const user = await User.findByEmail(req.user.email);
+            if (!user.two_factor_enabled) {
                 return res.status(400).json({
                     success: false,
-                    message: 'Refresh token is required'
+                    message: 'Two-factor authentication is not enabled'
                 });
             }
 
-            // Verify refresh token
-            const decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
-            
-            if (decoded.type !== 'refresh') {
+            const isValidPassword = await User.validatePassword(password, user.password_hash);
+            if (!isValidPassword || !await twoFactorService.verifySecondFactor(user.id, { code, recoveryCode })) {
                 return res.status(401).json({
                     success: false,
-                    message: 'Invalid token type'
+                    message: 'Invalid password or verification code'
                 });
             }
 
-            // Check if refresh token exists in cache
-            const cachedToken = await cache.get(`refresh_token:${decoded.userId}`);
-            if (cachedToken !== refreshToken) {
+            await twoFactorService.disable(user.id);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+
+        } catch (error) {
+            console.error('Disable two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to disable two-factor authentication'
+            });
+        }
+    }
+
+    // Replace the recovery codes; needs a current authenticator code
+    static async regenerateRecoveryCodes(req, res) {
+        try {
+            const method = await twoFactorService.verifySecondFactor(req.user.id, { code: req.body.code });
+            if (!method) {
                 return res.status(401).json({
                     success: false,
-                    message: 'Invalid or expired refresh token'
+                    message: 'Invalid verification code'
                 });
             }
 
-            // Get user
-            const user = await User.findById(decoded.userId);
-            if (!user) {
+            const recoveryCodes = await RecoveryCode.regenerate(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'New recovery codes generated. The old ones no longer work.',
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate recovery codes'
+            });
+        }
+    }
+
+    // Re-check 2FA on the current session before destructive admin actions
+    static async verifyTwoFactor(req, res) {
+        try {
+            const { code, recoveryCode } = req.body;
+
+            if (!req.user.sessionId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please log in again to verify this session'
+                });
+            }
+
+            const method = await twoFactorService.verifySecondFactor(req.user.id, { code, recoveryCode });
+            if (!method) {
                 return res.status(401).json({
                     success: false,
-                    message: 'User not found'
+                    message: 'Invalid verification code'
                 });
             }
 
-            // Generate new tokens
-            const newToken = AuthController.generateToken(user.id);
-            const newRefreshToken = AuthController.generateRefreshToken(user.id);
+            const verifiedUntil = await twoFactorService.markVerified(req.user.id, req.user.sessionId);
+
+            res.json({
+                success: true,
+                message: 'Verified',
+                data: { verifiedUntil }
+            });
+
+        } catch (error) {
+            console.error('Verify two-factor error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify code'
+            });
+        }
+    }
+
+    // Logout user (this device only)
+    static async logout(req, res) {
+        try {
+            const userId = req.user.id;
+
+            if (req.user.sessionId) {
+                await sessionService.revoke(userId, req.user.sessionId);
+            } else {
+                // Login from before per-device sessions
+                await cache.del(`user_session:${userId}`);
+                await cache.del(`refresh_token:${userId}`);
+            }
+
+            res.json({
+                success: true,
+                message: 'Logout successful'
+            });
 
-            // Update refresh token in cache
-            await cache.set(`refresh_token:${user.id}`, newRefreshToken, 30 * 24 * 3600);
+        } catch (error) {
+            console.error('Logout error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Logout failed'
+            });
+        }
+    }
+
+    // Refresh token
+    static async refreshToken(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Refresh token is required'
+                });
+            }
+
+            const { token, refreshToken: newRefreshToken } = await sessionService.refresh(refreshToken, { ip: req.ip });
 
             res.json({
                 success: true,
                 message: 'Token refreshed successfully',
                 data: {
-                    token: newToken,
+                    token,
                     refreshToken: newRefreshToken
                 }
             });
 
         } catch (error) {
+            if (error.code === 'INVALID_REFRESH_TOKEN' || error.code === 'REFRESH_TOKEN_REUSED') {
+                return res.status(401).json({
+                    success: false,
+                    message: error.message
+                });
+            }
+
             console.error('Token refresh error:', error);
-            res.status(401).json({
+            res.status(500).json({
                 success: false,
-                message: 'Invalid or expired refresh token'
+                message: 'Failed to refresh token'
             });
         }
     }
@@ -292,7 +760,9 @@ class AuthController {
                         totalViews: user.total_views,
                         createdAt: user.created_at,
                         channelId: user.channel_id,
-                        channelName: user.channel_name
+                        channelName: user.channel_name,
+                        staffRoles: req.user.staffRoles,
+                        permissions: req.user.permissions
                     }
                 }
             });
@@ -317,13 +787,6 @@ class AuthController {
 
             const updatedUser = await User.updateProfile(req.user.id, updates);
 
-            // Update cached session
-            const cachedSession = await cache.get(`user_session:${req.user.id}`);
-            if (cachedSession) {
-                cachedSession.displayName = updatedUser.display_name;
-                await cache.set(`user_session:${req.user.id}`, cachedSession, 7 * 24 * 3600);
-            }
-
             res.json({
                 success: true,
                 message: 'Profile updated successfully',
@@ -373,9 +836,13 @@ class AuthController {
 
             await User.changePassword(req.user.id, currentPassword, newPassword);
 
+            // Sign out every other device that knew the old password
+            const revokedSessions = await sessionService.revokeAll(req.user.id, { except: req.user.sessionId });
+
             res.json({
                 success: true,
-                message: 'Password changed successfully'
+                message: 'Password changed successfully',
+                data: { revokedSessions }
             });
 
         } catch (error) {
@@ -394,6 +861,75 @@ class AuthController {
             });
         }
     }
+
+    // List the devices signed in to this account
+    static async listSessions(req, res) {
+        try {
+            const sessions = await sessionService.list(req.user.id);
+
+            res.json({
+                success: true,
+                data: {
+                    sessions: sessions.map(session => AuthController.formatSession(session, req.user.sessionId))
+                }
+            });
+
+        } catch (error) {
+            console.error('List sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to list sessions'
+            });
+        }
+    }
+
+    // Sign out one device
+    static async revokeSession(req, res) {
+        try {
+            const revoked = await sessionService.revoke(req.user.id, req.params.sessionId);
+            if (!revoked) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: req.params.sessionId === req.user.sessionId ? 'Signed out of this device' : 'Session revoked'
+            });
+
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke session'
+            });
+        }
+    }
+
+    // Sign out every other device, or every device including this one with ?includeCurrent=true
+    static async revokeAllSessions(req, res) {
+        try {
+            const includeCurrent = req.query.includeCurrent === 'true';
+            const revoked = await sessionService.revokeAll(req.user.id, {
+                except: includeCurrent ? null : req.user.sessionId
+            });
+
+            res.json({
+                success: true,
+                message: `Revoked ${revoked} session(s)`,
+                data: { revoked }
+            });
+
+        } catch (error) {
+            console.error('Revoke all sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to revoke sessions'
+            });
+        }
+    }
 }
 
 module.exports = AuthController;
\ No newline at end of file
@@ -0,0 +1,309 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const UserIdentity = require('../models/UserIdentity');
+const oidcService = require('../services/oidcService');
+const AuthController = require('./authController');
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+// Value of one cookie from the Cookie header
+const readCookie = (req, name) => {
+    const cookies = req.headers.cookie ? req.headers.cookie.split(';') : [];
+    for (const cookie of cookies) {
+        const [key, ...value] = cookie.trim().split('=');
+        if (key === name) return decodeURIComponent(value.join('='));
+    }
+    return null;
+};
+
+class OidcController {
+    // Where the provider sends the browser back to (must match the provider's app settings)
+    static apiBaseUrl(req) {
+        return process.env.OIDC_REDIRECT_BASE_URL || process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+    }
+
+    // Client page that finishes the sign-in: /login/oidc?code=..., ?linked=... or ?error=...
+    static clientRedirect(req, params) {
+        const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+        return `${baseUrl}/login/oidc?${new URLSearchParams(params)}`;
+    }
+
+    static setStateCookie(req, res, state) {
+        res.cookie(oidcService.stateCookie, state, {
+            httpOnly: true,
+            secure: req.secure || process.env.NODE_ENV === 'production',
+            sameSite: 'lax',
+            maxAge: oidcService.stateTtl * 1000,
+            path: '/api/auth/oidc'
+        });
+    }
+
+    static async uniqueUsername(profile) {
+        const base = (profile.username || (profile.email || '').split('@')[0] || profile.name || 'user')
+            .toLowerCase()
+            .replace(/[^a-z0-9_-]/g, '')
+            .slice(0, 24)
+            .padEnd(3, '0');
+
+        let username = base;
+        for (let attempt = 0; await User.findByUsername(username); attempt++) {
+            if (attempt >= 5) {
+                return `user-${crypto.randomBytes(6).toString('hex')}`;
+            }
+            username = `${base}-${crypto.randomInt(1000, 10000)}`;
+        }
+        return username;
+    }
+
+    /**
+     * The user a provider account signs in as. In order: the user it's
+     * already linked to; the signed-in user asking to link it; an existing
+     * user with the same email, if the provider has verified it; or a new
+     * account.
+     * @returns {Promise<Object>} - { user, linked, created }
+     */
+    static async resolveUser(provider, profile, linkUserId) {
+        const identity = await UserIdentity.findByProviderSubject(provider.id, profile.subject);
+
+        if (identity) {
+            if (linkUserId && identity.user_id !== linkUserId) {
+                throw fail('IDENTITY_IN_USE', `This ${provider.name} account is already linked to another user`);
+            }
+            await UserIdentity.markUsed(identity.id, profile.email);
+            return { user: await User.findById(identity.user_id), linked: false, created: false };
+        }
+
+        if (linkUserId) {
+            await UserIdentity.link(linkUserId, provider.id, profile.subject, profile.email);
+            return { user: await User.findById(linkUserId), linked: true, created: false };
+        }
+
+        if (!profile.email) {
+            throw fail('EMAIL_REQUIRED', `${provider.name} did not share an email address. Please sign up with email instead.`);
+        }
+
+        const existing = await User.findByEmail(profile.email);
+        if (existing) {
+            if (!profile.emailVerified) {
+                throw fail('ACCOUNT_EXISTS',
+                    `An account with this email already exists. Sign in with your password, then link ${provider.name} from your dashboard.`);
+            }
+            await UserIdentity.link(existing.id, provider.id, profile.subject, profile.email);
+            return { user: await User.findById(existing.id), linked: true, created: false };
+        }
+
+        // New account; its password is random until the user sets one with a reset link
+        const created = await User.create({
+            username: await OidcController.uniqueUsername(profile),
+            email: profile.email,
+            password: crypto.randomBytes(32).toString('base64url'),
+            displayName: profile.name ? String(profile.name).slice(0, 100) : null,
+            passwordSet: false
+        });
+        if (profile.emailVerified) {
+            await User.markVerified(created.id);
+        }
+        await UserIdentity.link(created.id, provider.id, profile.subject, profile.email);
+
+        return { user: await User.findById(created.id), linked: true, created: true };
+    }
+
+    // Providers enabled for sign-in
+    static listProviders(req, res) {
+        res.json({
+            success: true,
+            data: { providers: oidcService.listProviders() }
+        });
+    }
+
+    // Send the browser to the provider to sign in
+    static async start(req, res) {
+        const provider = oidcService.getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown sign-in provider'
+            });
+        }
+
+        try {
+            const { url, state } = await oidcService.createAuthorizationUrl(provider, {
+                baseUrl: OidcController.apiBaseUrl(req)
+            });
+            OidcController.setStateCookie(req, res, state);
+            res.redirect(url);
+
+        } catch (error) {
+            console.error('OIDC start error:', error);
+            res.redirect(OidcController.clientRedirect(req, { error: `${provider.name} sign-in is unavailable right now` }));
+        }
+    }
+
+    // Like start, for linking a provider to the signed-in account; returns the URL to open
+    static async link(req, res) {
+        const provider = oidcService.getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown sign-in provider'
+            });
+        }
+
+        try {
+            const { url, state } = await oidcService.createAuthorizationUrl(provider, {
+                baseUrl: OidcController.apiBaseUrl(req),
+                linkUserId: req.user.id
+            });
+            OidcController.setStateCookie(req, res, state);
+
+            res.json({
+                success: true,
+                data: { authorizationUrl: url }
+            });
+
+        } catch (error) {
+            console.error('OIDC link error:', error);
+            res.status(502).json({
+                success: false,
+                message: `${provider.name} is unavailable right now`
+            });
+        }
+    }
+
+    // The provider sends the browser back here with a code
+    static async callback(req, res) {
+        const provider = oidcService.getProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({
+                success: false,
+                message: 'Unknown sign-in provider'
+            });
+        }
+
+        res.clearCookie(oidcService.stateCookie, { path: '/api/auth/oidc' });
+
+        if (req.query.error) {
+            return res.redirect(OidcController.clientRedirect(req, {
+                error: req.query.error === 'access_denied' ? 'Sign-in was cancelled' : `${provider.name} sign-in failed`
+            }));
+        }
+
+        try {
+            const { profile, linkUserId } = await oidcService.handleCallback(provider, {
+                code: req.query.code,
+                state: req.query.state,
+                cookieState: readCookie(req, oidcService.stateCookie),
+                baseUrl: OidcController.apiBaseUrl(req)
+            });
+
+            const { user } = await OidcController.resolveUser(provider, profile, linkUserId);
+
+            if (linkUserId) {
+                return res.redirect(OidcController.clientRedirect(req, { linked: provider.name }));
+            }
+
+            const code = await oidcService.createLoginCode(user.id, provider.id);
+            res.redirect(OidcController.clientRedirect(req, { code }));
+
+        } catch (error) {
+            if (!error.code) {
+                console.error('OIDC callback error:', error);
+            }
+            res.redirect(OidcController.clientRedirect(req, {
+                error: error.code ? error.message : `${provider.name} sign-in failed. Please try again.`
+            }));
+        }
+    }
+
+    // Exchange the callback's one-time code for the login response
+    static async exchange(req, res) {
+        try {
+            const login = await oidcService.consumeLoginCode(req.body.code);
+            const user = login && await User.findById(login.userId);
+            if (!user) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This sign-in has expired. Please try again.'
+                });
+            }
+
+            await AuthController.completeLogin(req, res, user);
+
+        } catch (error) {
+            console.error('OIDC exchange error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Login failed'
+            });
+        }
+    }
+
+    // Provider accounts linked to the current user
+    static async listIdentities(req, res) {
+        try {
+            const identities = await UserIdentity.findByUser(req.user.id);
+            const user = await User.findById(req.user.id);
+
+            res.json({
+                success: true,
+                data: {
+                    identities: identities.map(identity => ({
+                        id: identity.id,
+                        provider: identity.provider,
+                        providerName: (oidcService.getProvider(identity.provider) || {}).name || identity.provider,
+                        email: identity.email,
+                        linkedAt: identity.created_at,
+                        lastUsedAt: identity.last_used_at
+                    })),
+                    providers: oidcService.listProviders(),
+                    passwordSet: user.password_set !== false
+                }
+            });
+
+        } catch (error) {
+            console.error('List identities error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get linked accounts'
+            });
+        }
+    }
+
+    // Unlink a provider account, unless it's the only way left to sign in
+    static async unlinkIdentity(req, res) {
+        try {
+            const identities = await UserIdentity.findByUser(req.user.id);
+            const user = await User.findById(req.user.id);
+
+            if (!identities.some(identity => identity.id === req.params.identityId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Linked account not found'
+                });
+            }
+
+            if (identities.length === 1 && user.password_set === false) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Set a password first (use "Forgot password?") so you can still sign in after unlinking'
+                });
+            }
+
+            await UserIdentity.unlink(req.user.id, req.params.identityId);
+
+            res.json({
+                success: true,
+                message: 'Account unlinked'
+            });
+
+        } catch (error) {
+            console.error('Unlink identity error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to unlink account'
+            });
+        }
+    }
+}
+
+module.exports = OidcController;
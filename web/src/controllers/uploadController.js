@@ -7,6 +7,8 @@ const { query, transaction } = require('../config/database');
 const { cache } = require('../config/redis');
 const { validateFilm, sanitizeInput } = require('../utils/validation');
 const { getFileDuration, getFileSize } = require('../utils/fileUtils');
+const resumableUploadService = require('../services/resumableUploadService');
+const diskSpaceService = require('../services/diskSpaceService');
 
 // Multer configuration for large file uploads
 const storage = multer.diskStorage({
@@ -47,6 +49,206 @@ const upload = multer({
     }
 });
 
+/**
+ * Check a film's form fields and that the uploader has a channel to put it
+ * in. Returns `{ rejection }` with the 400 body when the film is refused,
+ * otherwise the validated data and the channel id.
+ */
+async function checkFilmFields(userId, fields) {
+    const { title, description, category_id, tags, cast, crew, production_year } = fields;
+
+    const validation = validateFilm({
+        title: sanitizeInput(title),
+        description: sanitizeInput(description),
+        category_id,
+        tags: tags ? (Array.isArray(tags) ? tags : tags.split(',')).map(tag => sanitizeInput(tag.trim())) : [],
+        cast: sanitizeInput(cast),
+        crew: sanitizeInput(crew),
+        production_year: parseInt(production_year)
+    });
+
+    if (!validation.isValid) {
+        return {
+            rejection: {
+                error: 'Validation failed',
+                details: validation.errors
+            }
+        };
+    }
+
+    // Get user's channel
+    const channelResult = await query(
+        'SELECT id FROM channels WHERE user_id = $1 AND is_active = true LIMIT 1',
+        [userId]
+    );
+
+    if (channelResult.rows.length === 0) {
+        return {
+            rejection: {
+                error: 'No active channel found',
+                message: 'Please create a channel before uploading films'
+            }
+        };
+    }
+
+    return { data: validation.data, channelId: channelResult.rows[0].id };
+}
+
+/**
+ * Validate an uploaded film file, create its database records and queue it
+ * for processing. Shared by the multipart and resumable upload paths; `file`
+ * is a multer-style object with at least `path`.
+ *
+ * For a resumable upload, `session` is passed and `file` is its part file.
+ * The part file is only assembled once the film is accepted, and is kept
+ * along with the session when it is refused, so the client can finalize
+ * again with corrected details instead of uploading the file again.
+ */
+async function processUploadedFilm(req, res, file, fields, session = null) {
+    let assembled = false;
+    let filmId = null;
+    let queued = false;
+
+    const refuse = async (body) => {
+        if (!session) {
+            await fs.unlink(file.path); // Clean up uploaded file
+        }
+        return res.status(400).json(body);
+    };
+
+    try {
+        const { cast, crew, production_year, hls_encrypted } = fields;
+        const userId = req.user.id;
+
+        const checked = await checkFilmFields(userId, fields);
+        if (checked.rejection) {
+            return refuse(checked.rejection);
+        }
+        const { data, channelId } = checked;
+
+        // Get file information
+        const fileSize = await getFileSize(file.path);
+        const duration = await getFileDuration(file.path);
+
+        // Check duration limit (30 minutes = 1800 seconds)
+        if (duration > 1800) {
+            return refuse({
+                error: 'Film too long',
+                message: 'Films must be 30 minutes or shorter',
+                duration: Math.round(duration / 60) + ' minutes'
+            });
+        }
+
+        if (session) {
+            file = await resumableUploadService.assemble(session);
+            assembled = true;
+        }
+
+        // Create database entry
+        filmId = uuidv4();
+        const streamKey = uuidv4();
+
+        await transaction(async (client) => {
+            // Insert film record
+            await client.query(`
+                INSERT INTO videos (
+                    id, channel_id, category_id, title, description, tags,
+                    duration, file_size, upload_status, stream_key, hls_encrypted,
+                    created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
+            `, [
+                filmId, channelId, data.category_id, data.title,
+                data.description, data.tags,
+                Math.round(duration), fileSize, 'processing', streamKey,
+                // Multipart form fields arrive as strings
+                hls_encrypted === true || hls_encrypted === 'true'
+            ]);
+
+            // Add metadata if provided
+            if (cast || crew || production_year) {
+                await client.query(`
+                    INSERT INTO film_metadata (film_id, cast_info, crew_info, production_year)
+                    VALUES ($1, $2, $3, $4)
+                `, [filmId, cast, crew, production_year]);
+            }
+        });
+
+        // Add to new video processing queue
+        const videoProcessingService = require('../services/videoProcessingService');
+        await videoProcessingService.queueVideo(filmId, file.path, userId);
+        queued = true;
+
+        if (session) {
+            await resumableUploadService.complete(session);
+            await diskSpaceService.release(`upload:${session.id}`);
+        }
+
+        // Update upload limit
+        const newCount = await cache.incr(req.uploadLimitKey);
+        await cache.expire(req.uploadLimitKey, 86400); // 24 hours
+
+        // Send response
+        res.status(201).json({
+            success: true,
+            filmId,
+            message: 'Film uploaded successfully and added to processing queue',
+            estimatedProcessingTime: Math.round(duration * 4), // 1:4 ratio
+            status: 'processing'
+        });
+
+        // Notify user via WebSocket
+        if (req.io) {
+            req.io.to(`user-${userId}`).emit('upload-status', {
+                filmId,
+                status: 'processing',
+                message: 'Your film is being processed'
+            });
+        }
+
+    } catch (error) {
+        console.error('Upload error:', error);
+
+        // A film that never reached the queue would be left 'processing'
+        // forever, and finalizing again would create a second one
+        if (filmId && !queued) {
+            await query('DELETE FROM videos WHERE id = $1', [filmId]).catch(deleteError => {
+                console.error(`Failed to remove unqueued film ${filmId}:`, deleteError);
+            });
+        }
+
+        if (session) {
+            // Put the file back so the upload can be finalized again
+            if (assembled && !queued) {
+                await resumableUploadService.restore(session, file).catch(restoreError => {
+                    console.error('Failed to restore upload:', restoreError);
+                });
+            }
+        } else if (!queued && file && file.path) {
+            // Clean up file if it exists
+            try {
+                await fs.unlink(file.path);
+            } catch (unlinkError) {
+                console.error('Failed to cleanup file:', unlinkError);
+            }
+        }
+
+        res.status(500).json({
+            error: 'Upload failed',
+            message: 'An error occurred while processing your upload'
+        });
+    }
+}
+
+function rejectForDiskSpace(res, admission) {
+    res.set('Retry-After', String(Math.round(diskSpaceService.deferDelay / 1000)));
+    return res.status(507).json({
+        error: 'Insufficient storage',
+        message: 'The processing drive is too full to accept this upload right now. Please try again later.',
+        requiredBytes: admission.requiredBytes,
+        availableBytes: admission.availableBytes
+    });
+}
+
 class UploadController {
     // Check daily upload limit
     async checkUploadLimit(req, res, next) {
@@ -73,133 +275,243 @@ class UploadController {
         }
     }
 
+    // Refuse a multipart upload the processing drive has no room for. The
+    // upload's size is reserved until the response is sent.
+    async checkDiskSpace(req, res, next) {
+        try {
+            const size = parseInt(req.get('Content-Length'));
+            if (!Number.isInteger(size) || size <= 0) {
+                return next();
+            }
+
+            const reservationId = `upload:${uuidv4()}`;
+            const admission = await diskSpaceService.admitUpload(reservationId, size);
+            if (!admission.admitted) {
+                return rejectForDiskSpace(res, admission);
+            }
+
+            res.once('close', () => {
+                diskSpaceService.release(reservationId).catch(error => {
+                    console.error('Error releasing disk reservation:', error);
+                });
+            });
+            next();
+        } catch (error) {
+            console.error('Error checking disk space:', error);
+            res.status(500).json({ error: 'Failed to check disk space' });
+        }
+    }
+
     // Handle file upload
     async uploadFilm(req, res) {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        await processUploadedFilm(req, res, req.file, req.body);
+    }
+
+    // Create a resumable upload session
+    async createUploadSession(req, res) {
         try {
-            const { title, description, category_id, tags, cast, crew, production_year } = req.body;
-            const userId = req.user.id;
-            const file = req.file;
+            const { filename, size, mimeType, metadata } = req.body;
 
-            if (!file) {
-                return res.status(400).json({ error: 'No file uploaded' });
+            // Refuse bad film details now rather than after the whole file is sent
+            const checked = await checkFilmFields(req.user.id, metadata || {});
+            if (checked.rejection) {
+                return res.status(400).json(checked.rejection);
             }
 
-            // Validate form data
-            const validation = validateFilm({
-                title: sanitizeInput(title),
-                description: sanitizeInput(description),
-                category_id,
-                tags: tags ? tags.split(',').map(tag => sanitizeInput(tag.trim())) : [],
-                cast: sanitizeInput(cast),
-                crew: sanitizeInput(crew),
-                production_year: parseInt(production_year)
+            const session = await resumableUploadService.createSession(req.user.id, {
+                filename,
+                size,
+                mimeType,
+                metadata: metadata || {}
             });
 
-            if (!validation.isValid) {
-                await fs.unlink(file.path); // Clean up uploaded file
-                return res.status(400).json({ 
-                    error: 'Validation failed', 
-                    details: validation.errors 
-                });
+            // The bytes still to arrive stay reserved for the life of the session
+            const admission = await diskSpaceService.admitUpload(`upload:${session.id}`, session.size, resumableUploadService.sessionTtl);
+            if (!admission.admitted) {
+                await resumableUploadService.abort(session);
+                return rejectForDiskSpace(res, admission);
             }
 
-            // Get file information
-            const fileSize = await getFileSize(file.path);
-            const duration = await getFileDuration(file.path);
+            res.set('Location', `${req.baseUrl}/sessions/${session.id}`);
+            res.set('Upload-Offset', '0');
+            res.set('Upload-Length', String(session.size));
+            res.status(201).json({
+                success: true,
+                uploadId: session.id,
+                offset: 0,
+                size: session.size,
+                chunkSize: resumableUploadService.recommendedChunkSize,
+                maxChunkSize: resumableUploadService.maxChunkSize
+            });
+        } catch (error) {
+            console.error('Create upload session error:', error);
+            res.status(400).json({
+                error: 'Failed to create upload session',
+                message: error.message
+            });
+        }
+    }
 
-            // Check duration limit (30 minutes = 1800 seconds)
-            if (duration > 1800) {
-                await fs.unlink(file.path);
-                return res.status(400).json({
-                    error: 'Film too long',
-                    message: 'Films must be 30 minutes or shorter',
-                    duration: Math.round(duration / 60) + ' minutes'
-                });
+    // Report the current offset of a resumable upload (HEAD)
+    async getUploadOffset(req, res) {
+        try {
+            const session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+            if (!session) {
+                return res.status(404).end();
             }
 
-            // Get user's channel
-            const channelResult = await query(
-                'SELECT id FROM channels WHERE user_id = $1 AND is_active = true LIMIT 1',
-                [userId]
-            );
+            res.set('Upload-Offset', String(session.offset));
+            res.set('Upload-Length', String(session.size));
+            res.set('Cache-Control', 'no-store');
+            res.status(200).end();
+        } catch (error) {
+            console.error('Get upload offset error:', error);
+            res.status(500).end();
+        }
+    }
 
-            if (channelResult.rows.length === 0) {
-                await fs.unlink(file.path);
-                return res.status(400).json({
-                    error: 'No active channel found',
-                    message: 'Please create a channel before uploading films'
+    // Get a resumable upload session as JSON
+    async getUploadSession(req, res) {
+        try {
+            const session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload session not found or expired' });
+            }
+
+            res.set('Cache-Control', 'no-store');
+            res.json({
+                uploadId: session.id,
+                filename: session.filename,
+                size: session.size,
+                offset: session.offset,
+                status: session.status,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt
+            });
+        } catch (error) {
+            console.error('Get upload session error:', error);
+            res.status(500).json({ error: 'Failed to get upload session' });
+        }
+    }
+
+    // Append a chunk to a resumable upload (PATCH)
+    async uploadChunk(req, res) {
+        try {
+            const session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload session not found or expired' });
+            }
+
+            if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+                return res.status(415).json({
+                    error: 'Unsupported media type',
+                    message: 'Chunks must be sent as application/offset+octet-stream'
                 });
             }
 
-            const channelId = channelResult.rows[0].id;
+            const offset = parseInt(req.get('Upload-Offset'));
+            if (!Number.isInteger(offset) || offset < 0) {
+                return res.status(400).json({ error: 'Upload-Offset header is required' });
+            }
 
-            // Create database entry
-            const filmId = uuidv4();
-            const streamKey = uuidv4();
+            const contentLength = req.get('Content-Length') ? parseInt(req.get('Content-Length')) : null;
+            const updated = await resumableUploadService.appendChunk(session, offset, req, contentLength);
+            await diskSpaceService.reserve(`upload:${updated.id}`, updated.size - updated.offset, resumableUploadService.sessionTtl);
 
-            await transaction(async (client) => {
-                // Insert film record
-                await client.query(`
-                    INSERT INTO videos (
-                        id, channel_id, category_id, title, description, tags,
-                        duration, file_size, upload_status, stream_key,
-                        created_at, updated_at
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
-                `, [
-                    filmId, channelId, category_id, validation.data.title,
-                    validation.data.description, validation.data.tags,
-                    Math.round(duration), fileSize, 'processing', streamKey
-                ]);
-
-                // Add metadata if provided
-                if (cast || crew || production_year) {
-                    await client.query(`
-                        INSERT INTO film_metadata (film_id, cast_info, crew_info, production_year)
-                        VALUES ($1, $2, $3, $4)
-                    `, [filmId, cast, crew, production_year]);
+            res.set('Upload-Offset', String(updated.offset));
+            res.set('Upload-Length', String(updated.size));
+            res.status(204).end();
+        } catch (error) {
+            if (error.code === 'OFFSET_MISMATCH' || error.code === 'LOCKED') {
+                const session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+                if (session) {
+                    res.set('Upload-Offset', String(session.offset));
                 }
-            });
+                return res.status(409).json({ error: 'Upload conflict', message: error.message });
+            }
+            if (error.code === 'CHUNK_TOO_LARGE') {
+                return res.status(413).json({ error: 'Chunk too large', message: error.message });
+            }
 
-            // Add to new video processing queue
-            const videoProcessingService = require('../services/videoProcessingService');
-            await videoProcessingService.queueVideo(filmId, file.path, userId);
+            console.error('Upload chunk error:', error);
+            res.status(500).json({ error: 'Failed to write chunk' });
+        }
+    }
 
-            // Update upload limit
-            const newCount = await cache.incr(req.uploadLimitKey);
-            await cache.expire(req.uploadLimitKey, 86400); // 24 hours
+    // Assemble a completed resumable upload and hand it to the normal pipeline.
+    // Holds the session lock throughout, so two finalize calls (or a finalize
+    // and a chunk write) can't both use the part file.
+    async finalizeUpload(req, res) {
+        let session;
 
-            // Send response
-            res.status(201).json({
-                success: true,
-                filmId,
-                message: 'Film uploaded successfully and added to processing queue',
-                estimatedProcessingTime: Math.round(duration * 4), // 1:4 ratio
-                status: 'processing'
-            });
+        try {
+            session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload session not found or expired' });
+            }
+            await resumableUploadService.lock(session);
+        } catch (error) {
+            if (error.code === 'LOCKED') {
+                return res.status(409).json({ error: 'Upload conflict', message: error.message });
+            }
+            console.error('Finalize upload error:', error);
+            return res.status(500).json({ error: 'Failed to finalize upload' });
+        }
 
-            // Notify user via WebSocket
-            req.io.to(`user-${userId}`).emit('upload-status', {
-                filmId,
-                status: 'processing',
-                message: 'Your film is being processed'
-            });
+        const locked = session;
+        try {
+            // A finalize that held the lock before this one may have completed the upload
+            session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload session not found or expired' });
+            }
 
+            if (session.offset !== session.size) {
+                res.set('Upload-Offset', String(session.offset));
+                return res.status(409).json({
+                    error: 'Upload incomplete',
+                    message: `Received ${session.offset} of ${session.size} bytes`,
+                    offset: session.offset
+                });
+            }
+
+            const fields = { ...session.metadata, ...req.body };
+            const file = { path: resumableUploadService.partPath(session.id) };
+            await processUploadedFilm(req, res, file, fields, session);
         } catch (error) {
-            console.error('Upload error:', error);
-            
-            // Clean up file if it exists
-            if (req.file && req.file.path) {
-                try {
-                    await fs.unlink(req.file.path);
-                } catch (unlinkError) {
-                    console.error('Failed to cleanup file:', unlinkError);
-                }
+            console.error('Finalize upload error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Failed to finalize upload' });
+            }
+        } finally {
+            await resumableUploadService.unlock(locked).catch(error => {
+                console.error('Failed to unlock upload session:', error);
+            });
+        }
+    }
+
+    // Abort a resumable upload and discard received data
+    async abortUploadSession(req, res) {
+        try {
+            const session = await resumableUploadService.getSession(req.params.uploadId, req.user.id);
+            if (!session) {
+                return res.status(404).json({ error: 'Upload session not found or expired' });
             }
 
-            res.status(500).json({
-                error: 'Upload failed',
-                message: 'An error occurred while processing your upload'
+            await resumableUploadService.abort(session);
+            await diskSpaceService.release(`upload:${session.id}`);
+
+            res.json({
+                success: true,
+                message: 'Upload aborted'
             });
+        } catch (error) {
+            console.error('Abort upload error:', error);
+            res.status(500).json({ error: 'Failed to abort upload' });
         }
     }
 
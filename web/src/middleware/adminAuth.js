@@ -1,78 +1,86 @@
 const pool = require('../config/database');
+const UserRole = require('../models/UserRole');
+const twoFactorService = require('../services/twoFactorService');
+const permissionService = require('../services/permissionService');
+
+// 403 body for staff who haven't enrolled in 2FA but need it
+const twoFactorSetupRequired = {
+    error: 'Two-factor authentication required',
+    code: 'TWO_FACTOR_SETUP_REQUIRED',
+    message: 'Enable two-factor authentication first'
+};
 
 /**
- * Middleware to check if user is an admin or moderator
- * Must be used after the auth middleware
+ * Middleware factory: the signed-in user's staff roles must grant
+ * `permission` (see permissionService), or any role at all when it's left
+ * out. Roles are read fresh from the database and put on req.user
+ * (staffRoles, permissions). Must be used after the auth middleware.
  */
-const requireAdmin = async (req, res, next) => {
+const requirePermission = (permission = null) => async (req, res, next) => {
     try {
         if (!req.user || !req.user.id) {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        // Get user role from database
-        const result = await pool.query(
-            'SELECT role, is_banned FROM users WHERE id = $1',
-            [req.user.id]
-        );
-
-        if (result.rows.length === 0) {
+        const account = await UserRole.getAccount(req.user.id);
+        if (!account) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        const user = result.rows[0];
-
-        // Check if user is banned
-        if (user.is_banned) {
+        if (account.is_banned) {
             return res.status(403).json({ error: 'Account is banned' });
         }
 
-        // Check if user is admin or moderator
-        if (user.role !== 'admin' && user.role !== 'moderator') {
-            return res.status(403).json({ error: 'Admin or moderator access required' });
+        const staffRoles = permissionService.getRoles(account);
+        const permissions = permissionService.getPermissions(staffRoles);
+        if (permission ? !permissions.includes(permission) : permissions.length === 0) {
+            return res.status(403).json({
+                error: permission ? 'You don\'t have permission to do this' : 'Staff access required',
+                code: 'PERMISSION_REQUIRED',
+                permission
+            });
+        }
+
+        req.user.staffRoles = staffRoles;
+        req.user.permissions = permissions;
+
+        if (twoFactorService.isRequired(req.user) && !req.user.twoFactorEnabled) {
+            return res.status(403).json(twoFactorSetupRequired);
         }
 
-        // Add role to request object
-        req.user.role = user.role;
         next();
     } catch (error) {
-        console.error('Admin auth middleware error:', error);
+        console.error('Permission middleware error:', error);
         res.status(500).json({ error: 'Server error during authorization check' });
     }
 };
 
 /**
- * Middleware to check if user is strictly an admin (not just moderator)
+ * Any staff role
  */
-const requireStrictAdmin = async (req, res, next) => {
-    try {
-        if (!req.user || !req.user.id) {
-            return res.status(401).json({ error: 'Authentication required' });
-        }
+const requireAdmin = requirePermission();
 
-        const result = await pool.query(
-            'SELECT role, is_banned FROM users WHERE id = $1',
-            [req.user.id]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'User not found' });
-        }
-
-        const user = result.rows[0];
-
-        if (user.is_banned) {
-            return res.status(403).json({ error: 'Account is banned' });
+/**
+ * For destructive actions, after requirePermission: the session must have
+ * passed a 2FA check in the last TWO_FACTOR_RECENT_MINUTES
+ * (POST /api/auth/2fa/verify), whatever the user's roles.
+ */
+const requireRecentTwoFactor = async (req, res, next) => {
+    try {
+        if (!req.user.twoFactorEnabled) {
+            return res.status(403).json(twoFactorSetupRequired);
         }
-
-        if (user.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
+        if (!await twoFactorService.isRecentlyVerified(req.user.id, req.user.sessionId)) {
+            return res.status(403).json({
+                error: 'Recent two-factor verification required',
+                code: 'TWO_FACTOR_REQUIRED',
+                message: 'Confirm a code from your authenticator app to continue'
+            });
         }
 
-        req.user.role = user.role;
         next();
     } catch (error) {
-        console.error('Strict admin auth middleware error:', error);
+        console.error('Two-factor check middleware error:', error);
         res.status(500).json({ error: 'Server error during authorization check' });
     }
 };
@@ -95,7 +103,8 @@ const logAdminActivity = async (adminId, actionType, targetType, targetId, detai
 };
 
 module.exports = {
+    requirePermission,
     requireAdmin,
-    requireStrictAdmin,
+    requireRecentTwoFactor,
     logAdminActivity
 };
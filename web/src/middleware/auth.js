@@ -1,6 +1,66 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { cache } = require('../config/redis');
+const sessionService = require('../services/sessionService');
+const permissionService = require('../services/permissionService');
+
+const authFailure = (error, message) => Object.assign(new Error(message), { authError: error });
+
+// Resolve a JWT to its user; shared by HTTP requests and socket handshakes.
+// The token is only good while the session it names (sid) is still open.
+const getSessionUser = async (token, { ip = null } = {}) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type === 'refresh') {
+        throw authFailure('Invalid token', 'Refresh tokens cannot be used for authentication');
+    }
+
+    let session = null;
+    if (decoded.sid) {
+        session = await sessionService.get(decoded.userId, decoded.sid);
+    } else {
+        // Tokens issued before per-device sessions, until their login expires
+        session = await cache.get(`user_session:${decoded.userId}`);
+    }
+    if (!session) {
+        throw authFailure('Session expired', 'Your session has expired. Please log in again.');
+    }
+    if (decoded.sid) {
+        await sessionService.touch(session, ip);
+    }
+
+    // Get user from database to ensure user still exists and is active
+    const user = await User.findById(decoded.userId);
+    if (!user) {
+        throw authFailure('Invalid token', 'User not found');
+    }
+
+    const staffRoles = permissionService.getRoles(user);
+    return {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        displayName: user.display_name,
+        verified: user.verified,
+        role: user.role,
+        isAdmin: staffRoles.includes('super_admin'),
+        staffRoles,
+        permissions: permissionService.getPermissions(staffRoles),
+        twoFactorEnabled: Boolean(user.two_factor_enabled),
+        sessionId: decoded.sid || null
+    };
+};
+
+// Client-facing { error, message } for a failed token check, or null for unexpected errors
+const describeAuthError = (error) => {
+    if (error.authError) {
+        return { error: error.authError, message: error.message };
+    } else if (error.name === 'TokenExpiredError') {
+        return { error: 'Token expired', message: 'Your session has expired. Please log in again.' };
+    } else if (error.name === 'JsonWebTokenError') {
+        return { error: 'Invalid token', message: 'The provided token is invalid' };
+    }
+    return null;
+};
 
 // Verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -15,47 +75,13 @@ const authenticateToken = async (req, res, next) => {
             });
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
-        // Check if user session exists in cache first
-        const cachedSession = await cache.get(`user_session:${decoded.userId}`);
-        if (!cachedSession) {
-            return res.status(401).json({
-                error: 'Session expired',
-                message: 'Your session has expired. Please log in again.'
-            });
-        }
-
-        // Get user from database to ensure user still exists and is active
-        const user = await User.findById(decoded.userId);
-        if (!user) {
-            return res.status(401).json({ 
-                error: 'Invalid token',
-                message: 'User not found'
-            });
-        }
-
-        req.user = {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            displayName: user.display_name,
-            verified: user.verified,
-            isAdmin: user.is_admin || false
-        };
+        req.user = await getSessionUser(token, { ip: req.ip });
 
         next();
     } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ 
-                error: 'Token expired',
-                message: 'Your session has expired. Please log in again.'
-            });
-        } else if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ 
-                error: 'Invalid token',
-                message: 'The provided token is invalid'
-            });
+        const failure = describeAuthError(error);
+        if (failure) {
+            return res.status(401).json(failure);
         }
         
         console.error('Authentication error:', error);
@@ -66,23 +92,29 @@ const authenticateToken = async (req, res, next) => {
     }
 };
 
-// Require admin privileges
-const requireAdmin = (req, res, next) => {
-    if (!req.user) {
-        return res.status(401).json({ 
-            error: 'Authentication required',
-            message: 'Please log in to access this resource'
-        });
-    }
+// Socket.io handshake: same check as authenticateToken, with the token in
+// the handshake auth payload. Sockets without a token connect anonymously.
+const authenticateSocket = async (socket, next) => {
+    socket.data.user = null;
 
-    if (!req.user.isAdmin) {
-        return res.status(403).json({ 
-            error: 'Admin access required',
-            message: 'You need administrator privileges to access this resource'
-        });
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) {
+        return next();
     }
 
-    next();
+    try {
+        socket.data.user = await getSessionUser(token, { ip: socket.handshake.address });
+        next();
+    } catch (error) {
+        const failure = describeAuthError(error);
+        if (!failure) {
+            console.error('Socket authentication error:', error);
+        }
+
+        const err = new Error(failure ? failure.message : 'An error occurred during authentication');
+        err.data = failure || { error: 'Authentication failed' };
+        next(err);
+    }
 };
 
 // Require verified user
@@ -111,23 +143,7 @@ const optionalAuth = async (req, res, next) => {
         const token = authHeader && authHeader.split(' ')[1];
 
         if (token) {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            
-            const userResult = await query(
-                'SELECT id, username, email, display_name, verified, is_admin FROM users WHERE id = $1',
-                [decoded.userId]
-            );
-
-            if (userResult.rows.length > 0) {
-                req.user = {
-                    id: decoded.userId,
-                    username: userResult.rows[0].username,
-                    email: userResult.rows[0].email,
-                    displayName: userResult.rows[0].display_name,
-                    verified: userResult.rows[0].verified,
-                    isAdmin: userResult.rows[0].is_admin
-                };
-            }
+            req.user = await getSessionUser(token, { ip: req.ip });
         }
 
         next();
@@ -271,7 +287,7 @@ const requirePremium = async (req, res, next) => {
 
 module.exports = {
     authenticateToken,
-    requireAdmin,
+    authenticateSocket,
     requireVerified,
     optionalAuth,
     checkResourceOwnership,
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+/**
+ * Single-use tokens sent by email: verify_email, password_reset and
+ * magic_link. Only a SHA-256 of each token is stored, so a database leak
+ * doesn't hand out working links.
+ */
+class AuthToken {
+    static hash(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    /**
+     * Issue a token, retiring any earlier unused ones for the same purpose
+     * @returns {Promise<string>} - the token to put in the link
+     */
+    static async create(userId, purpose, ttlSeconds, requestedIp = null) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await AuthToken.invalidate(userId, purpose);
+        await query(`
+            INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at, requested_ip)
+            VALUES ($1, $2, $3, $4, $5)
+        `, [userId, purpose, AuthToken.hash(token), new Date(Date.now() + ttlSeconds * 1000), requestedIp]);
+
+        return token;
+    }
+
+    /**
+     * Redeem a token. Marking it used and reading it is one statement, so
+     * the same link can't be redeemed twice.
+     * @returns {Promise<string|null>} - the user ID, or null if the token is
+     *   unknown, expired or already used
+     */
+    static async consume(token, purpose) {
+        if (typeof token !== 'string' || !token) return null;
+
+        const result = await query(`
+            UPDATE auth_tokens
+            SET used_at = NOW()
+            WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING user_id
+        `, [AuthToken.hash(token), purpose]);
+        return result.rows[0] ? result.rows[0].user_id : null;
+    }
+
+    static async invalidate(userId, purpose) {
+        const result = await query(
+            'UPDATE auth_tokens SET used_at = NOW() WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+            [userId, purpose]
+        );
+        return result.rowCount;
+    }
+}
+
+module.exports = AuthToken;
@@ -0,0 +1,88 @@
+const { query } = require('../config/database');
+
+class Caption {
+    static async create({ videoId, language, label, kind = 'subtitles', isDefault = false, filePath, url, playlistUrl, createdBy }) {
+        const result = await query(`
+            INSERT INTO video_captions
+                (video_id, language, label, kind, is_default, file_path, url, playlist_url, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *
+        `, [videoId, language, label, kind, isDefault, filePath, url, playlistUrl, createdBy]);
+
+        if (isDefault) {
+            await Caption.clearDefault(videoId, result.rows[0].id);
+        }
+
+        return result.rows[0];
+    }
+
+    static async getByVideo(videoId) {
+        const result = await query(`
+            SELECT id, video_id, language, label, kind, is_default, url, playlist_url, created_at, updated_at
+            FROM video_captions
+            WHERE video_id = $1 AND url <> ''
+            ORDER BY is_default DESC, label ASC
+        `, [videoId]);
+        return result.rows;
+    }
+
+    static async getById(captionId, videoId) {
+        const result = await query(
+            'SELECT * FROM video_captions WHERE id = $1 AND video_id = $2',
+            [captionId, videoId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async update(captionId, videoId, updates) {
+        const allowedFields = ['label', 'kind', 'is_default', 'file_path', 'url', 'playlist_url'];
+        const setClause = [];
+        const values = [];
+        let paramCount = 1;
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowedFields.includes(key) && value !== undefined) {
+                setClause.push(`${key} = $${paramCount}`);
+                values.push(value);
+                paramCount++;
+            }
+        }
+
+        if (setClause.length === 0) {
+            return Caption.getById(captionId, videoId);
+        }
+
+        values.push(captionId, videoId);
+        const result = await query(`
+            UPDATE video_captions
+            SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${paramCount} AND video_id = $${paramCount + 1}
+            RETURNING *
+        `, values);
+
+        const caption = result.rows[0] || null;
+        if (caption && updates.is_default) {
+            await Caption.clearDefault(videoId, captionId);
+        }
+
+        return caption;
+    }
+
+    static async delete(captionId, videoId) {
+        const result = await query(
+            'DELETE FROM video_captions WHERE id = $1 AND video_id = $2 RETURNING *',
+            [captionId, videoId]
+        );
+        return result.rows[0] || null;
+    }
+
+    // Only one track per video is shown by default
+    static async clearDefault(videoId, exceptCaptionId) {
+        await query(
+            'UPDATE video_captions SET is_default = false WHERE video_id = $1 AND id != $2 AND is_default = true',
+            [videoId, exceptCaptionId]
+        );
+    }
+}
+
+module.exports = Caption;
@@ -0,0 +1,201 @@
+const { query } = require('../config/database');
+
+const MESSAGE_COLUMNS = `
+    m.id, m.live_stream_id, m.session_id, m.user_id, m.message, m.offset_ms,
+    m.created_at, u.username, u.display_name, u.avatar_url
+`;
+
+class LiveChat {
+    /**
+     * Store a message; offset_ms is its position on the broadcast timeline
+     * (time since the session started) so replays can line it up
+     */
+    static async createMessage({ streamId, sessionId, userId, message }) {
+        const result = await query(`
+            WITH inserted AS (
+                INSERT INTO live_chat_messages (live_stream_id, session_id, user_id, message, offset_ms)
+                SELECT $1, s.id, $3, $4,
+                       GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - s.started_at)) * 1000))
+                FROM live_stream_sessions s
+                WHERE s.id = $2
+                RETURNING *
+            )
+            SELECT ${MESSAGE_COLUMNS}
+            FROM inserted m
+            JOIN users u ON m.user_id = u.id
+        `, [streamId, sessionId, userId, message]);
+        return result.rows[0] || null;
+    }
+
+    static async getMessage(messageId) {
+        const result = await query(
+            'SELECT * FROM live_chat_messages WHERE id = $1',
+            [messageId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Most recent visible messages of a session, oldest first
+     */
+    static async getRecent(sessionId, limit = 50) {
+        const result = await query(`
+            SELECT * FROM (
+                SELECT ${MESSAGE_COLUMNS}
+                FROM live_chat_messages m
+                JOIN users u ON m.user_id = u.id
+                WHERE m.session_id = $1 AND m.deleted_at IS NULL
+                ORDER BY m.created_at DESC
+                LIMIT $2
+            ) recent
+            ORDER BY created_at ASC
+        `, [sessionId, limit]);
+        return result.rows;
+    }
+
+    /**
+     * Visible messages of a session between two timeline offsets
+     */
+    static async getRange(sessionId, { fromMs, toMs, limit = 500 }) {
+        const result = await query(`
+            SELECT ${MESSAGE_COLUMNS}
+            FROM live_chat_messages m
+            JOIN users u ON m.user_id = u.id
+            WHERE m.session_id = $1 AND m.deleted_at IS NULL
+              AND m.offset_ms >= $2 AND m.offset_ms < $3
+            ORDER BY m.offset_ms ASC, m.created_at ASC
+            LIMIT $4
+        `, [sessionId, fromMs, toMs, limit]);
+        return result.rows;
+    }
+
+    static async deleteMessage(messageId, deletedBy) {
+        const result = await query(`
+            UPDATE live_chat_messages
+            SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $2
+            WHERE id = $1 AND deleted_at IS NULL
+            RETURNING *
+        `, [messageId, deletedBy]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Hide a user's messages from a session's chat (used on timeout)
+     */
+    static async deleteUserMessages(sessionId, userId, deletedBy) {
+        const result = await query(`
+            UPDATE live_chat_messages
+            SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $3
+            WHERE session_id = $1 AND user_id = $2 AND deleted_at IS NULL
+            RETURNING id
+        `, [sessionId, userId, deletedBy]);
+        return result.rows.map(row => row.id);
+    }
+
+    static async getSettings(streamId) {
+        const result = await query(
+            'SELECT chat_slow_mode_seconds, chat_banned_words FROM live_streams WHERE id = $1',
+            [streamId]
+        );
+        const row = result.rows[0];
+        return row ? {
+            slowModeSeconds: row.chat_slow_mode_seconds || 0,
+            bannedWords: row.chat_banned_words || []
+        } : null;
+    }
+
+    static async updateSettings(streamId, { slowModeSeconds, bannedWords }) {
+        await query(`
+            UPDATE live_streams
+            SET chat_slow_mode_seconds = COALESCE($2, chat_slow_mode_seconds),
+                chat_banned_words = COALESCE($3, chat_banned_words),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [streamId, slowModeSeconds === undefined ? null : slowModeSeconds, bannedWords || null]);
+        return LiveChat.getSettings(streamId);
+    }
+
+    static async getModerators(streamId) {
+        const result = await query(`
+            SELECT u.id, u.username, u.display_name, u.avatar_url, m.created_at
+            FROM live_chat_moderators m
+            JOIN users u ON m.user_id = u.id
+            WHERE m.live_stream_id = $1
+            ORDER BY m.created_at ASC
+        `, [streamId]);
+        return result.rows;
+    }
+
+    static async isModerator(streamId, userId) {
+        const result = await query(
+            'SELECT 1 FROM live_chat_moderators WHERE live_stream_id = $1 AND user_id = $2',
+            [streamId, userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    static async addModerator(streamId, userId, addedBy) {
+        await query(`
+            INSERT INTO live_chat_moderators (live_stream_id, user_id, added_by)
+            VALUES ($1, $2, $3)
+            ON CONFLICT (live_stream_id, user_id) DO NOTHING
+        `, [streamId, userId, addedBy]);
+    }
+
+    static async removeModerator(streamId, userId) {
+        const result = await query(
+            'DELETE FROM live_chat_moderators WHERE live_stream_id = $1 AND user_id = $2 RETURNING user_id',
+            [streamId, userId]
+        );
+        return result.rows.length > 0;
+    }
+
+    static async addTimeout({ streamId, userId, createdBy, durationSeconds, reason }) {
+        const result = await query(`
+            INSERT INTO live_chat_timeouts (live_stream_id, user_id, created_by, reason, expires_at)
+            VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(secs => $5))
+            RETURNING *
+        `, [streamId, userId, createdBy, reason || null, durationSeconds]);
+        return result.rows[0];
+    }
+
+    /**
+     * The user's longest-running active timeout on the stream, if any
+     */
+    static async getActiveTimeout(streamId, userId) {
+        const result = await query(`
+            SELECT * FROM live_chat_timeouts
+            WHERE live_stream_id = $1 AND user_id = $2
+              AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            ORDER BY expires_at DESC
+            LIMIT 1
+        `, [streamId, userId]);
+        return result.rows[0] || null;
+    }
+
+    static async getActiveTimeouts(streamId) {
+        const result = await query(`
+            SELECT t.id, t.user_id, t.reason, t.expires_at, t.created_at, t.created_by,
+                   u.username, u.display_name
+            FROM live_chat_timeouts t
+            JOIN users u ON t.user_id = u.id
+            WHERE t.live_stream_id = $1
+              AND t.revoked_at IS NULL AND t.expires_at > CURRENT_TIMESTAMP
+            ORDER BY t.expires_at DESC
+        `, [streamId]);
+        return result.rows;
+    }
+
+    static async revokeTimeouts(streamId, userId) {
+        const result = await query(`
+            UPDATE live_chat_timeouts
+            SET revoked_at = CURRENT_TIMESTAMP
+            WHERE live_stream_id = $1 AND user_id = $2
+              AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+            RETURNING id
+        `, [streamId, userId]);
+        return result.rows.length > 0;
+    }
+}
+
+module.exports = LiveChat;
@@ -0,0 +1,259 @@
+const { query, transaction } = require('../config/database');
+
+// Columns safe to return to anyone; the stream key hash never leaves the model
+const PUBLIC_COLUMNS = `
+    ls.id, ls.channel_id, ls.title, ls.description, ls.stream_name, ls.status, ls.is_private,
+    ls.current_session_id, ls.last_live_at, ls.created_at, ls.updated_at
+`;
+
+class LiveStream {
+    static async create({ channelId, title, description, streamName, streamKeyHash }) {
+        const result = await query(`
+            INSERT INTO live_streams (channel_id, title, description, stream_name, stream_key_hash)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `, [channelId, title, description, streamName, streamKeyHash]);
+
+        return LiveStream.getById(result.rows[0].id);
+    }
+
+    static async getById(streamId) {
+        const result = await query(`
+            SELECT ${PUBLIC_COLUMNS},
+                   c.name as channel_name, c.avatar_url as channel_avatar, c.user_id
+            FROM live_streams ls
+            JOIN channels c ON ls.channel_id = c.id
+            WHERE ls.id = $1
+        `, [streamId]);
+        return result.rows[0] || null;
+    }
+
+    static async getByChannel(channelId) {
+        const result = await query(`
+            SELECT ${PUBLIC_COLUMNS},
+                   c.name as channel_name, c.avatar_url as channel_avatar, c.user_id
+            FROM live_streams ls
+            JOIN channels c ON ls.channel_id = c.id
+            WHERE ls.channel_id = $1
+        `, [channelId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Lookup used by the SRS hooks; includes the key hash for verification
+     */
+    static async getByStreamName(streamName) {
+        const result = await query(
+            'SELECT * FROM live_streams WHERE stream_name = $1',
+            [streamName]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async getLive({ limit = 20, offset = 0 } = {}) {
+        const result = await query(`
+            SELECT ${PUBLIC_COLUMNS},
+                   c.name as channel_name, c.avatar_url as channel_avatar,
+                   s.started_at
+            FROM live_streams ls
+            JOIN channels c ON ls.channel_id = c.id
+            LEFT JOIN live_stream_sessions s ON s.id = ls.current_session_id
+            WHERE ls.status = 'live' AND ls.is_private = false
+            ORDER BY s.started_at DESC NULLS LAST
+            LIMIT $1 OFFSET $2
+        `, [limit, offset]);
+        return result.rows;
+    }
+
+    static async update(streamId, updates) {
+        const allowedFields = ['title', 'description', 'is_private'];
+        const setClause = [];
+        const values = [];
+        let paramCount = 1;
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowedFields.includes(key) && value !== undefined) {
+                setClause.push(`${key} = $${paramCount}`);
+                values.push(value);
+                paramCount++;
+            }
+        }
+
+        if (setClause.length > 0) {
+            values.push(streamId);
+            await query(`
+                UPDATE live_streams
+                SET ${setClause.join(', ')}, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $${paramCount}
+            `, values);
+        }
+
+        return LiveStream.getById(streamId);
+    }
+
+    static async setStreamKey(streamId, streamKeyHash) {
+        await query(
+            'UPDATE live_streams SET stream_key_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [streamKeyHash, streamId]
+        );
+    }
+
+    /**
+     * Mark the stream live and open a session for this publish
+     */
+    static async startSession(streamId, { clientId, ip }) {
+        return transaction(async (client) => {
+            // A previous publish that never sent on_unpublish (SRS restart,
+            // dropped hook) is closed here so sessions don't overlap
+            await client.query(`
+                UPDATE live_stream_sessions
+                SET ended_at = CURRENT_TIMESTAMP, end_reason = 'superseded'
+                WHERE live_stream_id = $1 AND ended_at IS NULL
+            `, [streamId]);
+
+            const session = await client.query(`
+                INSERT INTO live_stream_sessions (live_stream_id, title, srs_client_id, publisher_ip)
+                SELECT id, title, $2, $3 FROM live_streams WHERE id = $1
+                RETURNING *
+            `, [streamId, clientId, ip]);
+
+            await client.query(`
+                UPDATE live_streams
+                SET status = 'live', current_session_id = $2, last_live_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [streamId, session.rows[0].id]);
+
+            return session.rows[0];
+        });
+    }
+
+    /**
+     * Mark the stream offline and close its current session. Only the SRS
+     * client that opened the session can close it, so a late on_unpublish from
+     * an earlier connection doesn't end a newer broadcast.
+     */
+    static async endSession(streamId, { clientId, reason = 'unpublished' }) {
+        return transaction(async (client) => {
+            const session = await client.query(`
+                UPDATE live_stream_sessions
+                SET ended_at = CURRENT_TIMESTAMP, end_reason = $3
+                WHERE live_stream_id = $1 AND srs_client_id = $2 AND ended_at IS NULL
+                RETURNING *
+            `, [streamId, clientId, reason]);
+
+            if (session.rows.length === 0) {
+                return null;
+            }
+
+            await client.query(`
+                UPDATE live_streams
+                SET status = 'offline', current_session_id = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1 AND current_session_id = $2
+            `, [streamId, session.rows[0].id]);
+
+            return session.rows[0];
+        });
+    }
+
+    static async getSession(sessionId) {
+        const result = await query(
+            'SELECT * FROM live_stream_sessions WHERE id = $1',
+            [sessionId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async getSessionByClient(streamId, clientId) {
+        const result = await query(`
+            SELECT * FROM live_stream_sessions
+            WHERE live_stream_id = $1 AND srs_client_id = $2
+            ORDER BY started_at DESC
+            LIMIT 1
+        `, [streamId, clientId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Broadcast a published replay film was made from
+     */
+    static async getSessionByReplayVideo(videoId) {
+        const result = await query(
+            'SELECT * FROM live_stream_sessions WHERE replay_video_id = $1',
+            [videoId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async getSessions(streamId, { limit = 20, offset = 0 } = {}) {
+        const result = await query(`
+            SELECT s.*,
+                   (SELECT COUNT(*) FROM live_dvr_segments d WHERE d.session_id = s.id) as dvr_segment_count
+            FROM live_stream_sessions s
+            WHERE s.live_stream_id = $1
+            ORDER BY s.started_at DESC
+            LIMIT $2 OFFSET $3
+        `, [streamId, limit, offset]);
+        return result.rows;
+    }
+
+    static async updateReplay(sessionId, updates) {
+        const allowedFields = [
+            'replay_status', 'replay_file_path', 'replay_duration', 'replay_video_id', 'replay_error',
+            'replay_trim_start', 'replay_trim_end'
+        ];
+        const setClause = [];
+        const values = [];
+        let paramCount = 1;
+
+        for (const [key, value] of Object.entries(updates)) {
+            if (allowedFields.includes(key) && value !== undefined) {
+                setClause.push(`${key} = $${paramCount}`);
+                values.push(value);
+                paramCount++;
+            }
+        }
+
+        if (setClause.length === 0) return;
+
+        values.push(sessionId);
+        await query(`
+            UPDATE live_stream_sessions
+            SET ${setClause.join(', ')}
+            WHERE id = $${paramCount}
+        `, values);
+    }
+
+    /**
+     * Move a replay from one status to another if it is still in the first;
+     * returns false if another caller got there first
+     */
+    static async claimReplay(sessionId, fromStatus, toStatus) {
+        const result = await query(`
+            UPDATE live_stream_sessions
+            SET replay_status = $3
+            WHERE id = $1 AND replay_status = $2
+            RETURNING id
+        `, [sessionId, fromStatus, toStatus]);
+        return result.rows.length > 0;
+    }
+
+    static async addDvrSegment({ sessionId, streamId, filePath }) {
+        const result = await query(`
+            INSERT INTO live_dvr_segments (session_id, live_stream_id, file_path)
+            VALUES ($1, $2, $3)
+            RETURNING *
+        `, [sessionId, streamId, filePath]);
+        return result.rows[0];
+    }
+
+    static async getDvrSegments(sessionId) {
+        const result = await query(
+            'SELECT * FROM live_dvr_segments WHERE session_id = $1 ORDER BY recorded_at ASC, id ASC',
+            [sessionId]
+        );
+        return result.rows;
+    }
+}
+
+module.exports = LiveStream;
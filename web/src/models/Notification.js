@@ -1,4 +1,4 @@
-const { pool } = require('../config/database');
+const pool = require('../config/database');
 
 class Notification {
     /**
@@ -119,6 +119,7 @@ class Notification {
         NEW_LIKE: 'new_like',
         NEW_SUBSCRIBER: 'new_subscriber',
         VIDEO_PROCESSED: 'video_processed',
+        MODERATION: 'moderation',
         SYSTEM: 'system'
     };
 }
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const { query, transaction } = require('../config/database');
+
+const CODE_COUNT = 10;
+
+/**
+ * One-time recovery codes for two-factor authentication, for when the
+ * authenticator app is lost. Stored as SHA-256 hashes like AuthToken.
+ */
+class RecoveryCode {
+    static hash(code) {
+        return crypto.createHash('sha256').update(RecoveryCode.normalize(code)).digest('hex');
+    }
+
+    // Codes are shown as xxxxx-xxxxx; accept them with or without the dash and in any case
+    static normalize(code) {
+        return String(code).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    /**
+     * Replace a user's recovery codes with a new set
+     * @returns {Promise<string[]>} - the codes to show the user, once
+     */
+    static async regenerate(userId) {
+        const codes = Array.from({ length: CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        await transaction(async (client) => {
+            await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+            for (const code of codes) {
+                await client.query(
+                    'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+                    [userId, RecoveryCode.hash(code)]
+                );
+            }
+        });
+
+        return codes;
+    }
+
+    /**
+     * Use up a recovery code
+     * @returns {Promise<boolean>} - false if it's wrong or was already used
+     */
+    static async consume(userId, code) {
+        const result = await query(`
+            UPDATE two_factor_recovery_codes
+            SET used_at = NOW()
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+            RETURNING id
+        `, [userId, RecoveryCode.hash(code)]);
+        return result.rows.length > 0;
+    }
+
+    static async countRemaining(userId) {
+        const result = await query(
+            'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+            [userId]
+        );
+        return parseInt(result.rows[0].count);
+    }
+
+    static async deleteAll(userId) {
+        await query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    }
+}
+
+module.exports = RecoveryCode;
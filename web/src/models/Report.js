@@ -0,0 +1,200 @@
+const { query, transaction } = require('../config/database');
+
+// Report reasons and how serious each is (1-5); the most serious reason
+// reported sets the base priority of a case
+const REASONS = {
+    child_safety: { label: 'Child safety', severity: 5 },
+    violence: { label: 'Violent or graphic content', severity: 4 },
+    hate_speech: { label: 'Hate speech', severity: 4 },
+    sexual_content: { label: 'Sexual content', severity: 4 },
+    harassment: { label: 'Harassment or bullying', severity: 3 },
+    copyright: { label: 'Copyright infringement', severity: 3 },
+    privacy: { label: 'Privacy violation', severity: 3 },
+    impersonation: { label: 'Impersonation', severity: 2 },
+    misinformation: { label: 'Misinformation', severity: 2 },
+    spam: { label: 'Spam or misleading', severity: 1 },
+    other: { label: 'Other', severity: 1 }
+};
+
+const CONTENT_TYPES = ['video', 'comment', 'channel', 'user'];
+
+// Table and owner column for each kind of reportable content
+const CONTENT_SOURCES = {
+    video: 'SELECT c.user_id AS owner_id FROM videos v JOIN channels c ON v.channel_id = c.id WHERE v.id = $1',
+    comment: 'SELECT user_id AS owner_id FROM comments WHERE id = $1',
+    channel: 'SELECT user_id AS owner_id FROM channels WHERE id = $1',
+    user: 'SELECT id AS owner_id FROM users WHERE id = $1'
+};
+
+/**
+ * Viewer reports against videos, comments, channels and users. Reports on
+ * the same content collapse into one open case in content_moderation (one
+ * report per reporter in content_reports), whose priority grows with the
+ * severity of the reasons, the number of reporters and how often each
+ * reporter's past reports were upheld.
+ */
+class Report {
+    /**
+     * Owner of the reported content, or null if it doesn't exist
+     */
+    static async findContentOwner(contentType, contentId) {
+        const result = await query(CONTENT_SOURCES[contentType], [contentId]);
+        return result.rows[0] ? result.rows[0].owner_id : null;
+    }
+
+    /**
+     * How much a reporter's reports count (0.25-2): 1 with no history, more
+     * as their reports are upheld, less as they're dismissed
+     */
+    static async getReporterWeight(client, reporterId) {
+        const result = await client.query(`
+            SELECT
+                COUNT(*) FILTER (WHERE cm.status = 'resolved') AS upheld,
+                COUNT(*) FILTER (WHERE cm.status = 'dismissed') AS dismissed
+            FROM content_reports r
+            JOIN content_moderation cm ON r.moderation_id = cm.id
+            WHERE r.reporter_id = $1
+        `, [reporterId]);
+
+        const upheld = parseInt(result.rows[0].upheld);
+        const dismissed = parseInt(result.rows[0].dismissed);
+        const weight = 2 * (upheld + 1) / (upheld + dismissed + 2);
+        return Math.min(2, Math.max(0.25, Math.round(weight * 100) / 100));
+    }
+
+    /**
+     * Priority 0-100: 15 points per severity level of the worst reason, plus
+     * 5 points per reporter scaled by their weight, capped at 25
+     */
+    static calculatePriority(severity, totalWeight) {
+        return Math.min(100, severity * 15 + Math.min(25, Math.round(totalWeight * 5)));
+    }
+
+    /**
+     * File a report, adding it to the content's open case or opening one
+     * @returns {Promise<Object>} - { caseId, duplicate, reportCount, priority }
+     *   where duplicate means this reporter already reported it
+     */
+    static async file({ reporterId, contentType, contentId, reason, description = null }) {
+        return transaction(async (client) => {
+            const weight = await Report.getReporterWeight(client, reporterId);
+
+            // One open case per piece of content (partial unique index on pending cases)
+            const caseResult = await client.query(`
+                INSERT INTO content_moderation (content_type, content_id, reporter_id, reason, description)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (content_type, content_id) WHERE status = 'pending'
+                DO UPDATE SET updated_at = NOW()
+                RETURNING id
+            `, [contentType, contentId, reporterId, reason, description]);
+            const caseId = caseResult.rows[0].id;
+
+            const reportResult = await client.query(`
+                INSERT INTO content_reports (moderation_id, reporter_id, reason, description, reporter_weight)
+                VALUES ($1, $2, $3, $4, $5)
+                ON CONFLICT (moderation_id, reporter_id) DO NOTHING
+                RETURNING id
+            `, [caseId, reporterId, reason, description, weight]);
+            const duplicate = reportResult.rows.length === 0;
+
+            const totals = await client.query(`
+                SELECT COUNT(*) AS report_count,
+                       COALESCE(SUM(reporter_weight), 0) AS total_weight,
+                       array_agg(DISTINCT reason) AS reasons
+                FROM content_reports
+                WHERE moderation_id = $1
+            `, [caseId]);
+
+            const { report_count, total_weight, reasons } = totals.rows[0];
+            const worst = reasons.reduce((top, r) =>
+                (REASONS[r] || REASONS.other).severity > (REASONS[top] || REASONS.other).severity ? r : top);
+            const priority = Report.calculatePriority(REASONS[worst].severity, parseFloat(total_weight));
+
+            await client.query(`
+                UPDATE content_moderation
+                SET report_count = $2, priority = $3, reason = $4
+                WHERE id = $1
+            `, [caseId, parseInt(report_count), priority, worst]);
+
+            // Videos also count distinct reporters in flag_count for the moderation queue
+            if (contentType === 'video' && !duplicate) {
+                await client.query('UPDATE videos SET flag_count = flag_count + 1 WHERE id = $1', [contentId]);
+            }
+
+            return { caseId, duplicate, reportCount: parseInt(report_count), priority };
+        });
+    }
+
+    /**
+     * Cases for the admin queue, highest priority first, with a short
+     * description of the content and the reasons given
+     */
+    static async list({ status = 'pending', contentType = null, limit = 50, offset = 0 } = {}) {
+        const result = await query(`
+            SELECT cm.*,
+                   u_reporter.username AS reporter_username,
+                   u_moderator.username AS moderator_username,
+                   CASE cm.content_type
+                       WHEN 'video' THEN (SELECT title FROM videos WHERE id = cm.content_id)
+                       WHEN 'comment' THEN (SELECT LEFT(content, 200) FROM comments WHERE id = cm.content_id)
+                       WHEN 'channel' THEN (SELECT name FROM channels WHERE id = cm.content_id)
+                       WHEN 'user' THEN (SELECT username FROM users WHERE id = cm.content_id)
+                   END AS content_preview,
+                   (SELECT json_object_agg(reason, count)
+                    FROM (SELECT reason, COUNT(*) AS count
+                          FROM content_reports
+                          WHERE moderation_id = cm.id
+                          GROUP BY reason) reasons) AS reasons
+            FROM content_moderation cm
+            LEFT JOIN users u_reporter ON cm.reporter_id = u_reporter.id
+            LEFT JOIN users u_moderator ON cm.moderator_id = u_moderator.id
+            WHERE cm.status = $1 AND ($2::VARCHAR IS NULL OR cm.content_type = $2)
+            ORDER BY cm.priority DESC, cm.created_at ASC
+            LIMIT $3 OFFSET $4
+        `, [status, contentType, limit, offset]);
+        return result.rows;
+    }
+
+    static async findById(caseId) {
+        const result = await query('SELECT * FROM content_moderation WHERE id = $1', [caseId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Individual reports in a case
+     */
+    static async getReports(caseId) {
+        const result = await query(`
+            SELECT r.id, r.reason, r.description, r.reporter_weight, r.created_at,
+                   u.username AS reporter_username
+            FROM content_reports r
+            LEFT JOIN users u ON r.reporter_id = u.id
+            WHERE r.moderation_id = $1
+            ORDER BY r.created_at ASC
+        `, [caseId]);
+        return result.rows;
+    }
+
+    /**
+     * Close a pending case as resolved (report upheld) or dismissed
+     * @returns {Promise<Object|null>} - the case, or null if it isn't pending
+     */
+    static async close(caseId, { status, moderatorId, action = null, notes = null }) {
+        const result = await query(`
+            UPDATE content_moderation
+            SET status = $2,
+                moderator_id = $3,
+                action_taken = $4,
+                moderator_notes = $5,
+                resolved_at = NOW()
+            WHERE id = $1 AND status = 'pending'
+            RETURNING *
+        `, [caseId, status, moderatorId, action, notes]);
+        return result.rows[0] || null;
+    }
+}
+
+Report.REASONS = REASONS;
+Report.CONTENT_TYPES = CONTENT_TYPES;
+
+module.exports = Report;
@@ -0,0 +1,39 @@
+const { query } = require('../config/database');
+
+/**
+ * Admin-configured scan rules. A row whose key matches a built-in rule
+ * (DEFAULT_RULES in scanningService) overrides it; other rows are custom rules.
+ */
+class ScanRule {
+    static async list() {
+        const result = await query('SELECT * FROM moderation_scan_rules ORDER BY created_at ASC');
+        return result.rows;
+    }
+
+    static async upsert(key, { name, kind, signal = null, operator = null, value = null, keywords = null, score, enabled }, adminId) {
+        const result = await query(`
+            INSERT INTO moderation_scan_rules (key, name, kind, signal, operator, value, keywords, score, enabled, updated_by)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT (key) DO UPDATE SET
+                name = EXCLUDED.name,
+                kind = EXCLUDED.kind,
+                signal = EXCLUDED.signal,
+                operator = EXCLUDED.operator,
+                value = EXCLUDED.value,
+                keywords = EXCLUDED.keywords,
+                score = EXCLUDED.score,
+                enabled = EXCLUDED.enabled,
+                updated_by = EXCLUDED.updated_by,
+                updated_at = NOW()
+            RETURNING *
+        `, [key, name, kind, signal, operator, value, keywords, score, enabled, adminId]);
+        return result.rows[0];
+    }
+
+    static async delete(key) {
+        const result = await query('DELETE FROM moderation_scan_rules WHERE key = $1 RETURNING *', [key]);
+        return result.rows[0] || null;
+    }
+}
+
+module.exports = ScanRule;
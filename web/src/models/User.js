@@ -1,9 +1,12 @@
 const { query, transaction } = require('../config/database');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
+const UserRole = require('./UserRole');
 
 class User {
-    static async create({ username, email, password, displayName = null }) {
+    // passwordSet is false for accounts created through a sign-in provider,
+    // whose password is random and unknown to the user
+    static async create({ username, email, password, displayName = null, passwordSet = true }) {
         return transaction(async (client) => {
             // Check if user already exists
             const existingUser = await client.query(
@@ -21,10 +24,10 @@ class User {
 
             // Create user
             const result = await client.query(`
-                INSERT INTO users (username, email, password_hash, display_name)
-                VALUES ($1, $2, $3, $4)
+                INSERT INTO users (username, email, password_hash, display_name, password_set)
+                VALUES ($1, $2, $3, $4, $5)
                 RETURNING id, username, email, display_name, verified, created_at
-            `, [username, email, passwordHash, displayName || username]);
+            `, [username, email, passwordHash, displayName || username, passwordSet]);
 
             // Create default channel for user
             await client.query(`
@@ -39,7 +42,7 @@ class User {
     static async findByEmail(email) {
         const result = await query(
             `SELECT id, username, email, password_hash, display_name, bio, avatar_url,
-                    role, verified, subscriber_count, total_views, created_at, updated_at
+                    role, verified, two_factor_enabled, subscriber_count, total_views, created_at, updated_at
              FROM users WHERE email = $1`,
             [email]
         );
@@ -58,7 +61,7 @@ class User {
 
     static async findById(id) {
         const result = await query(`
-            SELECT u.*, c.id as channel_id, c.name as channel_name
+            SELECT u.*, c.id as channel_id, c.name as channel_name, ${UserRole.STAFF_ROLES}
             FROM users u
             LEFT JOIN channels c ON u.id = c.user_id AND c.is_active = true
             WHERE u.id = $1
@@ -138,6 +141,51 @@ class User {
         });
     }
 
+    // Set a new password without the current one (password reset)
+    static async setPassword(userId, newPassword) {
+        const saltRounds = 12;
+        const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+
+        const result = await query(
+            'UPDATE users SET password_hash = $1, password_set = true, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [newPasswordHash, userId]
+        );
+        return result.rowCount > 0;
+    }
+
+    static async markVerified(userId) {
+        await query(
+            'UPDATE users SET verified = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 AND verified IS NOT TRUE',
+            [userId]
+        );
+    }
+
+    static async getTwoFactor(userId) {
+        const result = await query(
+            'SELECT two_factor_enabled, two_factor_secret, two_factor_enabled_at FROM users WHERE id = $1',
+            [userId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async enableTwoFactor(userId, secret) {
+        await query(`
+            UPDATE users
+            SET two_factor_enabled = true, two_factor_secret = $1, two_factor_enabled_at = CURRENT_TIMESTAMP,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $2
+        `, [secret, userId]);
+    }
+
+    static async disableTwoFactor(userId) {
+        await query(`
+            UPDATE users
+            SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_enabled_at = NULL,
+                updated_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [userId]);
+    }
+
     static async deleteAccount(userId) {
         return transaction(async (client) => {
             // Soft delete - mark user as inactive and anonymize data
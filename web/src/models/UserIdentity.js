@@ -0,0 +1,53 @@
+const { query } = require('../config/database');
+
+/**
+ * Accounts at external identity providers (Google, GitHub, any OIDC issuer)
+ * linked to a user. A user can link several; each provider account belongs
+ * to one user.
+ */
+class UserIdentity {
+    static async findByProviderSubject(provider, subject) {
+        const result = await query(
+            'SELECT * FROM user_identities WHERE provider = $1 AND subject = $2',
+            [provider, subject]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async findByUser(userId) {
+        const result = await query(`
+            SELECT id, provider, email, created_at, last_used_at
+            FROM user_identities
+            WHERE user_id = $1
+            ORDER BY created_at ASC
+        `, [userId]);
+        return result.rows;
+    }
+
+    static async link(userId, provider, subject, email = null) {
+        const result = await query(`
+            INSERT INTO user_identities (user_id, provider, subject, email, last_used_at)
+            VALUES ($1, $2, $3, $4, NOW())
+            RETURNING id, provider, email, created_at, last_used_at
+        `, [userId, provider, subject, email]);
+        return result.rows[0];
+    }
+
+    static async markUsed(identityId, email = null) {
+        await query(
+            'UPDATE user_identities SET last_used_at = NOW(), email = COALESCE($2, email) WHERE id = $1',
+            [identityId, email]
+        );
+    }
+
+    // Returns false if the identity doesn't belong to the user
+    static async unlink(userId, identityId) {
+        const result = await query(
+            'DELETE FROM user_identities WHERE id = $1 AND user_id = $2',
+            [identityId, userId]
+        );
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = UserIdentity;
@@ -0,0 +1,86 @@
+const { query, transaction } = require('../config/database');
+
+// A user's assigned roles, as selected alongside users u
+const STAFF_ROLES = 'ARRAY(SELECT ur.role FROM user_roles ur WHERE ur.user_id = u.id ORDER BY ur.role) AS staff_roles';
+
+// Condition for users u holding the staff role in the given query parameter,
+// counting account roles from before user_roles as permissionService.getRoles does
+const holdsRole = (param) => `(
+    EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role = ${param})
+    OR (${param}::text = 'super_admin' AND (u.role = 'admin' OR u.is_admin = true))
+    OR (${param}::text = 'moderator' AND u.role = 'moderator')
+)`;
+
+/**
+ * Staff roles assigned to users (see permissionService for what they allow)
+ */
+class UserRole {
+    /**
+     * What permission checks need to know about an account
+     */
+    static async getAccount(userId) {
+        const result = await query(`
+            SELECT u.id, u.username, u.email, u.role, u.is_admin, u.is_banned, ${STAFF_ROLES}
+            FROM users u
+            WHERE u.id = $1
+        `, [userId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Accounts with an assigned role, or an admin or moderator account role
+     */
+    static async listStaff() {
+        const result = await query(`
+            SELECT u.id, u.username, u.email, u.role, u.is_admin, u.is_banned, ${STAFF_ROLES}
+            FROM users u
+            WHERE u.role IN ('admin', 'moderator')
+               OR u.is_admin = true
+               OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id)
+            ORDER BY u.username ASC
+        `);
+        return result.rows;
+    }
+
+    /**
+     * Super admins who aren't banned, by assignment or account role
+     */
+    static async countSuperAdmins() {
+        const result = await query(`
+            SELECT COUNT(*) FROM users u
+            WHERE u.is_banned = false
+              AND (u.role = 'admin' OR u.is_admin = true
+                   OR EXISTS (SELECT 1 FROM user_roles ur WHERE ur.user_id = u.id AND ur.role = 'super_admin'))
+        `);
+        return parseInt(result.rows[0].count);
+    }
+
+    /**
+     * Make roles the user's only roles. An admin or moderator account role
+     * goes at the same time, so the assigned roles are all that counts.
+     */
+    static async replace(userId, roles, grantedBy) {
+        return transaction(async (client) => {
+            await client.query(
+                'DELETE FROM user_roles WHERE user_id = $1 AND NOT (role = ANY($2::text[]))',
+                [userId, roles]
+            );
+            await client.query(`
+                INSERT INTO user_roles (user_id, role, granted_by)
+                SELECT $1, unnest($2::text[]), $3
+                ON CONFLICT (user_id, role) DO NOTHING
+            `, [userId, roles, grantedBy]);
+            await client.query(`
+                UPDATE users SET
+                    role = CASE WHEN role IN ('admin', 'moderator') THEN 'user' ELSE role END,
+                    is_admin = false
+                WHERE id = $1
+            `, [userId]);
+        });
+    }
+}
+
+UserRole.STAFF_ROLES = STAFF_ROLES;
+UserRole.holdsRole = holdsRole;
+
+module.exports = UserRole;
@@ -24,6 +24,7 @@ class Video {
                 v.*,
                 c.name as channel_name,
                 c.avatar_url as channel_avatar,
+                c.user_id as owner_id,
                 u.username as uploader,
                 cat.name as category_name,
                 (SELECT COUNT(*) FROM comments WHERE video_id = v.id) as comment_count,
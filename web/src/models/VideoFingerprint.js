@@ -0,0 +1,117 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * Perceptual fingerprints of uploaded sources and the duplicates found
+ * with them. A fingerprint row is one sample of a video: a frame hash
+ * (kind 'frame') or an audio sub-fingerprint (kind 'audio') at a position
+ * in seconds. band0-band3 are 16-bit slices of the hash, indexed so that
+ * near matches can be found without comparing every row.
+ */
+class VideoFingerprint {
+    /**
+     * Replace a video's fingerprints and record its source checksum
+     * @param {Array} samples - [{ kind, position, hash, bands }], hash as a
+     *   decimal string (BIGINT), bands as four integers or nulls
+     */
+    static async replace(videoId, checksum, samples) {
+        return transaction(async (client) => {
+            await client.query('UPDATE videos SET source_checksum = $2 WHERE id = $1', [videoId, checksum]);
+            await client.query('DELETE FROM video_fingerprints WHERE video_id = $1', [videoId]);
+            if (samples.length === 0) return;
+
+            await client.query(`
+                INSERT INTO video_fingerprints (video_id, kind, position, hash, band0, band1, band2, band3)
+                SELECT $1::uuid, * FROM unnest($2::text[], $3::real[], $4::bigint[], $5::int[], $6::int[], $7::int[], $8::int[])
+            `, [
+                videoId,
+                samples.map(sample => sample.kind),
+                samples.map(sample => sample.position),
+                samples.map(sample => sample.hash),
+                ...[0, 1, 2, 3].map(band => samples.map(sample => sample.bands[band]))
+            ]);
+        });
+    }
+
+    /**
+     * Other videos uploaded from a byte-identical source
+     */
+    static async findByChecksum(checksum, excludeVideoId) {
+        const result = await query(
+            'SELECT id FROM videos WHERE source_checksum = $1 AND id <> $2',
+            [checksum, excludeVideoId]
+        );
+        return result.rows;
+    }
+
+    /**
+     * Samples of other videos within maxDistance bits of the given ones.
+     * Candidates share at least one band with the sample they match.
+     * @returns {Promise<Array>} - [{ position, video_id, matched_position }]
+     */
+    static async lookup(kind, samples, excludeVideoId, maxDistance) {
+        if (samples.length === 0) return [];
+
+        const result = await query(`
+            SELECT q.position, f.video_id, f.position AS matched_position
+            FROM unnest($2::real[], $3::bigint[], $4::int[], $5::int[], $6::int[], $7::int[])
+                AS q(position, hash, band0, band1, band2, band3)
+            JOIN video_fingerprints f ON f.kind = $1
+                AND (f.band0 = q.band0 OR f.band1 = q.band1 OR f.band2 = q.band2 OR f.band3 = q.band3)
+            WHERE f.video_id <> $8
+              AND bit_count((f.hash # q.hash)::bit(64)) <= $9
+            LIMIT 20000
+        `, [
+            kind,
+            samples.map(sample => sample.position),
+            samples.map(sample => sample.hash),
+            ...[0, 1, 2, 3].map(band => samples.map(sample => sample.bands[band])),
+            excludeVideoId,
+            maxDistance
+        ]);
+        return result.rows;
+    }
+
+    /**
+     * Replace the duplicates recorded for a video
+     * @param {Array} matches - [{ videoId, matchType, similarity, frameSimilarity, audioSimilarity, segments }]
+     */
+    static async saveMatches(videoId, matches) {
+        return transaction(async (client) => {
+            await client.query('DELETE FROM video_fingerprint_matches WHERE video_id = $1', [videoId]);
+            for (const match of matches) {
+                await client.query(`
+                    INSERT INTO video_fingerprint_matches
+                        (video_id, matched_video_id, match_type, similarity, frame_similarity, audio_similarity, segments)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                `, [videoId, match.videoId, match.matchType, match.similarity,
+                    match.frameSimilarity, match.audioSimilarity, JSON.stringify(match.segments)]);
+            }
+        });
+    }
+
+    /**
+     * Duplicates of a video, closest first, with what moderators need to
+     * judge them: the matched video's status and whether its owner is banned
+     * or the same as this video's
+     */
+    static async getMatches(videoId) {
+        const result = await query(`
+            SELECT m.matched_video_id, m.match_type, m.similarity, m.frame_similarity,
+                   m.audio_similarity, m.segments, m.created_at,
+                   mv.title AS matched_title, mv.moderation_status AS matched_moderation_status,
+                   mu.username AS matched_owner_username, mu.is_banned AS matched_owner_banned,
+                   (mc.user_id = vc.user_id) AS same_owner
+            FROM video_fingerprint_matches m
+            JOIN videos v ON m.video_id = v.id
+            JOIN channels vc ON v.channel_id = vc.id
+            JOIN videos mv ON m.matched_video_id = mv.id
+            JOIN channels mc ON mv.channel_id = mc.id
+            JOIN users mu ON mc.user_id = mu.id
+            WHERE m.video_id = $1
+            ORDER BY m.similarity DESC
+        `, [videoId]);
+        return result.rows;
+    }
+}
+
+module.exports = VideoFingerprint;
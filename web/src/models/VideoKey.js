@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+const { query } = require('../config/database');
+
+/**
+ * AES-128 content keys for encrypted HLS output. Keys never leave the server
+ * except through GET /api/keys/:videoId/:keyId.
+ */
+class VideoKey {
+    static async create(videoId) {
+        const result = await query(`
+            INSERT INTO video_encryption_keys (video_id, key_data)
+            VALUES ($1, $2)
+            RETURNING *
+        `, [videoId, crypto.randomBytes(16)]);
+        return result.rows[0];
+    }
+
+    static async getById(keyId, videoId) {
+        const result = await query(
+            'SELECT * FROM video_encryption_keys WHERE id = $1 AND video_id = $2',
+            [keyId, videoId]
+        );
+        return result.rows[0] || null;
+    }
+
+    static async deleteByVideo(videoId) {
+        const result = await query(
+            'DELETE FROM video_encryption_keys WHERE video_id = $1',
+            [videoId]
+        );
+        return result.rowCount;
+    }
+}
+
+module.exports = VideoKey;
@@ -0,0 +1,183 @@
+const { query, transaction } = require('../config/database');
+
+/**
+ * Decision history and creator appeals for videos. Every moderation
+ * decision on a video is a row in video_moderation_history; an appeal is a
+ * moderation_appeals row, decided by review votes recorded in the history.
+ */
+class VideoModeration {
+    static async record(videoId, { actorId = null, action, reason = null, notes = null, appealId = null }, client = null) {
+        const result = await (client || { query }).query(`
+            INSERT INTO video_moderation_history (video_id, actor_id, action, reason, notes, appeal_id)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING *
+        `, [videoId, actorId, action, reason, notes, appealId]);
+        return result.rows[0];
+    }
+
+    /**
+     * Oldest first, with the username of whoever acted
+     */
+    static async getHistory(videoId) {
+        const result = await query(`
+            SELECT h.id, h.action, h.reason, h.notes, h.appeal_id, h.created_at,
+                   h.actor_id, u.username AS actor_username
+            FROM video_moderation_history h
+            LEFT JOIN users u ON h.actor_id = u.id
+            WHERE h.video_id = $1
+            ORDER BY h.created_at ASC
+        `, [videoId]);
+        return result.rows;
+    }
+
+    static async getLatestAction(videoId) {
+        const result = await query(`
+            SELECT action, created_at FROM video_moderation_history
+            WHERE video_id = $1
+            ORDER BY created_at DESC
+            LIMIT 1
+        `, [videoId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Video with its owner's contact details, for decisions and notifications
+     */
+    static async getVideoWithOwner(videoId) {
+        const result = await query(`
+            SELECT v.id, v.title, v.moderation_status, v.moderation_notes, v.moderated_by, v.moderated_at,
+                   u.id AS owner_id, u.email AS owner_email,
+                   COALESCE(u.display_name, u.username) AS owner_name
+            FROM videos v
+            JOIN channels c ON v.channel_id = c.id
+            JOIN users u ON c.user_id = u.id
+            WHERE v.id = $1
+        `, [videoId]);
+        return result.rows[0] || null;
+    }
+
+    static async getOpenAppeal(videoId) {
+        const result = await query(
+            'SELECT * FROM moderation_appeals WHERE video_id = $1 AND status = \'pending\'',
+            [videoId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Open an appeal and put the video back in the moderation queue
+     */
+    static async createAppeal(video, userId, message) {
+        return transaction(async (client) => {
+            const result = await client.query(`
+                INSERT INTO moderation_appeals (video_id, user_id, message, original_moderator_id)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [video.id, userId, message, video.moderated_by]);
+            const appeal = result.rows[0];
+
+            await client.query(
+                'UPDATE videos SET moderation_status = \'appeal\' WHERE id = $1',
+                [video.id]
+            );
+            await VideoModeration.record(video.id, {
+                actorId: userId,
+                action: 'appeal_filed',
+                notes: message,
+                appealId: appeal.id
+            }, client);
+
+            return appeal;
+        });
+    }
+
+    /**
+     * Approve a video the pre-moderation scan found low-risk, unless a
+     * moderator has decided it already
+     * @returns {Promise<boolean>} - whether it was approved
+     */
+    static async autoApprove(videoId, notes) {
+        return transaction(async (client) => {
+            const result = await client.query(`
+                UPDATE videos
+                SET moderation_status = 'approved',
+                    moderation_notes = $2,
+                    moderated_by = NULL,
+                    moderated_at = NOW(),
+                    upload_status = 'completed'
+                WHERE id = $1 AND moderation_status = 'pending'
+                RETURNING id
+            `, [videoId, notes]);
+            if (result.rows.length === 0) return false;
+
+            await VideoModeration.record(videoId, { action: 'approved', notes }, client);
+            return true;
+        });
+    }
+
+    /**
+     * Lock an appeal row for the rest of the transaction, so votes on it are
+     * counted one at a time
+     */
+    static async lockAppeal(appealId, client) {
+        const result = await client.query(
+            'SELECT * FROM moderation_appeals WHERE id = $1 FOR UPDATE',
+            [appealId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Review votes on an appeal: [{ reviewer_id, decision }]
+     */
+    static async getAppealVotes(appealId, client = null) {
+        const result = await (client || { query }).query(`
+            SELECT actor_id AS reviewer_id,
+                   CASE action WHEN 'appeal_vote_approve' THEN 'approved' ELSE 'rejected' END AS decision
+            FROM video_moderation_history
+            WHERE appeal_id = $1 AND action IN ('appeal_vote_approve', 'appeal_vote_reject')
+        `, [appealId]);
+        return result.rows;
+    }
+
+    /**
+     * Apply the outcome of an appeal to the appeal and the video, inside the
+     * caller's transaction
+     */
+    static async closeAppeal(appeal, { decision, reviewerId, notes = null }, client) {
+        await client.query(`
+            UPDATE moderation_appeals
+            SET status = $2, decided_at = NOW()
+            WHERE id = $1
+        `, [appeal.id, decision]);
+
+        if (decision === 'approved') {
+            await client.query(`
+                UPDATE videos
+                SET moderation_status = 'approved',
+                    moderation_notes = $2,
+                    moderated_by = $3,
+                    moderated_at = NOW(),
+                    upload_status = 'completed'
+                WHERE id = $1
+            `, [appeal.video_id, notes, reviewerId]);
+        } else {
+            await client.query(`
+                UPDATE videos
+                SET moderation_status = 'rejected',
+                    moderated_by = $2,
+                    moderated_at = NOW()
+                WHERE id = $1
+            `, [appeal.video_id, reviewerId]);
+        }
+
+        await VideoModeration.record(appeal.video_id, {
+            actorId: reviewerId,
+            action: decision === 'approved' ? 'appeal_approved' : 'appeal_rejected',
+            notes,
+            appealId: appeal.id
+        }, client);
+    }
+}
+
+module.exports = VideoModeration;
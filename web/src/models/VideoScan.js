@@ -0,0 +1,70 @@
+const { query } = require('../config/database');
+
+/**
+ * Result of the pre-moderation scan of a video, one row per video (a new
+ * scan replaces the last one)
+ */
+class VideoScan {
+    static async start(videoId) {
+        const result = await query(`
+            INSERT INTO video_scans (video_id, status, started_at)
+            VALUES ($1, 'running', NOW())
+            ON CONFLICT (video_id) DO UPDATE SET
+                status = 'running',
+                risk_score = NULL,
+                signals = '{}',
+                details = '{}',
+                matched_rules = '[]',
+                auto_approved = false,
+                error = NULL,
+                started_at = NOW(),
+                completed_at = NULL
+            RETURNING *
+        `, [videoId]);
+        return result.rows[0];
+    }
+
+    static async complete(videoId, { signals, details, matchedRules, riskScore, autoApproved, error = null }) {
+        const result = await query(`
+            UPDATE video_scans SET
+                status = 'completed',
+                signals = $2,
+                details = $3,
+                matched_rules = $4,
+                risk_score = $5,
+                auto_approved = $6,
+                error = $7,
+                completed_at = NOW()
+            WHERE video_id = $1
+            RETURNING *
+        `, [videoId, JSON.stringify(signals), JSON.stringify(details), JSON.stringify(matchedRules),
+            riskScore, autoApproved, error]);
+        return result.rows[0] || null;
+    }
+
+    static async fail(videoId, error) {
+        await query(`
+            UPDATE video_scans SET status = 'failed', error = $2, completed_at = NOW()
+            WHERE video_id = $1
+        `, [videoId, error]);
+    }
+
+    static async findByVideo(videoId) {
+        const result = await query('SELECT * FROM video_scans WHERE video_id = $1', [videoId]);
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Title, description and tags that keyword rules look at
+     */
+    static async getVideoMetadata(videoId) {
+        const result = await query(
+            'SELECT id, title, description, tags, moderation_status FROM videos WHERE id = $1',
+            [videoId]
+        );
+        return result.rows[0] || null;
+    }
+
+}
+
+module.exports = VideoScan;
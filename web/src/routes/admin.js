@@ -2,17 +2,85 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
-const { requireAdmin, requireStrictAdmin, logAdminActivity } = require('../middleware/adminAuth');
+const { requirePermission, requireAdmin, requireRecentTwoFactor, logAdminActivity } = require('../middleware/adminAuth');
+const storageTieringService = require('../services/storageTieringService');
+const Report = require('../models/Report');
+const VideoModeration = require('../models/VideoModeration');
+const moderationService = require('../services/moderationService');
+const scanningService = require('../services/scanningService');
+const VideoScan = require('../models/VideoScan');
+const VideoFingerprint = require('../models/VideoFingerprint');
+const UserRole = require('../models/UserRole');
+const permissionService = require('../services/permissionService');
+
+// Account columns staff may see; the password hash and TOTP secret never leave the server
+const USER_COLUMNS = `
+    u.id, u.username, u.email, u.display_name, u.avatar_url, u.role, u.is_admin, u.verified,
+    u.is_banned, u.ban_reason, u.banned_at, u.banned_by, u.two_factor_enabled, u.created_at, u.updated_at
+`;
+
+// What upholding a report did
+const REPORT_ACTIONS = ['content_removed', 'user_warned', 'other'];
 
-// All admin routes require authentication and admin/moderator role
+/**
+ * Approving or rejecting a video under appeal is a review vote rather than a
+ * decision: the appeal is decided once two reviewers agree. Returns false if
+ * the video has no open appeal, so the caller decides as usual.
+ */
+const reviewAppeal = async (req, res, videoId, decision, details) => {
+    const appeal = await VideoModeration.getOpenAppeal(videoId);
+    if (!appeal) return false;
+
+    try {
+        const result = await moderationService.reviewAppeal(appeal, req.user.id, decision, details);
+
+        await logAdminActivity(
+            req.user.id,
+            'review_appeal',
+            'video',
+            videoId,
+            { appeal_id: appeal.id, decision, decided: result.decided, ...details },
+            req.ip
+        );
+
+        res.status(result.decided ? 200 : 202).json({
+            success: true,
+            appeal: { id: appeal.id, ...result },
+            message: result.decided
+                ? `Appeal ${decision}`
+                : `Review recorded; the appeal needs ${moderationService.reviewsRequired} reviewers to agree`
+        });
+    } catch (error) {
+        if (error.code === 'ORIGINAL_MODERATOR') {
+            res.status(403).json({ error: error.message, code: error.code });
+        } else if (error.code === 'ALREADY_REVIEWED' || error.code === 'APPEAL_CLOSED') {
+            res.status(409).json({ error: error.message, code: error.code });
+        } else {
+            throw error;
+        }
+    }
+    return true;
+};
+
+// All admin routes require authentication; each checks its own permission
 router.use(authenticateToken);
-router.use(requireAdmin);
+
+/**
+ * GET /api/admin/me
+ * The signed-in staff member's roles and permissions
+ */
+router.get('/me', requireAdmin, (req, res) => {
+    res.json({
+        staffRoles: req.user.staffRoles,
+        permissions: req.user.permissions
+    });
+});
 
 /**
  * GET /api/admin/stats
  * Get platform statistics for admin dashboard
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('dashboard.view'), async (req, res) => {
     try {
         const stats = await pool.query('SELECT * FROM admin_platform_stats');
 
@@ -31,10 +99,13 @@ router.get('/stats', async (req, res) => {
              LIMIT 5`
         );
 
+        const storage = await storageTieringService.getSummary();
+
         res.json({
             ...stats.rows[0],
             active_users_hour: parseInt(activeUsers.rows[0].count),
-            top_videos: topVideos.rows
+            top_videos: topVideos.rows,
+            storage
         });
     } catch (error) {
         console.error('Error fetching admin stats:', error);
@@ -44,19 +115,31 @@ router.get('/stats', async (req, res) => {
 
 /**
  * GET /api/admin/moderation/queue
- * Get videos pending moderation
+ * Get videos pending moderation, highest scan risk first
  */
-router.get('/moderation/queue', async (req, res) => {
+router.get('/moderation/queue', requirePermission('moderation.review'), async (req, res) => {
     try {
         const { status = 'pending', limit = 50, offset = 0 } = req.query;
 
         const videos = await pool.query(
-            `SELECT v.*, c.name as channel_name, u.username, u.email
+            `SELECT v.*, c.name as channel_name, u.username, u.email,
+                    (SELECT json_build_object(
+                                'id', ma.id,
+                                'message', ma.message,
+                                'created_at', ma.created_at,
+                                'reviews', (SELECT COUNT(*) FROM video_moderation_history h
+                                            WHERE h.appeal_id = ma.id
+                                              AND h.action IN ('appeal_vote_approve', 'appeal_vote_reject')))
+                     FROM moderation_appeals ma
+                     WHERE ma.video_id = v.id AND ma.status = 'pending') as appeal,
+                    s.status as scan_status, s.risk_score, s.matched_rules as scan_matches,
+                    (SELECT COUNT(*) FROM video_fingerprint_matches fm WHERE fm.video_id = v.id) as duplicate_count
              FROM videos v
              JOIN channels c ON v.channel_id = c.id
              JOIN users u ON c.user_id = u.id
+             LEFT JOIN video_scans s ON s.video_id = v.id
              WHERE v.moderation_status = $1
-             ORDER BY v.created_at ASC
+             ORDER BY s.risk_score DESC NULLS LAST, v.created_at ASC
              LIMIT $2 OFFSET $3`,
             [status, limit, offset]
         );
@@ -82,11 +165,13 @@ router.get('/moderation/queue', async (req, res) => {
  * POST /api/admin/moderation/video/:videoId/approve
  * Approve a video
  */
-router.post('/moderation/video/:videoId/approve', async (req, res) => {
+router.post('/moderation/video/:videoId/approve', requirePermission('moderation.review'), async (req, res) => {
     const { videoId } = req.params;
     const { notes } = req.body;
 
     try {
+        if (await reviewAppeal(req, res, videoId, 'approved', { notes })) return;
+
         const result = await pool.query(
             `UPDATE videos
              SET moderation_status = 'approved',
@@ -112,6 +197,7 @@ router.post('/moderation/video/:videoId/approve', async (req, res) => {
             { notes },
             req.ip
         );
+        await moderationService.recordDecision(videoId, req.user.id, 'approved', { notes });
 
         res.json({
             success: true,
@@ -128,7 +214,7 @@ router.post('/moderation/video/:videoId/approve', async (req, res) => {
  * POST /api/admin/moderation/video/:videoId/reject
  * Reject a video
  */
-router.post('/moderation/video/:videoId/reject', async (req, res) => {
+router.post('/moderation/video/:videoId/reject', requirePermission('moderation.review'), async (req, res) => {
     const { videoId } = req.params;
     const { reason, notes } = req.body;
 
@@ -137,6 +223,8 @@ router.post('/moderation/video/:videoId/reject', async (req, res) => {
     }
 
     try {
+        if (await reviewAppeal(req, res, videoId, 'rejected', { reason, notes })) return;
+
         const result = await pool.query(
             `UPDATE videos
              SET moderation_status = 'rejected',
@@ -161,8 +249,7 @@ router.post('/moderation/video/:videoId/reject', async (req, res) => {
             { reason, notes },
             req.ip
         );
-
-        // TODO: Send notification to video owner about rejection
+        await moderationService.recordDecision(videoId, req.user.id, 'rejected', { reason, notes });
 
         res.json({
             success: true,
@@ -175,11 +262,148 @@ router.post('/moderation/video/:videoId/reject', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/moderation/video/:videoId/history
+ * Every moderation decision, appeal and appeal review on a video
+ */
+router.get('/moderation/video/:videoId/history', requirePermission('moderation.review'), async (req, res) => {
+    try {
+        const video = await VideoModeration.getVideoWithOwner(req.params.videoId);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json({
+            video: { id: video.id, title: video.title, moderation_status: video.moderation_status },
+            appeal: await VideoModeration.getOpenAppeal(video.id),
+            history: await VideoModeration.getHistory(video.id)
+        });
+    } catch (error) {
+        console.error('Error fetching moderation history:', error);
+        res.status(500).json({ error: 'Failed to fetch moderation history' });
+    }
+});
+
+/**
+ * GET /api/admin/moderation/video/:videoId/scan
+ * Pre-moderation scan of a video: signals, matched rules and risk
+ */
+router.get('/moderation/video/:videoId/scan', requirePermission('moderation.review'), async (req, res) => {
+    try {
+        const scan = await VideoScan.findByVideo(req.params.videoId);
+        if (!scan) {
+            return res.status(404).json({ error: 'Video has not been scanned' });
+        }
+
+        res.json({ scan });
+    } catch (error) {
+        console.error('Error fetching video scan:', error);
+        res.status(500).json({ error: 'Failed to fetch video scan' });
+    }
+});
+
+/**
+ * GET /api/admin/moderation/video/:videoId/matches
+ * Videos this one duplicates, with the stretches (in seconds) that overlap
+ */
+router.get('/moderation/video/:videoId/matches', requirePermission('moderation.review'), async (req, res) => {
+    try {
+        const video = await VideoModeration.getVideoWithOwner(req.params.videoId);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        res.json({
+            video: { id: video.id, title: video.title, moderation_status: video.moderation_status },
+            matches: await VideoFingerprint.getMatches(video.id)
+        });
+    } catch (error) {
+        console.error('Error fetching video matches:', error);
+        res.status(500).json({ error: 'Failed to fetch video matches' });
+    }
+});
+
+/**
+ * GET /api/admin/moderation/scan-rules
+ * Scan rules, the signals they can test and the auto-approve threshold
+ */
+router.get('/moderation/scan-rules', requirePermission('moderation.review'), async (req, res) => {
+    try {
+        res.json({
+            rules: await scanningService.getRules(),
+            signals: scanningService.getSignals(),
+            autoApproveBelow: scanningService.autoApproveBelow,
+            enabled: scanningService.enabled
+        });
+    } catch (error) {
+        console.error('Error fetching scan rules:', error);
+        res.status(500).json({ error: 'Failed to fetch scan rules' });
+    }
+});
+
+/**
+ * PUT /api/admin/moderation/scan-rules/:ruleKey
+ * Change a built-in rule or create/update a custom one
+ */
+router.put('/moderation/scan-rules/:ruleKey', requirePermission('moderation.rules'), async (req, res) => {
+    const { ruleKey } = req.params;
+
+    try {
+        const rule = await scanningService.saveRule(ruleKey, req.body, req.user.id);
+
+        await logAdminActivity(
+            req.user.id,
+            'update_scan_rule',
+            'scan_rule',
+            rule.id,
+            rule,
+            req.ip
+        );
+
+        res.json({ success: true, rule });
+    } catch (error) {
+        if (error.code === 'INVALID_RULE') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Error saving scan rule:', error);
+        res.status(500).json({ error: 'Failed to save scan rule' });
+    }
+});
+
+/**
+ * DELETE /api/admin/moderation/scan-rules/:ruleKey
+ * Delete a custom rule, or reset a built-in rule to its default
+ */
+router.delete('/moderation/scan-rules/:ruleKey', requirePermission('moderation.rules'), async (req, res) => {
+    const { ruleKey } = req.params;
+
+    try {
+        const { rule, reverted } = await scanningService.deleteRule(ruleKey);
+
+        await logAdminActivity(
+            req.user.id,
+            reverted ? 'reset_scan_rule' : 'delete_scan_rule',
+            'scan_rule',
+            rule.id,
+            { key: ruleKey },
+            req.ip
+        );
+
+        res.json({ success: true, reverted });
+    } catch (error) {
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error deleting scan rule:', error);
+        res.status(500).json({ error: 'Failed to delete scan rule' });
+    }
+});
+
 /**
  * POST /api/admin/moderation/video/:videoId/flag
  * Flag a video for review
  */
-router.post('/moderation/video/:videoId/flag', async (req, res) => {
+router.post('/moderation/video/:videoId/flag', requirePermission('moderation.review'), async (req, res) => {
     const { videoId } = req.params;
     const { reason, notes } = req.body;
 
@@ -207,6 +431,7 @@ router.post('/moderation/video/:videoId/flag', async (req, res) => {
             { reason, notes },
             req.ip
         );
+        await moderationService.recordDecision(videoId, req.user.id, 'flagged', { reason, notes });
 
         res.json({ success: true, video: result.rows[0] });
     } catch (error) {
@@ -219,12 +444,12 @@ router.post('/moderation/video/:videoId/flag', async (req, res) => {
  * GET /api/admin/users
  * Get users with pagination and filtering
  */
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users.view'), async (req, res) => {
     try {
         const { limit = 50, offset = 0, search, role, banned } = req.query;
 
         let query = `
-            SELECT u.*,
+            SELECT ${USER_COLUMNS}, ${UserRole.STAFF_ROLES},
                    COUNT(DISTINCT c.id) as channel_count,
                    COUNT(DISTINCT v.id) as video_count
             FROM users u
@@ -240,8 +465,11 @@ router.get('/users', async (req, res) => {
         }
 
         if (role) {
+            // A staff role, or the user/creator account role
             params.push(role);
-            query += ` AND u.role = $${params.length}`;
+            query += permissionService.isRole(role)
+                ? ` AND ${UserRole.holdsRole(`$${params.length}`)}`
+                : ` AND u.role = $${params.length}`;
         }
 
         if (banned !== undefined) {
@@ -259,7 +487,7 @@ router.get('/users', async (req, res) => {
         const users = await pool.query(query, params);
 
         res.json({
-            users: users.rows,
+            users: users.rows.map(user => ({ ...user, staff_roles: permissionService.getRoles(user) })),
             limit: parseInt(limit),
             offset: parseInt(offset)
         });
@@ -271,9 +499,9 @@ router.get('/users', async (req, res) => {
 
 /**
  * POST /api/admin/users/:userId/ban
- * Ban a user (admin only)
+ * Ban a user
  */
-router.post('/users/:userId/ban', requireStrictAdmin, async (req, res) => {
+router.post('/users/:userId/ban', requirePermission('users.ban'), requireRecentTwoFactor, async (req, res) => {
     const { userId } = req.params;
     const { reason } = req.body;
 
@@ -283,13 +511,13 @@ router.post('/users/:userId/ban', requireStrictAdmin, async (req, res) => {
 
     try {
         const result = await pool.query(
-            `UPDATE users
+            `UPDATE users u
              SET is_banned = true,
                  ban_reason = $1,
                  banned_at = NOW(),
                  banned_by = $2
-             WHERE id = $3
-             RETURNING *`,
+             WHERE u.id = $3
+             RETURNING ${USER_COLUMNS}`,
             [reason, req.user.id, userId]
         );
 
@@ -306,6 +534,7 @@ router.post('/users/:userId/ban', requireStrictAdmin, async (req, res) => {
             { reason },
             req.ip
         );
+        await moderationService.notifyBan(result.rows[0], reason);
 
         res.json({ success: true, user: result.rows[0] });
     } catch (error) {
@@ -316,20 +545,20 @@ router.post('/users/:userId/ban', requireStrictAdmin, async (req, res) => {
 
 /**
  * POST /api/admin/users/:userId/unban
- * Unban a user (admin only)
+ * Unban a user
  */
-router.post('/users/:userId/unban', requireStrictAdmin, async (req, res) => {
+router.post('/users/:userId/unban', requirePermission('users.ban'), requireRecentTwoFactor, async (req, res) => {
     const { userId } = req.params;
 
     try {
         const result = await pool.query(
-            `UPDATE users
+            `UPDATE users u
              SET is_banned = false,
                  ban_reason = NULL,
                  banned_at = NULL,
                  banned_by = NULL
-             WHERE id = $1
-             RETURNING *`,
+             WHERE u.id = $1
+             RETURNING ${USER_COLUMNS}`,
             [userId]
         );
 
@@ -354,29 +583,76 @@ router.post('/users/:userId/unban', requireStrictAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/roles
+ * Staff roles, the permissions they grant and who holds them
+ */
+router.get('/roles', requirePermission('roles.manage'), async (req, res) => {
+    try {
+        res.json({
+            ...permissionService.describe(),
+            staff: await permissionService.listStaff()
+        });
+    } catch (error) {
+        console.error('Error fetching staff roles:', error);
+        res.status(500).json({ error: 'Failed to fetch staff roles' });
+    }
+});
+
+/**
+ * PUT /api/admin/users/:userId/roles
+ * Replace a user's staff roles (an empty list removes their staff access)
+ */
+router.put('/users/:userId/roles', requirePermission('roles.manage'), requireRecentTwoFactor, async (req, res) => {
+    const { userId } = req.params;
+
+    try {
+        const result = await permissionService.assignRoles(userId, req.body.roles, req.user.id);
+
+        if (result.added.length > 0 || result.removed.length > 0) {
+            await logAdminActivity(
+                req.user.id,
+                'update_roles',
+                'user',
+                userId,
+                { added: result.added, removed: result.removed, roles: result.user.roles },
+                req.ip
+            );
+        }
+
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error.code === 'INVALID_ROLE') {
+            return res.status(400).json({ error: error.message });
+        }
+        if (error.code === 'NOT_FOUND') {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.code === 'LAST_SUPER_ADMIN') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        console.error('Error updating staff roles:', error);
+        res.status(500).json({ error: 'Failed to update staff roles' });
+    }
+});
+
 /**
  * GET /api/admin/reports
- * Get content moderation reports
+ * Get content moderation reports, highest priority first
  */
-router.get('/reports', async (req, res) => {
+router.get('/reports', requirePermission('reports.manage'), async (req, res) => {
     try {
-        const { status = 'pending', limit = 50, offset = 0 } = req.query;
+        const { status = 'pending', type = null, limit = 50, offset = 0 } = req.query;
 
-        const reports = await pool.query(
-            `SELECT cm.*,
-                    u_reporter.username as reporter_username,
-                    u_moderator.username as moderator_username
-             FROM content_moderation cm
-             LEFT JOIN users u_reporter ON cm.reporter_id = u_reporter.id
-             LEFT JOIN users u_moderator ON cm.moderator_id = u_moderator.id
-             WHERE cm.status = $1
-             ORDER BY cm.priority DESC, cm.created_at ASC
-             LIMIT $2 OFFSET $3`,
-            [status, limit, offset]
-        );
+        const reports = await Report.list({
+            status,
+            contentType: type || null,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
 
         res.json({
-            reports: reports.rows,
+            reports,
             limit: parseInt(limit),
             offset: parseInt(offset)
         });
@@ -386,11 +662,133 @@ router.get('/reports', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/reports/:reportId
+ * Get a report case with the individual reports in it
+ */
+router.get('/reports/:reportId', requirePermission('reports.manage'), async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.reportId);
+        if (!report) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        res.json({
+            report,
+            reports: await Report.getReports(report.id)
+        });
+    } catch (error) {
+        console.error('Error fetching report:', error);
+        res.status(500).json({ error: 'Failed to fetch report' });
+    }
+});
+
+/**
+ * POST /api/admin/reports/:reportId/resolve
+ * Uphold a report. With action 'content_removed' a reported video is
+ * rejected or a reported comment deleted; bans go through the ban endpoint.
+ */
+router.post('/reports/:reportId/resolve', requirePermission('reports.manage'), async (req, res) => {
+    const { reportId } = req.params;
+    const { action, notes } = req.body;
+
+    if (!REPORT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `Action must be one of: ${REPORT_ACTIONS.join(', ')}` });
+    }
+
+    try {
+        const pending = await Report.findById(reportId);
+        if (!pending) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        if (action === 'content_removed' && !['video', 'comment'].includes(pending.content_type)) {
+            return res.status(400).json({ error: 'Only videos and comments can be removed; ban the user instead' });
+        }
+
+        const report = await Report.close(reportId, {
+            status: 'resolved',
+            moderatorId: req.user.id,
+            action,
+            notes
+        });
+        if (!report) {
+            return res.status(409).json({ error: 'Report has already been closed' });
+        }
+
+        if (action === 'content_removed' && report.content_type === 'video') {
+            const reason = Report.REASONS[report.reason].label;
+            await pool.query(
+                `UPDATE videos
+                 SET moderation_status = 'rejected',
+                     moderation_notes = $1,
+                     moderated_by = $2,
+                     moderated_at = NOW()
+                 WHERE id = $3`,
+                [notes || `Removed after report: ${reason}`, req.user.id, report.content_id]
+            );
+            await moderationService.recordDecision(report.content_id, req.user.id, 'rejected', { reason, notes });
+        } else if (action === 'content_removed') {
+            await pool.query('DELETE FROM comments WHERE id = $1', [report.content_id]);
+        }
+
+        await logAdminActivity(
+            req.user.id,
+            'resolve_report',
+            'report',
+            reportId,
+            { action, notes, content_type: report.content_type, content_id: report.content_id, reason: report.reason },
+            req.ip
+        );
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error resolving report:', error);
+        res.status(500).json({ error: 'Failed to resolve report' });
+    }
+});
+
+/**
+ * POST /api/admin/reports/:reportId/dismiss
+ * Dismiss a report as not breaking the rules
+ */
+router.post('/reports/:reportId/dismiss', requirePermission('reports.manage'), async (req, res) => {
+    const { reportId } = req.params;
+    const { notes } = req.body;
+
+    try {
+        const report = await Report.close(reportId, {
+            status: 'dismissed',
+            moderatorId: req.user.id,
+            notes
+        });
+        if (!report) {
+            const existing = await Report.findById(reportId);
+            return existing
+                ? res.status(409).json({ error: 'Report has already been closed' })
+                : res.status(404).json({ error: 'Report not found' });
+        }
+
+        await logAdminActivity(
+            req.user.id,
+            'dismiss_report',
+            'report',
+            reportId,
+            { notes, content_type: report.content_type, content_id: report.content_id, reason: report.reason },
+            req.ip
+        );
+
+        res.json({ success: true, report });
+    } catch (error) {
+        console.error('Error dismissing report:', error);
+        res.status(500).json({ error: 'Failed to dismiss report' });
+    }
+});
+
 /**
  * GET /api/admin/activity
  * Get admin activity log
  */
-router.get('/activity', async (req, res) => {
+router.get('/activity', requirePermission('activity.view'), async (req, res) => {
     try {
         const { limit = 100, offset = 0 } = req.query;
 
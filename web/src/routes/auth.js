@@ -1,8 +1,9 @@
 const express = require('express');
 const AuthController = require('../controllers/authController');
+const OidcController = require('../controllers/oidcController');
 const { authenticateToken, optionalAuth, createRateLimit } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
-const { body } = require('express-validator');
+const { body, param } = require('express-validator');
 
 const router = express.Router();
 
@@ -39,7 +40,12 @@ const loginValidation = [
     
     body('password')
         .notEmpty()
-        .withMessage('Password is required')
+        .withMessage('Password is required'),
+
+    body('deviceName')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Device name must not exceed 100 characters')
 ];
 
 const changePasswordValidation = [
@@ -54,6 +60,65 @@ const changePasswordValidation = [
         .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
 ];
 
+const emailValidation = [
+    body('email')
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail()
+];
+
+const tokenValidation = [
+    body('token')
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Token is required')
+];
+
+const resetPasswordValidation = [
+    ...tokenValidation,
+
+    body('newPassword')
+        .isLength({ min: 8 })
+        .withMessage('New password must be at least 8 characters long')
+        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+        .withMessage('New password must contain at least one lowercase letter, one uppercase letter, and one number')
+];
+
+const magicLinkLoginValidation = [
+    ...tokenValidation,
+
+    body('deviceName')
+        .optional()
+        .isLength({ max: 100 })
+        .withMessage('Device name must not exceed 100 characters')
+];
+
+const twoFactorCodeValidation = [
+    body('code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .isLength({ max: 20 })
+        .withMessage('Invalid recovery code'),
+
+    body()
+        .custom(value => Boolean(value.code || value.recoveryCode))
+        .withMessage('A code from your authenticator app or a recovery code is required')
+];
+
+const twoFactorLoginValidation = [
+    body('challengeToken')
+        .isString()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('Challenge token is required'),
+
+    ...twoFactorCodeValidation
+];
+
 const profileUpdateValidation = [
     body('displayName')
         .optional()
@@ -92,6 +157,91 @@ router.post('/login',
     AuthController.login
 );
 
+/**
+ * @route POST /api/auth/login/2fa
+ * @desc Finish a login that needs two-factor authentication
+ * @access Public
+ */
+router.post('/login/2fa',
+    authRateLimit,
+    validateRequest(twoFactorLoginValidation),
+    AuthController.loginTwoFactor
+);
+
+/**
+ * @route GET /api/auth/oidc/providers
+ * @desc Sign-in providers (Google, GitHub, other OIDC issuers) enabled for login
+ * @access Public
+ */
+router.get('/oidc/providers', OidcController.listProviders);
+
+/**
+ * @route GET /api/auth/oidc/:provider/start
+ * @desc Redirect to the provider to sign in
+ * @access Public
+ */
+router.get('/oidc/:provider/start',
+    generalRateLimit,
+    OidcController.start
+);
+
+/**
+ * @route GET /api/auth/oidc/:provider/callback
+ * @desc Provider redirect target; continues to the client's /login/oidc page
+ * @access Public
+ */
+router.get('/oidc/:provider/callback',
+    generalRateLimit,
+    OidcController.callback
+);
+
+/**
+ * @route POST /api/auth/oidc/exchange
+ * @desc Exchange the one-time code from /login/oidc for a login response
+ * @access Public
+ */
+router.post('/oidc/exchange',
+    authRateLimit,
+    validateRequest([
+        body('code').isString().isLength({ min: 1, max: 200 }).withMessage('Code is required')
+    ]),
+    OidcController.exchange
+);
+
+/**
+ * @route POST /api/auth/oidc/:provider/link
+ * @desc Start linking a provider account to the current user; returns the URL to open
+ * @access Private
+ */
+router.post('/oidc/:provider/link',
+    authenticateToken,
+    generalRateLimit,
+    OidcController.link
+);
+
+/**
+ * @route GET /api/auth/identities
+ * @desc Linked provider accounts
+ * @access Private
+ */
+router.get('/identities',
+    authenticateToken,
+    OidcController.listIdentities
+);
+
+/**
+ * @route DELETE /api/auth/identities/:identityId
+ * @desc Unlink a provider account
+ * @access Private
+ */
+router.delete('/identities/:identityId',
+    authenticateToken,
+    validateRequest([
+        param('identityId').isUUID().withMessage('Valid identity ID required')
+    ]),
+    OidcController.unlinkIdentity
+);
+
 /**
  * @route POST /api/auth/logout
  * @desc Logout user
@@ -112,6 +262,181 @@ router.post('/refresh',
     AuthController.refreshToken
 );
 
+/**
+ * @route POST /api/auth/verify-email
+ * @desc Confirm an email address with the token from the verification link
+ * @access Public
+ */
+router.post('/verify-email',
+    generalRateLimit,
+    validateRequest(tokenValidation),
+    AuthController.verifyEmail
+);
+
+/**
+ * @route POST /api/auth/verify-email/resend
+ * @desc Send a new verification link to the current user
+ * @access Private
+ */
+router.post('/verify-email/resend',
+    authenticateToken,
+    authRateLimit,
+    AuthController.resendVerification
+);
+
+/**
+ * @route POST /api/auth/password/forgot
+ * @desc Email a password reset link (same response whether or not the account exists)
+ * @access Public
+ */
+router.post('/password/forgot',
+    authRateLimit,
+    validateRequest(emailValidation),
+    AuthController.forgotPassword
+);
+
+/**
+ * @route POST /api/auth/password/reset
+ * @desc Set a new password with the token from a reset link; signs out every device
+ * @access Public
+ */
+router.post('/password/reset',
+    authRateLimit,
+    validateRequest(resetPasswordValidation),
+    AuthController.resetPassword
+);
+
+/**
+ * @route POST /api/auth/magic-link
+ * @desc Email a passwordless sign-in link (MAGIC_LINK_ENABLED)
+ * @access Public
+ */
+router.post('/magic-link',
+    authRateLimit,
+    validateRequest(emailValidation),
+    AuthController.requestMagicLink
+);
+
+/**
+ * @route POST /api/auth/magic-link/verify
+ * @desc Sign in with the token from a magic link
+ * @access Public
+ */
+router.post('/magic-link/verify',
+    authRateLimit,
+    validateRequest(magicLinkLoginValidation),
+    AuthController.magicLinkLogin
+);
+
+/**
+ * @route GET /api/auth/2fa
+ * @desc Two-factor status: enabled, required, recovery codes left
+ * @access Private
+ */
+router.get('/2fa',
+    authenticateToken,
+    AuthController.getTwoFactorStatus
+);
+
+/**
+ * @route POST /api/auth/2fa/setup
+ * @desc Start two-factor enrollment; returns the secret and a QR code
+ * @access Private
+ */
+router.post('/2fa/setup',
+    authenticateToken,
+    generalRateLimit,
+    AuthController.setupTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/enable
+ * @desc Confirm enrollment with a code; returns recovery codes
+ * @access Private
+ */
+router.post('/2fa/enable',
+    authenticateToken,
+    authRateLimit,
+    validateRequest([
+        body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+    ]),
+    AuthController.enableTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @desc Turn off two-factor authentication (not allowed for admins)
+ * @access Private
+ */
+router.post('/2fa/disable',
+    authenticateToken,
+    authRateLimit,
+    validateRequest([
+        body('password').notEmpty().withMessage('Password is required'),
+        ...twoFactorCodeValidation
+    ]),
+    AuthController.disableTwoFactor
+);
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes
+ * @desc Replace recovery codes
+ * @access Private
+ */
+router.post('/2fa/recovery-codes',
+    authenticateToken,
+    authRateLimit,
+    validateRequest([
+        body('code').matches(/^\d{6}$/).withMessage('Code must be 6 digits')
+    ]),
+    AuthController.regenerateRecoveryCodes
+);
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @desc Re-check two-factor on this session, needed before destructive admin actions
+ * @access Private
+ */
+router.post('/2fa/verify',
+    authenticateToken,
+    authRateLimit,
+    validateRequest(twoFactorCodeValidation),
+    AuthController.verifyTwoFactor
+);
+
+/**
+ * @route GET /api/auth/sessions
+ * @desc List signed-in devices with device, IP and last-seen time
+ * @access Private
+ */
+router.get('/sessions',
+    authenticateToken,
+    AuthController.listSessions
+);
+
+/**
+ * @route DELETE /api/auth/sessions
+ * @desc Sign out every other device (?includeCurrent=true signs out this one too)
+ * @access Private
+ */
+router.delete('/sessions',
+    authenticateToken,
+    AuthController.revokeAllSessions
+);
+
+/**
+ * @route DELETE /api/auth/sessions/:sessionId
+ * @desc Sign out one device
+ * @access Private
+ */
+router.delete('/sessions/:sessionId',
+    authenticateToken,
+    validateRequest([
+        param('sessionId').isUUID().withMessage('Valid session ID required')
+    ]),
+    AuthController.revokeSession
+);
+
 /**
  * @route GET /api/auth/profile
  * @desc Get current user profile
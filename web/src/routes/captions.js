@@ -0,0 +1,285 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { param, body, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const Caption = require('../models/Caption');
+const captionService = require('../services/captionService');
+const playbackService = require('../services/playbackService');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+
+// Mounted at /api/videos/:videoId/captions
+const router = express.Router({ mergeParams: true });
+
+const captionUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: captionService.maxFileSize
+    },
+    fileFilter: (req, file, cb) => {
+        if (captionService.allowedExtensions.includes(path.extname(file.originalname).toLowerCase())) {
+            return cb(null, true);
+        }
+        cb(new Error('Only .srt and .vtt caption files are allowed'));
+    }
+}).single('caption');
+
+const handleCaptionUpload = (req, res, next) => {
+    captionUpload(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({
+                success: false,
+                message: err.code === 'LIMIT_FILE_SIZE' ? 'Caption file must be 2MB or smaller' : err.message
+            });
+        }
+        next();
+    });
+};
+
+const languageValidator = (field) => field
+    .matches(/^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/)
+    .withMessage('Language must be a BCP 47 code such as "en" or "es-MX"');
+
+const handleValidation = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * Load the video if the requesting user owns it (or is an admin)
+ */
+async function getManageableVideo(videoId, user) {
+    const result = await query(`
+        SELECT v.id, v.duration, v.storage_driver, c.user_id
+        FROM videos v
+        JOIN channels c ON v.channel_id = c.id
+        WHERE v.id = $1
+    `, [videoId]);
+
+    const video = result.rows[0];
+    if (!video) return { status: 404 };
+    if (video.user_id !== user.id && !user.isAdmin) return { status: 403 };
+    return { video };
+}
+
+/**
+ * @route GET /api/videos/:videoId/captions
+ * @desc List caption tracks for a video, with playback URLs that expire with the stream's
+ * @access Public (anyone who may watch the video)
+ */
+router.get('/', optionalAuth, [
+    param('videoId').isUUID().withMessage('Valid video ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const video = await playbackService.getVideo(req.params.videoId);
+
+        // Private and unmoderated films look the same as missing ones
+        if (!video || !playbackService.canWatch(video, req.user)) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const captions = await Caption.getByVideo(video.id);
+        const { token, expiresAt } = playbackService.createToken(video.id);
+
+        res.json({
+            success: true,
+            captions: captions.map(caption => playbackService.signCaption(caption, token)),
+            expires_at: new Date(expiresAt * 1000).toISOString()
+        });
+    } catch (error) {
+        console.error('Get captions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch captions' });
+    }
+});
+
+/**
+ * @route POST /api/videos/:videoId/captions
+ * @desc Upload an SRT or WebVTT caption file (multipart: caption, language, label, kind, is_default)
+ * @access Private (video owner)
+ */
+router.post('/', authenticateToken, handleCaptionUpload, [
+    param('videoId').isUUID().withMessage('Valid video ID required'),
+    languageValidator(body('language')),
+    body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be 1-100 characters'),
+    body('kind').optional().isIn(captionService.kinds).withMessage('Kind must be subtitles or captions'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be a boolean')
+], handleValidation, async (req, res) => {
+    try {
+        const { videoId } = req.params;
+
+        const { video, status } = await getManageableVideo(videoId, req.user);
+        if (!video) {
+            return res.status(status).json({
+                success: false,
+                message: status === 404 ? 'Video not found' : 'You can only add captions to your own videos'
+            });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ success: false, message: 'No caption file uploaded' });
+        }
+
+        const { vtt, cueCount, duration } = captionService.toWebVtt(req.file.buffer, req.file.originalname);
+
+        const kind = req.body.kind || 'subtitles';
+        const language = req.body.language;
+        const label = req.body.label || captionService.defaultLabel(language, kind);
+        const isDefault = req.body.is_default === true || req.body.is_default === 'true';
+
+        // Insert first to get the id the files are named after; the track stays
+        // unlisted (empty url) and leaves the default alone until its files are stored
+        let caption = await Caption.create({
+            videoId,
+            language,
+            label,
+            kind,
+            isDefault: false,
+            filePath: '',
+            url: '',
+            playlistUrl: '',
+            createdBy: req.user.id
+        });
+
+        try {
+            const files = await captionService.saveCaptionFiles(video, caption.id, vtt, Math.max(duration, video.duration || 0));
+            caption = await Caption.update(caption.id, videoId, {
+                is_default: isDefault,
+                file_path: files.filePath,
+                url: files.url,
+                playlist_url: files.playlistUrl
+            });
+        } catch (error) {
+            // Don't leave a half-made track blocking a retry for this language
+            await Caption.delete(caption.id, videoId).catch(deleteError => {
+                console.error('Failed to remove unfinished caption row:', deleteError);
+            });
+            await captionService.removeCaptionFiles(video, caption.id);
+            throw error;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Caption track added (${cueCount} cues)`,
+            caption: playbackService.signCaption(caption, playbackService.createToken(videoId).token)
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CAPTION') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'A caption track for this language and kind already exists'
+            });
+        }
+        console.error('Upload caption error:', error);
+        res.status(500).json({ success: false, message: 'Failed to upload caption' });
+    }
+});
+
+/**
+ * @route PUT /api/videos/:videoId/captions/:captionId
+ * @desc Update a caption track's label, kind or default flag, optionally replacing the file
+ * @access Private (video owner)
+ */
+router.put('/:captionId', authenticateToken, handleCaptionUpload, [
+    param('videoId').isUUID().withMessage('Valid video ID required'),
+    param('captionId').isUUID().withMessage('Valid caption ID required'),
+    body('label').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Label must be 1-100 characters'),
+    body('kind').optional().isIn(captionService.kinds).withMessage('Kind must be subtitles or captions'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be a boolean')
+], handleValidation, async (req, res) => {
+    try {
+        const { videoId, captionId } = req.params;
+
+        const { video, status } = await getManageableVideo(videoId, req.user);
+        if (!video) {
+            return res.status(status).json({
+                success: false,
+                message: status === 404 ? 'Video not found' : 'You can only edit captions on your own videos'
+            });
+        }
+
+        const existing = await Caption.getById(captionId, videoId);
+        if (!existing) {
+            return res.status(404).json({ success: false, message: 'Caption not found' });
+        }
+
+        const updates = {
+            label: req.body.label,
+            kind: req.body.kind,
+            is_default: req.body.is_default === undefined
+                ? undefined
+                : req.body.is_default === true || req.body.is_default === 'true'
+        };
+
+        let cueCount = null;
+        if (req.file) {
+            const converted = captionService.toWebVtt(req.file.buffer, req.file.originalname);
+            cueCount = converted.cueCount;
+            await captionService.saveCaptionFiles(video, captionId, converted.vtt, Math.max(converted.duration, video.duration || 0));
+        }
+
+        const caption = await Caption.update(captionId, videoId, updates);
+
+        res.json({
+            success: true,
+            message: cueCount !== null ? `Caption track updated (${cueCount} cues)` : 'Caption track updated',
+            caption: playbackService.signCaption(caption, playbackService.createToken(videoId).token)
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CAPTION') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'A caption track for this language and kind already exists'
+            });
+        }
+        console.error('Update caption error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update caption' });
+    }
+});
+
+/**
+ * @route DELETE /api/videos/:videoId/captions/:captionId
+ * @desc Delete a caption track
+ * @access Private (video owner)
+ */
+router.delete('/:captionId', authenticateToken, [
+    param('videoId').isUUID().withMessage('Valid video ID required'),
+    param('captionId').isUUID().withMessage('Valid caption ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const { videoId, captionId } = req.params;
+
+        const { video, status } = await getManageableVideo(videoId, req.user);
+        if (!video) {
+            return res.status(status).json({
+                success: false,
+                message: status === 404 ? 'Video not found' : 'You can only delete captions on your own videos'
+            });
+        }
+
+        const deleted = await Caption.delete(captionId, videoId);
+        if (!deleted) {
+            return res.status(404).json({ success: false, message: 'Caption not found' });
+        }
+
+        await captionService.removeCaptionFiles(video, captionId);
+
+        res.json({
+            success: true,
+            message: 'Caption track deleted'
+        });
+    } catch (error) {
+        console.error('Delete caption error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete caption' });
+    }
+});
+
+module.exports = router;
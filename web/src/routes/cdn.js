@@ -2,66 +2,101 @@ const express = require('express');
 const router = express.Router();
 const pool = require('../config/database');
 const bunnyService = require('../services/bunnyService');
-const { authenticateToken } = require('../middleware/auth');
+const playbackService = require('../services/playbackService');
+const storageTieringService = require('../services/storageTieringService');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/adminAuth');
 
 /**
  * GET /api/cdn/video/:videoId/stream
- * Get streaming URL for a video (uses Bunny.net if available, falls back to S3)
+ * Get signed, expiring playback URLs for a video the caller may watch
  */
-router.get('/video/:videoId/stream', async (req, res) => {
+router.get('/video/:videoId/stream', optionalAuth, async (req, res) => {
     try {
         const { videoId } = req.params;
 
-        // Get video info from database
-        const videoResult = await pool.query(
-            `SELECT id, title, bunny_video_id, bunny_hls_url, bunny_thumbnail_url,
-                    cdn_enabled, bunny_status, hls_url
-             FROM videos WHERE id = $1`,
-            [videoId]
-        );
+        const video = await playbackService.getVideo(videoId);
 
-        if (videoResult.rows.length === 0) {
+        // Private and unmoderated films look the same as missing ones
+        if (!video || !playbackService.canWatch(video, req.user)) {
             return res.status(404).json({ error: 'Video not found' });
         }
 
-        const video = videoResult.rows[0];
-
-        // If Bunny.net is enabled and video is ready
-        if (video.cdn_enabled && video.bunny_video_id && video.bunny_status === 'ready') {
-            return res.json({
-                success: true,
-                stream_url: video.bunny_hls_url || bunnyService.getHlsUrl(video.bunny_video_id),
-                thumbnail_url: video.bunny_thumbnail_url || bunnyService.getThumbnailUrl(video.bunny_video_id),
-                cdn_provider: 'bunny',
-                format: 'hls',
-                adaptive: true
-            });
+        // Archived films play at up to 720p until their dropped renditions are regenerated
+        if (video.storage_keys?.archive) {
+            storageTieringService.queueRestore(video.id)
+                .catch(error => console.error('Error queueing storage restore:', error));
         }
 
-        // Fallback to S3/local storage
-        if (video.hls_url) {
-            return res.json({
-                success: true,
-                stream_url: video.hls_url,
-                thumbnail_url: video.thumbnail_url,
-                cdn_provider: 's3',
-                format: 'hls',
-                adaptive: false
+        const playback = await playbackService.getPlayback(video);
+
+        // No streaming URL available
+        if (!playback) {
+            return res.status(503).json({
+                error: 'Video not ready for streaming',
+                status: video.upload_status || video.bunny_status || 'processing'
             });
         }
 
-        // No streaming URL available
-        return res.status(503).json({
-            error: 'Video not ready for streaming',
-            status: video.bunny_status || 'processing'
+        res.set('Cache-Control', 'private, no-store');
+        res.json({
+            success: true,
+            stream_url: playback.stream_url,
+            sources: playback.sources,
+            thumbnail_url: playback.thumbnail_url,
+            thumbnails_track_url: playback.thumbnails_track_url,
+            cdn_provider: playback.provider,
+            format: playback.format,
+            adaptive: playback.adaptive,
+            expires_at: playback.expires_at
         });
 
     } catch (error) {
+        if (error.code === 'RESTORING') {
+            return res.status(409).json({ error: error.message, code: error.code, status: 'restoring' });
+        }
         console.error('Error getting stream URL:', error);
         res.status(500).json({ error: 'Failed to get stream URL' });
     }
 });
 
+/**
+ * GET /api/cdn/video/:videoId/play/:token/*
+ * Playback proxy for stored HLS and captions: playlists with signed segment
+ * URIs, preview and caption tracks, and redirects to signed URLs for
+ * everything else
+ */
+router.get('/video/:videoId/play/:token/*', async (req, res) => {
+    try {
+        const { videoId, token } = req.params;
+
+        const expiresAt = playbackService.verifyToken(token, videoId);
+        if (!expiresAt) {
+            return res.status(403).json({ error: 'Playback link is invalid or has expired' });
+        }
+
+        const video = await playbackService.getVideo(videoId);
+        if (!video) {
+            return res.status(404).json({ error: 'Video not found' });
+        }
+
+        const file = await playbackService.getFile(video, req.params[0], token, expiresAt);
+        if (!file) {
+            return res.status(404).json({ error: 'File not found' });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        if (file.redirect) {
+            return res.redirect(302, file.redirect);
+        }
+        res.type(file.contentType).send(file.body);
+
+    } catch (error) {
+        console.error('Error serving playback file:', error);
+        res.status(500).json({ error: 'Failed to serve playback file' });
+    }
+});
+
 /**
  * POST /api/cdn/video/:videoId/upload-to-bunny
  * Upload an existing video to Bunny.net CDN (creator only)
@@ -207,20 +242,10 @@ router.get('/video/:videoId/bunny-status', authenticateToken, async (req, res) =
 
 /**
  * GET /api/cdn/stats
- * Get CDN usage statistics (admin only)
+ * Get CDN usage statistics (dashboard.view)
  */
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateToken, requirePermission('dashboard.view'), async (req, res) => {
     try {
-        // Check if user is admin
-        const userResult = await pool.query(
-            'SELECT role FROM users WHERE id = $1',
-            [req.user.id]
-        );
-
-        if (userResult.rows[0]?.role !== 'admin') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-
         const stats = await pool.query(
             `SELECT
                 COUNT(*) as total_videos,
@@ -0,0 +1,53 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const VideoKey = require('../models/VideoKey');
+const playbackService = require('../services/playbackService');
+const { optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    next();
+};
+
+/**
+ * @route GET /api/keys/:videoId/:keyId
+ * @desc AES-128 key for a video's encrypted HLS segments. The viewer is entitled by the playback token the proxy adds to key URIs (?token=) or, failing that, by being signed in and allowed to watch the film
+ * @access Private (playback token or Bearer token)
+ */
+router.get('/:videoId/:keyId', optionalAuth, [
+    param('videoId').isUUID().withMessage('Valid video ID required'),
+    param('keyId').isUUID().withMessage('Valid key ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const { videoId, keyId } = req.params;
+
+        const video = await playbackService.getVideo(videoId);
+        if (!video) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const entitled = (req.query.token && playbackService.verifyToken(req.query.token, videoId)) ||
+            (req.user && playbackService.canWatch(video, req.user));
+        if (!entitled) {
+            return res.status(403).json({ success: false, message: 'Not allowed to play this video' });
+        }
+
+        const key = await VideoKey.getById(keyId, videoId);
+        if (!key) {
+            return res.status(404).json({ success: false, message: 'Key not found' });
+        }
+
+        res.set('Cache-Control', 'private, no-store');
+        res.type('application/octet-stream').send(key.key_data);
+    } catch (error) {
+        console.error('Serve encryption key error:', error);
+        res.status(500).json({ success: false, message: 'Failed to serve key' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,773 @@
+const express = require('express');
+const { param, body, query: queryParam, validationResult } = require('express-validator');
+const { query } = require('../config/database');
+const LiveStream = require('../models/LiveStream');
+const LiveChat = require('../models/LiveChat');
+const liveStreamService = require('../services/liveStreamService');
+const liveReplayService = require('../services/liveReplayService');
+const liveChatService = require('../services/liveChatService');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const handleValidation = (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({ success: false, errors: errors.array() });
+    }
+    next();
+};
+
+async function getUserChannelId(userId) {
+    const result = await query(
+        'SELECT id FROM channels WHERE user_id = $1 AND is_active = true LIMIT 1',
+        [userId]
+    );
+    return result.rows[0]?.id || null;
+}
+
+/**
+ * Load the requesting user's stream, or send a 404
+ */
+async function loadOwnStream(req, res) {
+    const channelId = await getUserChannelId(req.user.id);
+    const stream = channelId ? await LiveStream.getByChannel(channelId) : null;
+    if (!stream) {
+        res.status(404).json({
+            success: false,
+            message: channelId ? 'No live stream set up for your channel' : 'No channel found for user'
+        });
+        return null;
+    }
+    return stream;
+}
+
+// ---------------------------------------------------------------------------
+// SRS http_hooks. SRS treats HTTP 200 with {"code": 0} as success; anything
+// else rejects the publish (on_unpublish/on_dvr can't be rejected).
+// ---------------------------------------------------------------------------
+
+const verifyHook = (req, res, next) => {
+    if (!liveStreamService.verifyHookSecret(req.query.secret)) {
+        return res.status(403).json({ code: 403, message: 'Invalid hook secret' });
+    }
+    next();
+};
+
+/**
+ * @route POST /api/live/hooks/on_publish
+ * @desc SRS hook: authenticate the stream key and mark the stream live
+ * @access SRS (hook secret)
+ */
+router.post('/hooks/on_publish', verifyHook, async (req, res) => {
+    try {
+        const result = await liveStreamService.handlePublish(req.body);
+
+        if (!result.allowed) {
+            console.warn(`🚫 Publish rejected for ${req.body.app}/${req.body.stream} from ${req.body.ip}: ${result.reason}`);
+            return res.status(403).json({ code: 403, message: result.reason });
+        }
+
+        res.json({ code: 0 });
+    } catch (error) {
+        console.error('on_publish hook error:', error);
+        res.status(500).json({ code: 500, message: 'Failed to authorize stream' });
+    }
+});
+
+/**
+ * @route POST /api/live/hooks/on_unpublish
+ * @desc SRS hook: mark the stream offline
+ * @access SRS (hook secret)
+ */
+router.post('/hooks/on_unpublish', verifyHook, async (req, res) => {
+    try {
+        await liveStreamService.handleUnpublish(req.body);
+        res.json({ code: 0 });
+    } catch (error) {
+        console.error('on_unpublish hook error:', error);
+        res.status(500).json({ code: 500, message: 'Failed to end stream' });
+    }
+});
+
+/**
+ * @route POST /api/live/hooks/on_dvr
+ * @desc SRS hook: record a finished DVR segment
+ * @access SRS (hook secret)
+ */
+router.post('/hooks/on_dvr', verifyHook, async (req, res) => {
+    try {
+        await liveStreamService.handleDvr(req.body);
+        res.json({ code: 0 });
+    } catch (error) {
+        console.error('on_dvr hook error:', error);
+        res.status(500).json({ code: 500, message: 'Failed to record DVR segment' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Creator stream management
+// ---------------------------------------------------------------------------
+
+/**
+ * @route GET /api/live/me
+ * @desc Get your channel's stream settings and ingest server
+ * @access Private
+ */
+router.get('/me', authenticateToken, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        res.json({
+            success: true,
+            stream: liveStreamService.toPublic(stream),
+            ingest: liveStreamService.getIngest(stream)
+        });
+    } catch (error) {
+        console.error('Get own live stream error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch live stream' });
+    }
+});
+
+/**
+ * @route POST /api/live/me
+ * @desc Set up live streaming for your channel. The stream key is only returned here and on regeneration.
+ * @access Private
+ */
+router.post('/me', authenticateToken, [
+    body('title').trim().isLength({ min: 1, max: 255 }).withMessage('Title is required (max 255 characters)'),
+    body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description must be under 5000 characters')
+], handleValidation, async (req, res) => {
+    try {
+        const channelId = await getUserChannelId(req.user.id);
+        if (!channelId) {
+            return res.status(404).json({ success: false, message: 'No channel found for user' });
+        }
+
+        if (await LiveStream.getByChannel(channelId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your channel already has a live stream. Regenerate the key to get a new one.'
+            });
+        }
+
+        const { stream, streamKey } = await liveStreamService.createForChannel(channelId, {
+            title: req.body.title,
+            description: req.body.description || null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Live stream created. Copy your stream key now; it will not be shown again.',
+            stream: liveStreamService.toPublic(stream),
+            ingest: liveStreamService.getIngest(stream, streamKey)
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'Your channel already has a live stream' });
+        }
+        console.error('Create live stream error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create live stream' });
+    }
+});
+
+/**
+ * @route PUT /api/live/me
+ * @desc Update your stream's title, description and privacy
+ * @access Private
+ */
+router.put('/me', authenticateToken, [
+    body('title').optional().trim().isLength({ min: 1, max: 255 }).withMessage('Title must be 1-255 characters'),
+    body('description').optional().trim().isLength({ max: 5000 }).withMessage('Description must be under 5000 characters'),
+    body('is_private').optional().isBoolean().toBoolean().withMessage('is_private must be a boolean')
+], handleValidation, async (req, res) => {
+    try {
+        const existing = await loadOwnStream(req, res);
+        if (!existing) return;
+
+        const stream = await LiveStream.update(existing.id, {
+            title: req.body.title,
+            description: req.body.description,
+            is_private: req.body.is_private
+        });
+
+        if (stream.is_private && !existing.is_private) {
+            await liveStreamService.removeUnauthorizedViewers(stream);
+        }
+
+        res.json({
+            success: true,
+            stream: liveStreamService.toPublic(stream)
+        });
+    } catch (error) {
+        console.error('Update live stream error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update live stream' });
+    }
+});
+
+/**
+ * @route POST /api/live/me/key
+ * @desc Regenerate your stream key. The old key stops working for new connections.
+ * @access Private
+ */
+router.post('/me/key', authenticateToken, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        const streamKey = await liveStreamService.regenerateStreamKey(stream);
+
+        res.json({
+            success: true,
+            message: 'Stream key regenerated. Copy it now; it will not be shown again.',
+            ingest: liveStreamService.getIngest(stream, streamKey)
+        });
+    } catch (error) {
+        console.error('Regenerate stream key error:', error);
+        res.status(500).json({ success: false, message: 'Failed to regenerate stream key' });
+    }
+});
+
+/**
+ * @route GET /api/live/me/sessions
+ * @desc List your past and current broadcasts
+ * @access Private
+ */
+router.get('/me/sessions', authenticateToken, [
+    queryParam('page').optional().isInt({ min: 1 }).toInt(),
+    queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 20;
+        const sessions = await LiveStream.getSessions(stream.id, { limit, offset: (page - 1) * limit });
+
+        res.json({
+            success: true,
+            sessions,
+            pagination: { page, limit }
+        });
+    } catch (error) {
+        console.error('Get live sessions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch broadcasts' });
+    }
+});
+
+/**
+ * Load one of the requesting user's broadcasts, or send a 404
+ */
+async function loadOwnSession(req, res) {
+    const stream = await loadOwnStream(req, res);
+    if (!stream) return null;
+
+    const session = await LiveStream.getSession(req.params.sessionId);
+    if (!session || session.live_stream_id !== stream.id) {
+        res.status(404).json({ success: false, message: 'Broadcast not found' });
+        return null;
+    }
+    return session;
+}
+
+const replaySummary = (session) => ({
+    session_id: session.id,
+    title: session.title,
+    status: session.replay_status,
+    duration: session.replay_duration,
+    video_id: session.replay_video_id,
+    error: session.replay_error
+});
+
+/**
+ * @route GET /api/live/me/sessions/:sessionId/replay
+ * @desc Get the replay status of a broadcast (pending, collecting, ready, publishing, published, discarded, empty, failed)
+ * @access Private
+ */
+router.get('/me/sessions/:sessionId/replay', authenticateToken, [
+    param('sessionId').isUUID().withMessage('Valid broadcast ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const session = await loadOwnSession(req, res);
+        if (!session) return;
+
+        res.json({
+            success: true,
+            replay: replaySummary(session)
+        });
+    } catch (error) {
+        console.error('Get live replay error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch replay' });
+    }
+});
+
+/**
+ * @route POST /api/live/me/sessions/:sessionId/replay/publish
+ * @desc Trim (optional trim_start/trim_end, in seconds) and publish a ready replay as a film
+ * @access Private
+ */
+router.post('/me/sessions/:sessionId/replay/publish', authenticateToken, [
+    param('sessionId').isUUID().withMessage('Valid broadcast ID required'),
+    body('trim_start').optional({ nullable: true }).isFloat({ min: 0 }).toFloat().withMessage('trim_start must be a number of seconds'),
+    body('trim_end').optional({ nullable: true }).isFloat({ min: 0 }).toFloat().withMessage('trim_end must be a number of seconds')
+], handleValidation, async (req, res) => {
+    try {
+        const session = await loadOwnSession(req, res);
+        if (!session) return;
+
+        const result = await liveReplayService.publish(session.id, {
+            trimStart: req.body.trim_start,
+            trimEnd: req.body.trim_end
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Replay published and added to the processing queue',
+            filmId: result.videoId,
+            duration: result.duration,
+            status: 'processing'
+        });
+    } catch (error) {
+        console.error('Publish live replay error:', error);
+        res.status(500).json({ success: false, message: 'Failed to publish replay' });
+    }
+});
+
+/**
+ * @route DELETE /api/live/me/sessions/:sessionId/replay
+ * @desc Discard a ready replay without publishing it
+ * @access Private
+ */
+router.delete('/me/sessions/:sessionId/replay', authenticateToken, [
+    param('sessionId').isUUID().withMessage('Valid broadcast ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const session = await loadOwnSession(req, res);
+        if (!session) return;
+
+        if (!await liveReplayService.discard(session.id)) {
+            return res.status(409).json({ success: false, message: 'Only a ready replay can be discarded' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Replay discarded'
+        });
+    } catch (error) {
+        console.error('Discard live replay error:', error);
+        res.status(500).json({ success: false, message: 'Failed to discard replay' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Chat. Messages are sent over Socket.IO ('chat-message'); these endpoints
+// cover history, replays, settings and moderation.
+// ---------------------------------------------------------------------------
+
+/**
+ * @route GET /api/live/me/chat
+ * @desc Get your stream's chat settings and moderators
+ * @access Private
+ */
+router.get('/me/chat', authenticateToken, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        const [settings, moderators] = await Promise.all([
+            LiveChat.getSettings(stream.id),
+            LiveChat.getModerators(stream.id)
+        ]);
+
+        res.json({
+            success: true,
+            settings: {
+                slow_mode_seconds: settings.slowModeSeconds,
+                banned_words: settings.bannedWords
+            },
+            moderators
+        });
+    } catch (error) {
+        console.error('Get chat settings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch chat settings' });
+    }
+});
+
+/**
+ * @route PUT /api/live/me/chat
+ * @desc Set slow mode (0 turns it off) and your stream's banned words
+ * @access Private
+ */
+router.put('/me/chat', authenticateToken, [
+    body('slow_mode_seconds').optional().isInt({ min: 0, max: liveChatService.maxSlowMode }).toInt()
+        .withMessage(`slow_mode_seconds must be 0-${liveChatService.maxSlowMode}`),
+    body('banned_words').optional().isArray({ max: 500 }).withMessage('banned_words must be a list of up to 500 words'),
+    body('banned_words.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Banned words must be 1-100 characters')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        const bannedWords = req.body.banned_words
+            ? [...new Set(req.body.banned_words.map(word => word.toLowerCase()))]
+            : undefined;
+
+        const settings = await LiveChat.updateSettings(stream.id, {
+            slowModeSeconds: req.body.slow_mode_seconds,
+            bannedWords
+        });
+
+        liveChatService.emit(stream.id, 'chat-settings-updated', {
+            streamId: stream.id,
+            slowModeSeconds: settings.slowModeSeconds
+        });
+
+        res.json({
+            success: true,
+            settings: {
+                slow_mode_seconds: settings.slowModeSeconds,
+                banned_words: settings.bannedWords
+            }
+        });
+    } catch (error) {
+        console.error('Update chat settings error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update chat settings' });
+    }
+});
+
+/**
+ * @route POST /api/live/me/chat/moderators
+ * @desc Make a user a moderator of your stream's chat
+ * @access Private
+ */
+router.post('/me/chat/moderators', authenticateToken, [
+    body('user_id').isUUID().withMessage('Valid user ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        if (req.body.user_id === req.user.id) {
+            return res.status(400).json({ success: false, message: 'You already moderate your own chat' });
+        }
+
+        await LiveChat.addModerator(stream.id, req.body.user_id, req.user.id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Moderator added',
+            moderators: await LiveChat.getModerators(stream.id)
+        });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        console.error('Add chat moderator error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add moderator' });
+    }
+});
+
+/**
+ * @route DELETE /api/live/me/chat/moderators/:userId
+ * @desc Remove a moderator from your stream's chat
+ * @access Private
+ */
+router.delete('/me/chat/moderators/:userId', authenticateToken, [
+    param('userId').isUUID().withMessage('Valid user ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadOwnStream(req, res);
+        if (!stream) return;
+
+        if (!await LiveChat.removeModerator(stream.id, req.params.userId)) {
+            return res.status(404).json({ success: false, message: 'User is not a moderator' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Moderator removed'
+        });
+    } catch (error) {
+        console.error('Remove chat moderator error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove moderator' });
+    }
+});
+
+/**
+ * @route GET /api/live/replays/:videoId/chat
+ * @desc Chat of a published live replay, with offsets on the film's timeline (from/to in seconds)
+ * @access Public
+ */
+router.get('/replays/:videoId/chat', optionalAuth, [
+    param('videoId').isUUID().withMessage('Valid video ID required'),
+    queryParam('from').optional().isFloat({ min: 0 }).toFloat(),
+    queryParam('to').optional().isFloat({ min: 0 }).toFloat(),
+    queryParam('limit').optional().isInt({ min: 1, max: 1000 }).toInt()
+], handleValidation, async (req, res) => {
+    try {
+        const session = await LiveStream.getSessionByReplayVideo(req.params.videoId);
+        if (!session) {
+            return res.status(404).json({ success: false, message: 'This video is not a live replay' });
+        }
+
+        const messages = await liveChatService.getReplayChat(session, {
+            fromSeconds: req.query.from || 0,
+            toSeconds: req.query.to,
+            limit: req.query.limit || 500
+        });
+
+        res.json({
+            success: true,
+            messages
+        });
+    } catch (error) {
+        console.error('Get replay chat error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch replay chat' });
+    }
+});
+
+/**
+ * Load a stream by :streamId, or send a 404 (also for private streams the user can't see)
+ */
+async function loadStream(req, res) {
+    const stream = await LiveStream.getById(req.params.streamId);
+    if (!stream || !await liveStreamService.canView(stream, req.user)) {
+        res.status(404).json({ success: false, message: 'Live stream not found' });
+        return null;
+    }
+    return stream;
+}
+
+/**
+ * @route GET /api/live/:streamId/chat
+ * @desc Recent chat of the current broadcast, for viewers joining mid-stream
+ * @access Public
+ */
+router.get('/:streamId/chat', optionalAuth, [
+    param('streamId').isUUID().withMessage('Valid stream ID required'),
+    queryParam('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadStream(req, res);
+        if (!stream) return;
+
+        const [messages, settings] = await Promise.all([
+            stream.current_session_id ? LiveChat.getRecent(stream.current_session_id, req.query.limit || 50) : [],
+            LiveChat.getSettings(stream.id)
+        ]);
+
+        res.json({
+            success: true,
+            messages: messages.map(message => liveChatService.toPublicMessage(message)),
+            slow_mode_seconds: settings.slowModeSeconds,
+            can_moderate: await liveChatService.canModerate(stream, req.user)
+        });
+    } catch (error) {
+        console.error('Get live chat error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch chat' });
+    }
+});
+
+/**
+ * @route DELETE /api/live/:streamId/chat/messages/:messageId
+ * @desc Delete a chat message
+ * @access Private (stream moderators)
+ */
+router.delete('/:streamId/chat/messages/:messageId', authenticateToken, [
+    param('streamId').isUUID().withMessage('Valid stream ID required'),
+    param('messageId').isUUID().withMessage('Valid message ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadStream(req, res);
+        if (!stream) return;
+
+        const result = await liveChatService.deleteMessage(req.user, stream, req.params.messageId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Message deleted'
+        });
+    } catch (error) {
+        console.error('Delete chat message error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete message' });
+    }
+});
+
+/**
+ * @route GET /api/live/:streamId/chat/timeouts
+ * @desc List users currently timed out of the chat
+ * @access Private (stream moderators)
+ */
+router.get('/:streamId/chat/timeouts', authenticateToken, [
+    param('streamId').isUUID().withMessage('Valid stream ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadStream(req, res);
+        if (!stream) return;
+
+        if (!await liveChatService.canModerate(stream, req.user)) {
+            return res.status(403).json({ success: false, message: 'Only moderators can view timeouts' });
+        }
+
+        res.json({
+            success: true,
+            timeouts: await LiveChat.getActiveTimeouts(stream.id)
+        });
+    } catch (error) {
+        console.error('Get chat timeouts error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch timeouts' });
+    }
+});
+
+/**
+ * @route POST /api/live/:streamId/chat/timeouts
+ * @desc Time a user out of the chat (default 10 minutes, max 24 hours) and hide their messages
+ * @access Private (stream moderators)
+ */
+router.post('/:streamId/chat/timeouts', authenticateToken, [
+    param('streamId').isUUID().withMessage('Valid stream ID required'),
+    body('user_id').isUUID().withMessage('Valid user ID required'),
+    body('duration_seconds').optional().isInt({ min: 1, max: liveChatService.maxTimeout }).toInt()
+        .withMessage(`duration_seconds must be 1-${liveChatService.maxTimeout}`),
+    body('reason').optional().trim().isLength({ max: 255 }).withMessage('Reason must be under 255 characters')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadStream(req, res);
+        if (!stream) return;
+
+        const result = await liveChatService.timeoutUser(req.user, stream, {
+            userId: req.body.user_id,
+            durationSeconds: req.body.duration_seconds,
+            reason: req.body.reason
+        });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'User timed out',
+            timeout: result.timeout
+        });
+    } catch (error) {
+        if (error.code === '23503') {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+        console.error('Timeout chat user error:', error);
+        res.status(500).json({ success: false, message: 'Failed to time out user' });
+    }
+});
+
+/**
+ * @route DELETE /api/live/:streamId/chat/timeouts/:userId
+ * @desc Lift a user's timeout early
+ * @access Private (stream moderators)
+ */
+router.delete('/:streamId/chat/timeouts/:userId', authenticateToken, [
+    param('streamId').isUUID().withMessage('Valid stream ID required'),
+    param('userId').isUUID().withMessage('Valid user ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadStream(req, res);
+        if (!stream) return;
+
+        const result = await liveChatService.liftTimeout(req.user, stream, req.params.userId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: 'Timeout lifted'
+        });
+    } catch (error) {
+        console.error('Lift chat timeout error:', error);
+        res.status(500).json({ success: false, message: 'Failed to lift timeout' });
+    }
+});
+
+// ---------------------------------------------------------------------------
+// Public
+// ---------------------------------------------------------------------------
+
+/**
+ * @route GET /api/live
+ * @desc List channels that are live now, with playback URLs
+ * @access Public
+ */
+router.get('/', optionalAuth, [
+    queryParam('page').optional().isInt({ min: 1 }).toInt(),
+    queryParam('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], handleValidation, async (req, res) => {
+    try {
+        const page = req.query.page || 1;
+        const limit = req.query.limit || 20;
+        const streams = await LiveStream.getLive({ limit, offset: (page - 1) * limit });
+
+        res.json({
+            success: true,
+            streams: streams.map(stream => liveStreamService.toPublic(stream)),
+            pagination: { page, limit }
+        });
+    } catch (error) {
+        console.error('List live streams error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch live streams' });
+    }
+});
+
+/**
+ * @route GET /api/live/channel/:channelId
+ * @desc Get a channel's stream status and playback URLs
+ * @access Public
+ */
+router.get('/channel/:channelId', optionalAuth, [
+    param('channelId').isUUID().withMessage('Valid channel ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await LiveStream.getByChannel(req.params.channelId);
+        if (!stream || !await liveStreamService.canView(stream, req.user)) {
+            return res.status(404).json({ success: false, message: 'This channel has no live stream' });
+        }
+
+        res.json({
+            success: true,
+            stream: liveStreamService.toPublic(stream)
+        });
+    } catch (error) {
+        console.error('Get channel live stream error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch live stream' });
+    }
+});
+
+/**
+ * @route GET /api/live/:streamId
+ * @desc Get a stream's status and playback URLs
+ * @access Public
+ */
+router.get('/:streamId', optionalAuth, [
+    param('streamId').isUUID().withMessage('Valid stream ID required')
+], handleValidation, async (req, res) => {
+    try {
+        const stream = await loadStream(req, res);
+        if (!stream) return;
+
+        res.json({
+            success: true,
+            stream: liveStreamService.toPublic(stream)
+        });
+    } catch (error) {
+        console.error('Get live stream error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch live stream' });
+    }
+});
+
+module.exports = router;
@@ -1,25 +1,23 @@
 const express = require('express');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/adminAuth');
 const videoProcessingService = require('../services/videoProcessingService');
 const processingDaemon = require('../services/processingDaemon');
+const jobQueue = require('../services/jobQueue');
+const diskSpaceService = require('../services/diskSpaceService');
 
 const router = express.Router();
 
-// All monitoring routes require admin authentication
+// All monitoring routes require authentication; reading needs
+// monitoring.view and changing anything monitoring.manage
 router.use(authenticateToken);
-router.use((req, res, next) => {
-    if (!req.user.isAdmin) {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-});
 
 /**
  * @route GET /api/monitoring/dashboard
  * @desc Get comprehensive monitoring dashboard data
- * @access Private (Admin)
+ * @access Private (monitoring.view)
  */
-router.get('/dashboard', async (req, res) => {
+router.get('/dashboard', requirePermission('monitoring.view'), async (req, res) => {
     try {
         // Get queue status
         const queueStatus = await videoProcessingService.getQueueStatus();
@@ -56,9 +54,9 @@ router.get('/dashboard', async (req, res) => {
 /**
  * @route GET /api/monitoring/queue
  * @desc Get detailed queue information
- * @access Private (Admin)
+ * @access Private (monitoring.view)
  */
-router.get('/queue', async (req, res) => {
+router.get('/queue', requirePermission('monitoring.view'), async (req, res) => {
     try {
         const status = await videoProcessingService.getQueueStatus();
         res.json(status);
@@ -68,14 +66,176 @@ router.get('/queue', async (req, res) => {
     }
 });
 
+/**
+ * @route GET /api/monitoring/jobs
+ * @desc Get job counts by state for every queue
+ * @access Private (monitoring.view)
+ */
+router.get('/jobs', requirePermission('monitoring.view'), async (req, res) => {
+    try {
+        const queues = await jobQueue.getQueues();
+        
+        const result = {};
+        for (const queue of queues) {
+            result[queue] = await jobQueue.getCounts(queue);
+        }
+        
+        res.json({ queues: result });
+    } catch (error) {
+        console.error('Error getting job counts:', error);
+        res.status(500).json({ error: 'Failed to get job counts' });
+    }
+});
+
+/**
+ * @route GET /api/monitoring/jobs/:queue
+ * @desc List jobs in a queue by state (?state=waiting|delayed|active|completed|failed)
+ * @access Private (monitoring.view)
+ */
+router.get('/jobs/:queue', requirePermission('monitoring.view'), async (req, res) => {
+    try {
+        const { queue } = req.params;
+        const state = req.query.state || 'waiting';
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        
+        if (!jobQueue.STATES.includes(state)) {
+            return res.status(400).json({ 
+                error: 'Invalid state', 
+                message: `State must be one of: ${jobQueue.STATES.join(', ')}` 
+            });
+        }
+        
+        const { jobs, total } = await jobQueue.getJobs(queue, state, {
+            offset: (page - 1) * limit,
+            limit
+        });
+        
+        res.json({
+            queue,
+            state,
+            jobs,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('Error listing jobs:', error);
+        res.status(500).json({ error: 'Failed to list jobs' });
+    }
+});
+
+/**
+ * @route GET /api/monitoring/jobs/:queue/:jobId
+ * @desc Get a job with its history
+ * @access Private (monitoring.view)
+ */
+router.get('/jobs/:queue/:jobId', requirePermission('monitoring.view'), async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.jobId);
+        
+        if (!job || job.queue !== req.params.queue) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        res.json(job);
+    } catch (error) {
+        console.error('Error getting job:', error);
+        res.status(500).json({ error: 'Failed to get job' });
+    }
+});
+
+/**
+ * @route POST /api/monitoring/jobs/:queue/requeue-failed
+ * @desc Requeue every job in the queue's dead-letter queue; jobs whose source file is gone are skipped and listed
+ * @access Private (monitoring.manage)
+ */
+router.post('/jobs/:queue/requeue-failed', requirePermission('monitoring.manage'), async (req, res) => {
+    try {
+        const { requeued, skipped } = await jobQueue.requeueFailed(req.params.queue);
+        
+        res.json({ 
+            success: true, 
+            message: skipped.length
+                ? `Requeued ${requeued} job(s), skipped ${skipped.length} whose source file is gone`
+                : `Requeued ${requeued} job(s)`,
+            requeued,
+            skipped
+        });
+    } catch (error) {
+        console.error('Error requeueing failed jobs:', error);
+        res.status(500).json({ error: 'Failed to requeue jobs' });
+    }
+});
+
+/**
+ * @route POST /api/monitoring/jobs/:queue/:jobId/requeue
+ * @desc Requeue a failed, delayed or completed job with fresh attempts (body: priority)
+ * @access Private (monitoring.manage)
+ */
+router.post('/jobs/:queue/:jobId/requeue', requirePermission('monitoring.manage'), async (req, res) => {
+    try {
+        const job = await jobQueue.requeue(req.params.queue, req.params.jobId, {
+            priority: req.body.priority
+        });
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found or already queued' });
+        }
+        
+        res.json({ 
+            success: true, 
+            message: 'Job requeued',
+            job 
+        });
+    } catch (error) {
+        if (error.code === 'SOURCE_MISSING') {
+            return res.status(409).json({ error: error.message, code: error.code });
+        }
+        console.error('Error requeueing job:', error);
+        res.status(500).json({ error: 'Failed to requeue job' });
+    }
+});
+
+/**
+ * @route DELETE /api/monitoring/jobs/:queue/:jobId
+ * @desc Remove a job that is not currently running, deleting its source file
+ * @access Private (monitoring.manage)
+ */
+router.delete('/jobs/:queue/:jobId', requirePermission('monitoring.manage'), async (req, res) => {
+    try {
+        const job = await jobQueue.getJob(req.params.jobId);
+        
+        if (!job || job.queue !== req.params.queue) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        const removed = await jobQueue.remove(req.params.queue, req.params.jobId);
+        if (!removed) {
+            return res.status(409).json({ error: 'Job is currently running and cannot be removed' });
+        }
+        
+        res.json({ 
+            success: true, 
+            message: 'Job removed' 
+        });
+    } catch (error) {
+        console.error('Error removing job:', error);
+        res.status(500).json({ error: 'Failed to remove job' });
+    }
+});
+
 /**
  * @route GET /api/monitoring/disk
- * @desc Get disk space information
- * @access Private (Admin)
+ * @desc Get processing drive usage, space reservations, deferred jobs and the last emergency cleanup
+ * @access Private (monitoring.view)
  */
-router.get('/disk', async (req, res) => {
+router.get('/disk', requirePermission('monitoring.view'), async (req, res) => {
     try {
-        const diskInfo = await videoProcessingService.getDiskSpace();
+        const diskInfo = await diskSpaceService.getStatus();
         res.json(diskInfo);
     } catch (error) {
         console.error('Error getting disk info:', error);
@@ -86,9 +246,9 @@ router.get('/disk', async (req, res) => {
 /**
  * @route GET /api/monitoring/daemon
  * @desc Get processing daemon status
- * @access Private (Admin)
+ * @access Private (monitoring.view)
  */
-router.get('/daemon', async (req, res) => {
+router.get('/daemon', requirePermission('monitoring.view'), async (req, res) => {
     try {
         const status = processingDaemon.getStatus();
         res.json(status);
@@ -101,9 +261,9 @@ router.get('/daemon', async (req, res) => {
 /**
  * @route POST /api/monitoring/daemon/start
  * @desc Start the processing daemon
- * @access Private (Admin)
+ * @access Private (monitoring.manage)
  */
-router.post('/daemon/start', async (req, res) => {
+router.post('/daemon/start', requirePermission('monitoring.manage'), async (req, res) => {
     try {
         if (processingDaemon.getStatus().isRunning) {
             return res.status(400).json({ error: 'Daemon is already running' });
@@ -128,9 +288,9 @@ router.post('/daemon/start', async (req, res) => {
 /**
  * @route POST /api/monitoring/daemon/stop
  * @desc Stop the processing daemon
- * @access Private (Admin)
+ * @access Private (monitoring.manage)
  */
-router.post('/daemon/stop', async (req, res) => {
+router.post('/daemon/stop', requirePermission('monitoring.manage'), async (req, res) => {
     try {
         if (!processingDaemon.getStatus().isRunning) {
             return res.status(400).json({ error: 'Daemon is not running' });
@@ -152,9 +312,9 @@ router.post('/daemon/stop', async (req, res) => {
 /**
  * @route GET /api/monitoring/stats
  * @desc Get processing statistics
- * @access Private (Admin)
+ * @access Private (monitoring.view)
  */
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('monitoring.view'), async (req, res) => {
     try {
         const { query } = require('../config/database');
         
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const recommendationEngine = require('../services/recommendationEngine');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/adminAuth');
 
 /**
  * GET /api/recommendations/personalized
@@ -139,17 +140,10 @@ router.get('/home', optionalAuth, async (req, res) => {
 
 /**
  * POST /api/recommendations/refresh-cache
- * Manually refresh recommendation caches (admin only)
+ * Manually refresh recommendation caches (monitoring.manage)
  */
-router.post('/refresh-cache', authenticateToken, async (req, res) => {
+router.post('/refresh-cache', authenticateToken, requirePermission('monitoring.manage'), async (req, res) => {
     try {
-        // Check if user is admin
-        const { role } = req.user;
-
-        if (role !== 'admin' && role !== 'moderator') {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-
         await recommendationEngine.clearAllCaches();
 
         res.json({
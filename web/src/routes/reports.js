@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+const Report = require('../models/Report');
+const { authenticateToken } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/validation');
+const { cache } = require('../config/redis');
+
+const REPORTS_PER_HOUR = parseInt(process.env.REPORTS_PER_HOUR) || 20;
+
+const reportValidation = [
+    body('contentType')
+        .isIn(Report.CONTENT_TYPES)
+        .withMessage(`Content type must be one of: ${Report.CONTENT_TYPES.join(', ')}`),
+    body('contentId')
+        .isUUID()
+        .withMessage('Valid content ID required'),
+    body('reason')
+        .isIn(Object.keys(Report.REASONS))
+        .withMessage('Choose a reason for the report'),
+    body('description')
+        .optional({ nullable: true })
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Details must be 1000 characters or fewer')
+];
+
+/**
+ * @route GET /api/reports/reasons
+ * @desc Reasons a viewer can choose when reporting
+ * @access Public
+ */
+router.get('/reasons', (req, res) => {
+    res.json({
+        success: true,
+        reasons: Object.entries(Report.REASONS).map(([id, { label }]) => ({ id, label }))
+    });
+});
+
+/**
+ * @route POST /api/reports
+ * @desc Report a video, comment, channel or user for moderation
+ * @access Private
+ */
+router.post('/', authenticateToken, validateRequest(reportValidation), async (req, res) => {
+    try {
+        const { contentType, contentId, reason, description } = req.body;
+
+        const rateKey = `report_rate:${req.user.id}`;
+        const count = await cache.incr(rateKey);
+        if (count === 1) {
+            await cache.expire(rateKey, 3600);
+        }
+        if (count > REPORTS_PER_HOUR) {
+            return res.status(429).json({
+                success: false,
+                message: 'You have sent a lot of reports recently. Please try again later.'
+            });
+        }
+
+        const ownerId = await Report.findContentOwner(contentType, contentId);
+        if (!ownerId) {
+            return res.status(404).json({ success: false, message: 'Content not found' });
+        }
+        if (ownerId === req.user.id) {
+            return res.status(400).json({ success: false, message: 'You can\'t report your own content' });
+        }
+
+        const result = await Report.file({
+            reporterId: req.user.id,
+            contentType,
+            contentId,
+            reason,
+            description: description || null
+        });
+
+        res.status(result.duplicate ? 200 : 201).json({
+            success: true,
+            message: result.duplicate
+                ? 'You have already reported this. Our moderators will review it.'
+                : 'Thanks for your report. Our moderators will review it.'
+        });
+    } catch (error) {
+        console.error('File report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send report' });
+    }
+});
+
+module.exports = router;
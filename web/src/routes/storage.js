@@ -0,0 +1,70 @@
+const express = require('express');
+const storageService = require('../services/storageService');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/storage/*
+ * @desc Serve an object from local storage, with Range support. Private objects need a signed URL (?expires=&signature=)
+ * @access Public (signed URL for private objects)
+ */
+router.get('/*', async (req, res) => {
+    try {
+        const driver = storageService.getDriver('local');
+
+        let key;
+        try {
+            key = driver.normalizeKey(req.params[0]);
+        } catch (error) {
+            return res.status(400).json({ success: false, message: 'Invalid path' });
+        }
+
+        const isPublic = storageService.isPublicKey(key);
+
+        let valid = isPublic;
+        try {
+            valid = valid || driver.verifySignature(key, req.query.expires, req.query.signature);
+        } catch (error) {
+            valid = false;
+        }
+        if (!valid) {
+            return res.status(403).json({ success: false, message: 'Invalid or expired link' });
+        }
+
+        const stat = await driver.stat(key);
+        if (!stat) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        res.setHeader('Content-Type', stat.contentType);
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Cache-Control', isPublic ? 'public, max-age=86400' : 'private, max-age=0');
+
+        const range = req.headers.range && req.headers.range.match(/^bytes=(\d*)-(\d*)$/);
+        if (range && (range[1] || range[2])) {
+            // "bytes=-500" is the last 500 bytes
+            const start = range[1] ? parseInt(range[1]) : Math.max(stat.size - parseInt(range[2]), 0);
+            const end = range[1] && range[2] ? Math.min(parseInt(range[2]), stat.size - 1) : stat.size - 1;
+
+            if (start >= stat.size || start > end) {
+                res.setHeader('Content-Range', `bytes */${stat.size}`);
+                return res.status(416).end();
+            }
+
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+            res.setHeader('Content-Length', end - start + 1);
+            return (await driver.stream(key, { start, end })).pipe(res);
+        }
+
+        res.setHeader('Content-Length', stat.size);
+        (await driver.stream(key)).pipe(res);
+    } catch (error) {
+        console.error('Serve stored file error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Failed to serve file' });
+        }
+    }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const { UploadController, upload } = require('../controllers/uploadController');
 const { authenticateToken } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/adminAuth');
 const { validateRequest } = require('../middleware/validation');
 
 const router = express.Router();
@@ -15,10 +16,59 @@ router.use(authenticateToken);
  */
 router.post('/film', 
     UploadController.checkUploadLimit,
+    UploadController.checkDiskSpace,
     upload.single('film'),
     UploadController.uploadFilm
 );
 
+/**
+ * @route POST /api/upload/sessions
+ * @desc Create a resumable upload session (body: filename, size, mimeType, metadata)
+ * @access Private
+ */
+router.post('/sessions',
+    UploadController.checkUploadLimit,
+    UploadController.createUploadSession
+);
+
+/**
+ * @route HEAD /api/upload/sessions/:uploadId
+ * @desc Get the current offset of a resumable upload (Upload-Offset header)
+ * @access Private
+ */
+router.head('/sessions/:uploadId', UploadController.getUploadOffset);
+
+/**
+ * @route GET /api/upload/sessions/:uploadId
+ * @desc Get resumable upload session details
+ * @access Private
+ */
+router.get('/sessions/:uploadId', UploadController.getUploadSession);
+
+/**
+ * @route PATCH /api/upload/sessions/:uploadId
+ * @desc Append a chunk at Upload-Offset (Content-Type: application/offset+octet-stream)
+ * @access Private
+ */
+router.patch('/sessions/:uploadId', UploadController.uploadChunk);
+
+/**
+ * @route POST /api/upload/sessions/:uploadId/finalize
+ * @desc Assemble a completed upload and queue the film for processing
+ * @access Private
+ */
+router.post('/sessions/:uploadId/finalize',
+    UploadController.checkUploadLimit,
+    UploadController.finalizeUpload
+);
+
+/**
+ * @route DELETE /api/upload/sessions/:uploadId
+ * @desc Abort a resumable upload and discard received data
+ * @access Private
+ */
+router.delete('/sessions/:uploadId', UploadController.abortUploadSession);
+
 /**
  * @route GET /api/upload/status/:filmId
  * @desc Get upload/processing status
@@ -74,16 +124,11 @@ router.get('/limits', async (req, res) => {
 
 /**
  * @route GET /api/upload/queue-status
- * @desc Get transcoding queue status (admin only)
- * @access Private (Admin)
+ * @desc Get transcoding queue status
+ * @access Private (monitoring.view)
  */
-router.get('/queue-status', async (req, res) => {
+router.get('/queue-status', requirePermission('monitoring.view'), async (req, res) => {
     try {
-        // Check if user is admin
-        if (!req.user.isAdmin) {
-            return res.status(403).json({ error: 'Admin access required' });
-        }
-        
         const videoProcessingService = require('../services/videoProcessingService');
         const status = await videoProcessingService.getQueueStatus();
         
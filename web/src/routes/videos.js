@@ -1,8 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const Video = require('../models/Video');
+const playbackService = require('../services/playbackService');
+const moderationService = require('../services/moderationService');
+const VideoModeration = require('../models/VideoModeration');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { query, param, validationResult } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 
 // Search and filter videos
 router.get('/search', optionalAuth, async (req, res) => {
@@ -100,7 +103,8 @@ router.get('/:videoId', optionalAuth, [
 
         const video = await Video.getById(videoId, userId);
 
-        if (!video) {
+        // Same visibility as playback: private and unmoderated films look missing
+        if (!video || !playbackService.canWatch(video, req.user)) {
             return res.status(404).json({
                 success: false,
                 message: 'Video not found'
@@ -224,4 +228,79 @@ router.delete('/:videoId', authenticateToken, [
     }
 });
 
+// Moderation status and decision history of the owner's video
+router.get('/:videoId/moderation', authenticateToken, [
+    param('videoId').isUUID().withMessage('Valid video ID required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const video = await VideoModeration.getVideoWithOwner(req.params.videoId);
+        if (!video || video.owner_id !== req.user.id) {
+            return res.status(404).json({ success: false, message: 'Video not found' });
+        }
+
+        const history = await VideoModeration.getHistory(video.id);
+        const appeal = await VideoModeration.getOpenAppeal(video.id);
+
+        res.json({
+            success: true,
+            moderation: {
+                status: video.moderation_status,
+                notes: video.moderation_notes,
+                moderatedAt: video.moderated_at,
+                appeal: appeal && { id: appeal.id, message: appeal.message, createdAt: appeal.created_at },
+                canAppeal: !moderationService.appealBlocker(video, history[history.length - 1]),
+                appealWindowDays: moderationService.appealWindowDays,
+                // Moderators stay anonymous to creators
+                history: history.map(({ action, reason, notes, created_at, actor_id }) => ({
+                    action,
+                    reason,
+                    notes: action.startsWith('appeal_vote_') ? null : notes,
+                    byYou: actor_id === req.user.id,
+                    createdAt: created_at
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Get video moderation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch moderation status' });
+    }
+});
+
+// Appeal a rejection; the video goes back to the moderation queue for two reviewers
+router.post('/:videoId/appeal', authenticateToken, [
+    param('videoId').isUUID().withMessage('Valid video ID required'),
+    body('message')
+        .isString()
+        .trim()
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Explain your appeal in 10 to 2000 characters')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ success: false, errors: errors.array() });
+        }
+
+        const appeal = await moderationService.fileAppeal(req.params.videoId, req.user.id, req.body.message);
+
+        res.status(201).json({
+            success: true,
+            message: 'Appeal submitted. Two moderators will review it and we\'ll let you know the outcome.',
+            appeal: { id: appeal.id, status: appeal.status, createdAt: appeal.created_at }
+        });
+    } catch (error) {
+        const statuses = { NOT_FOUND: 404, NOT_APPEALABLE: 409 };
+        if (statuses[error.code]) {
+            return res.status(statuses[error.code]).json({ success: false, message: error.message });
+        }
+        console.error('Appeal video error:', error);
+        res.status(500).json({ success: false, message: 'Failed to submit appeal' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
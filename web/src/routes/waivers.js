@@ -1,6 +1,7 @@
 const express = require('express');
 const waiverController = require('../controllers/waiverController');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { requirePermission, requireRecentTwoFactor } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
@@ -44,10 +45,10 @@ router.post('/director-response/:waiverId', waiverController.directorResponse);
 
 /**
  * @route GET /api/waivers/verify-award/:awardId
- * @desc Verify award (admin only)
- * @access Private (Admin)
+ * @desc Verify award
+ * @access Private (waivers.review)
  */
-router.get('/verify-award/:awardId', requireAdmin, async (req, res) => {
+router.get('/verify-award/:awardId', requirePermission('waivers.review'), async (req, res) => {
     try {
         const { awardId } = req.params;
         const { query } = require('../config/database');
@@ -73,10 +74,10 @@ router.get('/verify-award/:awardId', requireAdmin, async (req, res) => {
 
 /**
  * @route POST /api/waivers/verify-award/:awardId
- * @desc Verify or reject award (admin only)
- * @access Private (Admin)
+ * @desc Verify or reject award
+ * @access Private (waivers.review)
  */
-router.post('/verify-award/:awardId', requireAdmin, async (req, res) => {
+router.post('/verify-award/:awardId', requirePermission('waivers.review'), async (req, res) => {
     try {
         const { awardId } = req.params;
         const { action, notes } = req.body; // action: 'verify' | 'reject'
@@ -113,10 +114,10 @@ router.post('/verify-award/:awardId', requireAdmin, async (req, res) => {
 
 /**
  * @route GET /api/waivers/admin/pending-awards
- * @desc Get pending award verifications (admin only)
- * @access Private (Admin)
+ * @desc Get pending award verifications
+ * @access Private (waivers.review)
  */
-router.get('/admin/pending-awards', requireAdmin, async (req, res) => {
+router.get('/admin/pending-awards', requirePermission('waivers.review'), async (req, res) => {
     try {
         const { query } = require('../config/database');
         const page = parseInt(req.query.page) || 1;
@@ -157,10 +158,10 @@ router.get('/admin/pending-awards', requireAdmin, async (req, res) => {
 
 /**
  * @route GET /api/waivers/admin/pending-waivers
- * @desc Get pending waiver requests (admin only)
- * @access Private (Admin)
+ * @desc Get pending waiver requests
+ * @access Private (waivers.review)
  */
-router.get('/admin/pending-waivers', requireAdmin, async (req, res) => {
+router.get('/admin/pending-waivers', requirePermission('waivers.review'), async (req, res) => {
     try {
         const { query } = require('../config/database');
         const page = parseInt(req.query.page) || 1;
@@ -202,10 +203,10 @@ router.get('/admin/pending-waivers', requireAdmin, async (req, res) => {
 
 /**
  * @route POST /api/waivers/admin/approve/:waiverId
- * @desc Manually approve waiver (admin only)
- * @access Private (Admin)
+ * @desc Manually approve waiver (with a recent 2FA check)
+ * @access Private (waivers.review)
  */
-router.post('/admin/approve/:waiverId', requireAdmin, async (req, res) => {
+router.post('/admin/approve/:waiverId', requirePermission('waivers.review'), requireRecentTwoFactor, async (req, res) => {
     try {
         const { waiverId } = req.params;
         const { notes } = req.body;
@@ -1,4 +1,5 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
 const FormData = require('form-data');
 const path = require('path');
@@ -13,6 +14,8 @@ class BunnyService {
         this.libraryId = process.env.BUNNY_LIBRARY_ID;
         this.apiKey = process.env.BUNNY_API_KEY;
         this.cdnHostname = process.env.CDN_HOSTNAME;
+        // Token authentication key of the library's pull zone, if enabled
+        this.tokenKey = process.env.BUNNY_STREAM_TOKEN_KEY;
         this.baseUrl = process.env.BUNNY_STREAM_API_URL || 'https://video.bunnycdn.com/library';
         this.enabled = process.env.USE_CDN === 'true' && this.apiKey;
 
@@ -195,6 +198,32 @@ class BunnyService {
         return `https://${this.cdnHostname}/${videoId}/thumbnail.jpg?time=${time}`;
     }
 
+    /**
+     * URL of a file of a Bunny Stream video, signed with a directory token
+     * for /<videoId>/ when token authentication is on. The token sits in the
+     * path, so relative playlist and segment URIs under it are authorised too.
+     * @param {number} expiresAt - unix seconds
+     */
+    getSignedUrl(videoId, file, expiresAt) {
+        if (!this.enabled) {
+            return null;
+        }
+        if (!this.tokenKey) {
+            return `https://${this.cdnHostname}/${videoId}/${file}`;
+        }
+
+        const tokenPath = `/${videoId}/`;
+        const token = crypto.createHash('sha256')
+            .update(`${this.tokenKey}${tokenPath}${expiresAt}token_path=${tokenPath}`)
+            .digest('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+
+        return `https://${this.cdnHostname}/bcdn_token=${token}&expires=${expiresAt}` +
+            `&token_path=${encodeURIComponent(tokenPath)}${tokenPath}${file}`;
+    }
+
     /**
      * Update video metadata
      */
@@ -0,0 +1,240 @@
+const path = require('path');
+const storageService = require('./storageService');
+
+const TIMESTAMP = '(?:(\\d{1,2}):)?(\\d{2}):(\\d{2})[.,](\\d{3})';
+const CUE_TIMING = new RegExp(`^${TIMESTAMP}\\s+-->\\s+${TIMESTAMP}(.*)$`);
+
+class CaptionService {
+    constructor() {
+        this.allowedExtensions = ['.srt', '.vtt'];
+        this.maxFileSize = 2 * 1024 * 1024; // 2MB
+        this.kinds = ['subtitles', 'captions'];
+    }
+
+    /**
+     * Parse a cue timing line into seconds. Returns null if it isn't one.
+     */
+    parseTiming(line) {
+        const match = line.match(CUE_TIMING);
+        if (!match) return null;
+
+        const toSeconds = (h, m, s, ms) => (parseInt(h || 0) * 3600) + (parseInt(m) * 60) + parseInt(s) + (parseInt(ms) / 1000);
+        return {
+            start: toSeconds(match[1], match[2], match[3], match[4]),
+            end: toSeconds(match[5], match[6], match[7], match[8]),
+            settings: match[9].trim()
+        };
+    }
+
+    formatTimestamp(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const h = Math.floor(totalMs / 3600000);
+        const m = Math.floor((totalMs % 3600000) / 60000);
+        const s = Math.floor((totalMs % 60000) / 1000);
+        const ms = totalMs % 1000;
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+    }
+
+    invalid(message) {
+        const error = new Error(message);
+        error.code = 'INVALID_CAPTION';
+        return error;
+    }
+
+    /**
+     * Split caption text into blank-line separated blocks, keeping the line
+     * number each block starts on for error messages
+     */
+    splitBlocks(text) {
+        const blocks = [];
+        let current = null;
+
+        text.split('\n').forEach((line, index) => {
+            if (line.trim() === '') {
+                if (current) blocks.push(current);
+                current = null;
+            } else {
+                if (!current) current = { lineNumber: index + 1, lines: [] };
+                current.lines.push(line.replace(/\s+$/, ''));
+            }
+        });
+        if (current) blocks.push(current);
+
+        return blocks;
+    }
+
+    validateCue(timing, lineNumber) {
+        if (timing.end <= timing.start) {
+            throw this.invalid(`Cue at line ${lineNumber} ends before it starts`);
+        }
+    }
+
+    /**
+     * Convert SRT to WebVTT
+     */
+    convertSrt(text) {
+        const cues = [];
+
+        for (const block of this.splitBlocks(text)) {
+            const lines = [...block.lines];
+            // Numeric cue index is optional in practice
+            if (/^\d+$/.test(lines[0].trim())) {
+                lines.shift();
+            }
+
+            const timing = lines.length ? this.parseTiming(lines[0].trim()) : null;
+            if (!timing) {
+                throw this.invalid(`Invalid SRT cue timing at line ${block.lineNumber}`);
+            }
+            this.validateCue(timing, block.lineNumber);
+
+            const cueText = lines.slice(1)
+                // SRT font tags have no WebVTT equivalent
+                .map(line => line.replace(/<\/?font[^>]*>/gi, ''))
+                .join('\n');
+
+            cues.push(`${this.formatTimestamp(timing.start)} --> ${this.formatTimestamp(timing.end)}\n${cueText}`);
+        }
+
+        if (cues.length === 0) {
+            throw this.invalid('Caption file contains no cues');
+        }
+
+        return { vtt: `WEBVTT\n\n${cues.join('\n\n')}\n`, cueCount: cues.length };
+    }
+
+    /**
+     * Validate WebVTT, normalising timestamps to hh:mm:ss.ttt
+     */
+    normalizeVtt(text) {
+        const blocks = this.splitBlocks(text);
+        if (!blocks.length || !/^WEBVTT(\s|$)/.test(blocks[0].lines[0])) {
+            throw this.invalid('WebVTT file must start with "WEBVTT"');
+        }
+
+        const output = [blocks[0].lines.join('\n')];
+        let cueCount = 0;
+
+        for (const block of blocks.slice(1)) {
+            const header = block.lines[0];
+            if (/^(NOTE|STYLE|REGION)(\s|$)/.test(header)) {
+                output.push(block.lines.join('\n'));
+                continue;
+            }
+
+            // Optional cue identifier before the timing line
+            const timingIndex = header.includes('-->') ? 0 : 1;
+            const timing = block.lines[timingIndex] ? this.parseTiming(block.lines[timingIndex].trim()) : null;
+            if (!timing) {
+                throw this.invalid(`Invalid WebVTT cue timing at line ${block.lineNumber + timingIndex}`);
+            }
+            this.validateCue(timing, block.lineNumber + timingIndex);
+
+            const lines = [...block.lines];
+            lines[timingIndex] = `${this.formatTimestamp(timing.start)} --> ${this.formatTimestamp(timing.end)}${timing.settings ? ` ${timing.settings}` : ''}`;
+            output.push(lines.join('\n'));
+            cueCount++;
+        }
+
+        if (cueCount === 0) {
+            throw this.invalid('Caption file contains no cues');
+        }
+
+        return { vtt: `${output.join('\n\n')}\n`, cueCount };
+    }
+
+    /**
+     * Validate an uploaded SRT/VTT buffer and return WebVTT text
+     * @param {Buffer} buffer - Uploaded file contents
+     * @param {string} filename - Original filename (extension picks the parser)
+     */
+    toWebVtt(buffer, filename) {
+        const extension = path.extname(filename || '').toLowerCase();
+        if (!this.allowedExtensions.includes(extension)) {
+            throw this.invalid('Only .srt and .vtt caption files are allowed');
+        }
+
+        const text = buffer.toString('utf8')
+            .replace(/^\uFEFF/, '')
+            .replace(/\r\n?/g, '\n');
+
+        if (text.includes('\uFFFD')) {
+            throw this.invalid('Caption file must be UTF-8 encoded');
+        }
+
+        const result = extension === '.srt' ? this.convertSrt(text) : this.normalizeVtt(text);
+        result.duration = this.getDuration(result.vtt);
+        return result;
+    }
+
+    getDuration(vtt) {
+        let duration = 0;
+        for (const line of vtt.split('\n')) {
+            const timing = this.parseTiming(line.trim());
+            if (timing) duration = Math.max(duration, timing.end);
+        }
+        return duration;
+    }
+
+    /**
+     * Human readable label for a language code, e.g. 'es-MX' -> 'Spanish (Mexico)'
+     */
+    defaultLabel(language, kind) {
+        let label = language;
+        try {
+            label = new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+        } catch (error) {
+            // Unknown code; fall back to the code itself
+        }
+        return kind === 'captions' ? `${label} (CC)` : label;
+    }
+
+    /**
+     * Driver a film's captions are stored with: the film's own, or the
+     * configured one for films that aren't in the storage layer yet
+     */
+    getDriver(video) {
+        return storageService.getDriver(video.storage_driver || undefined);
+    }
+
+    /**
+     * Store the WebVTT file and the single-segment HLS subtitle playlist that
+     * points at it under videos/<videoId>/captions/, private like the rest of
+     * the film (served through the playback proxy)
+     * @param {Object} video - id and storage_driver
+     * @returns {Promise<Object>} - storage keys: { filePath, url, playlistUrl }
+     */
+    async saveCaptionFiles(video, captionId, vtt, duration) {
+        const driver = this.getDriver(video);
+        const vttName = `${captionId}.vtt`;
+        const vttKey = `videos/${video.id}/captions/${vttName}`;
+        const playlistKey = `videos/${video.id}/captions/${captionId}.m3u8`;
+
+        await driver.put(vttKey, Buffer.from(vtt), { metadata: { videoId: video.id } });
+
+        const targetDuration = Math.max(1, Math.ceil(duration));
+        const playlist = '#EXTM3U\n' +
+            `#EXT-X-TARGETDURATION:${targetDuration}\n` +
+            '#EXT-X-VERSION:3\n' +
+            '#EXT-X-MEDIA-SEQUENCE:0\n' +
+            '#EXT-X-PLAYLIST-TYPE:VOD\n' +
+            `#EXTINF:${duration.toFixed(3)},\n` +
+            `${vttName}\n` +
+            '#EXT-X-ENDLIST\n';
+        await driver.put(playlistKey, Buffer.from(playlist), { metadata: { videoId: video.id } });
+
+        return {
+            filePath: vttKey,
+            url: vttKey,
+            playlistUrl: playlistKey
+        };
+    }
+
+    async removeCaptionFiles(video, captionId) {
+        const driver = this.getDriver(video);
+        await driver.delete(`videos/${video.id}/captions/${captionId}.vtt`).catch(() => {});
+        await driver.delete(`videos/${video.id}/captions/${captionId}.m3u8`).catch(() => {});
+    }
+}
+
+module.exports = new CaptionService();
@@ -0,0 +1,299 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { cache, getClient } = require('../config/redis');
+const { checkDiskSpace, listFilesRecursive } = require('../utils/fileUtils');
+const jobQueue = require('./jobQueue');
+const resumableUploadService = require('./resumableUploadService');
+
+const GB = 1024 * 1024 * 1024;
+const RESERVATIONS_KEY = 'disk_reservations';
+const CLEANUP_LOCK_KEY = 'disk_cleanup_lock';
+const LAST_CLEANUP_KEY = 'disk_last_cleanup';
+const RESERVATION_TTL = 6 * 3600;
+
+// Renditions written by scripts/compress_video.sh, with a bitrate (video +
+// audio, kbps) that x264 at CRF 20 rarely goes above for that size
+const LADDER = [
+    { quality: '360p', kbps: 1200, minDuration: 0 },
+    { quality: '480p', kbps: 2000, minDuration: 300 },
+    { quality: '720p', kbps: 4000, minDuration: 600 }
+];
+
+/**
+ * Admission control for the processing drive (PROCESSING_DRIVE).
+ *
+ * A job needs scratch space for the copy process_video.sh makes in working/
+ * plus the renditions it writes to output/. Space that is promised but not
+ * written yet (uploads in progress, running jobs) is held as a reservation in
+ * Redis, and something is only admitted if the drive keeps DISK_MIN_FREE_GB
+ * free after every reservation, its own included. Reserving before checking
+ * means two workers racing for the last few GB can both be refused, but never
+ * both admitted.
+ *
+ * When admission fails, an emergency cleanup first removes orphaned files in
+ * working/, inbox/ and uploads/temp that no queued job or upload session
+ * refers to.
+ */
+class DiskSpaceService {
+    constructor() {
+        this.processingPath = process.env.PROCESSING_DRIVE || '/mnt/HC_Volume_103339423';
+        this.workingPath = path.join(this.processingPath, 'processing', 'working');
+        this.inboxPath = path.join(this.processingPath, 'processing', 'inbox');
+        this.uploadTempPath = resumableUploadService.tempDir;
+        this.processingQueue = 'video-processing';
+        this.minFreeBytes = (parseFloat(process.env.DISK_MIN_FREE_GB) || 5) * GB;
+        this.scratchHeadroom = parseFloat(process.env.DISK_SCRATCH_HEADROOM) || 1.2;
+        this.warnPercent = parseInt(process.env.DISK_WARN_PERCENT) || 85;
+        this.deferDelay = (parseInt(process.env.DISK_DEFER_SECONDS) || 300) * 1000;
+        this.orphanMinAge = (parseInt(process.env.DISK_ORPHAN_MIN_AGE_MINUTES) || 60) * 60 * 1000;
+        this.maxDuration = parseInt(process.env.VIDEO_MAX_DURATION) || 1800;
+    }
+
+    /**
+     * Scratch space needed to process a source file already on the drive:
+     * its copy in working/ plus the renditions. Each rendition is capped at
+     * the source size; without a duration the longest allowed film is assumed.
+     */
+    estimateScratch(sourceBytes, duration = null) {
+        const seconds = duration || this.maxDuration;
+        const renditionBytes = LADDER
+            .filter(rung => seconds > rung.minDuration)
+            .reduce((sum, rung) => sum + Math.min(rung.kbps * 125 * seconds, sourceBytes), 0);
+
+        return Math.ceil((sourceBytes + renditionBytes) * this.scratchHeadroom);
+    }
+
+    async reserve(id, bytes, ttlSeconds = RESERVATION_TTL) {
+        await getClient().hSet(RESERVATIONS_KEY, id, JSON.stringify({
+            bytes,
+            expiresAt: Date.now() + ttlSeconds * 1000
+        }));
+    }
+
+    async release(id) {
+        await getClient().hDel(RESERVATIONS_KEY, id);
+    }
+
+    /**
+     * Live reservations; expired ones (holders that crashed) are dropped
+     */
+    async getReservations() {
+        const entries = await getClient().hGetAll(RESERVATIONS_KEY);
+        const now = Date.now();
+        const reservations = [];
+
+        for (const [id, value] of Object.entries(entries)) {
+            const { bytes, expiresAt } = JSON.parse(value);
+            if (expiresAt <= now) {
+                await getClient().hDel(RESERVATIONS_KEY, id);
+                continue;
+            }
+            reservations.push({ id, bytes, expiresAt: new Date(expiresAt).toISOString() });
+        }
+
+        return reservations;
+    }
+
+    /**
+     * Free space on the processing drive after reservations and the
+     * DISK_MIN_FREE_GB floor. Negative when the drive is overcommitted.
+     */
+    async getHeadroom() {
+        const disk = await checkDiskSpace(this.processingPath);
+        const reservations = await this.getReservations();
+        const reservedBytes = reservations.reduce((sum, reservation) => sum + reservation.bytes, 0);
+
+        return {
+            disk,
+            reservations,
+            reservedBytes,
+            headroomBytes: disk.free - reservedBytes - this.minFreeBytes
+        };
+    }
+
+    /**
+     * Reserve space and keep the reservation only if it fits, running an
+     * emergency cleanup before giving up.
+     * @param {string} id - Reservation ID (upload:<id> or job:<id>)
+     * @param {number} bytes - Space to hold until released
+     * @param {number} [options.extraBytes] - Space that must also be free
+     *   now but isn't reserved (e.g. the scratch a new upload will need later)
+     * @returns {Promise<Object>} - { admitted, requiredBytes, availableBytes, cleanup }
+     */
+    async admit(id, bytes, { extraBytes = 0, ttl = RESERVATION_TTL } = {}) {
+        await this.reserve(id, bytes, ttl);
+
+        let cleanup = null;
+        let { headroomBytes } = await this.getHeadroom();
+        if (headroomBytes < extraBytes) {
+            cleanup = await this.emergencyCleanup();
+            if (cleanup && cleanup.freedBytes > 0) {
+                ({ headroomBytes } = await this.getHeadroom());
+            }
+        }
+
+        const admitted = headroomBytes >= extraBytes;
+        if (!admitted) {
+            await this.release(id);
+            console.warn(`💾 Not enough disk space for ${id}: needs ${bytes + extraBytes} bytes, ${Math.max(headroomBytes + bytes, 0)} available`);
+        }
+
+        return {
+            admitted,
+            requiredBytes: bytes + extraBytes,
+            // Space available to this request, i.e. not counting its own reservation
+            availableBytes: Math.max(headroomBytes + bytes, 0),
+            cleanup
+        };
+    }
+
+    /**
+     * Admit an upload of the given size: the file itself is reserved until it
+     * has arrived, and the scratch needed to process it must be free now.
+     * uploads/temp has to hold the file too when it's on another filesystem.
+     */
+    async admitUpload(id, sizeBytes, ttl = RESERVATION_TTL) {
+        const admission = await this.admit(id, sizeBytes, {
+            extraBytes: this.estimateScratch(sizeBytes),
+            ttl
+        });
+        if (!admission.admitted) return admission;
+
+        await fs.mkdir(this.uploadTempPath, { recursive: true });
+        const [processingStat, tempStat] = await Promise.all([
+            fs.stat(this.processingPath),
+            fs.stat(this.uploadTempPath)
+        ]);
+        if (processingStat.dev !== tempStat.dev) {
+            const temp = await checkDiskSpace(this.uploadTempPath);
+            if (temp.free - this.minFreeBytes < sizeBytes) {
+                await this.release(id);
+                return { ...admission, admitted: false, availableBytes: Math.max(temp.free - this.minFreeBytes, 0) };
+            }
+        }
+
+        return admission;
+    }
+
+    /**
+     * Paths in working/, inbox/ and uploads/temp that are still needed:
+     * working directories and inbox files of queued or running processing
+     * jobs, inbox files of dead-lettered jobs (kept for requeueing), and the
+     * partial files of open upload sessions
+     */
+    async getPathsInUse() {
+        const inUse = new Set();
+
+        for (const state of ['waiting', 'delayed', 'active', 'failed']) {
+            const { total } = await jobQueue.getJobs(this.processingQueue, state, { limit: 1 });
+            const { jobs } = await jobQueue.getJobs(this.processingQueue, state, { limit: Math.max(total, 1) });
+            for (const job of jobs) {
+                if (state !== 'failed') {
+                    inUse.add(path.join(this.workingPath, job.data.filmId));
+                }
+                if (job.data.inboxFile) {
+                    inUse.add(path.resolve(job.data.inboxFile));
+                }
+            }
+        }
+
+        const partFiles = await fs.readdir(this.uploadTempPath).catch(() => []);
+        for (const file of partFiles) {
+            const uploadId = file.match(/^(.+)\.part$/)?.[1];
+            if (uploadId && await getClient().exists(resumableUploadService.sessionKey(uploadId))) {
+                inUse.add(path.join(this.uploadTempPath, file));
+            }
+        }
+
+        return inUse;
+    }
+
+    async getSize(target, stat) {
+        if (!stat.isDirectory()) return stat.size;
+        const files = await listFilesRecursive(target);
+        const sizes = await Promise.all(files.map(async file => (await fs.stat(path.join(target, file))).size));
+        return sizes.reduce((sum, size) => sum + size, 0);
+    }
+
+    /**
+     * Delete orphaned files from working/, inbox/ and uploads/temp. Anything
+     * modified in the last DISK_ORPHAN_MIN_AGE_MINUTES is left alone, which
+     * covers uploads still being written and files between being moved and
+     * queued. Runs at most once every 5 minutes across workers.
+     * @returns {Promise<Object|null>} - { at, freedBytes, removed }, or null if
+     *   another cleanup ran recently
+     */
+    async emergencyCleanup() {
+        const claimed = await getClient().set(CLEANUP_LOCK_KEY, '1', { NX: true, EX: 300 });
+        if (!claimed) return null;
+
+        const inUse = await this.getPathsInUse();
+        const cutoff = Date.now() - this.orphanMinAge;
+        const areas = { working: this.workingPath, inbox: this.inboxPath, uploads: this.uploadTempPath };
+        const result = { at: new Date().toISOString(), freedBytes: 0, removed: { working: 0, inbox: 0, uploads: 0 } };
+
+        for (const [area, dir] of Object.entries(areas)) {
+            const entries = await fs.readdir(dir).catch(() => []);
+
+            for (const entry of entries) {
+                const target = path.join(dir, entry);
+                if (inUse.has(target)) continue;
+
+                try {
+                    const stat = await fs.lstat(target);
+                    if (stat.mtimeMs > cutoff) continue;
+
+                    const size = await this.getSize(target, stat);
+                    await fs.rm(target, { recursive: true, force: true });
+                    result.freedBytes += size;
+                    result.removed[area] += 1;
+                } catch (error) {
+                    console.error(`Error removing orphaned ${target}:`, error.message);
+                }
+            }
+        }
+
+        await cache.set(LAST_CLEANUP_KEY, result, 7 * 24 * 3600);
+        console.warn(`🧹 Emergency disk cleanup freed ${(result.freedBytes / GB).toFixed(2)} GB ` +
+            `(${result.removed.working} working, ${result.removed.inbox} inbox, ${result.removed.uploads} upload files)`);
+
+        return result;
+    }
+
+    /**
+     * Disk state for /api/monitoring/disk
+     */
+    async getStatus() {
+        const { disk, reservations, reservedBytes, headroomBytes } = await this.getHeadroom();
+        const usedPercent = disk.total > 0 ? Math.round(disk.used / disk.total * 1000) / 10 : 0;
+
+        const { jobs: delayed } = await jobQueue.getJobs(this.processingQueue, 'delayed', { limit: 100 });
+        const deferredJobs = delayed
+            .filter(job => job.history?.[job.history.length - 1]?.event === 'deferred')
+            .map(job => ({ jobId: job.id, filmId: job.data.filmId, reason: job.lastError }));
+
+        let status = 'ok';
+        if (headroomBytes <= 0) {
+            status = 'critical';
+        } else if (usedPercent >= this.warnPercent) {
+            status = 'low';
+        }
+
+        return {
+            path: this.processingPath,
+            status,
+            totalBytes: disk.total,
+            usedBytes: disk.used,
+            freeBytes: disk.free,
+            usedPercent,
+            minFreeBytes: this.minFreeBytes,
+            reservedBytes,
+            availableBytes: Math.max(headroomBytes, 0),
+            reservations,
+            deferredJobs,
+            lastCleanup: await cache.get(LAST_CLEANUP_KEY)
+        };
+    }
+}
+
+module.exports = new DiskSpaceService();
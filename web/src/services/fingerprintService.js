@@ -0,0 +1,381 @@
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const { createReadStream } = require('fs');
+const hlsService = require('./hlsService');
+const VideoFingerprint = require('../models/VideoFingerprint');
+
+// dHash: each frame shrunk to 9x8 greyscale, one bit per horizontally adjacent pair
+const HASH_COLUMNS = 9;
+const HASH_ROWS = 8;
+const FRAME_BYTES = HASH_COLUMNS * HASH_ROWS;
+// Black or flat frames hash to (nearly) all zeros and would match anything
+const MIN_HASH_BITS = 4;
+const MAX_HASH_BITS = 60;
+
+// Audio sub-fingerprints (after Haitsma & Kalker): 32 bits per window from
+// the energy differences of 33 bands between 300 and 2000 Hz
+const AUDIO_SAMPLE_RATE = 5512;
+const AUDIO_WINDOW = 8192;
+const AUDIO_HOP_SECONDS = 0.25;
+const AUDIO_BANDS = 33;
+const AUDIO_MIN_FREQUENCY = 300;
+const AUDIO_MAX_FREQUENCY = 2000;
+// Windows quieter than this (RMS of full scale) carry no fingerprint
+const AUDIO_MIN_RMS = 0.001;
+const AUDIO_MAX_DISTANCE = 8;
+
+// Matching samples chain into a segment while they keep (about) the same
+// offset between the two videos and leave no longer gap than this, in seconds
+const MAX_GAP = 3;
+const OFFSET_TOLERANCE = 1;
+// Segments need at least two samples covering this many seconds
+const MIN_SEGMENT_LENGTH = 2;
+// Samples of a kind needed before its similarity means anything
+const MIN_SAMPLES = 3;
+// Share of the upload that has to match before a video is reported
+const MIN_REPORTED_SIMILARITY = 0.1;
+
+const popcount32 = (value) => {
+    value -= (value >>> 1) & 0x55555555;
+    value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+    return (((value + (value >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * In-place radix-2 FFT; re and im are Float64Arrays of a power-of-two length
+ */
+const fft = (re, im) => {
+    const size = re.length;
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let length = 2; length <= size; length <<= 1) {
+        const angle = -2 * Math.PI / length;
+        const stepRe = Math.cos(angle);
+        const stepIm = Math.sin(angle);
+        for (let start = 0; start < size; start += length) {
+            let wRe = 1;
+            let wIm = 0;
+            for (let k = 0; k < length / 2; k++) {
+                const a = start + k;
+                const b = a + length / 2;
+                const tRe = re[b] * wRe - im[b] * wIm;
+                const tIm = re[b] * wIm + im[b] * wRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                [wRe, wIm] = [wRe * stepRe - wIm * stepIm, wRe * stepIm + wIm * stepRe];
+            }
+        }
+    }
+};
+
+/**
+ * Perceptual fingerprints of uploaded films, used to catch re-uploads of
+ * rejected videos and copies of existing ones. During processing each
+ * source gets a SHA-256 checksum (exact copies), a 64-bit dHash of one frame
+ * every FINGERPRINT_FRAME_INTERVAL seconds and a 32-bit audio
+ * sub-fingerprint every quarter second. Re-encoding, resizing, a watermark or
+ * a volume change flip a few bits; a different film flips about half.
+ *
+ * Matching samples are chained into segments (the same stretch of both
+ * videos), and a video's similarity is the share of the upload those
+ * segments cover, by picture or by sound, whichever is higher.
+ */
+class FingerprintService {
+    constructor() {
+        this.frameInterval = parseFloat(process.env.FINGERPRINT_FRAME_INTERVAL) || 1;
+        // Hamming distance (of 64 bits) within which two frames match
+        this.maxDistance = parseInt(process.env.FINGERPRINT_MAX_DISTANCE) || 10;
+    }
+
+    /**
+     * Fingerprint a film, store the fingerprints and record the videos it
+     * duplicates. Never throws: a film that can't be fingerprinted is only
+     * left out of duplicate detection.
+     * @param {string} filePath - local copy of the source
+     * @returns {Promise<Object|null>} - { checksum, frames, audioWindows, matches
+     *   (see VideoFingerprint.getMatches) }, or null if it failed
+     */
+    async fingerprintVideo(videoId, filePath) {
+        try {
+            const analysis = await hlsService.analyzeSource(filePath);
+            const checksum = await this.checksum(filePath);
+            const frames = await this.hashFrames(filePath);
+            const audio = analysis.audio ? await this.hashAudio(filePath) : [];
+
+            await VideoFingerprint.replace(videoId, checksum, [...frames, ...audio]);
+            await VideoFingerprint.saveMatches(videoId, await this.findMatches(videoId, checksum, frames, audio));
+            const matches = await VideoFingerprint.getMatches(videoId);
+
+            console.log(`🧬 Fingerprinted ${videoId}: ${frames.length} frames, ${audio.length} audio windows` +
+                (matches.length > 0 ? `, ${matches.length} possible duplicate(s)` : ''));
+            return { checksum, frames: frames.length, audioWindows: audio.length, matches };
+        } catch (error) {
+            console.error(`❌ Fingerprinting failed for ${videoId}:`, error);
+            return null;
+        }
+    }
+
+    checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    /**
+     * Decode the input with ffmpeg into a temporary raw file and read it back
+     * @param {Function} configure - adds the output options
+     */
+    async decodeRaw(filePath, configure) {
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprint-'));
+        const rawPath = path.join(workDir, 'decoded.raw');
+
+        try {
+            await new Promise((resolve, reject) => {
+                const command = ffmpeg(filePath);
+                configure(command);
+                command
+                    .output(rawPath)
+                    .on('end', resolve)
+                    .on('error', reject)
+                    .run();
+            });
+            return await fs.readFile(rawPath);
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * dHash of one frame every frameInterval seconds, leaving out flat frames
+     * @returns {Promise<Array>} - [{ kind: 'frame', position, hash, bands }]
+     */
+    async hashFrames(filePath) {
+        const pixels = await this.decodeRaw(filePath, (command) => {
+            command.noAudio().outputOptions([
+                '-vf', `fps=1/${this.frameInterval},scale=${HASH_COLUMNS}:${HASH_ROWS}:flags=area,format=gray`,
+                '-f', 'rawvideo'
+            ]);
+        });
+
+        const samples = [];
+        for (let index = 0; (index + 1) * FRAME_BYTES <= pixels.length; index++) {
+            const hex = this.dHash(pixels.subarray(index * FRAME_BYTES, (index + 1) * FRAME_BYTES));
+            const bits = popcount32(parseInt(hex.slice(0, 8), 16)) + popcount32(parseInt(hex.slice(8), 16));
+            if (bits < MIN_HASH_BITS || bits > MAX_HASH_BITS) continue;
+
+            samples.push({
+                kind: 'frame',
+                position: round(index * this.frameInterval, 2),
+                // BIGINT is signed
+                hash: BigInt.asIntN(64, BigInt(`0x${hex}`)).toString(),
+                bands: [0, 4, 8, 12].map(start => parseInt(hex.slice(start, start + 4), 16))
+            });
+        }
+        return samples;
+    }
+
+    dHash(frame) {
+        let hex = '';
+        for (let row = 0; row < HASH_ROWS; row++) {
+            let bits = 0;
+            for (let column = 0; column < HASH_COLUMNS - 1; column++) {
+                const left = frame[row * HASH_COLUMNS + column];
+                const right = frame[row * HASH_COLUMNS + column + 1];
+                bits = (bits << 1) | (left > right ? 1 : 0);
+            }
+            hex += bits.toString(16).padStart(2, '0');
+        }
+        return hex;
+    }
+
+    /**
+     * Audio sub-fingerprint every AUDIO_HOP_SECONDS, leaving out silence.
+     * Bit m is set when the energy difference between bands m and m+1 grew
+     * since the previous window.
+     * @returns {Promise<Array>} - [{ kind: 'audio', position, hash, bands }]
+     */
+    async hashAudio(filePath) {
+        const raw = await this.decodeRaw(filePath, (command) => {
+            command.noVideo().outputOptions([
+                '-ac', '1',
+                '-ar', String(AUDIO_SAMPLE_RATE),
+                '-f', 's16le'
+            ]);
+        });
+        const pcm = new Int16Array(raw.buffer, raw.byteOffset, Math.floor(raw.length / 2));
+
+        const hop = Math.round(AUDIO_HOP_SECONDS * AUDIO_SAMPLE_RATE);
+        const window = Float64Array.from({ length: AUDIO_WINDOW },
+            (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (AUDIO_WINDOW - 1)));
+        const edges = Array.from({ length: AUDIO_BANDS + 1 }, (_, i) => Math.round(
+            AUDIO_MIN_FREQUENCY * (AUDIO_MAX_FREQUENCY / AUDIO_MIN_FREQUENCY) ** (i / AUDIO_BANDS) *
+            AUDIO_WINDOW / AUDIO_SAMPLE_RATE
+        ));
+        const re = new Float64Array(AUDIO_WINDOW);
+        const im = new Float64Array(AUDIO_WINDOW);
+
+        const samples = [];
+        let previous = null;
+        for (let start = 0; start + AUDIO_WINDOW <= pcm.length; start += hop) {
+            let power = 0;
+            for (let i = 0; i < AUDIO_WINDOW; i++) {
+                const value = pcm[start + i] / 32768;
+                power += value * value;
+                re[i] = value * window[i];
+                im[i] = 0;
+            }
+            fft(re, im);
+
+            const energies = new Float64Array(AUDIO_BANDS);
+            for (let band = 0; band < AUDIO_BANDS; band++) {
+                for (let bin = edges[band]; bin < edges[band + 1]; bin++) {
+                    energies[band] += re[bin] * re[bin] + im[bin] * im[bin];
+                }
+            }
+
+            if (previous && Math.sqrt(power / AUDIO_WINDOW) >= AUDIO_MIN_RMS) {
+                let hash = 0;
+                for (let bit = 0; bit < AUDIO_BANDS - 1; bit++) {
+                    const change = (energies[bit] - energies[bit + 1]) - (previous[bit] - previous[bit + 1]);
+                    hash = (hash << 1) | (change > 0 ? 1 : 0);
+                }
+                hash >>>= 0;
+                samples.push({
+                    kind: 'audio',
+                    position: round(start / AUDIO_SAMPLE_RATE, 2),
+                    hash: String(hash),
+                    bands: [hash >>> 16, hash & 0xffff, null, null]
+                });
+            }
+            previous = energies;
+        }
+        return samples;
+    }
+
+    /**
+     * Other videos this one duplicates
+     * @returns {Promise<Array>} - [{ videoId, matchType, similarity, frameSimilarity,
+     *   audioSimilarity, segments }]
+     */
+    async findMatches(videoId, checksum, frames, audio) {
+        const candidates = new Map();
+        const candidate = (id) => {
+            if (!candidates.has(id)) candidates.set(id, { exact: false, frame: [], audio: [] });
+            return candidates.get(id);
+        };
+
+        for (const row of await VideoFingerprint.findByChecksum(checksum, videoId)) {
+            candidate(row.id).exact = true;
+        }
+        for (const row of await VideoFingerprint.lookup('frame', frames, videoId, this.maxDistance)) {
+            candidate(row.video_id).frame.push(row);
+        }
+        for (const row of await VideoFingerprint.lookup('audio', audio, videoId, AUDIO_MAX_DISTANCE)) {
+            candidate(row.video_id).audio.push(row);
+        }
+
+        const matches = [];
+        for (const [matchedVideoId, found] of candidates) {
+            const frameMatch = this.compare(found.frame, frames.length, this.frameInterval);
+            const audioMatch = this.compare(found.audio, audio.length, AUDIO_HOP_SECONDS);
+            const similarity = found.exact ? 1 : Math.max(frameMatch.similarity || 0, audioMatch.similarity || 0);
+            if (similarity < MIN_REPORTED_SIMILARITY) continue;
+
+            matches.push({
+                videoId: matchedVideoId,
+                matchType: found.exact ? 'exact' : 'near',
+                similarity,
+                frameSimilarity: frameMatch.similarity,
+                audioSimilarity: audioMatch.similarity,
+                segments: [
+                    ...frameMatch.segments.map(segment => ({ kind: 'frame', ...segment })),
+                    ...audioMatch.segments.map(segment => ({ kind: 'audio', ...segment }))
+                ].sort((a, b) => a.start - b.start)
+            });
+        }
+        return matches.sort((a, b) => b.similarity - a.similarity);
+    }
+
+    /**
+     * Segments of one kind of sample and the share of the upload they cover
+     * @param {Array} pairs - matching samples: [{ position, matched_position }]
+     * @param {number} total - samples of this kind in the upload
+     * @param {number} step - seconds between samples
+     * @returns {Object} - { similarity (null with too few samples), segments }
+     */
+    compare(pairs, total, step) {
+        if (total < MIN_SAMPLES) return { similarity: null, segments: [] };
+
+        const chains = [];
+        const sorted = [...pairs].sort((a, b) => a.position - b.position || a.matched_position - b.matched_position);
+        for (const { position, matched_position: matchedPosition } of sorted) {
+            const offset = matchedPosition - position;
+            let chain = null;
+            for (const open of chains) {
+                const drift = Math.abs(offset - open.offset);
+                if (position - open.end > Math.max(MAX_GAP, step) || drift > Math.max(OFFSET_TOLERANCE, step)) continue;
+                if (!chain || drift < Math.abs(offset - chain.offset)) chain = open;
+            }
+            if (chain) {
+                chain.end = position;
+                chain.matchedStart = Math.min(chain.matchedStart, matchedPosition);
+                chain.matchedEnd = Math.max(chain.matchedEnd, matchedPosition);
+                chain.positions.add(position);
+            } else {
+                chains.push({
+                    start: position,
+                    end: position,
+                    offset,
+                    matchedStart: matchedPosition,
+                    matchedEnd: matchedPosition,
+                    positions: new Set([position])
+                });
+            }
+        }
+
+        // Static scenes match many chains at once; keep the longest of
+        // those covering the same stretch of the upload
+        const kept = [];
+        const longestFirst = chains
+            .filter(chain => chain.positions.size >= Math.max(2, MIN_SEGMENT_LENGTH / step))
+            .sort((a, b) => b.positions.size - a.positions.size);
+        for (const chain of longestFirst) {
+            if (kept.some(other => chain.start <= other.end && other.start <= chain.end)) continue;
+            kept.push(chain);
+        }
+
+        const covered = kept.reduce((sum, chain) => sum + chain.positions.size, 0);
+        return {
+            similarity: round(Math.min(1, covered / total), 3),
+            segments: kept
+                .sort((a, b) => a.start - b.start)
+                .map(chain => ({
+                    start: round(chain.start, 1),
+                    end: round(chain.end + step, 1),
+                    matchedStart: round(chain.matchedStart, 1),
+                    matchedEnd: round(chain.matchedEnd + step, 1),
+                    samples: chain.positions.size
+                }))
+        };
+    }
+}
+
+module.exports = new FingerprintService();
@@ -1,60 +1,328 @@
 const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
 const path = require('path');
+const os = require('os');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { query } = require('../config/database');
+const VideoKey = require('../models/VideoKey');
 
 class HLSService {
     constructor() {
         this.hlsSegmentDuration = 10; // 10 seconds per segment
+        // Encrypted output switches to a new key every this many segments
+        this.keyRotationSegments = parseInt(process.env.HLS_KEY_ROTATION_SEGMENTS) || 30;
+        // Candidate rungs. Bitrates are for average-complexity 30fps content and
+        // are scaled per title by the complexity probe.
         this.hlsQualities = [
             { name: '360p', width: 640, height: 360, bitrate: '800k', audioBitrate: '96k' },
             { name: '480p', width: 854, height: 480, bitrate: '1400k', audioBitrate: '128k' },
             { name: '720p', width: 1280, height: 720, bitrate: '2800k', audioBitrate: '128k' },
             { name: '1080p', width: 1920, height: 1080, bitrate: '5000k', audioBitrate: '192k' }
         ];
+        // CRF bands by duration (see YOUTUBE_OPTIMIZATION_TODO.md)
+        this.crfBands = [
+            { maxDuration: 10 * 60, min: 18, max: 20 },
+            { maxDuration: 20 * 60, min: 20, max: 23 },
+            { maxDuration: 30 * 60, min: 23, max: 26 }
+        ];
+        this.probeCrf = 23;
+        this.probeSampleCount = 3;
+        this.probeSampleDuration = 4; // seconds per sample
+        // Bitrate of the probe encode at 720p for average content; the ratio of
+        // the measured bitrate to this is the title's complexity factor
+        this.referenceProbeKbps = 2000;
+        this.maxFrameRate = 60;
+        // Scrubbing previews: 10x10 tiles of 160px wide frames per sheet, one
+        // frame every few seconds (at most ~300 frames per title)
+        this.previewSprites = { columns: 10, rows: 10, tileWidth: 160, maxThumbnails: 300, minInterval: 2 };
+    }
+
+    /**
+     * Analyze the source with ffprobe
+     * @param {string} inputPath - Path to input video file
+     * @returns {Promise<Object>} - duration, bitrate, video and audio stream info
+     */
+    analyzeSource(inputPath) {
+        return new Promise((resolve, reject) => {
+            ffmpeg.ffprobe(inputPath, (err, metadata) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                const videoStream = metadata.streams.find(s => s.codec_type === 'video');
+                const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+
+                if (!videoStream) {
+                    reject(new Error('Source has no video stream'));
+                    return;
+                }
+
+                let { width, height } = videoStream;
+                const rotation = Math.abs(parseInt(videoStream.tags?.rotate) || 0);
+                if (rotation === 90 || rotation === 270) {
+                    [width, height] = [height, width];
+                }
+
+                const [num, den] = (videoStream.avg_frame_rate && videoStream.avg_frame_rate !== '0/0'
+                    ? videoStream.avg_frame_rate
+                    : videoStream.r_frame_rate || '30/1').split('/').map(Number);
+
+                resolve({
+                    duration: parseFloat(metadata.format.duration) || 0,
+                    bitrate: parseInt(metadata.format.bit_rate) || null,
+                    video: {
+                        width,
+                        height,
+                        fps: den ? num / den : 30,
+                        codec: videoStream.codec_name,
+                        bitrate: parseInt(videoStream.bit_rate) || null
+                    },
+                    audio: audioStream ? {
+                        codec: audioStream.codec_name,
+                        channels: audioStream.channels,
+                        sampleRate: audioStream.sample_rate
+                    } : null
+                });
+            });
+        });
+    }
+
+    /**
+     * Estimate how hard the title is to compress by encoding a few short
+     * samples at a fixed CRF and comparing their bitrate to the reference.
+     * Returns a factor around 1.0 (low-motion talking heads ~0.5, sports ~1.6).
+     */
+    async probeComplexity(inputPath, analysis) {
+        const probeHeight = Math.min(720, analysis.video.height);
+        const sampleDuration = Math.min(this.probeSampleDuration, analysis.duration || this.probeSampleDuration);
+        const probeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-probe-'));
+
+        try {
+            const kbpsSamples = [];
+            for (let i = 0; i < this.probeSampleCount; i++) {
+                // Spread samples across the title, skipping the very start and end
+                const start = analysis.duration > sampleDuration * 2
+                    ? (analysis.duration * (i + 1)) / (this.probeSampleCount + 1)
+                    : 0;
+                const samplePath = path.join(probeDir, `sample${i}.mp4`);
+
+                await new Promise((resolve, reject) => {
+                    ffmpeg(inputPath)
+                        .seekInput(start)
+                        .duration(sampleDuration)
+                        .noAudio()
+                        .videoCodec('libx264')
+                        .outputOptions([
+                            `-crf ${this.probeCrf}`,
+                            '-preset veryfast',
+                            `-vf scale=-2:${probeHeight}`
+                        ])
+                        .output(samplePath)
+                        .on('end', resolve)
+                        .on('error', reject)
+                        .run();
+                });
+
+                const stats = await fs.stat(samplePath);
+                kbpsSamples.push((stats.size * 8) / sampleDuration / 1000);
+
+                if (start === 0) break; // Short clip, one sample covers it
+            }
+
+            // Normalise to 720p so smaller sources are compared fairly
+            const aspect = analysis.video.width / analysis.video.height;
+            const pixelRatio = (1280 * 720) / (probeHeight * probeHeight * aspect);
+            const averageKbps = kbpsSamples.reduce((sum, kbps) => sum + kbps, 0) / kbpsSamples.length;
+            const factor = (averageKbps * pixelRatio) / this.referenceProbeKbps;
+
+            return Math.round(Math.min(Math.max(factor, 0.5), 1.6) * 100) / 100;
+        } catch (error) {
+            console.warn('⚠️ Complexity probe failed, assuming average complexity:', error.message);
+            return 1;
+        } finally {
+            await fs.rm(probeDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Pick a CRF from the duration band; within a band, more complex content
+     * gets the higher (more efficient) end.
+     */
+    selectCRF(duration, complexity) {
+        const band = this.crfBands.find(b => duration <= b.maxDuration) ||
+            this.crfBands[this.crfBands.length - 1];
+        const position = Math.min(Math.max((complexity - 0.5) / 1.1, 0), 1);
+        return Math.round(band.min + (band.max - band.min) * position);
+    }
+
+    /**
+     * Build the per-title ladder: no rung above the source resolution, bitrate
+     * caps scaled by complexity and frame rate, and rungs that would not be
+     * meaningfully better than the one below are dropped.
+     */
+    buildLadder(analysis, complexity) {
+        const { width: sourceWidth, height: sourceHeight, fps: sourceFps } = analysis.video;
+        const aspect = sourceWidth / sourceHeight;
+        const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+        const crf = this.selectCRF(analysis.duration, complexity);
+
+        let candidates = this.hlsQualities.filter(q => q.height <= sourceHeight);
+        if (candidates.length === 0) {
+            // Source is below the lowest rung; single rung at source size
+            candidates = [{ ...this.hlsQualities[0], name: `${even(sourceHeight)}p`, height: even(sourceHeight) }];
+        }
+
+        // Never spend more bits than the source has
+        const sourceKbps = (analysis.video.bitrate || analysis.bitrate || 0) / 1000;
+
+        const ladder = [];
+        for (const quality of candidates) {
+            const fps = Math.min(sourceFps, quality.height <= 480 ? 30 : this.maxFrameRate);
+            const fpsFactor = fps > 30 ? 1.5 : 1;
+            let maxrateKbps = Math.round(parseInt(quality.bitrate) * complexity * fpsFactor);
+            if (sourceKbps > 0) {
+                maxrateKbps = Math.min(maxrateKbps, Math.round(sourceKbps));
+            }
+
+            const previous = ladder[ladder.length - 1];
+            if (previous && maxrateKbps < previous.maxrateKbps * 1.25) {
+                // Too close to the rung below. The lowest rung always stays for slow
+                // connections; any other is replaced by the higher resolution
+                if (ladder.length === 1) continue;
+                ladder.pop();
+            }
+
+            ladder.push({
+                name: quality.name,
+                width: quality.height === sourceHeight ? even(sourceWidth) : even(quality.height * aspect),
+                height: quality.height,
+                fps: Math.round(fps * 1000) / 1000,
+                crf,
+                maxrateKbps,
+                bufsizeKbps: maxrateKbps * 2,
+                audioBitrate: quality.audioBitrate
+            });
+        }
+
+        return ladder;
+    }
+
+    /**
+     * Work out the ladder for a source (analysis + complexity probe)
+     */
+    async computeLadder(inputPath) {
+        const analysis = await this.analyzeSource(inputPath);
+        const complexity = await this.probeComplexity(inputPath, analysis);
+        const rungs = this.buildLadder(analysis, complexity);
+
+        return {
+            source: {
+                width: analysis.video.width,
+                height: analysis.video.height,
+                fps: analysis.video.fps,
+                duration: analysis.duration,
+                bitrate: analysis.bitrate
+            },
+            complexity,
+            crf: rungs[0].crf,
+            rungs,
+            hasAudio: !!analysis.audio,
+            computedAt: new Date().toISOString()
+        };
     }
 
     /**
-     * Generate HLS streams for a video
+     * Persist the chosen ladder on the video row for analytics
+     */
+    async saveLadder(videoId, ladder) {
+        try {
+            await query(
+                'UPDATE videos SET abr_ladder = $1, updated_at = NOW() WHERE id = $2',
+                [JSON.stringify(ladder), videoId]
+            );
+        } catch (error) {
+            // Analytics only; don't fail the encode over it
+            console.error(`Error saving ABR ladder for ${videoId}:`, error);
+        }
+    }
+
+    /**
+     * Generate HLS and DASH streams for a video in a single ffmpeg pass.
+     *
+     * The source is decoded once, split into one scaled stream per rung and
+     * encoded to CMAF fMP4 segments. The HLS rendition playlists and the DASH
+     * MPD both reference the same segment files.
+     *
+     * With options.encrypt the segments are AES-128 encrypted (see
+     * encryptRenditions) and no DASH manifest is written, since DASH players
+     * can't decrypt whole-segment AES-128.
+     *
      * @param {string} inputPath - Path to input video file
-     * @param {string} outputDir - Directory to save HLS files
+     * @param {string} outputDir - Directory to save stream files
      * @param {string} videoId - Video ID for naming
-     * @returns {Promise<Object>} - HLS manifest information
+     * @param {boolean} [options.encrypt] - Encrypt segments with per-video keys
+     * @param {Function} [options.onProgress] - called with the encode's percent done, once per percent
+     * @returns {Promise<Object>} - HLS/DASH manifest information
      */
-    async generateHLS(inputPath, outputDir, videoId) {
+    async generateHLS(inputPath, outputDir, videoId, { encrypt = false, onProgress = null } = {}) {
         try {
             // Create HLS directory
             const hlsDir = path.join(outputDir, 'hls');
             await fs.mkdir(hlsDir, { recursive: true });
 
-            // Generate master playlist
-            const masterPlaylistPath = path.join(hlsDir, 'master.m3u8');
-            const variantPlaylists = [];
-
-            // Process each quality
-            for (const quality of this.hlsQualities) {
-                const qualityDir = path.join(hlsDir, quality.name);
-                await fs.mkdir(qualityDir, { recursive: true });
+            const ladder = await this.computeLadder(inputPath);
+            console.log(`📐 ABR ladder for ${videoId}: ${ladder.rungs.map(r => `${r.name}@${r.maxrateKbps}k`).join(', ')} (CRF ${ladder.crf}, complexity ${ladder.complexity})`);
 
-                const playlistPath = path.join(qualityDir, 'playlist.m3u8');
-                const segmentPattern = path.join(qualityDir, 'segment%03d.ts');
+            const audio = ladder.hasAudio ? {
+                name: 'audio',
+                groupId: 'aud',
+                bitrate: ladder.rungs[ladder.rungs.length - 1].audioBitrate,
+                codecs: 'mp4a.40.2'
+            } : null;
 
-                await this.generateHLSVariant(inputPath, quality, playlistPath, segmentPattern);
+            await this.encodeRenditions(inputPath, hlsDir, ladder.rungs, audio, videoId, onProgress);
 
-                variantPlaylists.push({
-                    quality: quality.name,
-                    bandwidth: parseInt(quality.bitrate) * 1000,
-                    resolution: `${quality.width}x${quality.height}`,
-                    playlistPath: `${quality.name}/playlist.m3u8`
-                });
+            let keyCount = 0;
+            if (encrypt) {
+                const renditions = ladder.rungs.map(rung => rung.name).concat(audio ? [audio.name] : []);
+                keyCount = await this.encryptRenditions(hlsDir, renditions, videoId);
             }
 
+            const variantPlaylists = ladder.rungs.map(rung => ({
+                quality: rung.name,
+                bandwidth: (rung.maxrateKbps + (audio ? parseInt(audio.bitrate) : 0)) * 1000,
+                resolution: `${rung.width}x${rung.height}`,
+                frameRate: rung.fps,
+                codecs: audio ? `${this.videoCodecString(rung)},${audio.codecs}` : this.videoCodecString(rung),
+                playlistPath: `${rung.name}/playlist.m3u8`
+            }));
+
             // Create master playlist
-            await this.createMasterPlaylist(masterPlaylistPath, variantPlaylists);
+            const masterPlaylistPath = path.join(hlsDir, 'master.m3u8');
+            await this.createMasterPlaylist(masterPlaylistPath, variantPlaylists, {
+                audio: audio ? { ...audio, playlistPath: `${audio.name}/playlist.m3u8` } : null
+            });
+
+            // DASH manifest over the same segments
+            let dashManifestPath = null;
+            if (!encrypt) {
+                dashManifestPath = path.join(hlsDir, 'manifest.mpd');
+                await this.createDashManifest(dashManifestPath, hlsDir, ladder, audio);
+            }
+
+            await this.saveLadder(videoId, ladder);
 
             return {
                 masterPlaylist: masterPlaylistPath,
+                dashManifest: dashManifestPath,
                 variants: variantPlaylists,
-                hlsDirectory: hlsDir
+                ladder,
+                hlsDirectory: hlsDir,
+                encrypted: encrypt,
+                keyCount
             };
 
         } catch (error) {
@@ -64,46 +332,106 @@ class HLSService {
     }
 
     /**
-     * Generate a single HLS variant
+     * H.264 profile/level per rung, and the matching RFC 6381 codec string
+     */
+    videoProfile(rung) {
+        if (rung.height <= 480) return { profile: 'main', level: '3.1' };
+        if (rung.height <= 720) return { profile: 'high', level: '4.0' };
+        return { profile: 'high', level: '4.2' };
+    }
+
+    videoCodecString(rung) {
+        const { profile, level } = this.videoProfile(rung);
+        const profileIdc = profile === 'high' ? '6400' : '4d40';
+        const levelIdc = Math.round(parseFloat(level) * 10).toString(16).padStart(2, '0');
+        return `avc1.${profileIdc}${levelIdc}`;
+    }
+
+    /**
+     * Encode every rung (and one shared audio rendition) in one ffmpeg run.
+     * Each rung is a capped-CRF encode: quality-targeted with a bitrate ceiling.
      */
-    generateHLSVariant(inputPath, quality, playlistPath, segmentPattern) {
+    encodeRenditions(inputPath, hlsDir, rungs, audio, videoId, onProgress = null) {
         return new Promise((resolve, reject) => {
+            let lastPercent = -1;
+            const splitOutputs = rungs.map((_, i) => `[s${i}]`).join('');
+            const filters = [`[0:v]split=${rungs.length}${splitOutputs}`];
+            rungs.forEach((rung, i) => {
+                filters.push(`[s${i}]scale=${rung.width}:${rung.height},fps=${rung.fps}[v${i}]`);
+            });
+
+            const options = ['-filter_complex', filters.join(';')];
+            const streamMap = [];
+
+            rungs.forEach((rung, i) => {
+                const { profile, level } = this.videoProfile(rung);
+                options.push(
+                    '-map', `[v${i}]`,
+                    `-c:v:${i}`, 'libx264',
+                    `-crf:v:${i}`, String(rung.crf),
+                    `-maxrate:v:${i}`, `${rung.maxrateKbps}k`,
+                    `-bufsize:v:${i}`, `${rung.bufsizeKbps}k`,
+                    `-profile:v:${i}`, profile,
+                    `-level:v:${i}`, level
+                );
+                streamMap.push(`v:${i},${audio ? `agroup:${audio.groupId},` : ''}name:${rung.name}`);
+            });
+
+            if (audio) {
+                options.push(
+                    '-map', '0:a:0',
+                    '-c:a', 'aac',
+                    '-b:a', audio.bitrate,
+                    '-ac', '2',
+                    '-ar', '48000'
+                );
+                streamMap.push(`a:0,agroup:${audio.groupId},name:${audio.name}`);
+            }
+
+            options.push(
+                '-pix_fmt', 'yuv420p',
+                '-preset', 'fast',
+                // Keyframes on the same 2s grid in every rung, whatever its frame
+                // rate, so segments line up for switching
+                '-force_key_frames', 'expr:gte(t,n_forced*2)',
+                '-sc_threshold', '0',
+                '-f', 'hls',
+                '-hls_time', String(this.hlsSegmentDuration),
+                '-hls_playlist_type', 'vod',
+                '-hls_list_size', '0',
+                '-hls_flags', 'independent_segments',
+                '-hls_segment_type', 'fmp4',
+                '-hls_fmp4_init_filename', 'init.mp4',
+                '-hls_segment_filename', path.join(hlsDir, '%v', 'segment%03d.m4s'),
+                '-var_stream_map', streamMap.join(' ')
+            );
+
             const command = ffmpeg(inputPath)
-                .outputOptions([
-                    '-c:v libx264',
-                    '-c:a aac',
-                    `-b:v ${quality.bitrate}`,
-                    `-b:a ${quality.audioBitrate}`,
-                    `-s ${quality.width}x${quality.height}`,
-                    '-preset fast',
-                    '-profile:v main',
-                    '-level 3.1',
-                    '-start_number 0',
-                    `-hls_time ${this.hlsSegmentDuration}`,
-                    '-hls_list_size 0',
-                    '-hls_segment_filename', segmentPattern,
-                    '-hls_playlist_type vod',
-                    '-f hls'
-                ])
-                .output(playlistPath);
+                .outputOptions(options)
+                .output(path.join(hlsDir, '%v', 'playlist.m3u8'));
 
             command.on('start', (cmd) => {
-                console.log(`🎬 Starting HLS ${quality.name} generation...`);
+                console.log(`🎬 Starting single-pass encode of ${rungs.length} renditions for ${videoId}...`);
             });
 
             command.on('progress', (progress) => {
-                if (progress.percent) {
-                    console.log(`⏳ HLS ${quality.name}: ${Math.round(progress.percent)}%`);
+                const percent = Math.floor(progress.percent);
+                if (!(percent > lastPercent)) return;
+                lastPercent = percent;
+
+                console.log(`⏳ HLS ${videoId}: ${percent}%`);
+                if (onProgress) {
+                    onProgress(Math.min(percent, 100));
                 }
             });
 
             command.on('end', () => {
-                console.log(`✅ HLS ${quality.name} generation complete`);
+                console.log(`✅ HLS renditions complete for ${videoId}`);
                 resolve();
             });
 
             command.on('error', (err) => {
-                console.error(`❌ HLS ${quality.name} generation failed:`, err);
+                console.error(`❌ HLS encode failed for ${videoId}:`, err);
                 reject(err);
             });
 
@@ -112,13 +440,128 @@ class HLSService {
     }
 
     /**
-     * Create HLS master playlist
+     * AES-128 encrypt every segment of the given renditions in place and add
+     * EXT-X-KEY tags to their playlists. A new key starts every
+     * keyRotationSegments segments; segments line up across renditions, so
+     * all renditions share the same keys and switching quality never needs
+     * a new one. Init segments hold no media and stay in the clear.
+     *
+     * The IV is the segment's media sequence number, the HLS default when
+     * EXT-X-KEY has no IV attribute. Keys from an earlier encode of the video
+     * are replaced.
+     *
+     * @param {string[]} renditions - rendition directory names under hlsDir
+     * @returns {Promise<number>} - number of keys created
+     */
+    async encryptRenditions(hlsDir, renditions, videoId) {
+        await VideoKey.deleteByVideo(videoId);
+        const keys = [];
+
+        for (const name of renditions) {
+            const playlistPath = path.join(hlsDir, name, 'playlist.m3u8');
+            const content = await fs.readFile(playlistPath, 'utf8');
+            const sequenceMatch = content.match(/^#EXT-X-MEDIA-SEQUENCE:(\d+)/m);
+            const firstSequence = sequenceMatch ? parseInt(sequenceMatch[1]) : 0;
+
+            const lines = [];
+            let segmentIndex = 0;
+            let key = null;
+
+            for (const line of content.split('\n')) {
+                const trimmed = line.trim();
+
+                if (trimmed.startsWith('#EXTINF:')) {
+                    const period = Math.floor(segmentIndex / this.keyRotationSegments);
+                    if (!keys[period]) {
+                        keys[period] = await VideoKey.create(videoId);
+                    }
+                    if (keys[period] !== key) {
+                        key = keys[period];
+                        lines.push(`#EXT-X-KEY:METHOD=AES-128,URI="${this.keyUri(videoId, key.id)}"`);
+                    }
+                } else if (trimmed && !trimmed.startsWith('#')) {
+                    await this.encryptSegment(path.join(hlsDir, name, trimmed), key.key_data, firstSequence + segmentIndex);
+                    segmentIndex++;
+                }
+
+                lines.push(line);
+            }
+
+            await fs.writeFile(playlistPath, lines.join('\n'));
+        }
+
+        console.log(`🔐 Encrypted ${renditions.length} renditions for ${videoId} with ${keys.length} keys`);
+        return keys.length;
+    }
+
+    /**
+     * AES-128-CBC (PKCS#7 padded) over the whole segment file
+     */
+    async encryptSegment(segmentPath, key, sequenceNumber) {
+        const iv = Buffer.alloc(16);
+        iv.writeBigUInt64BE(BigInt(sequenceNumber), 8);
+
+        const encryptedPath = `${segmentPath}.enc`;
+        await pipeline(
+            createReadStream(segmentPath),
+            crypto.createCipheriv('aes-128-cbc', key, iv),
+            createWriteStream(encryptedPath)
+        );
+        await fs.rename(encryptedPath, segmentPath);
+    }
+
+    /**
+     * Key URI written into encrypted playlists; the playback proxy adds the
+     * viewer's playback token to it (see playbackService.signPlaylist)
+     */
+    keyUri(videoId, keyId) {
+        return `/api/keys/${videoId}/${keyId}`;
+    }
+
+    /**
+     * Map video_captions rows to subtitle renditions for a master playlist
+     * stored under `directory` (caption playlists are stored keys too)
+     */
+    subtitleRenditions(captions, directory) {
+        return captions.map(caption => ({
+            name: caption.label,
+            language: caption.language,
+            isDefault: caption.is_default,
+            closedCaptions: caption.kind === 'captions',
+            uri: path.posix.relative(directory, caption.playlist_url)
+        }));
+    }
+
+    /**
+     * EXT-X-MEDIA lines for subtitle renditions (one WebVTT playlist per language)
+     */
+    subtitleMediaLines(subtitles) {
+        return subtitles.map(subtitle => {
+            const characteristics = subtitle.closedCaptions
+                ? ',CHARACTERISTICS="public.accessibility.transcribes-spoken-dialog,public.accessibility.describes-music-and-sound"'
+                : '';
+            return `#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs",NAME="${subtitle.name.replace(/"/g, "'")}",LANGUAGE="${subtitle.language}",` +
+                `DEFAULT=${subtitle.isDefault ? 'YES' : 'NO'},AUTOSELECT=YES,FORCED=NO${characteristics},URI="${subtitle.uri}"`;
+        });
+    }
+
+    /**
+     * Create HLS master playlist. Subtitles are added when it is served (see
+     * setMasterPlaylistSubtitles), so captions can change after encoding.
+     * @param {Object} options - audio: shared audio rendition (EXT-X-MEDIA)
      */
-    async createMasterPlaylist(masterPath, variants) {
-        let content = '#EXTM3U\n#EXT-X-VERSION:3\n\n';
+    async createMasterPlaylist(masterPath, variants, { audio = null } = {}) {
+        let content = '#EXTM3U\n#EXT-X-VERSION:7\n#EXT-X-INDEPENDENT-SEGMENTS\n\n';
+
+        if (audio) {
+            content += `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="${audio.groupId}",NAME="Audio",DEFAULT=YES,AUTOSELECT=YES,URI="${audio.playlistPath}"\n\n`;
+        }
 
         for (const variant of variants) {
-            content += `#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.resolution}\n`;
+            const frameRate = variant.frameRate ? `,FRAME-RATE=${variant.frameRate.toFixed(3)}` : '';
+            const codecs = variant.codecs ? `,CODECS="${variant.codecs}"` : '';
+            const audioGroup = audio ? `,AUDIO="${audio.groupId}"` : '';
+            content += `#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.resolution}${frameRate}${codecs}${audioGroup}\n`;
             content += `${variant.playlistPath}\n\n`;
         }
 
@@ -127,77 +570,203 @@ class HLSService {
     }
 
     /**
-     * Generate DASH manifest for adaptive streaming
+     * Replace the subtitle renditions in master playlist text, so captions
+     * can be added or removed without re-encoding
+     * @returns {string} - the playlist with the given subtitles
      */
-    async generateDASH(inputPath, outputDir, videoId) {
-        const dashDir = path.join(outputDir, 'dash');
-        await fs.mkdir(dashDir, { recursive: true });
+    setMasterPlaylistSubtitles(content, subtitles) {
+        const lines = content
+            .split('\n')
+            .filter(line => !line.startsWith('#EXT-X-MEDIA:TYPE=SUBTITLES'))
+            .map(line => line.startsWith('#EXT-X-STREAM-INF:')
+                ? line.replace(/,SUBTITLES="[^"]*"/, '') + (subtitles.length ? ',SUBTITLES="subs"' : '')
+                : line);
 
-        const manifestPath = path.join(dashDir, 'manifest.mpd');
+        // Subtitle renditions go just before the first variant
+        const firstVariant = lines.findIndex(line => line.startsWith('#EXT-X-STREAM-INF:'));
+        if (subtitles.length && firstVariant !== -1) {
+            lines.splice(firstVariant, 0, ...this.subtitleMediaLines(subtitles), '');
+        }
 
-        return new Promise((resolve, reject) => {
-            const command = ffmpeg(inputPath)
-                .outputOptions([
-                    '-c:v libx264',
-                    '-c:a aac',
-                    '-b:v:0 800k',
-                    '-b:v:1 1400k',
-                    '-b:v:2 2800k',
-                    '-b:a:0 96k',
-                    '-b:a:1 128k',
-                    '-b:a:2 192k',
-                    '-s:v:0 640x360',
-                    '-s:v:1 854x480',
-                    '-s:v:2 1280x720',
-                    '-map 0:v',
-                    '-map 0:v',
-                    '-map 0:v',
-                    '-map 0:a',
-                    '-map 0:a',
-                    '-map 0:a',
-                    '-f dash',
-                    '-seg_duration 10',
-                    '-use_template 1',
-                    '-use_timeline 1',
-                    '-adaptation_sets "id=0,streams=v id=1,streams=a"'
-                ])
-                .output(manifestPath);
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+    }
 
-            command.on('end', () => {
-                console.log('✅ DASH manifest created');
-                resolve({ manifestPath, dashDirectory: dashDir });
-            });
+    /**
+     * Read the init segment and segment list from an fMP4 media playlist
+     */
+    async parseMediaPlaylist(playlistPath) {
+        const content = await fs.readFile(playlistPath, 'utf8');
+        const segments = [];
+        let init = null;
+        let pendingDuration = null;
 
-            command.on('error', (err) => {
-                console.error('❌ DASH generation failed:', err);
-                reject(err);
-            });
+        for (const line of content.split('\n').map(l => l.trim())) {
+            if (line.startsWith('#EXT-X-MAP:')) {
+                const match = line.match(/URI="([^"]+)"/);
+                init = match ? match[1] : null;
+            } else if (line.startsWith('#EXTINF:')) {
+                pendingDuration = parseFloat(line.slice('#EXTINF:'.length));
+            } else if (line && !line.startsWith('#') && pendingDuration !== null) {
+                segments.push({ uri: line, duration: pendingDuration });
+                pendingDuration = null;
+            }
+        }
 
-            command.run();
+        return { init, segments };
+    }
+
+    /**
+     * Build a SegmentList for one representation. Segment durations come from
+     * the HLS playlist so both manifests describe identical segments.
+     */
+    async dashSegmentList(hlsDir, name) {
+        const { init, segments } = await this.parseMediaPlaylist(path.join(hlsDir, name, 'playlist.m3u8'));
+
+        // Collapse runs of equal durations into r= repeats
+        const timeline = [];
+        for (const segment of segments) {
+            const d = Math.round(segment.duration * 1000);
+            const last = timeline[timeline.length - 1];
+            if (last && last.d === d) {
+                last.r += 1;
+            } else {
+                timeline.push({ d, r: 0 });
+            }
+        }
+
+        let xml = '        <SegmentList timescale="1000">\n';
+        xml += `          <Initialization sourceURL="${name}/${init}"/>\n`;
+        xml += '          <SegmentTimeline>\n';
+        timeline.forEach((entry, i) => {
+            xml += `            <S ${i === 0 ? 't="0" ' : ''}d="${entry.d}"${entry.r ? ` r="${entry.r}"` : ''}/>\n`;
         });
+        xml += '          </SegmentTimeline>\n';
+        for (const segment of segments) {
+            xml += `          <SegmentURL media="${name}/${segment.uri}"/>\n`;
+        }
+        xml += '        </SegmentList>\n';
+
+        return { xml, duration: segments.reduce((sum, s) => sum + s.duration, 0) };
+    }
+
+    /**
+     * Create a DASH MPD referencing the CMAF segments written for HLS
+     */
+    async createDashManifest(manifestPath, hlsDir, ladder, audio) {
+        let duration = 0;
+        let videoRepresentations = '';
+
+        for (const rung of ladder.rungs) {
+            const segmentList = await this.dashSegmentList(hlsDir, rung.name);
+            duration = Math.max(duration, segmentList.duration);
+
+            videoRepresentations += `      <Representation id="${rung.name}" bandwidth="${rung.maxrateKbps * 1000}" width="${rung.width}" height="${rung.height}" frameRate="${rung.fps}" codecs="${this.videoCodecString(rung)}">\n`;
+            videoRepresentations += segmentList.xml;
+            videoRepresentations += '      </Representation>\n';
+        }
+
+        let audioAdaptationSet = '';
+        if (audio) {
+            const segmentList = await this.dashSegmentList(hlsDir, audio.name);
+            audioAdaptationSet += '    <AdaptationSet id="1" contentType="audio" mimeType="audio/mp4" segmentAlignment="true" lang="und">\n';
+            audioAdaptationSet += `      <Representation id="${audio.name}" bandwidth="${parseInt(audio.bitrate) * 1000}" codecs="${audio.codecs}" audioSamplingRate="48000">\n`;
+            audioAdaptationSet += segmentList.xml;
+            audioAdaptationSet += '      </Representation>\n';
+            audioAdaptationSet += '    </AdaptationSet>\n';
+        }
+
+        const content = '<?xml version="1.0" encoding="utf-8"?>\n' +
+            '<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011" type="static" ' +
+            `mediaPresentationDuration="PT${duration.toFixed(3)}S" minBufferTime="PT${this.hlsSegmentDuration}S">\n` +
+            '  <Period id="0" start="PT0S">\n' +
+            '    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1">\n' +
+            videoRepresentations +
+            '    </AdaptationSet>\n' +
+            audioAdaptationSet +
+            '  </Period>\n' +
+            '</MPD>\n';
+
+        await fs.writeFile(manifestPath, content);
+        console.log('✅ DASH manifest created');
     }
 
     /**
-     * Create preview thumbnails for video scrubbing
+     * Create sprite sheets and a WebVTT thumbnails track (#xywh= fragments)
+     * for scrubbing previews. Written to <outputDir>/thumbnails; the track
+     * references the sheets by relative path so the directory can be served
+     * from local storage or the CDN unchanged.
+     * @param {string} inputPath - Path to input video file
+     * @param {string} outputDir - Directory to write the thumbnails directory into
+     * @param {string} videoId - Video ID for logging
+     * @returns {Promise<Object>} - Track path, sprite paths and tile geometry
      */
     async generatePreviewThumbnails(inputPath, outputDir, videoId) {
         const thumbDir = path.join(outputDir, 'thumbnails');
         await fs.mkdir(thumbDir, { recursive: true });
 
-        return new Promise((resolve, reject) => {
+        const analysis = await this.analyzeSource(inputPath);
+        const { duration } = analysis;
+        if (!duration) {
+            throw new Error('Cannot generate preview thumbnails without a duration');
+        }
+
+        const { columns, rows, tileWidth, maxThumbnails, minInterval } = this.previewSprites;
+        const interval = Math.max(minInterval, Math.ceil(duration / maxThumbnails));
+        const tileHeight = Math.round((tileWidth * analysis.video.height / analysis.video.width) / 2) * 2;
+
+        await new Promise((resolve, reject) => {
             ffmpeg(inputPath)
-                .screenshots({
-                    count: 100, // Generate 100 thumbnails
-                    folder: thumbDir,
-                    filename: 'thumb_%i.jpg',
-                    size: '160x90' // Small thumbnails for preview
-                })
-                .on('end', () => {
-                    console.log('✅ Preview thumbnails generated');
-                    resolve(thumbDir);
-                })
-                .on('error', reject);
+                .outputOptions([
+                    '-an',
+                    '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${columns}x${rows}`,
+                    '-fps_mode', 'vfr',
+                    '-q:v', '5'
+                ])
+                .output(path.join(thumbDir, 'sprite_%03d.jpg'))
+                .on('end', resolve)
+                .on('error', reject)
+                .run();
         });
+
+        const sprites = (await fs.readdir(thumbDir))
+            .filter(file => /^sprite_\d+\.jpg$/.test(file))
+            .sort();
+
+        // One cue per sampled frame, pointing at its tile in the sheet
+        const perSheet = columns * rows;
+        const count = Math.min(Math.ceil(duration / interval), sprites.length * perSheet);
+        const cues = [];
+        for (let i = 0; i < count; i++) {
+            const tile = i % perSheet;
+            const x = (tile % columns) * tileWidth;
+            const y = Math.floor(tile / columns) * tileHeight;
+            const start = i * interval;
+            const end = Math.min((i + 1) * interval, duration);
+            cues.push(`${this.formatVttTime(start)} --> ${this.formatVttTime(end)}\n` +
+                `${sprites[Math.floor(i / perSheet)]}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+        }
+
+        const trackPath = path.join(thumbDir, 'thumbnails.vtt');
+        await fs.writeFile(trackPath, `WEBVTT\n\n${cues.join('\n\n')}\n`);
+
+        console.log(`✅ Preview thumbnails generated for ${videoId}: ${count} frames in ${sprites.length} sprite sheets`);
+
+        return {
+            directory: thumbDir,
+            track: trackPath,
+            sprites: sprites.map(file => path.join(thumbDir, file)),
+            interval,
+            tileWidth,
+            tileHeight
+        };
+    }
+
+    formatVttTime(seconds) {
+        const totalMs = Math.round(seconds * 1000);
+        const h = Math.floor(totalMs / 3600000);
+        const m = Math.floor((totalMs % 3600000) / 60000);
+        const s = Math.floor((totalMs % 60000) / 1000);
+        return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(totalMs % 1000).padStart(3, '0')}`;
     }
 }
 
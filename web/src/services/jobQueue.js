@@ -0,0 +1,547 @@
+const { v4: uuidv4 } = require('uuid');
+const { cache, getClient } = require('../config/redis');
+
+const PRIORITIES = {
+    critical: 1,
+    high: 2,
+    normal: 3,
+    low: 4
+};
+
+const STATES = ['waiting', 'delayed', 'active', 'completed', 'failed'];
+
+const MAX_HISTORY = 50;
+const MAX_COMPLETED = 1000;
+const COMPLETED_TTL = 7 * 24 * 3600; // Keep finished job records for a week
+
+// Pop the highest priority waiting job and lease it in one step, so a job is
+// never in neither list if the worker dies in between.
+const RESERVE_SCRIPT = `
+local popped = redis.call('ZPOPMIN', KEYS[1])
+if #popped == 0 then
+    return nil
+end
+redis.call('ZADD', KEYS[2], ARGV[1], popped[1])
+return popped[1]
+`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Durable Redis-backed job queue.
+ *
+ * Every job moves through sorted sets per queue:
+ *   waiting   - score = priority + enqueue time (ZPOPMIN gives FIFO within a priority)
+ *   delayed   - score = time the job becomes runnable again (retry backoff)
+ *   active    - score = visibility deadline; workers heartbeat to push it out
+ *   completed - score = finish time, trimmed to the most recent MAX_COMPLETED
+ *   failed    - dead-letter queue, score = failure time
+ *
+ * A job whose visibility deadline passes (worker crashed or hung) is picked
+ * up by recoverStalled() and retried like any other failure, so a popped job
+ * is never lost. Job records (data, attempts, history) live in jobs:job:<id>.
+ *
+ * Queues whose jobs work on a source file register it with registerSource():
+ * requeueing then refuses jobs whose source is gone, and removing a job
+ * deletes its source.
+ */
+class JobQueue {
+    constructor() {
+        this.defaults = {
+            priority: 'normal',
+            maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+            backoffDelay: 30 * 1000, // 30s, doubled on each retry
+            maxBackoff: 30 * 60 * 1000, // 30 minutes
+            visibilityTimeout: parseInt(process.env.JOB_VISIBILITY_TIMEOUT) || 10 * 60 * 1000 // 10 minutes
+        };
+        this.sources = new Map();
+    }
+
+    /**
+     * Tell the queue where its jobs' source files are
+     * @param {string} queue - Queue name
+     * @param {Object} source - { exists: async (job) => boolean, discard: async (job) => void }
+     */
+    registerSource(queue, source) {
+        this.sources.set(queue, source);
+    }
+
+    key(queue, state) {
+        return `jobs:${queue}:${state}`;
+    }
+
+    jobKey(jobId) {
+        return `jobs:job:${jobId}`;
+    }
+
+    priorityScore(priority, timestamp = Date.now()) {
+        const level = PRIORITIES[priority] || PRIORITIES.normal;
+        return level * 1e13 + timestamp;
+    }
+
+    addHistory(job, event, message = null) {
+        job.history = job.history || [];
+        job.history.push({
+            event,
+            message,
+            attempt: job.attempts,
+            at: new Date().toISOString()
+        });
+        if (job.history.length > MAX_HISTORY) {
+            job.history = job.history.slice(-MAX_HISTORY);
+        }
+    }
+
+    async saveJob(job, ttl = 0) {
+        job.updatedAt = new Date().toISOString();
+        await cache.set(this.jobKey(job.id), job, ttl);
+        return job;
+    }
+
+    async getJob(jobId) {
+        return cache.get(this.jobKey(jobId));
+    }
+
+    /**
+     * Add a job to a queue
+     * @param {string} queue - Queue name, e.g. 'video-processing'
+     * @param {Object} data - Job payload passed to the handler
+     * @param {Object} options - priority, maxAttempts, backoffDelay, delay
+     */
+    async add(queue, data, options = {}) {
+        const priority = PRIORITIES[options.priority] ? options.priority : this.defaults.priority;
+        const now = Date.now();
+
+        const job = {
+            id: options.jobId || uuidv4(),
+            queue,
+            data,
+            priority,
+            status: options.delay ? 'delayed' : 'waiting',
+            attempts: 0,
+            maxAttempts: options.maxAttempts || this.defaults.maxAttempts,
+            backoffDelay: options.backoffDelay || this.defaults.backoffDelay,
+            lastError: null,
+            createdAt: new Date(now).toISOString(),
+            history: []
+        };
+        this.addHistory(job, 'queued', `Priority ${priority}`);
+
+        await this.saveJob(job);
+
+        const client = getClient();
+        await client.sAdd('jobs:queues', queue);
+        if (options.delay) {
+            await client.zAdd(this.key(queue, 'delayed'), { score: now + options.delay, value: job.id });
+        } else {
+            await client.zAdd(this.key(queue, 'waiting'), { score: this.priorityScore(priority, now), value: job.id });
+        }
+
+        console.log(`📥 Job ${job.id} added to ${queue} (${priority})`);
+        return job;
+    }
+
+    /**
+     * Move delayed jobs whose backoff has elapsed back into waiting
+     */
+    async promoteDelayed(queue) {
+        const client = getClient();
+        const due = await client.zRangeByScore(this.key(queue, 'delayed'), 0, Date.now(), {
+            LIMIT: { offset: 0, count: 100 }
+        });
+
+        for (const jobId of due) {
+            // Only the caller that removes it gets to promote it
+            if (await client.zRem(this.key(queue, 'delayed'), jobId) !== 1) continue;
+
+            const job = await this.getJob(jobId);
+            if (!job) continue;
+
+            job.status = 'waiting';
+            await this.saveJob(job);
+            await client.zAdd(this.key(queue, 'waiting'), {
+                score: this.priorityScore(job.priority),
+                value: jobId
+            });
+        }
+    }
+
+    /**
+     * Return jobs whose visibility timeout expired to the queue. Their worker
+     * is assumed dead, so this counts as a failed attempt.
+     */
+    async recoverStalled(queue) {
+        const client = getClient();
+        const stalled = await client.zRangeByScore(this.key(queue, 'active'), 0, Date.now());
+
+        for (const jobId of stalled) {
+            if (await client.zRem(this.key(queue, 'active'), jobId) !== 1) continue;
+
+            const job = await this.getJob(jobId);
+            if (!job) continue;
+
+            console.warn(`⏰ Job ${jobId} in ${queue} exceeded its visibility timeout`);
+            await this.handleFailure(job, new Error('Visibility timeout expired (worker stopped responding)'));
+        }
+
+        return stalled.length;
+    }
+
+    /**
+     * Lease the next runnable job, or null if the queue is empty
+     */
+    async reserve(queue, visibilityTimeout = this.defaults.visibilityTimeout) {
+        await this.promoteDelayed(queue);
+        await this.recoverStalled(queue);
+
+        const jobId = await getClient().eval(RESERVE_SCRIPT, {
+            keys: [this.key(queue, 'waiting'), this.key(queue, 'active')],
+            arguments: [String(Date.now() + visibilityTimeout)]
+        });
+        if (!jobId) return null;
+
+        const job = await this.getJob(jobId);
+        if (!job) {
+            // Record expired or was removed; drop the orphaned id
+            await getClient().zRem(this.key(queue, 'active'), jobId);
+            return null;
+        }
+
+        job.status = 'active';
+        job.attempts += 1;
+        job.startedAt = new Date().toISOString();
+        this.addHistory(job, 'started');
+        await this.saveJob(job);
+
+        return job;
+    }
+
+    /**
+     * Push the visibility deadline of a running job out again
+     */
+    async extend(job, visibilityTimeout = this.defaults.visibilityTimeout) {
+        return getClient().zAdd(this.key(job.queue, 'active'), {
+            score: Date.now() + visibilityTimeout,
+            value: job.id
+        }, { XX: true });
+    }
+
+    /**
+     * Acknowledge a job as done
+     */
+    async complete(job, result = null) {
+        const client = getClient();
+        if (await client.zRem(this.key(job.queue, 'active'), job.id) !== 1) {
+            // Lease was lost (e.g. timed out and recovered by another worker)
+            console.warn(`⚠️ Job ${job.id} finished after losing its lease; result ignored`);
+            return false;
+        }
+
+        const finishedAt = Date.now();
+        job.status = 'completed';
+        job.result = result;
+        job.finishedAt = new Date(finishedAt).toISOString();
+        this.addHistory(job, 'completed');
+        await this.saveJob(job, COMPLETED_TTL);
+
+        await client.zAdd(this.key(job.queue, 'completed'), { score: finishedAt, value: job.id });
+        await client.zRemRangeByRank(this.key(job.queue, 'completed'), 0, -(MAX_COMPLETED + 1));
+
+        return true;
+    }
+
+    /**
+     * Record a failed attempt for a running job
+     */
+    async fail(job, error) {
+        if (await getClient().zRem(this.key(job.queue, 'active'), job.id) !== 1) {
+            console.warn(`⚠️ Job ${job.id} failed after losing its lease: ${error.message}`);
+            return false;
+        }
+        return this.handleFailure(job, error);
+    }
+
+    /**
+     * Retry with exponential backoff, or dead-letter once attempts run out.
+     * Errors with retryable === false go straight to the dead-letter queue.
+     * Errors with a deferMs put the job back after that delay without using
+     * up an attempt (the job couldn't start, e.g. for lack of disk space).
+     */
+    async handleFailure(job, error) {
+        const client = getClient();
+        const now = Date.now();
+
+        job.lastError = error.message;
+
+        if (error.deferMs) {
+            job.attempts -= 1;
+            job.status = 'delayed';
+            this.addHistory(job, 'deferred', `${error.message} (retrying in ${Math.round(error.deferMs / 1000)}s)`);
+            await this.saveJob(job);
+            await client.zAdd(this.key(job.queue, 'delayed'), { score: now + error.deferMs, value: job.id });
+
+            console.warn(`⏸️ Job ${job.id} deferred for ${Math.round(error.deferMs / 1000)}s: ${error.message}`);
+            return 'delayed';
+        }
+
+        if (error.retryable !== false && job.attempts < job.maxAttempts) {
+            const delay = Math.min(job.backoffDelay * 2 ** (job.attempts - 1), this.defaults.maxBackoff);
+            job.status = 'delayed';
+            this.addHistory(job, 'retry_scheduled', `${error.message} (retrying in ${Math.round(delay / 1000)}s)`);
+            await this.saveJob(job);
+            await client.zAdd(this.key(job.queue, 'delayed'), { score: now + delay, value: job.id });
+
+            console.warn(`🔁 Job ${job.id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying in ${Math.round(delay / 1000)}s`);
+            return 'delayed';
+        }
+
+        job.status = 'failed';
+        job.finishedAt = new Date(now).toISOString();
+        this.addHistory(job, 'dead_lettered', error.message);
+        await this.saveJob(job);
+        await client.zAdd(this.key(job.queue, 'failed'), { score: now, value: job.id });
+
+        console.error(`☠️ Job ${job.id} moved to dead-letter queue after ${job.attempts} attempt(s): ${error.message}`);
+        return 'failed';
+    }
+
+    isFinalAttempt(job) {
+        return job.attempts >= job.maxAttempts;
+    }
+
+    /**
+     * Put a failed or completed job back on the queue with a fresh set of attempts.
+     * Throws SOURCE_MISSING if the job's registered source file is gone.
+     */
+    async requeue(queue, jobId, { priority } = {}) {
+        const client = getClient();
+        const job = await this.getJob(jobId);
+        if (!job || job.queue !== queue) {
+            return null;
+        }
+
+        const source = this.sources.get(queue);
+        if (source && !['waiting', 'active'].includes(job.status) && !await source.exists(job)) {
+            throw fail('SOURCE_MISSING', 'The job\'s source file no longer exists');
+        }
+
+        const removed = await client.zRem(this.key(queue, 'failed'), jobId) +
+            await client.zRem(this.key(queue, 'completed'), jobId) +
+            await client.zRem(this.key(queue, 'delayed'), jobId);
+        if (!removed) {
+            // Waiting or active jobs are already queued
+            return null;
+        }
+
+        if (PRIORITIES[priority]) {
+            job.priority = priority;
+        }
+        job.status = 'waiting';
+        job.attempts = 0;
+        job.lastError = null;
+        delete job.finishedAt;
+        this.addHistory(job, 'requeued');
+        await this.saveJob(job);
+
+        await client.zAdd(this.key(queue, 'waiting'), {
+            score: this.priorityScore(job.priority),
+            value: jobId
+        });
+
+        return job;
+    }
+
+    /**
+     * Requeue everything in a queue's dead-letter queue. Jobs whose source
+     * file is gone would only fail again, so they stay dead-lettered.
+     * @returns {Promise<Object>} - { requeued, skipped: [jobId] }
+     */
+    async requeueFailed(queue) {
+        const jobIds = await getClient().zRange(this.key(queue, 'failed'), 0, -1);
+        const result = { requeued: 0, skipped: [] };
+        for (const jobId of jobIds) {
+            try {
+                if (await this.requeue(queue, jobId)) result.requeued++;
+            } catch (error) {
+                if (error.code !== 'SOURCE_MISSING') throw error;
+                result.skipped.push(jobId);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Remove a job that is not currently running, along with its source file
+     */
+    async remove(queue, jobId) {
+        const client = getClient();
+        if (await client.zScore(this.key(queue, 'active'), jobId) !== null) {
+            return false;
+        }
+
+        const job = await this.getJob(jobId);
+        for (const state of STATES) {
+            await client.zRem(this.key(queue, state), jobId);
+        }
+        await cache.del(this.jobKey(jobId));
+
+        const source = this.sources.get(queue);
+        if (source && job) {
+            await source.discard(job);
+        }
+        return true;
+    }
+
+    async getQueues() {
+        return getClient().sMembers('jobs:queues');
+    }
+
+    async getCounts(queue) {
+        const client = getClient();
+        const counts = {};
+        for (const state of STATES) {
+            counts[state] = await client.zCard(this.key(queue, state));
+        }
+        return counts;
+    }
+
+    /**
+     * List jobs in a given state. Completed and failed are newest first,
+     * waiting is in the order jobs will run.
+     */
+    async getJobs(queue, state, { offset = 0, limit = 20 } = {}) {
+        if (!STATES.includes(state)) {
+            throw new Error(`Invalid job state: ${state}`);
+        }
+
+        const client = getClient();
+        const key = this.key(queue, state);
+        const newestFirst = state === 'completed' || state === 'failed';
+        const jobIds = await client.zRange(key, offset, offset + limit - 1, newestFirst ? { REV: true } : undefined);
+
+        const jobs = [];
+        for (const jobId of jobIds) {
+            const job = await this.getJob(jobId);
+            if (job) jobs.push(job);
+        }
+
+        return {
+            jobs,
+            total: await client.zCard(key)
+        };
+    }
+
+    /**
+     * Move entries left in a pre-queue Redis list (consumed with rpop) into
+     * this queue so nothing is stranded by the upgrade.
+     * @param {Function} toJobData - maps a list entry to job data, or null to skip
+     */
+    async drainLegacyList(listKey, queue, toJobData) {
+        let moved = 0;
+        let entry;
+        while ((entry = await cache.rpop(listKey)) !== null) {
+            const data = await toJobData(entry);
+            if (data) {
+                await this.add(queue, data);
+                moved++;
+            }
+        }
+        if (moved > 0) {
+            console.log(`📦 Moved ${moved} job(s) from legacy list ${listKey} to ${queue}`);
+        }
+        return moved;
+    }
+
+    /**
+     * Run a handler for every job in a queue.
+     *
+     * The handler receives the job and should throw to signal failure. The
+     * lease is extended periodically while it runs. Returns a worker object
+     * with stop() and getStatus().
+     *
+     * @param {string} queue - Queue name
+     * @param {Function} handler - async (job) => result
+     * @param {Object} options - concurrency, pollInterval, visibilityTimeout
+     */
+    process(queue, handler, options = {}) {
+        const concurrency = options.concurrency || 1;
+        const pollInterval = options.pollInterval || 5000;
+        const visibilityTimeout = options.visibilityTimeout || this.defaults.visibilityTimeout;
+
+        const worker = {
+            queue,
+            running: true,
+            activeJobs: new Map(),
+            stop: () => {
+                worker.running = false;
+            },
+            getStatus: () => ({
+                queue,
+                running: worker.running,
+                concurrency,
+                activeJobs: Array.from(worker.activeJobs.values())
+            })
+        };
+
+        const runSlot = async (slot) => {
+            while (worker.running) {
+                let job = null;
+                try {
+                    job = await this.reserve(queue, visibilityTimeout);
+                } catch (error) {
+                    console.error(`❌ ${queue} worker error:`, error.message);
+                    await sleep(pollInterval * 2);
+                    continue;
+                }
+
+                if (!job) {
+                    await sleep(pollInterval);
+                    continue;
+                }
+
+                worker.activeJobs.set(job.id, { jobId: job.id, slot, startedAt: Date.now() });
+                const heartbeat = setInterval(() => {
+                    this.extend(job, visibilityTimeout).catch(error => {
+                        console.error(`Heartbeat failed for job ${job.id}:`, error.message);
+                    });
+                }, Math.max(visibilityTimeout / 3, 1000));
+
+                try {
+                    let result;
+                    try {
+                        result = await handler(job);
+                    } catch (error) {
+                        await this.fail(job, error).catch(failError => {
+                            console.error(`Error recording failure for job ${job.id}:`, failError);
+                        });
+                        continue;
+                    }
+
+                    // The work is done, so an error acknowledging it is not a failed
+                    // attempt. Only if the job is still leased when the lease runs out
+                    // does recoverStalled() hand it out again.
+                    await this.complete(job, result === undefined ? null : result).catch(completeError => {
+                        console.error(`Error recording completion for job ${job.id}:`, completeError);
+                    });
+                } finally {
+                    clearInterval(heartbeat);
+                    worker.activeJobs.delete(job.id);
+                }
+            }
+        };
+
+        worker.done = Promise.all(
+            Array.from({ length: concurrency }, (_, slot) => runSlot(slot))
+        );
+
+        console.log(`👷 Started ${queue} worker with concurrency ${concurrency}`);
+        return worker;
+    }
+}
+
+const jobQueue = new JobQueue();
+jobQueue.PRIORITIES = PRIORITIES;
+jobQueue.STATES = STATES;
+
+module.exports = jobQueue;
@@ -0,0 +1,326 @@
+const { cache, getClient } = require('../config/redis');
+const LiveChat = require('../models/LiveChat');
+const LiveStream = require('../models/LiveStream');
+
+/**
+ * Live chat: messages are accepted only from authenticated sockets, checked
+ * against timeouts, banned words, the per-user rate limit and slow mode,
+ * stored against the current broadcast and broadcast to the stream room.
+ * Channel owners, their chat moderators and admins can moderate.
+ */
+class LiveChatService {
+    constructor() {
+        this.maxLength = 500;
+        // Per user per stream: CHAT_RATE_LIMIT messages every CHAT_RATE_WINDOW seconds
+        this.rateLimit = parseInt(process.env.CHAT_RATE_LIMIT) || 5;
+        this.rateWindow = parseInt(process.env.CHAT_RATE_WINDOW) || 10;
+        this.maxSlowMode = 300;
+        this.maxTimeout = 24 * 3600;
+        this.defaultTimeout = 600;
+        // Platform-wide list, applied on top of each stream's own list
+        this.bannedWords = this.parseWordList(process.env.CHAT_BANNED_WORDS);
+        this.io = null;
+    }
+
+    attachSocket(io) {
+        this.io = io;
+    }
+
+    parseWordList(value) {
+        return (value || '')
+            .split(',')
+            .map(word => word.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    escapeRegExp(value) {
+        return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Whole-word, case-insensitive match against the platform and stream lists
+     */
+    findBannedWord(message, streamWords = []) {
+        const text = message.toLowerCase();
+        for (const word of [...this.bannedWords, ...streamWords]) {
+            const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${this.escapeRegExp(word)}($|[^\\p{L}\\p{N}])`, 'u');
+            if (pattern.test(text)) {
+                return word;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Channel owner, stream moderator or platform admin
+     */
+    async canModerate(stream, user) {
+        if (!user) return false;
+        if (user.isAdmin || stream.user_id === user.id) return true;
+        return LiveChat.isModerator(stream.id, user.id);
+    }
+
+    /**
+     * Count the message against the user's window; fails open if Redis is down
+     * @returns {Promise<number>} seconds to wait, or 0 if allowed
+     */
+    async checkRateLimit(streamId, userId) {
+        const key = `chat_rate:${streamId}:${userId}`;
+        const count = await cache.incr(key);
+        if (count === 1) {
+            await cache.expire(key, this.rateWindow);
+        }
+        return count > this.rateLimit ? this.rateWindow : 0;
+    }
+
+    /**
+     * Claim the user's slow mode slot
+     * @returns {Promise<number>} seconds to wait, or 0 if allowed
+     */
+    async checkSlowMode(streamId, userId, seconds) {
+        if (!seconds) return 0;
+
+        const key = `chat_slow:${streamId}:${userId}`;
+        try {
+            const client = getClient();
+            if (await client.set(key, '1', { NX: true, EX: seconds })) {
+                return 0;
+            }
+            const ttl = await client.ttl(key);
+            return ttl > 0 ? ttl : seconds;
+        } catch (error) {
+            console.error('Chat slow mode check error:', error);
+            return 0;
+        }
+    }
+
+    toPublicMessage(message) {
+        return {
+            id: message.id,
+            streamId: message.live_stream_id,
+            sessionId: message.session_id,
+            userId: message.user_id,
+            username: message.username,
+            displayName: message.display_name,
+            avatarUrl: message.avatar_url,
+            message: message.message,
+            offsetMs: Number(message.offset_ms),
+            timestamp: message.created_at
+        };
+    }
+
+    /**
+     * Validate, store and broadcast a chat message
+     * @returns {Promise<Object>} - { message } or { error, code, retryAfter? }
+     */
+    async sendMessage(user, { streamId, message }) {
+        if (!user) {
+            return { error: 'Log in to chat', code: 'unauthenticated' };
+        }
+
+        const text = typeof message === 'string' ? message.trim() : '';
+        if (!text) {
+            return { error: 'Message is empty', code: 'invalid' };
+        }
+        if (text.length > this.maxLength) {
+            return { error: `Messages must be ${this.maxLength} characters or fewer`, code: 'invalid' };
+        }
+
+        const stream = streamId && await LiveStream.getById(streamId);
+        if (!stream) {
+            return { error: 'Live stream not found', code: 'not_found' };
+        }
+        if (stream.status !== 'live' || !stream.current_session_id) {
+            return { error: 'Chat is only open while the stream is live', code: 'offline' };
+        }
+
+        const isModerator = await this.canModerate(stream, user);
+        if (stream.is_private && !isModerator) {
+            return { error: 'Live stream not found', code: 'not_found' };
+        }
+
+        if (!isModerator) {
+            const timeout = await LiveChat.getActiveTimeout(stream.id, user.id);
+            if (timeout) {
+                return {
+                    error: 'You are timed out from this chat',
+                    code: 'timed_out',
+                    retryAfter: Math.ceil((new Date(timeout.expires_at) - Date.now()) / 1000)
+                };
+            }
+        }
+
+        const settings = await LiveChat.getSettings(stream.id);
+        if (this.findBannedWord(text, settings.bannedWords)) {
+            return { error: 'Your message contains a banned word', code: 'banned_word' };
+        }
+
+        const rateWait = await this.checkRateLimit(stream.id, user.id);
+        if (rateWait) {
+            return { error: 'You are sending messages too quickly', code: 'rate_limited', retryAfter: rateWait };
+        }
+
+        if (!isModerator) {
+            const slowWait = await this.checkSlowMode(stream.id, user.id, settings.slowModeSeconds);
+            if (slowWait) {
+                return { error: `Slow mode is on; wait ${slowWait}s`, code: 'slow_mode', retryAfter: slowWait };
+            }
+        }
+
+        const stored = await LiveChat.createMessage({
+            streamId: stream.id,
+            sessionId: stream.current_session_id,
+            userId: user.id,
+            message: text
+        });
+        if (!stored) {
+            return { error: 'Chat is only open while the stream is live', code: 'offline' };
+        }
+
+        const payload = this.toPublicMessage(stored);
+        this.emit(stream.id, 'chat-message', payload);
+        return { message: payload };
+    }
+
+    /**
+     * @returns {Promise<Object>} - { messageId } or { error, status }
+     */
+    async deleteMessage(user, stream, messageId) {
+        if (!await this.canModerate(stream, user)) {
+            return { error: 'Only moderators can delete messages', status: 403 };
+        }
+
+        const message = await LiveChat.getMessage(messageId);
+        if (!message || message.live_stream_id !== stream.id) {
+            return { error: 'Message not found', status: 404 };
+        }
+
+        if (await LiveChat.deleteMessage(messageId, user.id)) {
+            this.emit(stream.id, 'chat-message-deleted', { streamId: stream.id, messageIds: [messageId] });
+        }
+        return { messageId };
+    }
+
+    /**
+     * Time a user out of the stream's chat and hide their messages from the
+     * current broadcast. The broadcaster and moderators can't be timed out.
+     * @returns {Promise<Object>} - { timeout } or { error, status }
+     */
+    async timeoutUser(user, stream, { userId, durationSeconds, reason }) {
+        if (!await this.canModerate(stream, user)) {
+            return { error: 'Only moderators can time out users', status: 403 };
+        }
+        if (userId === user.id || userId === stream.user_id || await LiveChat.isModerator(stream.id, userId)) {
+            return { error: 'This user cannot be timed out', status: 400 };
+        }
+
+        const duration = Math.min(durationSeconds || this.defaultTimeout, this.maxTimeout);
+        const timeout = await LiveChat.addTimeout({
+            streamId: stream.id,
+            userId,
+            createdBy: user.id,
+            durationSeconds: duration,
+            reason
+        });
+
+        const deleted = stream.current_session_id
+            ? await LiveChat.deleteUserMessages(stream.current_session_id, userId, user.id)
+            : [];
+
+        this.emit(stream.id, 'chat-user-timed-out', {
+            streamId: stream.id,
+            userId,
+            expiresAt: timeout.expires_at
+        });
+        if (deleted.length > 0) {
+            this.emit(stream.id, 'chat-message-deleted', { streamId: stream.id, messageIds: deleted });
+        }
+
+        return { timeout };
+    }
+
+    async liftTimeout(user, stream, userId) {
+        if (!await this.canModerate(stream, user)) {
+            return { error: 'Only moderators can lift timeouts', status: 403 };
+        }
+        if (!await LiveChat.revokeTimeouts(stream.id, userId)) {
+            return { error: 'User is not timed out', status: 404 };
+        }
+        return { userId };
+    }
+
+    /**
+     * Chat of a published replay on the film's timeline. Offsets are shifted
+     * by the replay's trim start; messages from trimmed-off parts are dropped.
+     * @param {Object} session - broadcast the film was published from
+     * @param {Object} range - fromSeconds/toSeconds on the film's timeline
+     */
+    async getReplayChat(session, { fromSeconds = 0, toSeconds, limit }) {
+        const trimStartMs = Math.round((parseFloat(session.replay_trim_start) || 0) * 1000);
+        const trimEnd = session.replay_trim_end === null || session.replay_trim_end === undefined
+            ? session.replay_duration
+            : session.replay_trim_end;
+        const durationMs = Math.round((parseFloat(trimEnd) || 0) * 1000) - trimStartMs;
+        const endMs = toSeconds === undefined ? durationMs : Math.min(toSeconds * 1000, durationMs);
+
+        const messages = await LiveChat.getRange(session.id, {
+            fromMs: trimStartMs + fromSeconds * 1000,
+            toMs: trimStartMs + endMs,
+            limit
+        });
+
+        return messages.map(message => {
+            const publicMessage = this.toPublicMessage(message);
+            return { ...publicMessage, offsetMs: publicMessage.offsetMs - trimStartMs };
+        });
+    }
+
+    /**
+     * Chat events for one socket. Results go to the client's ack callback if
+     * it passed one, otherwise failures are sent as 'chat-error'.
+     */
+    handleSocket(socket) {
+        const reply = (ack, result) => {
+            if (typeof ack === 'function') {
+                ack(result.error ? { success: false, ...result } : { success: true, ...result });
+            } else if (result.error) {
+                socket.emit('chat-error', result);
+            }
+        };
+
+        const on = (event, handler) => {
+            socket.on(event, async (data, ack) => {
+                try {
+                    reply(ack, await handler(data || {}));
+                } catch (error) {
+                    console.error(`Chat ${event} error:`, error);
+                    reply(ack, { error: 'Something went wrong', code: 'server_error' });
+                }
+            });
+        };
+
+        const withStream = async (streamId, action) => {
+            const stream = streamId && await LiveStream.getById(streamId);
+            return stream ? action(stream) : { error: 'Live stream not found', status: 404 };
+        };
+
+        on('chat-message', (data) => this.sendMessage(socket.data.user, data));
+
+        on('chat-delete-message', ({ streamId, messageId }) => withStream(streamId,
+            (stream) => this.deleteMessage(socket.data.user, stream, messageId)));
+
+        on('chat-timeout-user', ({ streamId, userId, durationSeconds, reason }) => withStream(streamId,
+            (stream) => this.timeoutUser(socket.data.user, stream, {
+                userId,
+                durationSeconds: parseInt(durationSeconds) || undefined,
+                reason
+            })));
+    }
+
+    emit(streamId, event, payload) {
+        if (!this.io) return;
+        this.io.to(`stream-${streamId}`).emit(event, payload);
+    }
+}
+
+module.exports = new LiveChatService();
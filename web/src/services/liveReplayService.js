@@ -0,0 +1,324 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../config/database');
+const LiveStream = require('../models/LiveStream');
+const Notification = require('../models/Notification');
+const jobQueue = require('./jobQueue');
+const videoProcessingService = require('./videoProcessingService');
+const { getFileDuration, getFileSize } = require('../utils/fileUtils');
+
+/**
+ * Turns a finished broadcast's DVR segments into a replay film:
+ * collect (concatenate segments) -> creator trims -> publish (normal
+ * processing pipeline). Replays the creator doesn't act on are published
+ * untrimmed after LIVE_REPLAY_PUBLISH_DELAY_HOURS.
+ */
+class LiveReplayService {
+    constructor() {
+        this.queueName = 'live-replay';
+        // Same drive as the processing inbox so publishing is a rename, and
+        // outside uploads/ so unpublished replays aren't served statically
+        this.replayDir = path.join(videoProcessingService.processingPath, 'processing', 'live-replays');
+        // DVR paths are reported from inside the SRS container; map them onto
+        // the volume this process sees
+        this.srsDvrRoot = process.env.SRS_DVR_ROOT || '/usr/local/srs/objs/nginx/html';
+        this.localDvrRoot = process.env.SRS_DVR_LOCAL_ROOT || this.srsDvrRoot;
+        // Wait for the last on_dvr, which SRS sends after on_unpublish
+        this.collectDelay = 60 * 1000;
+        this.publishDelay = (parseFloat(process.env.LIVE_REPLAY_PUBLISH_DELAY_HOURS) || 24) * 3600 * 1000;
+        this.maxDuration = parseInt(process.env.VIDEO_MAX_DURATION) || 1800;
+        this.minDuration = 10;
+        this.tag = 'Live replay';
+    }
+
+    /**
+     * Queue collection of a broadcast's DVR segments
+     */
+    async queueCollect(sessionId) {
+        await LiveStream.updateReplay(sessionId, { replay_status: 'pending' });
+        return jobQueue.add(this.queueName, { action: 'collect', sessionId }, {
+            delay: this.collectDelay,
+            jobId: `collect-${sessionId}`
+        });
+    }
+
+    async startWorker(options = {}) {
+        return jobQueue.process(this.queueName, (job) => this.handleJob(job), options);
+    }
+
+    async handleJob(job) {
+        const { action, sessionId } = job.data;
+
+        if (action === 'collect') {
+            return this.collect(sessionId, jobQueue.isFinalAttempt(job));
+        }
+        if (action === 'auto-publish') {
+            return this.autoPublish(sessionId);
+        }
+
+        const error = new Error(`Unknown live replay action: ${action}`);
+        error.retryable = false;
+        throw error;
+    }
+
+    toLocalPath(filePath) {
+        if (this.localDvrRoot !== this.srsDvrRoot && filePath.startsWith(this.srsDvrRoot)) {
+            return path.join(this.localDvrRoot, path.relative(this.srsDvrRoot, filePath));
+        }
+        return filePath;
+    }
+
+    async getOwner(session) {
+        const result = await query(`
+            SELECT c.user_id, ls.channel_id
+            FROM live_streams ls
+            JOIN channels c ON ls.channel_id = c.id
+            WHERE ls.id = $1
+        `, [session.live_stream_id]);
+        return result.rows[0];
+    }
+
+    async notify(userId, title, message, relatedId) {
+        try {
+            await Notification.create({ userId, type: 'live_replay', title, message, relatedId });
+        } catch (error) {
+            console.error('Live replay notification error:', error);
+        }
+    }
+
+    /**
+     * Concatenate the session's DVR segments into one MP4 (stream copy)
+     */
+    async collect(sessionId, finalAttempt = true) {
+        const session = await LiveStream.getSession(sessionId);
+        if (!session || !['pending', 'failed'].includes(session.replay_status)) {
+            return { skipped: true };
+        }
+
+        const segments = [];
+        for (const segment of await LiveStream.getDvrSegments(sessionId)) {
+            const localPath = this.toLocalPath(segment.file_path);
+            try {
+                await fs.access(localPath);
+                segments.push(localPath);
+            } catch (error) {
+                console.warn(`⚠️ DVR segment missing for session ${sessionId}: ${localPath}`);
+            }
+        }
+
+        if (segments.length === 0) {
+            await LiveStream.updateReplay(sessionId, { replay_status: 'empty' });
+            return { empty: true };
+        }
+
+        await fs.mkdir(this.replayDir, { recursive: true });
+        const listPath = path.join(this.replayDir, `${sessionId}.txt`);
+        const outputPath = path.join(this.replayDir, `${sessionId}.mp4`);
+
+        try {
+            await LiveStream.updateReplay(sessionId, { replay_status: 'collecting', replay_error: null });
+
+            // concat demuxer list; single quotes in paths are escaped per ffmpeg's rules
+            await fs.writeFile(listPath, segments.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'));
+            await this.runFfmpeg(ffmpeg()
+                .input(listPath)
+                .inputOptions(['-f', 'concat', '-safe', '0'])
+                .outputOptions(['-c', 'copy', '-movflags', '+faststart'])
+                .output(outputPath));
+
+            const duration = await getFileDuration(outputPath);
+
+            await LiveStream.updateReplay(sessionId, {
+                replay_status: 'ready',
+                replay_file_path: outputPath,
+                replay_duration: duration
+            });
+
+            await jobQueue.add(this.queueName, { action: 'auto-publish', sessionId }, {
+                delay: this.publishDelay,
+                jobId: `auto-publish-${sessionId}`
+            });
+
+            // Segments are consumed; the replay file is the copy we keep
+            await Promise.all(segments.map(file => fs.unlink(file).catch(() => {})));
+
+            const owner = await this.getOwner(session);
+            if (owner) {
+                await this.notify(owner.user_id, 'Your live replay is ready',
+                    `"${session.title}" can be trimmed before it is published.`, sessionId);
+            }
+
+            console.log(`📼 Live replay ready for session ${sessionId}: ${segments.length} segments, ${duration}s`);
+            return { sessionId, duration, segments: segments.length };
+        } catch (error) {
+            console.error(`❌ Failed to collect live replay ${sessionId}:`, error);
+            await fs.unlink(outputPath).catch(() => {});
+            // 'pending' lets the retry pick it up again
+            await LiveStream.updateReplay(sessionId, {
+                replay_status: finalAttempt ? 'failed' : 'pending',
+                replay_error: error.message
+            });
+            throw error;
+        } finally {
+            await fs.unlink(listPath).catch(() => {});
+        }
+    }
+
+    runFfmpeg(command) {
+        return new Promise((resolve, reject) => {
+            command
+                .on('end', resolve)
+                .on('error', reject)
+                .run();
+        });
+    }
+
+    /**
+     * Validate a trim range against the replay; returns the resulting duration
+     */
+    validateTrim(session, trimStart, trimEnd) {
+        const duration = parseFloat(session.replay_duration) || 0;
+        const start = trimStart || 0;
+        const end = trimEnd === undefined || trimEnd === null ? duration : trimEnd;
+
+        if (start < 0 || end > duration || start >= end) {
+            return { error: `Trim range must be within 0-${Math.floor(duration)} seconds and end after it starts` };
+        }
+        if (end - start < this.minDuration) {
+            return { error: `Replay must be at least ${this.minDuration} seconds long` };
+        }
+        if (end - start > this.maxDuration) {
+            return { error: `Replay must be ${Math.floor(this.maxDuration / 60)} minutes or shorter; trim it before publishing` };
+        }
+
+        return { start, end, duration: end - start };
+    }
+
+    /**
+     * Trim and publish a ready replay as a film on the broadcaster's channel
+     * @param {Object} options - trimStart/trimEnd in seconds, auto
+     * @returns {Promise<Object>} - { videoId } or { error, status }
+     */
+    async publish(sessionId, { trimStart, trimEnd, auto = false } = {}) {
+        const session = await LiveStream.getSession(sessionId);
+        if (!session || session.replay_status !== 'ready') {
+            return { error: 'Replay is not ready to publish', status: 409 };
+        }
+
+        const trim = this.validateTrim(session, trimStart, trimEnd);
+        if (trim.error) {
+            return { error: trim.error, status: 400 };
+        }
+
+        // Creator and auto-publish can race; only one claims the replay
+        if (!await LiveStream.claimReplay(sessionId, 'ready', 'publishing')) {
+            return { error: 'Replay is already being published', status: 409 };
+        }
+
+        const trimmed = trim.start > 0 || trim.end < parseFloat(session.replay_duration);
+        const sourcePath = session.replay_file_path;
+        const outputPath = trimmed ? path.join(this.replayDir, `${sessionId}_trimmed.mp4`) : sourcePath;
+
+        try {
+            if (trimmed) {
+                // Stream copy cuts on keyframes; the processing pipeline re-encodes anyway
+                await this.runFfmpeg(ffmpeg(sourcePath)
+                    .inputOptions(['-ss', String(trim.start)])
+                    .outputOptions(['-t', String(trim.duration), '-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart'])
+                    .output(outputPath));
+            }
+
+            const owner = await this.getOwner(session);
+            const filmId = uuidv4();
+            const fileSize = await getFileSize(outputPath);
+
+            await query(`
+                INSERT INTO videos (
+                    id, channel_id, title, description, tags,
+                    duration, file_size, upload_status, stream_key,
+                    created_at, updated_at
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), NOW())
+            `, [
+                filmId, owner.channel_id, session.title,
+                `Replay of the live broadcast on ${new Date(session.started_at).toDateString()}.`,
+                [this.tag], Math.round(trim.duration), fileSize, 'processing', uuidv4()
+            ]);
+
+            // Moves the file into the processing inbox
+            await videoProcessingService.queueVideo(filmId, outputPath, owner.user_id);
+
+            if (trimmed) {
+                await fs.unlink(sourcePath).catch(() => {});
+            }
+
+            await LiveStream.updateReplay(sessionId, {
+                replay_status: 'published',
+                replay_video_id: filmId,
+                // Lines chat up with the film's timeline
+                replay_trim_start: trim.start,
+                replay_trim_end: trim.end,
+                replay_file_path: null,
+                replay_error: null
+            });
+
+            if (auto) {
+                await this.notify(owner.user_id, 'Your live replay was published',
+                    `"${session.title}" was published automatically and is being processed.`, filmId);
+            }
+
+            console.log(`📼 Published live replay ${sessionId} as film ${filmId}${trimmed ? ` (${trim.start}-${trim.end}s)` : ''}`);
+            return { videoId: filmId, duration: trim.duration };
+        } catch (error) {
+            console.error(`❌ Failed to publish live replay ${sessionId}:`, error);
+            if (trimmed) {
+                await fs.unlink(outputPath).catch(() => {});
+            }
+            await LiveStream.updateReplay(sessionId, { replay_status: 'ready', replay_error: error.message });
+            throw error;
+        }
+    }
+
+    /**
+     * Delayed job: publish untrimmed if the creator hasn't published or
+     * discarded the replay. Replays over the length limit wait for a trim.
+     */
+    async autoPublish(sessionId) {
+        const session = await LiveStream.getSession(sessionId);
+        if (!session || session.replay_status !== 'ready') {
+            return { skipped: true };
+        }
+
+        const result = await this.publish(sessionId, { auto: true });
+        if (result.error) {
+            console.log(`📼 Live replay ${sessionId} not auto-published: ${result.error}`);
+            const owner = await this.getOwner(session);
+            if (owner) {
+                await this.notify(owner.user_id, 'Your live replay needs trimming',
+                    `"${session.title}" could not be published automatically: ${result.error}`, sessionId);
+            }
+            return { skipped: true, reason: result.error };
+        }
+
+        return result;
+    }
+
+    /**
+     * Drop a ready replay without publishing it
+     */
+    async discard(sessionId) {
+        const session = await LiveStream.getSession(sessionId);
+        if (!session || !await LiveStream.claimReplay(sessionId, 'ready', 'discarded')) {
+            return false;
+        }
+
+        if (session.replay_file_path) {
+            await fs.unlink(session.replay_file_path).catch(() => {});
+        }
+        await LiveStream.updateReplay(sessionId, { replay_file_path: null });
+        return true;
+    }
+}
+
+module.exports = new LiveReplayService();
@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const path = require('path');
+const LiveStream = require('../models/LiveStream');
+const liveReplayService = require('./liveReplayService');
+const liveChatService = require('./liveChatService');
+
+class LiveStreamService {
+    constructor() {
+        // OBS "Server" field; the stream name and key go in the "Stream Key" field
+        this.rtmpUrl = process.env.SRS_RTMP_URL || 'rtmp://localhost:1935/live';
+        // Public base URL of the SRS http_server (HLS / HTTP-FLV)
+        this.playbackUrl = process.env.SRS_PLAYBACK_URL || 'http://localhost:8080';
+        this.app = process.env.SRS_APP || 'live';
+        this.hookSecret = process.env.SRS_HOOK_SECRET;
+        // Transcode engines in srs/srs.conf republish as <stream>_<engine>
+        this.transcodeEngines = ['original', 'sd'];
+        this.io = null;
+    }
+
+    attachSocket(io) {
+        this.io = io;
+    }
+
+    generateStreamName() {
+        return crypto.randomBytes(8).toString('hex');
+    }
+
+    generateStreamKey() {
+        return `sk_${crypto.randomBytes(24).toString('hex')}`;
+    }
+
+    hashStreamKey(streamKey) {
+        return crypto.createHash('sha256').update(streamKey).digest('hex');
+    }
+
+    safeEqual(a, b) {
+        const bufA = Buffer.from(String(a || ''));
+        const bufB = Buffer.from(String(b || ''));
+        return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+    }
+
+    /**
+     * Hooks are called by SRS with ?secret=<SRS_HOOK_SECRET> in the URL
+     */
+    verifyHookSecret(secret) {
+        if (!this.hookSecret) {
+            console.error('❌ SRS_HOOK_SECRET is not set; rejecting SRS hook');
+            return false;
+        }
+        return this.safeEqual(secret, this.hookSecret);
+    }
+
+    verifyStreamKey(stream, streamKey) {
+        if (!streamKey || !stream.stream_key_hash) return false;
+        return this.safeEqual(this.hashStreamKey(streamKey), stream.stream_key_hash);
+    }
+
+    /**
+     * Pull the key out of the SRS "param" field ("?key=sk_...")
+     */
+    getKeyFromParam(param) {
+        if (!param) return null;
+        return new URLSearchParams(param.replace(/^\?/, '')).get('key');
+    }
+
+    /**
+     * Split an SRS stream name into the creator's stream and, for streams
+     * republished by a transcode engine, the engine name
+     */
+    parseStreamName(name) {
+        const match = (name || '').match(new RegExp(`^(.+)_(${this.transcodeEngines.join('|')})$`));
+        return match ? { streamName: match[1], engine: match[2] } : { streamName: name, engine: null };
+    }
+
+    isLoopback(ip) {
+        return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(ip);
+    }
+
+    getIngest(stream, streamKey = null) {
+        return {
+            server: this.rtmpUrl,
+            stream_name: stream.stream_name,
+            // Only known right after the key is created or regenerated
+            stream_key: streamKey ? `${stream.stream_name}?key=${streamKey}` : null
+        };
+    }
+
+    getPlaybackUrls(stream) {
+        const base = `${this.playbackUrl}/${this.app}/${stream.stream_name}`;
+        return {
+            hls: `${base}.m3u8`,
+            flv: `${base}.flv`,
+            renditions: [
+                { name: 'source', hls: `${base}.m3u8` },
+                ...this.transcodeEngines
+                    .filter(engine => engine !== 'original')
+                    .map(engine => ({ name: engine, hls: `${base}_${engine}.m3u8` }))
+            ]
+        };
+    }
+
+    /**
+     * Public view of a stream; playback URLs only while it is live
+     */
+    toPublic(stream) {
+        return {
+            ...stream,
+            playback: stream.status === 'live' ? this.getPlaybackUrls(stream) : null
+        };
+    }
+
+    /**
+     * Private streams are only visible to the channel owner, its chat
+     * moderators and admins
+     */
+    async canView(stream, user) {
+        if (!stream.is_private) return true;
+        return liveChatService.canModerate(stream, user);
+    }
+
+    /**
+     * After a stream is made private, drop viewers who may no longer see it
+     */
+    async removeUnauthorizedViewers(stream) {
+        if (!this.io || !stream.is_private) return;
+
+        const room = `stream-${stream.id}`;
+        for (const socket of await this.io.in(room).fetchSockets()) {
+            if (!await this.canView(stream, socket.data.user)) {
+                socket.leave(room);
+                socket.emit('room-error', { event: 'join-stream', id: stream.id, error: 'Live stream not found' });
+            }
+        }
+    }
+
+    async createForChannel(channelId, { title, description }) {
+        const streamKey = this.generateStreamKey();
+        const stream = await LiveStream.create({
+            channelId,
+            title,
+            description,
+            streamName: this.generateStreamName(),
+            streamKeyHash: this.hashStreamKey(streamKey)
+        });
+
+        return { stream, streamKey };
+    }
+
+    async regenerateStreamKey(stream) {
+        const streamKey = this.generateStreamKey();
+        await LiveStream.setStreamKey(stream.id, this.hashStreamKey(streamKey));
+        return streamKey;
+    }
+
+    emitStatus(stream, status, extra = {}) {
+        if (!this.io) return;
+
+        const payload = { streamId: stream.id, channelId: stream.channel_id, status, ...extra };
+        this.io.to(`stream-${stream.id}`).emit('stream-status', payload);
+        if (!stream.is_private) {
+            this.io.emit('live-streams-updated', payload);
+        }
+    }
+
+    /**
+     * SRS on_publish: authenticate the stream key and mark the stream live
+     * @returns {Promise<{allowed: boolean, reason?: string}>}
+     */
+    async handlePublish(hook) {
+        const { streamName, engine } = this.parseStreamName(hook.stream);
+
+        if (hook.app !== this.app) {
+            return { allowed: false, reason: `Unknown app "${hook.app}"` };
+        }
+
+        const stream = await LiveStream.getByStreamName(streamName);
+        if (!stream) {
+            return { allowed: false, reason: 'Unknown stream' };
+        }
+
+        // SRS's own transcoder republishes locally without the key
+        if (engine) {
+            const allowed = this.isLoopback(hook.ip) && stream.status === 'live';
+            return allowed ? { allowed } : { allowed, reason: 'Transcode output for a stream that is not live' };
+        }
+
+        if (!this.verifyStreamKey(stream, this.getKeyFromParam(hook.param))) {
+            return { allowed: false, reason: 'Invalid stream key' };
+        }
+
+        const session = await LiveStream.startSession(stream.id, {
+            clientId: hook.client_id,
+            ip: hook.ip
+        });
+
+        console.log(`🔴 Live: ${stream.id} (session ${session.id})`);
+        this.emitStatus(stream, 'live', {
+            sessionId: session.id,
+            playback: this.getPlaybackUrls(stream)
+        });
+
+        return { allowed: true, stream, session };
+    }
+
+    /**
+     * SRS on_unpublish: mark the stream offline and queue its replay
+     */
+    async handleUnpublish(hook) {
+        const { streamName, engine } = this.parseStreamName(hook.stream);
+        if (engine) return null;
+
+        const stream = await LiveStream.getByStreamName(streamName);
+        if (!stream) return null;
+
+        const session = await LiveStream.endSession(stream.id, { clientId: hook.client_id });
+        if (session) {
+            console.log(`⚫ Offline: ${stream.id} (session ${session.id})`);
+            this.emitStatus(stream, 'offline', { sessionId: session.id });
+
+            try {
+                await liveReplayService.queueCollect(session.id);
+            } catch (error) {
+                console.error(`Error queueing live replay for session ${session.id}:`, error);
+            }
+        }
+
+        return session;
+    }
+
+    /**
+     * SRS on_dvr: record a finished DVR segment against its session.
+     * Segments of transcode outputs are ignored; the source is recorded.
+     */
+    async handleDvr(hook) {
+        const { streamName, engine } = this.parseStreamName(hook.stream);
+        if (engine) return null;
+
+        const stream = await LiveStream.getByStreamName(streamName);
+        // The last segment is closed after on_unpublish, so match the session
+        // by the publishing client rather than the stream's current session
+        const session = stream && await LiveStream.getSessionByClient(stream.id, hook.client_id);
+        if (!session) {
+            console.warn(`⚠️ DVR segment with no matching session: ${hook.stream} (${hook.file})`);
+            return null;
+        }
+
+        // SRS reports the file relative to its working directory
+        const filePath = hook.cwd ? path.resolve(hook.cwd, hook.file) : hook.file;
+
+        return LiveStream.addDvrSegment({
+            sessionId: session.id,
+            streamId: stream.id,
+            filePath
+        });
+    }
+}
+
+module.exports = new LiveStreamService();
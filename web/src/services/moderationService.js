@@ -0,0 +1,221 @@
+const { transaction } = require('../config/database');
+const Notification = require('../models/Notification');
+const VideoModeration = require('../models/VideoModeration');
+const emailService = require('./emailService');
+
+const APPEAL_WINDOW_DAYS = parseInt(process.env.APPEAL_WINDOW_DAYS) || 30;
+const APPEAL_REVIEWS_REQUIRED = 2;
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+// Notification title and email template for each decision the owner hears about
+const DECISION_MESSAGES = {
+    rejected: {
+        template: 'video_rejected',
+        title: (video) => `"${video.title}" was not approved`,
+        message: (video, reason) => `Your film "${video.title}" was rejected: ${reason}. You can appeal this decision within ${APPEAL_WINDOW_DAYS} days.`
+    },
+    flagged: {
+        template: 'video_flagged',
+        title: (video) => `"${video.title}" is under review`,
+        message: (video, reason) => `Your film "${video.title}" was flagged for review: ${reason}. We'll let you know the outcome.`
+    },
+    appeal_approved: {
+        template: 'appeal_decided',
+        title: (video) => `Appeal approved for "${video.title}"`,
+        message: (video) => `Your appeal was reviewed and "${video.title}" is now approved.`
+    },
+    appeal_rejected: {
+        template: 'appeal_decided',
+        title: (video) => `Appeal rejected for "${video.title}"`,
+        message: (video) => `Your appeal was reviewed by two moderators and the decision on "${video.title}" stands. This decision is final.`
+    }
+};
+
+/**
+ * Moderation decisions on videos and accounts: the decision history, telling
+ * owners about rejections, flags and bans (notification and email), and the
+ * appeal workflow. An appeal puts a rejected video back in the moderation
+ * queue in the 'appeal' state; it's decided once two reviewers, neither of
+ * them the moderator who rejected it, agree.
+ */
+class ModerationService {
+    constructor() {
+        this.appealWindowDays = APPEAL_WINDOW_DAYS;
+        this.reviewsRequired = APPEAL_REVIEWS_REQUIRED;
+    }
+
+    /**
+     * Record a moderator's decision on a video and tell the owner about
+     * rejections and flags
+     */
+    async recordDecision(videoId, moderatorId, action, { reason = null, notes = null } = {}) {
+        await VideoModeration.record(videoId, { actorId: moderatorId, action, reason, notes });
+
+        if (DECISION_MESSAGES[action]) {
+            await this.notifyOwner(videoId, action, { reason: reason || notes, notes });
+        }
+    }
+
+    /**
+     * In-app notification and email to a video's owner; failures are logged,
+     * never passed on, so they can't undo a decision
+     */
+    async notifyOwner(videoId, action, { reason = null, notes = null } = {}) {
+        try {
+            const video = await VideoModeration.getVideoWithOwner(videoId);
+            if (!video) return;
+
+            const decision = DECISION_MESSAGES[action];
+            const reasonText = reason || 'it does not meet our community guidelines';
+
+            await Notification.create({
+                userId: video.owner_id,
+                type: Notification.TYPES.MODERATION,
+                title: decision.title(video),
+                message: decision.message(video, reasonText),
+                relatedId: video.id
+            });
+
+            await emailService.sendTemplateEmail(video.owner_email, decision.template, {
+                display_name: video.owner_name,
+                video_title: video.title,
+                reason: reasonText,
+                notes: notes || '',
+                decision: action === 'appeal_approved' ? 'approved' : 'rejected',
+                appeal_days: String(APPEAL_WINDOW_DAYS),
+                video_url: `${process.env.CLIENT_URL || ''}/watch/${video.id}`
+            });
+        } catch (error) {
+            console.error(`Moderation notification error (${action}, video ${videoId}):`, error);
+        }
+    }
+
+    /**
+     * Tell a banned user why; by email too, since they can no longer sign in
+     */
+    async notifyBan(user, reason) {
+        try {
+            await Notification.create({
+                userId: user.id,
+                type: Notification.TYPES.MODERATION,
+                title: 'Your account has been suspended',
+                message: `Your account was suspended: ${reason}`,
+                relatedId: user.id
+            });
+
+            await emailService.sendTemplateEmail(user.email, 'account_banned', {
+                display_name: user.display_name || user.username,
+                reason,
+                contact_email: process.env.PLATFORM_CONTACT_EMAIL || 'support@reelshorts.live'
+            });
+        } catch (error) {
+            console.error(`Ban notification error (user ${user.id}):`, error);
+        }
+    }
+
+    /**
+     * Why a video can't be appealed now, or null if it can. Only rejected
+     * videos can be, within APPEAL_WINDOW_DAYS, and not again once an appeal
+     * was rejected.
+     * @param {Object} latest - the video's latest history entry
+     */
+    appealBlocker(video, latest) {
+        if (video.moderation_status === 'appeal') {
+            return 'This video already has an appeal under review';
+        }
+        if (video.moderation_status !== 'rejected') {
+            return 'Only rejected videos can be appealed';
+        }
+        if (latest && latest.action === 'appeal_rejected') {
+            return 'An appeal of this decision was already rejected';
+        }
+        const rejectedAt = new Date(video.moderated_at || (latest && latest.created_at) || 0);
+        if (Date.now() - rejectedAt.getTime() > APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000) {
+            return `Appeals must be made within ${APPEAL_WINDOW_DAYS} days of the decision`;
+        }
+        return null;
+    }
+
+    /**
+     * Appeal a rejection as the video's owner
+     * @throws {Error} with a code: NOT_FOUND or NOT_APPEALABLE
+     */
+    async fileAppeal(videoId, userId, message) {
+        const video = await VideoModeration.getVideoWithOwner(videoId);
+        if (!video || video.owner_id !== userId) {
+            throw fail('NOT_FOUND', 'Video not found');
+        }
+
+        const blocker = this.appealBlocker(video, await VideoModeration.getLatestAction(videoId));
+        if (blocker) {
+            throw fail('NOT_APPEALABLE', blocker);
+        }
+
+        return VideoModeration.createAppeal(video, userId, message);
+    }
+
+    /**
+     * Count a new vote on an appeal together with the votes already cast
+     * @param {Array} votes - [{ reviewer_id, decision }] cast so far
+     * @returns {Object} - { decided, votes } where decided means
+     *   APPEAL_REVIEWS_REQUIRED reviewers now agree on the decision
+     * @throws {Error} with code ALREADY_REVIEWED if the reviewer has voted
+     */
+    tallyAppealVote(votes, reviewerId, decision) {
+        if (votes.some(vote => vote.reviewer_id === reviewerId)) {
+            throw fail('ALREADY_REVIEWED', 'You have already reviewed this appeal; a second reviewer must decide it');
+        }
+
+        const agreeing = votes.filter(vote => vote.decision === decision).length + 1;
+        return { decided: agreeing >= APPEAL_REVIEWS_REQUIRED, votes: votes.length + 1 };
+    }
+
+    /**
+     * A reviewer's approve/reject on a video under appeal. The appeal is
+     * decided when APPEAL_REVIEWS_REQUIRED different reviewers agree. The
+     * appeal row is locked while the vote is counted, so two reviewers
+     * voting at once can't both miss each other's vote or both close it.
+     * @returns {Promise<Object>} - { decided, decision, votes }
+     * @throws {Error} with a code: ORIGINAL_MODERATOR, ALREADY_REVIEWED, APPEAL_CLOSED
+     */
+    async reviewAppeal(appeal, reviewerId, decision, { reason = null, notes = null } = {}) {
+        if (appeal.original_moderator_id && appeal.original_moderator_id === reviewerId) {
+            throw fail('ORIGINAL_MODERATOR', 'The moderator who made the original decision cannot review its appeal');
+        }
+
+        const result = await transaction(async (client) => {
+            const current = await VideoModeration.lockAppeal(appeal.id, client);
+            if (!current || current.status !== 'pending') {
+                throw fail('APPEAL_CLOSED', 'This appeal has already been decided');
+            }
+
+            const votes = await VideoModeration.getAppealVotes(appeal.id, client);
+            const tally = this.tallyAppealVote(votes, reviewerId, decision);
+
+            await VideoModeration.record(appeal.video_id, {
+                actorId: reviewerId,
+                action: decision === 'approved' ? 'appeal_vote_approve' : 'appeal_vote_reject',
+                reason,
+                notes,
+                appealId: appeal.id
+            }, client);
+
+            if (tally.decided) {
+                await VideoModeration.closeAppeal(appeal, { decision, reviewerId, notes: notes || reason }, client);
+            }
+            return { decided: tally.decided, decision, votes: tally.votes };
+        });
+
+        // Only the vote that closed the appeal is decided, so the owner hears once
+        if (result.decided) {
+            await this.notifyOwner(appeal.video_id, decision === 'approved' ? 'appeal_approved' : 'appeal_rejected', {
+                reason: reason || notes
+            });
+        }
+
+        return result;
+    }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,314 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { cache } = require('../config/redis');
+
+const STATE_TTL = 10 * 60;
+const LOGIN_CODE_TTL = 60;
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const HTTP_TIMEOUT = 10000;
+
+// Settings for well-known providers; any of them can be overridden with
+// OIDC_<ID>_* variables, and other IDs need OIDC_<ID>_ISSUER or the three
+// endpoint URLs
+const PRESETS = {
+    google: {
+        name: 'Google',
+        issuer: 'https://accounts.google.com',
+        scopes: 'openid email profile'
+    },
+    // GitHub is plain OAuth 2.0: no ID token, the profile comes from its API
+    github: {
+        name: 'GitHub',
+        authorizationEndpoint: 'https://github.com/login/oauth/authorize',
+        tokenEndpoint: 'https://github.com/login/oauth/access_token',
+        userinfoEndpoint: 'https://api.github.com/user',
+        emailsEndpoint: 'https://api.github.com/user/emails',
+        scopes: 'read:user user:email'
+    }
+};
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Sign-in through external identity providers: the OpenID Connect
+ * authorization code flow with PKCE, for the providers named in
+ * OIDC_PROVIDERS.
+ *
+ * The flow's state, nonce and PKCE verifier are kept in Redis under the
+ * state value, which is also set as a cookie so the callback is only accepted
+ * in the browser that started it. ID tokens are checked against the issuer's
+ * published keys (JWKS), issuer, audience, expiry and nonce.
+ */
+class OidcService {
+    constructor() {
+        this.providerIds = (process.env.OIDC_PROVIDERS || '')
+            .split(',')
+            .map(id => id.trim().toLowerCase())
+            .filter(Boolean);
+        this.discovery = new Map();
+        this.jwks = new Map();
+        this.stateCookie = 'oidc_state';
+        this.stateTtl = STATE_TTL;
+    }
+
+    getProvider(id) {
+        if (!this.providerIds.includes(id)) return null;
+
+        const prefix = `OIDC_${id.toUpperCase()}_`;
+        const env = (name) => process.env[prefix + name];
+        const preset = PRESETS[id] || {};
+
+        const provider = {
+            id,
+            name: env('NAME') || preset.name || id,
+            clientId: env('CLIENT_ID'),
+            clientSecret: env('CLIENT_SECRET'),
+            issuer: env('ISSUER') || preset.issuer,
+            authorizationEndpoint: env('AUTHORIZATION_URL') || preset.authorizationEndpoint,
+            tokenEndpoint: env('TOKEN_URL') || preset.tokenEndpoint,
+            userinfoEndpoint: env('USERINFO_URL') || preset.userinfoEndpoint,
+            emailsEndpoint: preset.emailsEndpoint,
+            scopes: env('SCOPES') || preset.scopes || 'openid email profile'
+        };
+
+        if (!provider.clientId || (!provider.issuer && !provider.tokenEndpoint)) {
+            return null;
+        }
+        return provider;
+    }
+
+    // Providers shown on the login screen
+    listProviders() {
+        return this.providerIds
+            .map(id => this.getProvider(id))
+            .filter(Boolean)
+            .map(({ id, name }) => ({ id, name }));
+    }
+
+    /**
+     * Endpoints of a provider, from its discovery document when it has an
+     * issuer, cached for an hour
+     */
+    async getMetadata(provider) {
+        if (!provider.issuer) {
+            return {
+                authorization_endpoint: provider.authorizationEndpoint,
+                token_endpoint: provider.tokenEndpoint,
+                userinfo_endpoint: provider.userinfoEndpoint
+            };
+        }
+
+        const cached = this.discovery.get(provider.issuer);
+        if (cached && Date.now() - cached.fetchedAt < DISCOVERY_TTL) {
+            return cached.metadata;
+        }
+
+        const url = `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+        const { data } = await axios.get(url, { timeout: HTTP_TIMEOUT });
+        const metadata = {
+            ...data,
+            authorization_endpoint: provider.authorizationEndpoint || data.authorization_endpoint,
+            token_endpoint: provider.tokenEndpoint || data.token_endpoint,
+            userinfo_endpoint: provider.userinfoEndpoint || data.userinfo_endpoint
+        };
+
+        this.discovery.set(provider.issuer, { metadata, fetchedAt: Date.now() });
+        return metadata;
+    }
+
+    redirectUri(provider, baseUrl) {
+        return `${baseUrl}/api/auth/oidc/${provider.id}/callback`;
+    }
+
+    /**
+     * Start a sign-in (or, with linkUserId, linking to a signed-in account)
+     * @returns {Promise<Object>} - { url, state }: send the browser to url and
+     *   set state as the oidc_state cookie
+     */
+    async createAuthorizationUrl(provider, { baseUrl, linkUserId = null }) {
+        const metadata = await this.getMetadata(provider);
+
+        const state = base64url(crypto.randomBytes(32));
+        const nonce = base64url(crypto.randomBytes(16));
+        const codeVerifier = base64url(crypto.randomBytes(32));
+        const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+        await cache.set(`oidc_state:${state}`, {
+            provider: provider.id,
+            nonce,
+            codeVerifier,
+            linkUserId
+        }, STATE_TTL);
+
+        const params = new URLSearchParams({
+            response_type: 'code',
+            client_id: provider.clientId,
+            redirect_uri: this.redirectUri(provider, baseUrl),
+            scope: provider.scopes,
+            state,
+            nonce,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+
+        return { url: `${metadata.authorization_endpoint}?${params}`, state };
+    }
+
+    /**
+     * Finish the flow at the callback: check state, exchange the code and
+     * return the provider's profile of the user
+     * @returns {Promise<Object>} - { profile: { subject, email, emailVerified,
+     *   name, username, picture }, linkUserId }
+     * @throws {Error} with a code: INVALID_STATE, PROVIDER_ERROR or INVALID_ID_TOKEN
+     */
+    async handleCallback(provider, { code, state, cookieState, baseUrl }) {
+        if (!state || state !== cookieState) {
+            throw fail('INVALID_STATE', 'This sign-in attempt was started in another browser or has expired');
+        }
+
+        // Each state can be used once
+        const flow = await cache.get(`oidc_state:${state}`);
+        if (!flow || !await cache.del(`oidc_state:${state}`) || flow.provider !== provider.id) {
+            throw fail('INVALID_STATE', 'This sign-in attempt has expired. Please try again.');
+        }
+
+        const metadata = await this.getMetadata(provider);
+
+        let tokens;
+        try {
+            const { data } = await axios.post(metadata.token_endpoint, new URLSearchParams({
+                grant_type: 'authorization_code',
+                code,
+                redirect_uri: this.redirectUri(provider, baseUrl),
+                client_id: provider.clientId,
+                ...(provider.clientSecret ? { client_secret: provider.clientSecret } : {}),
+                code_verifier: flow.codeVerifier
+            }), {
+                headers: { Accept: 'application/json' },
+                timeout: HTTP_TIMEOUT
+            });
+            tokens = data;
+        } catch (error) {
+            console.error(`OIDC token exchange with ${provider.id} failed:`, error.response?.data || error.message);
+            throw fail('PROVIDER_ERROR', `${provider.name} sign-in failed. Please try again.`);
+        }
+        if (tokens.error || !tokens.access_token) {
+            console.error(`OIDC token exchange with ${provider.id} failed:`, tokens.error_description || tokens.error);
+            throw fail('PROVIDER_ERROR', `${provider.name} sign-in failed. Please try again.`);
+        }
+
+        let claims = {};
+        if (tokens.id_token) {
+            claims = await this.verifyIdToken(provider, metadata, tokens.id_token, flow.nonce);
+        } else if (provider.issuer) {
+            throw fail('INVALID_ID_TOKEN', `${provider.name} did not return an ID token`);
+        }
+
+        if (!claims.email && metadata.userinfo_endpoint) {
+            const userinfo = await this.fetchUserinfo(provider, metadata, tokens.access_token);
+            if (claims.sub && userinfo.sub && String(userinfo.sub) !== claims.sub) {
+                throw fail('INVALID_ID_TOKEN', 'Profile does not match the ID token');
+            }
+            claims = { ...userinfo, ...claims };
+        }
+
+        if (!claims.sub) {
+            throw fail('PROVIDER_ERROR', `${provider.name} did not identify the account`);
+        }
+
+        return {
+            linkUserId: flow.linkUserId,
+            profile: {
+                subject: String(claims.sub),
+                email: claims.email ? String(claims.email).toLowerCase() : null,
+                emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+                name: claims.name || null,
+                username: claims.preferred_username || claims.login || null,
+                picture: claims.picture || null
+            }
+        };
+    }
+
+    async verifyIdToken(provider, metadata, idToken, nonce) {
+        const decoded = jwt.decode(idToken, { complete: true });
+        if (!decoded) {
+            throw fail('INVALID_ID_TOKEN', 'Malformed ID token');
+        }
+
+        const key = await this.getSigningKey(metadata.jwks_uri, decoded.header.kid);
+        try {
+            const claims = jwt.verify(idToken, key, {
+                algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+                issuer: metadata.issuer || provider.issuer,
+                audience: provider.clientId,
+                clockTolerance: 60
+            });
+            if (claims.nonce !== nonce) {
+                throw new Error('nonce mismatch');
+            }
+            return claims;
+        } catch (error) {
+            console.error(`Invalid ID token from ${provider.id}:`, error.message);
+            throw fail('INVALID_ID_TOKEN', `${provider.name} sign-in could not be verified`);
+        }
+    }
+
+    // Public key for an ID token; the key set is refetched when the provider rotates keys
+    async getSigningKey(jwksUri, kid) {
+        const find = (keys) => keys.find(key => !kid || key.kid === kid);
+
+        let key = find(this.jwks.get(jwksUri) || []);
+        if (!key) {
+            const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT });
+            this.jwks.set(jwksUri, data.keys || []);
+            key = find(data.keys || []);
+        }
+        if (!key) {
+            throw fail('INVALID_ID_TOKEN', 'ID token signed with an unknown key');
+        }
+
+        return crypto.createPublicKey({ key, format: 'jwk' });
+    }
+
+    async fetchUserinfo(provider, metadata, accessToken) {
+        const headers = { Authorization: `Bearer ${accessToken}`, Accept: 'application/json' };
+        const { data } = await axios.get(metadata.userinfo_endpoint, { headers, timeout: HTTP_TIMEOUT });
+
+        if (!provider.emailsEndpoint) return data;
+
+        // GitHub: the profile email may be hidden; use the primary verified address
+        const { data: emails } = await axios.get(provider.emailsEndpoint, { headers, timeout: HTTP_TIMEOUT });
+        const primary = (emails || []).find(entry => entry.primary && entry.verified);
+        return {
+            sub: String(data.id),
+            login: data.login,
+            name: data.name || data.login,
+            picture: data.avatar_url,
+            email: primary ? primary.email : null,
+            email_verified: Boolean(primary)
+        };
+    }
+
+    /**
+     * One-time code the callback hands to the client, which exchanges it for
+     * tokens, so tokens never appear in a URL
+     */
+    async createLoginCode(userId, provider) {
+        const code = base64url(crypto.randomBytes(32));
+        await cache.set(`oidc_login:${code}`, { userId, provider }, LOGIN_CODE_TTL);
+        return code;
+    }
+
+    async consumeLoginCode(code) {
+        if (typeof code !== 'string' || !code) return null;
+
+        const login = await cache.get(`oidc_login:${code}`);
+        if (!login || !await cache.del(`oidc_login:${code}`)) return null;
+        return login;
+    }
+}
+
+module.exports = new OidcService();
@@ -0,0 +1,136 @@
+const UserRole = require('../models/UserRole');
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+// Everything a staff member can be allowed to do
+const PERMISSIONS = {
+    'dashboard.view': 'See platform and CDN statistics',
+    'moderation.review': 'Work the moderation queue: approve, reject and flag videos, see scans and duplicates',
+    'moderation.rules': 'Change pre-moderation scan rules',
+    'reports.manage': 'Resolve and dismiss content reports',
+    'users.view': 'Look up user accounts',
+    'users.ban': 'Ban and unban users',
+    'roles.manage': 'Assign staff roles',
+    'activity.view': 'Read the admin activity log',
+    'waivers.review': 'Verify awards and approve waivers',
+    'monitoring.view': 'See processing queues, jobs, disk space and the daemon',
+    'monitoring.manage': 'Requeue and delete jobs, start and stop the daemon and refresh caches'
+};
+
+const ROLES = {
+    super_admin: {
+        name: 'Super admin',
+        permissions: Object.keys(PERMISSIONS)
+    },
+    moderator: {
+        name: 'Moderator',
+        permissions: ['dashboard.view', 'moderation.review', 'reports.manage', 'users.view']
+    },
+    waiver_reviewer: {
+        name: 'Waiver reviewer',
+        permissions: ['waivers.review']
+    },
+    support: {
+        name: 'Support',
+        permissions: ['dashboard.view', 'users.view', 'reports.manage', 'monitoring.view']
+    }
+};
+
+/**
+ * Staff roles and what they allow. Roles are assigned in user_roles; a
+ * user can hold several and gets every permission of each. Accounts from
+ * before roles count as super admins (users.role 'admin' or is_admin) or
+ * moderators (users.role 'moderator') until their roles are first saved.
+ */
+class PermissionService {
+    /**
+     * Staff roles of an account row (role, is_admin and staff_roles, see
+     * User.findById), in ROLES order
+     */
+    getRoles({ role, is_admin: isAdmin, staff_roles: staffRoles }) {
+        const roles = new Set((staffRoles || []).filter(key => ROLES[key]));
+        if (isAdmin || role === 'admin') roles.add('super_admin');
+        if (role === 'moderator') roles.add('moderator');
+        return Object.keys(ROLES).filter(key => roles.has(key));
+    }
+
+    isRole(key) {
+        return Object.prototype.hasOwnProperty.call(ROLES, key);
+    }
+
+    getPermissions(roles) {
+        return Object.keys(PERMISSIONS).filter(permission =>
+            roles.some(role => ROLES[role].permissions.includes(permission))
+        );
+    }
+
+    /**
+     * Roles and permissions as shown to admins assigning them
+     */
+    describe() {
+        return {
+            roles: Object.entries(ROLES).map(([key, role]) => ({ key, ...role })),
+            permissions: PERMISSIONS
+        };
+    }
+
+    /**
+     * Staff members with their roles
+     */
+    async listStaff() {
+        const accounts = await UserRole.listStaff();
+        return accounts.map(account => this.formatStaff(account));
+    }
+
+    formatStaff(account) {
+        const roles = this.getRoles(account);
+        return {
+            id: account.id,
+            username: account.username,
+            email: account.email,
+            isBanned: account.is_banned,
+            roles,
+            permissions: this.getPermissions(roles)
+        };
+    }
+
+    /**
+     * Replace a user's staff roles. Nobody can take super admin away from
+     * themselves, and the last super admin keeps it.
+     * @param {string} adminId - who is assigning
+     * @returns {Promise<Object>} - { user (see formatStaff), added, removed }
+     * @throws {Error} with code INVALID_ROLE, NOT_FOUND or LAST_SUPER_ADMIN
+     */
+    async assignRoles(userId, roles, adminId) {
+        if (!Array.isArray(roles) || roles.some(role => !ROLES[role])) {
+            throw fail('INVALID_ROLE', `Roles must be a list of: ${Object.keys(ROLES).join(', ')}`);
+        }
+
+        const account = await UserRole.getAccount(userId);
+        if (!account) {
+            throw fail('NOT_FOUND', 'User not found');
+        }
+
+        const before = this.getRoles(account);
+        const after = Object.keys(ROLES).filter(role => roles.includes(role));
+
+        if (before.includes('super_admin') && !after.includes('super_admin')) {
+            if (userId === adminId) {
+                throw fail('LAST_SUPER_ADMIN', 'You can\'t remove your own super admin role');
+            }
+            if (await UserRole.countSuperAdmins() <= 1) {
+                throw fail('LAST_SUPER_ADMIN', 'There must be at least one super admin');
+            }
+        }
+
+        await UserRole.replace(userId, after, adminId);
+
+        return {
+            user: this.formatStaff(await UserRole.getAccount(userId)),
+            added: after.filter(role => !before.includes(role)),
+            removed: before.filter(role => !after.includes(role))
+        };
+    }
+}
+
+module.exports = new PermissionService();
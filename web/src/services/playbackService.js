@@ -0,0 +1,247 @@
+const jwt = require('jsonwebtoken');
+const path = require('path');
+const { query } = require('../config/database');
+const Caption = require('../models/Caption');
+const storageService = require('./storageService');
+const bunnyService = require('./bunnyService');
+const hlsService = require('./hlsService');
+
+// Moderation states in which a film plays for anyone it is shared with;
+// pending and rejected films only play for their owner and staff
+const VIEWABLE_MODERATION_STATUSES = ['approved', 'flagged'];
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Who may watch a film, and short-lived signed URLs to watch it with.
+ *
+ * Renditions and sprites are signed directly by the storage driver. HLS
+ * playlists are served by /api/cdn/video/:videoId/play/:token/*, which signs
+ * every segment URI on the way out; the playback token sits in the path so
+ * relative variant playlist and sprite URIs resolve through the same proxy,
+ * and is added to the key URIs of encrypted playlists (/api/keys). Caption
+ * tracks are stored with the film and served through the same proxy; the
+ * HLS master gets its subtitle renditions from video_captions as it is
+ * served. Everything handed out for one request expires together.
+ */
+class PlaybackService {
+    constructor() {
+        this.ttl = parseInt(process.env.PLAYBACK_URL_TTL) || 2 * 3600;
+        this.secret = process.env.PLAYBACK_TOKEN_SECRET || process.env.JWT_SECRET;
+    }
+
+    /**
+     * A video with the columns needed to check access and resolve playback
+     */
+    async getVideo(videoId) {
+        const result = await query(`
+            SELECT v.id, v.title, v.is_private, v.is_unlisted, v.moderation_status, v.upload_status,
+                   v.cdn_enabled, v.bunny_video_id, v.bunny_status, v.bunny_hls_url, v.bunny_thumbnail_url,
+                   v.hls_url, v.thumbnail_url, v.preview_thumbnails_url, v.storage_driver, v.storage_keys,
+                   c.user_id AS owner_id
+            FROM videos v
+            LEFT JOIN channels c ON v.channel_id = c.id
+            WHERE v.id = $1
+        `, [videoId]);
+        return result.rows[0] || null;
+    }
+
+    isStaff(user) {
+        return Boolean(user && user.staffRoles && user.staffRoles.length > 0);
+    }
+
+    /**
+     * Private films play for their owner and staff only, as do films that
+     * haven't passed moderation. Unlisted films play for anyone with the link.
+     */
+    canWatch(video, user) {
+        if (user && (video.owner_id === user.id || this.isStaff(user))) {
+            return true;
+        }
+        return !video.is_private && VIEWABLE_MODERATION_STATUSES.includes(video.moderation_status);
+    }
+
+    createToken(videoId) {
+        const expiresAt = Math.floor(Date.now() / 1000) + this.ttl;
+        const token = jwt.sign({ videoId, exp: expiresAt }, this.secret, { audience: 'playback' });
+        return { token, expiresAt };
+    }
+
+    /**
+     * @returns {number|null} - the token's expiry (unix seconds), or null if it
+     *   is invalid, expired or for another video
+     */
+    verifyToken(token, videoId) {
+        try {
+            const payload = jwt.verify(token, this.secret, { audience: 'playback' });
+            return payload.videoId === videoId ? payload.exp : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    proxyUrl(videoId, token, file) {
+        return `/api/cdn/video/${videoId}/play/${token}/${file}`;
+    }
+
+    /**
+     * Path of a stored key relative to the video's directory (videos/<id>/)
+     */
+    videoPath(videoId, key) {
+        return key.slice(`videos/${videoId}/`.length);
+    }
+
+    /**
+     * Resolve signed playback for a video the caller may watch:
+     * 1. a ready Bunny Stream encode (opt-in via /api/cdn/video/:id/upload-to-bunny)
+     * 2. files in the storage layer: HLS master if there is one, else MP4 renditions
+     * 3. a legacy hls_url
+     * @param {Object} video - row from getVideo
+     * @returns {Promise<Object|null>} - null if nothing is playable yet
+     * @throws {Error} with code RESTORING if the film is archived with no
+     *   rendition left to play until it is restored
+     */
+    async getPlayback(video) {
+        const { token, expiresAt } = this.createToken(video.id);
+        const expires_at = new Date(expiresAt * 1000).toISOString();
+
+        if (video.cdn_enabled && video.bunny_video_id && video.bunny_status === 'ready') {
+            return {
+                provider: 'bunny-stream',
+                format: 'hls',
+                adaptive: true,
+                stream_url: bunnyService.getSignedUrl(video.bunny_video_id, 'playlist.m3u8', expiresAt),
+                thumbnail_url: video.bunny_thumbnail_url || bunnyService.getThumbnailUrl(video.bunny_video_id),
+                thumbnails_track_url: video.preview_thumbnails_url,
+                expires_at
+            };
+        }
+
+        const keys = video.storage_keys;
+        if (video.storage_driver && keys?.archive && !keys.hls && (keys.renditions || []).length === 0) {
+            throw fail('RESTORING', 'This film is archived and is being restored; try again in a few minutes');
+        }
+
+        if (video.storage_driver && keys && (keys.hls || (keys.renditions || []).length > 0)) {
+            const driver = storageService.getDriver(video.storage_driver);
+            const sources = await Promise.all((keys.renditions || []).map(async rendition => ({
+                quality: rendition.quality,
+                url: await driver.getSignedUrl(rendition.key, this.ttl),
+                size: rendition.size
+            })));
+
+            return {
+                provider: video.storage_driver,
+                format: keys.hls ? 'hls' : 'mp4',
+                adaptive: Boolean(keys.hls),
+                // Highest rendition; sources lists the rest, smallest first
+                stream_url: keys.hls
+                    ? this.proxyUrl(video.id, token, this.videoPath(video.id, keys.hls))
+                    : sources[sources.length - 1].url,
+                sources,
+                // Thumbnails are stored public
+                thumbnail_url: keys.thumbnail ? driver.getUrl(keys.thumbnail) : video.thumbnail_url,
+                thumbnails_track_url: keys.previewTrack
+                    ? this.proxyUrl(video.id, token, this.videoPath(video.id, keys.previewTrack))
+                    : video.preview_thumbnails_url,
+                expires_at
+            };
+        }
+
+        if (video.hls_url) {
+            return {
+                provider: 'legacy',
+                format: 'hls',
+                adaptive: false,
+                stream_url: video.hls_url,
+                thumbnail_url: video.thumbnail_url,
+                thumbnails_track_url: video.preview_thumbnails_url,
+                expires_at: null
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * A caption track (see Caption.getByVideo) with its WebVTT file and
+     * subtitle playlist as playback proxy URLs
+     */
+    signCaption(caption, token) {
+        return {
+            ...caption,
+            url: this.proxyUrl(caption.video_id, token, this.videoPath(caption.video_id, caption.url)),
+            playlist_url: this.proxyUrl(caption.video_id, token, this.videoPath(caption.video_id, caption.playlist_url))
+        };
+    }
+
+    /**
+     * A file requested through the playback proxy. Playlists come back with
+     * their segment URIs signed; WebVTT tracks are served as stored so their
+     * relative sprite URIs resolve back through the proxy; anything else is
+     * a redirect to a signed URL.
+     * @param {string} file - path relative to the video's directory
+     * @param {string} token - the playback token the file was requested with
+     * @param {number} expiresAt - the token's expiry (unix seconds)
+     * @returns {Promise<Object|null>} - { body, contentType } or { redirect }; null if not found
+     */
+    async getFile(video, file, token, expiresAt) {
+        const key = path.posix.join(`videos/${video.id}`, file);
+        if (!key.startsWith(`videos/${video.id}/`)) return null;
+
+        // Captions of films not in the storage layer are in the default driver
+        const driver = storageService.getDriver(video.storage_driver || undefined);
+        const expiresIn = Math.max(expiresAt - Math.floor(Date.now() / 1000), 1);
+        const extension = path.posix.extname(key).toLowerCase();
+
+        if (extension === '.m3u8' || extension === '.vtt') {
+            if (!await driver.stat(key)) return null;
+            let content = (await driver.get(key)).toString('utf8');
+            if (extension === '.vtt') {
+                return { body: content, contentType: 'text/vtt' };
+            }
+
+            if (key === video.storage_keys?.hls) {
+                const captions = await Caption.getByVideo(video.id);
+                content = hlsService.setMasterPlaylistSubtitles(content, hlsService.subtitleRenditions(captions, path.posix.dirname(key)));
+            }
+            return { body: await this.signPlaylist(content, driver, path.posix.dirname(key), expiresIn, token), contentType: 'application/vnd.apple.mpegurl' };
+        }
+
+        return { redirect: await driver.getSignedUrl(key, expiresIn) };
+    }
+
+    /**
+     * Replace every relative segment URI in a playlist (media segments and
+     * URI="..." attributes such as EXT-X-MAP) with a signed URL. Playlist URIs
+     * are left relative so they come back through the proxy; absolute URIs
+     * (e.g. caption playlists) are left alone, except that encryption key
+     * URIs get the playback token so players can fetch keys without
+     * credentials of their own.
+     */
+    async signPlaylist(content, driver, directory, expiresIn, token) {
+        const sign = async (uri) => {
+            if (uri.startsWith('/api/keys/')) {
+                return `${uri}?token=${encodeURIComponent(token)}`;
+            }
+            if (/^([a-z][a-z0-9+.-]*:|\/)/i.test(uri) || /\.m3u8$/i.test(uri.split('?')[0])) {
+                return uri;
+            }
+            const key = path.posix.join(directory, uri);
+            return key.startsWith(`${directory}/`) ? driver.getSignedUrl(key, expiresIn) : uri;
+        };
+
+        const lines = await Promise.all(content.split('\n').map(async (line) => {
+            const trimmed = line.trim();
+            if (!trimmed) return line;
+            if (!trimmed.startsWith('#')) return sign(trimmed);
+
+            const attribute = trimmed.match(/URI="([^"]+)"/);
+            return attribute ? line.replace(attribute[0], `URI="${await sign(attribute[1])}"`) : line;
+        }));
+
+        return lines.join('\n');
+    }
+}
+
+module.exports = new PlaybackService();
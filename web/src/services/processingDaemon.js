@@ -1,11 +1,14 @@
 const videoProcessingService = require('./videoProcessingService');
+const liveReplayService = require('./liveReplayService');
+const storageTieringService = require('./storageTieringService');
 
 class ProcessingDaemon {
     constructor() {
         this.isRunning = false;
         this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_PROCESSING) || 3;
-        this.activeJobs = new Map();
-        this.shouldStop = false;
+        this.worker = null;
+        this.replayWorker = null;
+        this.tieringWorker = null;
     }
 
     /**
@@ -18,21 +21,28 @@ class ProcessingDaemon {
         }
 
         this.isRunning = true;
-        this.shouldStop = false;
         
         console.log(`Starting video processing daemon with max ${this.maxConcurrent} concurrent jobs`);
 
-        // Start multiple worker processes
-        const workers = [];
-        for (let i = 0; i < this.maxConcurrent; i++) {
-            workers.push(this.startWorker(`worker-${i}`));
-        }
+        try {
+            // Jobs are leased from the queue, so if this process dies they are
+            // retried by the next worker once their visibility timeout expires
+            this.worker = await videoProcessingService.startWorker({
+                concurrency: this.maxConcurrent
+            });
 
-        // Wait for all workers to complete
-        await Promise.all(workers);
-        
-        this.isRunning = false;
-        console.log('Video processing daemon stopped');
+            // Live replays are stream copies and hand off to the queue above
+            this.replayWorker = await liveReplayService.startWorker({ concurrency: 1 });
+
+            // Storage tier sweeps, and restores of archived films (one encode at a time)
+            this.tieringWorker = await storageTieringService.startWorker({ concurrency: 1 });
+
+            // Wait for all worker slots to finish
+            await Promise.all([this.worker.done, this.replayWorker.done, this.tieringWorker.done]);
+        } finally {
+            this.isRunning = false;
+            console.log('Video processing daemon stopped');
+        }
     }
 
     /**
@@ -40,62 +50,31 @@ class ProcessingDaemon {
      */
     stop() {
         console.log('Stopping video processing daemon...');
-        this.shouldStop = true;
-    }
-
-    /**
-     * Individual worker process
-     */
-    async startWorker(workerId) {
-        console.log(`Starting worker: ${workerId}`);
-        
-        while (!this.shouldStop) {
-            try {
-                // Check if we can process another job
-                if (this.activeJobs.size >= this.maxConcurrent) {
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    continue;
-                }
-
-                // Process next video in queue
-                const filmId = await videoProcessingService.processNextVideo();
-                
-                if (filmId) {
-                    this.activeJobs.set(filmId, {
-                        workerId,
-                        startTime: Date.now()
-                    });
-                    
-                    console.log(`Worker ${workerId} completed processing: ${filmId}`);
-                    this.activeJobs.delete(filmId);
-                } else {
-                    // No jobs available, wait a bit
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                }
-                
-            } catch (error) {
-                console.error(`Worker ${workerId} error:`, error);
-                
-                // Wait before retrying
-                await new Promise(resolve => setTimeout(resolve, 10000));
-            }
+        if (this.worker) {
+            this.worker.stop();
+        }
+        if (this.replayWorker) {
+            this.replayWorker.stop();
+        }
+        if (this.tieringWorker) {
+            this.tieringWorker.stop();
         }
-        
-        console.log(`Worker ${workerId} stopped`);
     }
 
     /**
      * Get daemon status
      */
     getStatus() {
+        const activeJobs = this.worker ? this.worker.getStatus().activeJobs : [];
+
         return {
             isRunning: this.isRunning,
             maxConcurrent: this.maxConcurrent,
-            activeJobs: this.activeJobs.size,
-            workers: Array.from(this.activeJobs.entries()).map(([filmId, job]) => ({
-                filmId,
-                workerId: job.workerId,
-                duration: Date.now() - job.startTime
+            activeJobs: activeJobs.length,
+            workers: activeJobs.map(job => ({
+                jobId: job.jobId,
+                workerId: `worker-${job.slot}`,
+                duration: Date.now() - job.startedAt
             }))
         };
     }
@@ -44,7 +44,7 @@ class ProgressTracker {
             await cache.set(`transcode_progress:${filmId}`, progressData, 3600);
             
             // Also emit directly via socket.io for immediate delivery
-            this.io.emit('upload-progress', {
+            this.io.to(`upload-${filmId}`).emit('upload-progress', {
                 filmId,
                 ...progressData
             });
@@ -62,8 +62,7 @@ class ProgressTracker {
      */
     async getProgress(filmId) {
         try {
-            const progressStr = await cache.get(`transcode_progress:${filmId}`);
-            return progressStr ? JSON.parse(progressStr) : null;
+            return await cache.get(`transcode_progress:${filmId}`);
         } catch (error) {
             console.error(`Error getting progress for ${filmId}:`, error);
             return null;
@@ -78,7 +77,7 @@ class ProgressTracker {
             await cache.del(`transcode_progress:${filmId}`);
             
             // Emit final update
-            this.io.emit('upload-progress', {
+            this.io.to(`upload-${filmId}`).emit('upload-progress', {
                 filmId,
                 status: 'completed',
                 progress: 100,
@@ -1,19 +1,147 @@
 const { Resend } = require('resend');
+const nodemailer = require('nodemailer');
 const { query } = require('../config/database');
 
+const MOCK_OUTBOX_SIZE = 50;
+
+// Built-in templates for account emails. A row with the same template_name
+// in email_templates overrides them.
+const DEFAULT_TEMPLATES = {
+    verify_email: {
+        subject_template: 'Confirm your email for ReelShorts',
+        body_template: `Hi {{display_name}},
+
+Please confirm that {{email}} is your email address by opening this link:
+
+{{verification_url}}
+
+The link expires in {{expires_in}}. If you didn't create a ReelShorts account, you can ignore this email.
+
+The ReelShorts Team`
+    },
+    password_reset: {
+        subject_template: 'Reset your ReelShorts password',
+        body_template: `Hi {{display_name}},
+
+Someone asked to reset the password for your ReelShorts account. To choose a new password, open this link:
+
+{{reset_url}}
+
+The link expires in {{expires_in}} and can only be used once. Resetting your password signs you out on every device.
+
+If you didn't ask for this, you can ignore this email and your password won't change.
+
+The ReelShorts Team`
+    },
+    magic_link: {
+        subject_template: 'Your ReelShorts sign-in link',
+        body_template: `Hi {{display_name}},
+
+Open this link to sign in to ReelShorts:
+
+{{login_url}}
+
+The link expires in {{expires_in}} and can only be used once. If you didn't ask to sign in, you can ignore this email.
+
+The ReelShorts Team`
+    },
+    video_rejected: {
+        subject_template: 'Your film "{{video_title}}" was not approved',
+        body_template: `Hi {{display_name}},
+
+Our moderators reviewed "{{video_title}}" and did not approve it for ReelShorts.
+
+Reason: {{reason}}
+
+If you think this is a mistake, you can appeal within {{appeal_days}} days from the film's page. Two other moderators will review it.
+
+{{video_url}}
+
+The ReelShorts Team`
+    },
+    video_flagged: {
+        subject_template: 'Your film "{{video_title}}" is under review',
+        body_template: `Hi {{display_name}},
+
+"{{video_title}}" was flagged for review by our moderators.
+
+Reason: {{reason}}
+
+You don't need to do anything yet. We'll email you when the review is finished.
+
+The ReelShorts Team`
+    },
+    appeal_decided: {
+        subject_template: 'Your appeal for "{{video_title}}" was {{decision}}',
+        body_template: `Hi {{display_name}},
+
+Two moderators reviewed your appeal for "{{video_title}}" and it was {{decision}}.
+
+{{notes}}
+
+{{video_url}}
+
+The ReelShorts Team`
+    },
+    account_banned: {
+        subject_template: 'Your ReelShorts account has been suspended',
+        body_template: `Hi {{display_name}},
+
+Your ReelShorts account has been suspended.
+
+Reason: {{reason}}
+
+If you believe this is a mistake, reply to {{contact_email}}.
+
+The ReelShorts Team`
+    }
+};
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Sends email through the transport named by EMAIL_TRANSPORT:
+ *   resend  the Resend API (default when RESEND_API_KEY is set)
+ *   smtp    any SMTP server (SMTP_HOST/PORT/USER/PASS), e.g. Mailpit in docker-compose
+ *   mock    nothing is sent; messages are logged and kept in `outbox` for tests
+ */
 class ResendEmailService {
     constructor() {
         this.resend = null;
+        this.smtp = null;
+        this.outbox = [];
+        this.transport = null;
         this.isConfigured = false;
         this.initialize();
     }
 
     async initialize() {
         try {
-            if (process.env.RESEND_API_KEY) {
+            this.transport = (process.env.EMAIL_TRANSPORT || (process.env.RESEND_API_KEY ? 'resend' : '')).toLowerCase();
+
+            if (this.transport === 'resend' && process.env.RESEND_API_KEY) {
                 this.resend = new Resend(process.env.RESEND_API_KEY);
                 this.isConfigured = true;
                 console.log('✅ Resend email service connected successfully');
+            } else if (this.transport === 'smtp' && process.env.SMTP_HOST) {
+                const port = parseInt(process.env.SMTP_PORT) || 587;
+                this.smtp = nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port,
+                    secure: port === 465,
+                    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+                });
+                this.isConfigured = true;
+                console.log(`✅ Email service using SMTP at ${process.env.SMTP_HOST}:${port}`);
+            } else if (this.transport === 'mock') {
+                this.isConfigured = true;
+                console.log('📧 Email service using the mock transport (emails are logged, not sent)');
+            } else if (this.transport && this.transport !== 'resend') {
+                console.log(`⚠️ Email service not configured (unknown EMAIL_TRANSPORT "${this.transport}" or missing SMTP_HOST)`);
             } else {
                 console.log('⚠️ Resend email service not configured (missing API key)');
             }
@@ -77,8 +205,20 @@ class ResendEmailService {
                 emailData.html = this.convertToHtml(textContent);
             }
 
-            const result = await this.resend.emails.send(emailData);
-            console.log(`📧 Email sent via Resend to ${to}:`, result.data?.id);
+            if (this.transport === 'smtp') {
+                const info = await this.smtp.sendMail({ ...emailData, to: emailData.to.join(', ') });
+                console.log(`📧 Email sent via SMTP to ${to}:`, info.messageId);
+            } else if (this.transport === 'mock') {
+                this.outbox.push({ ...emailData, sentAt: new Date().toISOString() });
+                this.outbox = this.outbox.slice(-MOCK_OUTBOX_SIZE);
+                console.log(`📧 [mock] Email to ${to}: ${subject}\n${textContent}`);
+            } else {
+                const result = await this.resend.emails.send(emailData);
+                if (result.error) {
+                    throw new Error(result.error.message);
+                }
+                console.log(`📧 Email sent via Resend to ${to}:`, result.data?.id);
+            }
 
             return true;
         } catch (error) {
@@ -175,6 +315,40 @@ class ResendEmailService {
         }
     }
 
+    // Send a template from email_templates, or the built-in default of the same name
+    async sendTemplateEmail(to, templateName, variables) {
+        try {
+            let template = DEFAULT_TEMPLATES[templateName];
+
+            const result = await query(`
+                SELECT subject_template, body_template
+                FROM email_templates
+                WHERE template_name = $1 AND is_active = true
+            `, [templateName]).catch(error => {
+                console.error(`Error loading email template '${templateName}':`, error.message);
+                return { rows: [] };
+            });
+            if (result.rows.length > 0) {
+                template = result.rows[0];
+            }
+
+            if (!template) {
+                throw new Error(`Email template '${templateName}' not found`);
+            }
+
+            const subject = this.replaceTemplateVariables(template.subject_template, variables);
+            const body = this.replaceTemplateVariables(template.body_template, variables);
+
+            return await this.sendNotification(to, subject, body, {
+                html: this.convertToHtml(escapeHtml(body))
+                    .replace(/(https?:\/\/[^\s<]+)/g, '<a href="$1">$1</a>')
+            });
+        } catch (error) {
+            console.error(`❌ Failed to send ${templateName} email:`, error);
+            return false;
+        }
+    }
+
     // Send welcome email to new users
     async sendWelcomeEmail(userEmail, userName) {
         try {
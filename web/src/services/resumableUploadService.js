@@ -0,0 +1,261 @@
+const path = require('path');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const { cache, getClient } = require('../config/redis');
+
+const MAX_UPLOAD_SIZE = 20 * 1024 * 1024 * 1024; // 20GB, same as the multipart limit
+const SESSION_TTL = 24 * 3600; // Sessions expire after 24 hours of inactivity
+
+const chunkTooLarge = (message) => Object.assign(new Error(message), { code: 'CHUNK_TOO_LARGE' });
+
+/**
+ * Pass at most `limit` bytes through; one more fails the stream with
+ * CHUNK_TOO_LARGE. Chunks sent without a Content-Length are only held to
+ * their limits by this.
+ */
+const byteLimit = (limit, message) => {
+    let received = 0;
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > limit ? chunkTooLarge(message) : null, chunk);
+        }
+    });
+};
+
+/**
+ * Resumable (tus-style) upload sessions.
+ *
+ * A session is created with the final file size, the client PATCHes chunks
+ * at the current offset, can HEAD the session at any time to find out how
+ * much was received, and finalizes once offset === size. Partial data lives
+ * in uploads/temp/<uploadId>.part so an interrupted chunk keeps whatever
+ * bytes made it to disk.
+ */
+class ResumableUploadService {
+    constructor() {
+        this.tempDir = path.join(__dirname, '../../uploads/temp');
+        this.maxUploadSize = MAX_UPLOAD_SIZE;
+        this.sessionTtl = SESSION_TTL;
+        this.maxChunkSize = parseInt(process.env.UPLOAD_MAX_CHUNK_SIZE) || 100 * 1024 * 1024; // 100MB
+        this.recommendedChunkSize = 16 * 1024 * 1024; // 16MB
+        this.allowedExtensions = ['.mp4', '.avi', '.mov', '.wmv', '.flv', '.mkv'];
+    }
+
+    sessionKey(uploadId) {
+        return `upload_session:${uploadId}`;
+    }
+
+    partPath(uploadId) {
+        return path.join(this.tempDir, `${uploadId}.part`);
+    }
+
+    /**
+     * Create a new upload session
+     * @param {string} userId - Owner of the upload
+     * @param {Object} params - filename, size, mimeType and film metadata
+     */
+    async createSession(userId, { filename, size, mimeType, metadata = {} }) {
+        const extension = path.extname(filename || '').toLowerCase();
+        if (!this.allowedExtensions.includes(extension)) {
+            throw new Error(`Invalid file type. Only video files are allowed. Received: ${extension || 'none'}`);
+        }
+
+        const uploadSize = parseInt(size);
+        if (!Number.isInteger(uploadSize) || uploadSize <= 0) {
+            throw new Error('Upload size must be a positive number of bytes');
+        }
+        if (uploadSize > this.maxUploadSize) {
+            throw new Error('File exceeds the 20GB upload limit');
+        }
+
+        await fsp.mkdir(this.tempDir, { recursive: true });
+
+        const uploadId = uuidv4();
+        await fsp.writeFile(this.partPath(uploadId), '');
+
+        const session = {
+            id: uploadId,
+            userId,
+            filename: path.basename(filename),
+            mimeType: mimeType || 'application/octet-stream',
+            size: uploadSize,
+            offset: 0,
+            metadata,
+            status: 'uploading',
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        await cache.set(this.sessionKey(uploadId), session, SESSION_TTL);
+        return session;
+    }
+
+    /**
+     * Get a session, optionally checking that it belongs to the given user
+     */
+    async getSession(uploadId, userId = null) {
+        const session = await cache.get(this.sessionKey(uploadId));
+        if (!session) return null;
+        if (userId && session.userId !== userId) return null;
+        return session;
+    }
+
+    /**
+     * Claim a session for a chunk write or finalize; only one runs at a time
+     * @throws {Error} with code LOCKED if another is in progress
+     */
+    async lock(session) {
+        const locked = await getClient().set(`upload_session_lock:${session.id}`, '1', { NX: true, EX: 600 });
+        if (!locked) {
+            const error = new Error('Another request for this upload is still in progress');
+            error.code = 'LOCKED';
+            throw error;
+        }
+    }
+
+    async unlock(session) {
+        await cache.del(`upload_session_lock:${session.id}`);
+    }
+
+    async saveSession(session) {
+        session.updatedAt = new Date().toISOString();
+        await cache.set(this.sessionKey(session.id), session, SESSION_TTL);
+        return session;
+    }
+
+    /**
+     * Append a chunk from a readable stream at the given offset.
+     * The offset on disk is the source of truth: if the connection drops
+     * mid-chunk, the session resumes from however many bytes were written.
+     */
+    async appendChunk(session, offset, stream, contentLength = null) {
+        if (offset !== session.offset) {
+            const error = new Error(`Offset mismatch: expected ${session.offset}, received ${offset}`);
+            error.code = 'OFFSET_MISMATCH';
+            throw error;
+        }
+        const tooLarge = `Chunk exceeds maximum size of ${this.maxChunkSize} bytes`;
+        const pastEnd = 'Chunk extends past the declared upload size';
+        if (contentLength !== null && contentLength > this.maxChunkSize) {
+            throw chunkTooLarge(tooLarge);
+        }
+        if (contentLength !== null && offset + contentLength > session.size) {
+            throw chunkTooLarge(pastEnd);
+        }
+
+        await this.lock(session);
+
+        const partPath = this.partPath(session.id);
+        let streamError = null;
+
+        try {
+            // Drop any bytes past the recorded offset (e.g. from a chunk whose
+            // session update never landed) before appending.
+            await fsp.truncate(partPath, offset);
+
+            const remaining = session.size - offset;
+            const limiter = byteLimit(Math.min(this.maxChunkSize, remaining),
+                this.maxChunkSize < remaining ? tooLarge : pastEnd);
+
+            // The request is piped in rather than made part of the pipeline,
+            // so a chunk over the limit stops being written without the
+            // request (and with it the 413 response) being destroyed
+            const interrupted = (error) => {
+                if (!stream.readableEnded) limiter.destroy(error || new Error('Chunk upload interrupted'));
+            };
+            stream.on('error', interrupted);
+            stream.on('close', interrupted);
+            stream.pipe(limiter);
+            if (stream.destroyed) interrupted();
+
+            try {
+                await pipeline(limiter, fs.createWriteStream(partPath, { flags: 'a' }));
+            } catch (error) {
+                streamError = error;
+            } finally {
+                stream.off('error', interrupted);
+                stream.off('close', interrupted);
+                stream.unpipe(limiter);
+            }
+
+            if (streamError && streamError.code === 'CHUNK_TOO_LARGE') {
+                // Refuse the whole chunk, as when Content-Length gives it away
+                await fsp.truncate(partPath, offset);
+                throw streamError;
+            }
+
+            const stats = await fsp.stat(partPath);
+            if (stats.size > session.size) {
+                await fsp.truncate(partPath, session.size);
+            }
+
+            session.offset = Math.min(stats.size, session.size);
+            if (session.offset === session.size) {
+                session.status = 'complete';
+            }
+            await this.saveSession(session);
+        } finally {
+            await this.unlock(session);
+        }
+
+        if (streamError) {
+            console.warn(`Chunk for upload ${session.id} interrupted at offset ${session.offset}:`, streamError.message);
+        }
+
+        return session;
+    }
+
+    /**
+     * Move a complete upload into uploads/temp under the same naming scheme
+     * multer uses. Returns a multer-like file object. The session stays until
+     * complete() so a film refused after this can be restored and finalized
+     * again.
+     */
+    async assemble(session) {
+        if (session.offset !== session.size) {
+            throw new Error(`Upload incomplete: ${session.offset} of ${session.size} bytes received`);
+        }
+
+        const finalName = `${uuidv4()}-${Date.now()}${path.extname(session.filename)}`;
+        const finalPath = path.join(this.tempDir, finalName);
+
+        await fsp.rename(this.partPath(session.id), finalPath);
+
+        return {
+            originalname: session.filename,
+            mimetype: session.mimeType,
+            filename: finalName,
+            path: finalPath,
+            size: session.size
+        };
+    }
+
+    /**
+     * Move an assembled file back to the session's part file
+     */
+    async restore(session, file) {
+        await fsp.rename(file.path, this.partPath(session.id));
+    }
+
+    /**
+     * Drop the session of an upload whose film was accepted
+     */
+    async complete(session) {
+        await cache.del(this.sessionKey(session.id));
+    }
+
+    /**
+     * Abort a session and remove its partial data
+     */
+    async abort(session) {
+        await fsp.unlink(this.partPath(session.id)).catch(() => {});
+        await cache.del(this.sessionKey(session.id));
+        return true;
+    }
+}
+
+module.exports = new ResumableUploadService();
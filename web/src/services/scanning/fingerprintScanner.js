@@ -0,0 +1,46 @@
+const Scanner = require('./scanner');
+
+/**
+ * Turns the duplicates fingerprintService found for a film into signals.
+ * A match counts against the film when the matched video was rejected or
+ * its owner is banned, or when it is somebody else's video.
+ */
+class FingerprintScanner extends Scanner {
+    constructor() {
+        super('fingerprint', {
+            blocklist_similarity: 'Share of the film (0-1) that matches a rejected video or one from a banned user',
+            duplicate_similarity: 'Share of the film (0-1) that matches another user\'s video'
+        });
+    }
+
+    async scan({ fingerprints }) {
+        if (!fingerprints) {
+            throw new Error('No fingerprints (fingerprinting failed)');
+        }
+
+        let blocklistSimilarity = 0;
+        let duplicateSimilarity = 0;
+        for (const match of fingerprints.matches) {
+            const similarity = parseFloat(match.similarity);
+            if (match.matched_moderation_status === 'rejected' || match.matched_owner_banned) {
+                blocklistSimilarity = Math.max(blocklistSimilarity, similarity);
+            } else if (!match.same_owner) {
+                duplicateSimilarity = Math.max(duplicateSimilarity, similarity);
+            }
+        }
+
+        return {
+            signals: {
+                blocklist_similarity: blocklistSimilarity,
+                duplicate_similarity: duplicateSimilarity
+            },
+            details: {
+                frames: fingerprints.frames,
+                audioWindows: fingerprints.audioWindows,
+                matches: fingerprints.matches.length
+            }
+        };
+    }
+}
+
+module.exports = FingerprintScanner;
@@ -0,0 +1,47 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+/**
+ * Interface every pre-moderation scanner implements. A scanner measures an
+ * upload and reports numbers (signals); scan rules turn signals into risk
+ * (see scanningService).
+ *
+ * - name            identifies the scanner in scan details
+ * - signals         { signal: description } of what it reports, shown to
+ *                   admins writing rules
+ * - scan(context)   context: { videoId, filePath, analysis (ffprobe, see
+ *                   hlsService.analyzeSource), video (title, description,
+ *                   tags), fingerprints (see
+ *                   fingerprintService.fingerprintVideo) }. Resolves { signals, details }: a value per signal
+ *                   (null when it doesn't apply) and optional details for
+ *                   moderators
+ */
+class Scanner {
+    constructor(name, signals = {}) {
+        this.name = name;
+        this.signals = signals;
+    }
+
+    async scan(context) {
+        throw new Error(`${this.name} scanner does not implement scan()`);
+    }
+
+    /**
+     * Run an ffmpeg pass over the input that only analyses (no output file)
+     * @param {Function} configure - adds input options and filters to the command
+     * @returns {Promise<string>} - ffmpeg's log, where analysis filters report
+     */
+    analyze(inputPath, configure) {
+        return new Promise((resolve, reject) => {
+            const command = ffmpeg(inputPath);
+            configure(command);
+            command
+                .format('null')
+                .output('-')
+                .on('end', (stdout, stderr) => resolve(stderr || ''))
+                .on('error', reject)
+                .run();
+        });
+    }
+}
+
+module.exports = Scanner;
@@ -0,0 +1,82 @@
+const Scanner = require('./scanner');
+
+// A frame counts as black below this share of full brightness...
+const BLACK_PIXEL_THRESHOLD = 0.1;
+// ...and black or silent stretches count from this many seconds
+const MIN_BLACK_SECONDS = 0.5;
+const MIN_SILENCE_SECONDS = 1;
+const SILENCE_NOISE_DB = -50;
+
+/**
+ * Black frames, silence and loudness (EBU R128), in one decoding pass
+ */
+class SignalScanner extends Scanner {
+    constructor() {
+        super('signal', {
+            black_ratio: 'Share of the film (0-1) that is black frames',
+            silence_ratio: `Share of the film (0-1) quieter than ${SILENCE_NOISE_DB} dB; none without an audio track`,
+            loudness_lufs: 'Integrated loudness in LUFS (broadcast target is about -23); none without an audio track',
+            has_audio: '1 if the film has an audio track, otherwise 0'
+        });
+    }
+
+    async scan({ filePath, analysis }) {
+        const hasAudio = Boolean(analysis.audio);
+
+        const log = await this.analyze(filePath, (command) => {
+            command.videoFilters(`blackdetect=d=${MIN_BLACK_SECONDS}:pix_th=${BLACK_PIXEL_THRESHOLD}`);
+            if (hasAudio) {
+                command.audioFilters([`silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${MIN_SILENCE_SECONDS}`, 'ebur128']);
+            } else {
+                command.noAudio();
+            }
+        });
+
+        const duration = analysis.duration || this.parseDuration(log);
+        const blackSeconds = this.sumMatches(log, /black_duration:\s*([\d.]+)/g);
+        const silentSeconds = this.sumMatches(log, /silence_duration:\s*([\d.]+)/g);
+
+        return {
+            signals: {
+                black_ratio: duration ? this.ratio(blackSeconds, duration) : null,
+                silence_ratio: hasAudio && duration ? this.ratio(silentSeconds, duration) : null,
+                loudness_lufs: hasAudio ? this.parseIntegratedLoudness(log) : null,
+                has_audio: hasAudio ? 1 : 0
+            },
+            details: {
+                duration: Math.round(duration * 10) / 10,
+                blackSeconds: Math.round(blackSeconds * 10) / 10,
+                silentSeconds: hasAudio ? Math.round(silentSeconds * 10) / 10 : null
+            }
+        };
+    }
+
+    sumMatches(log, pattern) {
+        let total = 0;
+        for (const match of log.matchAll(pattern)) {
+            total += parseFloat(match[1]) || 0;
+        }
+        return total;
+    }
+
+    ratio(seconds, duration) {
+        return Math.round(Math.min(seconds / duration, 1) * 1000) / 1000;
+    }
+
+    parseDuration(log) {
+        const match = log.match(/Duration:\s*(\d+):(\d+):([\d.]+)/);
+        return match ? parseInt(match[1]) * 3600 + parseInt(match[2]) * 60 + parseFloat(match[3]) : 0;
+    }
+
+    /**
+     * Integrated loudness from ebur128's summary; null for digital silence
+     */
+    parseIntegratedLoudness(log) {
+        const summary = log.slice(log.lastIndexOf('Summary:'));
+        const match = summary.match(/I:\s*(-?[\d.]+|-inf)\s*LUFS/);
+        if (!match || match[1] === '-inf') return null;
+        return parseFloat(match[1]);
+    }
+}
+
+module.exports = SignalScanner;
@@ -0,0 +1,266 @@
+const hlsService = require('./hlsService');
+const ScanRule = require('../models/ScanRule');
+const VideoScan = require('../models/VideoScan');
+const VideoModeration = require('../models/VideoModeration');
+const FingerprintScanner = require('./scanning/fingerprintScanner');
+const SignalScanner = require('./scanning/signalScanner');
+
+const fail = (code, message) => Object.assign(new Error(message), { code });
+
+const RULE_KINDS = ['threshold', 'keywords'];
+const OPERATORS = {
+    gte: (value, threshold) => value >= threshold,
+    lte: (value, threshold) => value <= threshold
+};
+
+// Rules every install starts with. Admins can change or disable them; a
+// saved rule with the same key takes their place.
+const DEFAULT_RULES = [
+    { key: 'blocklist_match', name: 'Matches a rejected video', kind: 'threshold', signal: 'blocklist_similarity', operator: 'gte', value: 0.5, score: 80 },
+    { key: 'duplicate_upload', name: 'Copy of another user\'s video', kind: 'threshold', signal: 'duplicate_similarity', operator: 'gte', value: 0.5, score: 40 },
+    { key: 'mostly_black', name: 'Mostly black frames', kind: 'threshold', signal: 'black_ratio', operator: 'gte', value: 0.9, score: 30 },
+    { key: 'mostly_silent', name: 'Mostly silent', kind: 'threshold', signal: 'silence_ratio', operator: 'gte', value: 0.9, score: 20 },
+    { key: 'too_loud', name: 'Excessively loud audio', kind: 'threshold', signal: 'loudness_lufs', operator: 'gte', value: -8, score: 20 }
+];
+
+/**
+ * Pre-moderation scan, run by the processing pipelines once a film is
+ * encoded. Scanners measure the film (signals); enabled rules that match
+ * add their score to its risk (capped at 100). Films under
+ * SCAN_AUTO_APPROVE_BELOW are approved without a moderator, the rest wait
+ * in the moderation queue, riskiest first.
+ *
+ * More scanners can be added with registerScanner (see scanning/scanner.js).
+ */
+class ScanningService {
+    constructor() {
+        this.enabled = process.env.SCANNING_ENABLED !== 'false';
+        // 0 turns auto-approval off
+        const autoApproveBelow = parseInt(process.env.SCAN_AUTO_APPROVE_BELOW);
+        this.autoApproveBelow = Number.isNaN(autoApproveBelow) ? 20 : autoApproveBelow;
+        this.scanners = [new FingerprintScanner(), new SignalScanner()];
+    }
+
+    registerScanner(scanner) {
+        this.scanners.push(scanner);
+        return this;
+    }
+
+    /**
+     * Every signal a rule can test: { signal: { scanner, description } }
+     */
+    getSignals() {
+        const signals = {};
+        for (const scanner of this.scanners) {
+            for (const [signal, description] of Object.entries(scanner.signals)) {
+                signals[signal] = { scanner: scanner.name, description };
+            }
+        }
+        return signals;
+    }
+
+    formatRule(row) {
+        return {
+            id: row.id,
+            key: row.key,
+            name: row.name,
+            kind: row.kind,
+            signal: row.signal,
+            operator: row.operator,
+            value: row.value === null ? null : parseFloat(row.value),
+            keywords: row.keywords,
+            score: row.score,
+            enabled: row.enabled,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * Built-in rules (with any saved changes) followed by custom rules
+     */
+    async getRules() {
+        const saved = (await ScanRule.list()).map(row => this.formatRule(row));
+        const builtInKeys = DEFAULT_RULES.map(rule => rule.key);
+
+        const builtIn = DEFAULT_RULES.map(rule => {
+            const override = saved.find(row => row.key === rule.key);
+            return override
+                ? { ...override, builtIn: true, customized: true }
+                : { ...rule, keywords: null, enabled: true, builtIn: true, customized: false };
+        });
+        const custom = saved
+            .filter(row => !builtInKeys.includes(row.key))
+            .map(row => ({ ...row, builtIn: false, customized: true }));
+
+        return [...builtIn, ...custom];
+    }
+
+    /**
+     * Check a rule from an admin and fill in what a built-in rule keeps
+     * (its kind and signal, and anything not given)
+     * @throws {Error} with code INVALID_RULE
+     */
+    normalizeRule(key, input) {
+        if (!/^[a-z0-9_]{2,50}$/.test(key)) {
+            throw fail('INVALID_RULE', 'Rule key must be 2-50 lowercase letters, digits or underscores');
+        }
+
+        const builtIn = DEFAULT_RULES.find(rule => rule.key === key) || {};
+        const kind = builtIn.kind || input.kind;
+        if (!RULE_KINDS.includes(kind)) {
+            throw fail('INVALID_RULE', `Rule kind must be one of: ${RULE_KINDS.join(', ')}`);
+        }
+
+        const name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : builtIn.name;
+        if (!name || name.length > 100) {
+            throw fail('INVALID_RULE', 'Rule name is required (up to 100 characters)');
+        }
+
+        const score = input.score === undefined ? builtIn.score : Number(input.score);
+        if (!Number.isInteger(score) || score < 0 || score > 100) {
+            throw fail('INVALID_RULE', 'Score must be a whole number from 0 to 100');
+        }
+
+        const rule = { name, kind, score, enabled: input.enabled !== false };
+
+        if (kind === 'threshold') {
+            rule.signal = builtIn.signal || input.signal;
+            if (!this.getSignals()[rule.signal]) {
+                throw fail('INVALID_RULE', `Signal must be one of: ${Object.keys(this.getSignals()).join(', ')}`);
+            }
+            rule.operator = input.operator || builtIn.operator;
+            if (!OPERATORS[rule.operator]) {
+                throw fail('INVALID_RULE', `Operator must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+            }
+            rule.value = input.value === undefined ? builtIn.value : Number(input.value);
+            if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) {
+                throw fail('INVALID_RULE', 'Value must be a number');
+            }
+        } else {
+            const keywords = Array.isArray(input.keywords)
+                ? [...new Set(input.keywords.map(word => String(word).trim().toLowerCase()).filter(Boolean))]
+                : [];
+            if (keywords.length === 0 || keywords.length > 200 || keywords.some(word => word.length > 100)) {
+                throw fail('INVALID_RULE', 'Keyword rules need 1-200 keywords of up to 100 characters');
+            }
+            rule.keywords = keywords;
+        }
+
+        return rule;
+    }
+
+    async saveRule(key, input, adminId) {
+        const rule = this.normalizeRule(key, input);
+        return this.formatRule(await ScanRule.upsert(key, rule, adminId));
+    }
+
+    /**
+     * Delete a custom rule, or put a built-in rule back to its default
+     * @throws {Error} with code NOT_FOUND
+     */
+    async deleteRule(key) {
+        const row = await ScanRule.delete(key);
+        if (!row) {
+            throw fail('NOT_FOUND', 'Rule not found');
+        }
+        return {
+            rule: this.formatRule(row),
+            reverted: DEFAULT_RULES.some(rule => rule.key === key)
+        };
+    }
+
+    findKeyword(text, keywords) {
+        for (const word of keywords) {
+            const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u');
+            if (pattern.test(text)) {
+                return word;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Enabled rules that match a scan's signals and the film's metadata
+     * @returns {Array} - [{ key, name, score, detail }]
+     */
+    evaluate(rules, signals, text) {
+        const matches = [];
+        for (const rule of rules.filter(rule => rule.enabled)) {
+            if (rule.kind === 'threshold') {
+                const value = signals[rule.signal];
+                if (value === null || value === undefined || !OPERATORS[rule.operator](value, rule.value)) continue;
+                matches.push({ key: rule.key, name: rule.name, score: rule.score, detail: `${rule.signal} = ${value}` });
+            } else if (rule.kind === 'keywords') {
+                const word = this.findKeyword(text, rule.keywords || []);
+                if (!word) continue;
+                matches.push({ key: rule.key, name: rule.name, score: rule.score, detail: `"${word}" in title, description or tags` });
+            }
+        }
+        return matches;
+    }
+
+    /**
+     * Scan a film, store the result and auto-approve it if it's low-risk.
+     * Never throws: a film that can't be scanned waits for a moderator.
+     * @param {string} filePath - local copy of the source
+     * @param {Object} extra - more scanner context, e.g. fingerprints
+     * @returns {Promise<Object|null>} - the stored scan, or null if none was made
+     */
+    async scanVideo(videoId, filePath, extra = {}) {
+        if (!this.enabled) return null;
+
+        try {
+            const video = await VideoScan.getVideoMetadata(videoId);
+            if (!video) return null;
+
+            await VideoScan.start(videoId);
+            const analysis = await hlsService.analyzeSource(filePath);
+            const context = { ...extra, videoId, filePath, analysis, video };
+
+            const signals = {};
+            const details = {};
+            const errors = [];
+            for (const scanner of this.scanners) {
+                try {
+                    const result = await scanner.scan(context);
+                    Object.assign(signals, result.signals);
+                    if (result.details) details[scanner.name] = result.details;
+                } catch (error) {
+                    console.warn(`⚠️ ${scanner.name} scanner failed for ${videoId}:`, error.message);
+                    errors.push(`${scanner.name}: ${error.message}`);
+                }
+            }
+
+            const text = [video.title, video.description, ...(video.tags || [])].filter(Boolean).join('\n').toLowerCase();
+            const matchedRules = this.evaluate(await this.getRules(), signals, text);
+            const riskScore = Math.min(100, matchedRules.reduce((sum, match) => sum + match.score, 0));
+
+            // A scanner that failed might have caught something
+            let autoApproved = false;
+            if (errors.length === 0 && riskScore < this.autoApproveBelow) {
+                autoApproved = await VideoModeration.autoApprove(videoId,
+                    `Approved automatically by the pre-moderation scan (risk score ${riskScore})`);
+            }
+
+            const scan = await VideoScan.complete(videoId, {
+                signals,
+                details,
+                matchedRules,
+                riskScore,
+                autoApproved,
+                error: errors.length > 0 ? errors.join('; ') : null
+            });
+
+            console.log(`🔎 Scanned ${videoId}: risk ${riskScore}${autoApproved ? ', approved automatically' : ''}` +
+                (matchedRules.length > 0 ? ` (${matchedRules.map(match => match.key).join(', ')})` : ''));
+            return scan;
+        } catch (error) {
+            console.error(`❌ Scan failed for ${videoId}:`, error);
+            await VideoScan.fail(videoId, error.message).catch(() => {});
+            return null;
+        }
+    }
+}
+
+module.exports = new ScanningService();
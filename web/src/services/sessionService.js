@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { cache, getClient } = require('../config/redis');
+
+const SESSION_TTL = 30 * 24 * 3600; // Same as the refresh token; extended on every refresh
+const TOUCH_INTERVAL = 60 * 1000; // Write last-seen at most once a minute per session
+
+/**
+ * Per-device login sessions, kept in Redis as user_session:<userId>:<sessionId>
+ * with the user's session IDs in the user_sessions:<userId> set. Last-seen
+ * time and IP live in a separate key so recording activity never overwrites
+ * a refresh.
+ *
+ * Access tokens carry the session ID (sid) and are only accepted while the
+ * session exists, so revoking a session signs that device out at once.
+ * Refresh tokens are single use: each refresh issues a new pair and records
+ * the new token's jti on the session. Presenting a refresh token that was
+ * already redeemed means it was copied, so the session is revoked.
+ */
+class SessionService {
+    sessionKey(userId, sessionId) {
+        return `user_session:${userId}:${sessionId}`;
+    }
+
+    userSessionsKey(userId) {
+        return `user_sessions:${userId}`;
+    }
+
+    lastSeenKey(userId, sessionId) {
+        return `user_session_seen:${userId}:${sessionId}`;
+    }
+
+    /**
+     * Open a session for a new login and issue its tokens
+     * @param {Object} client - userAgent, ip and an optional deviceName chosen by the client
+     * @returns {Promise<Object>} - { session, token, refreshToken }
+     */
+    async create(userId, { userAgent = '', ip = null, deviceName = null } = {}) {
+        const now = new Date().toISOString();
+        const session = {
+            id: crypto.randomUUID(),
+            userId,
+            device: deviceName || this.describeDevice(userAgent),
+            userAgent,
+            ip,
+            createdAt: now,
+            lastSeenAt: now,
+            expiresAt: null,
+            refreshTokenId: null
+        };
+
+        const tokens = await this.issueTokens(session);
+        await cache.sadd(this.userSessionsKey(userId), session.id);
+        await cache.expire(this.userSessionsKey(userId), SESSION_TTL);
+
+        return { session, ...tokens };
+    }
+
+    /**
+     * Sign an access and refresh token pair for a session and save the
+     * session with the refresh token's ID
+     */
+    async issueTokens(session) {
+        session.refreshTokenId = crypto.randomUUID();
+        session.expiresAt = new Date(Date.now() + SESSION_TTL * 1000).toISOString();
+
+        const token = jwt.sign(
+            { userId: session.userId, sid: session.id },
+            process.env.JWT_SECRET,
+            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+        );
+        const refreshToken = jwt.sign(
+            { userId: session.userId, sid: session.id, type: 'refresh' },
+            process.env.JWT_SECRET,
+            { expiresIn: SESSION_TTL, jwtid: session.refreshTokenId }
+        );
+
+        await cache.set(this.sessionKey(session.userId, session.id), session, SESSION_TTL);
+        return { token, refreshToken };
+    }
+
+    /**
+     * A session with its latest activity, or null if it ended
+     */
+    async get(userId, sessionId) {
+        if (!sessionId) return null;
+
+        const session = await cache.get(this.sessionKey(userId, sessionId));
+        if (!session) return null;
+
+        const seen = await cache.get(this.lastSeenKey(userId, sessionId));
+        if (seen && seen.lastSeenAt > session.lastSeenAt) {
+            Object.assign(session, seen);
+        }
+        return session;
+    }
+
+    /**
+     * Record that a session was used, from which IP
+     */
+    async touch(session, ip = null) {
+        const lastSeen = new Date(session.lastSeenAt).getTime();
+        if (Date.now() - lastSeen < TOUCH_INTERVAL && (!ip || ip === session.ip)) {
+            return session;
+        }
+
+        session.lastSeenAt = new Date().toISOString();
+        if (ip) session.ip = ip;
+
+        const ttl = Math.ceil((new Date(session.expiresAt).getTime() - Date.now()) / 1000);
+        if (ttl > 0) {
+            await cache.set(this.lastSeenKey(session.userId, session.id), {
+                lastSeenAt: session.lastSeenAt,
+                ip: session.ip
+            }, ttl);
+        }
+        return session;
+    }
+
+    /**
+     * Exchange a refresh token for a new pair
+     * @returns {Promise<Object>} - { token, refreshToken, session }
+     * @throws {Error} with code INVALID_REFRESH_TOKEN or REFRESH_TOKEN_REUSED
+     */
+    async refresh(refreshToken, { ip = null } = {}) {
+        const invalid = () => Object.assign(new Error('Invalid or expired refresh token'), { code: 'INVALID_REFRESH_TOKEN' });
+
+        let decoded;
+        try {
+            decoded = jwt.verify(refreshToken, process.env.JWT_SECRET);
+        } catch (error) {
+            throw invalid();
+        }
+        if (decoded.type !== 'refresh' || !decoded.sid) {
+            throw invalid();
+        }
+
+        const session = await this.get(decoded.userId, decoded.sid);
+        if (!session) {
+            throw invalid();
+        }
+
+        // Each refresh token can be redeemed once, even by two requests racing
+        const redeemed = await getClient().set(`refresh_token_used:${decoded.jti}`, '1', { NX: true, EX: SESSION_TTL });
+        if (!redeemed || decoded.jti !== session.refreshTokenId) {
+            await this.revoke(decoded.userId, decoded.sid);
+            console.warn(`🚨 Refresh token reuse for user ${decoded.userId}, session ${decoded.sid} revoked`);
+            throw Object.assign(
+                new Error('This refresh token was already used. The session has been signed out for safety.'),
+                { code: 'REFRESH_TOKEN_REUSED' }
+            );
+        }
+
+        session.lastSeenAt = new Date().toISOString();
+        if (ip) session.ip = ip;
+
+        const tokens = await this.issueTokens(session);
+        await cache.expire(this.userSessionsKey(session.userId), SESSION_TTL);
+
+        return { session, ...tokens };
+    }
+
+    /**
+     * A user's live sessions, most recently used first. IDs of expired
+     * sessions are dropped from the set.
+     */
+    async list(userId) {
+        const sessionIds = await cache.smembers(this.userSessionsKey(userId));
+        const sessions = [];
+
+        for (const sessionId of sessionIds) {
+            const session = await this.get(userId, sessionId);
+            if (session) {
+                sessions.push(session);
+            } else {
+                await cache.srem(this.userSessionsKey(userId), sessionId);
+            }
+        }
+
+        return sessions.sort((a, b) => new Date(b.lastSeenAt) - new Date(a.lastSeenAt));
+    }
+
+    /**
+     * End one session; false if it didn't exist
+     */
+    async revoke(userId, sessionId) {
+        const deleted = await cache.del(this.sessionKey(userId, sessionId));
+        await cache.del(this.lastSeenKey(userId, sessionId));
+        await cache.srem(this.userSessionsKey(userId), sessionId);
+        return deleted > 0;
+    }
+
+    /**
+     * End every session of a user, optionally keeping one (the caller's),
+     * including a login from before per-device sessions
+     * @returns {Promise<number>} - sessions revoked
+     */
+    async revokeAll(userId, { except = null } = {}) {
+        const sessionIds = await cache.smembers(this.userSessionsKey(userId));
+        let revoked = 0;
+
+        for (const sessionId of sessionIds) {
+            if (sessionId === except) continue;
+            if (await this.revoke(userId, sessionId)) {
+                revoked += 1;
+            }
+        }
+
+        // Sid-less tokens are checked against this key until it expires
+        if (await cache.del(`user_session:${userId}`) > 0) {
+            revoked += 1;
+        }
+        await cache.del(`refresh_token:${userId}`);
+
+        return revoked;
+    }
+
+    /**
+     * Short device label from a User-Agent, e.g. "Chrome on Windows"
+     */
+    describeDevice(userAgent = '') {
+        const os = [
+            [/iPhone/, 'iPhone'],
+            [/iPad/, 'iPad'],
+            [/Android/, 'Android'],
+            [/Windows/, 'Windows'],
+            [/Mac OS X|Macintosh/, 'macOS'],
+            [/CrOS/, 'ChromeOS'],
+            [/Linux/, 'Linux']
+        ].find(([pattern]) => pattern.test(userAgent));
+
+        const browser = [
+            [/Edg\//, 'Edge'],
+            [/OPR\/|Opera/, 'Opera'],
+            [/Firefox\/|FxiOS/, 'Firefox'],
+            [/Chrome\/|CriOS/, 'Chrome'],
+            [/Safari\//, 'Safari']
+        ].find(([pattern]) => pattern.test(userAgent));
+
+        if (browser && os) return `${browser[1]} on ${os[1]}`;
+        if (browser || os) return (browser || os)[1];
+        return 'Unknown device';
+    }
+}
+
+module.exports = new SessionService();
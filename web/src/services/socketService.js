@@ -0,0 +1,111 @@
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { query } = require('../config/database');
+const { getClient } = require('../config/redis');
+const LiveStream = require('../models/LiveStream');
+const liveStreamService = require('./liveStreamService');
+
+/**
+ * Socket.IO room access. Sockets are bound to a user at the handshake
+ * (authenticateSocket); every join goes through authorize() so a client can
+ * only receive events meant for it.
+ */
+class SocketService {
+    constructor() {
+        this.pubClient = null;
+        this.subClient = null;
+    }
+
+    /**
+     * Share rooms and broadcasts between server instances through Redis
+     * pub/sub. Must run after initializeRedis().
+     */
+    async attachRedisAdapter(io) {
+        this.pubClient = getClient().duplicate();
+        this.subClient = this.pubClient.duplicate();
+
+        this.pubClient.on('error', (err) => console.error('❌ Socket.IO Redis pub error:', err));
+        this.subClient.on('error', (err) => console.error('❌ Socket.IO Redis sub error:', err));
+
+        await Promise.all([this.pubClient.connect(), this.subClient.connect()]);
+        io.adapter(createAdapter(this.pubClient, this.subClient));
+        console.log('🔌 Socket.IO Redis adapter attached');
+    }
+
+    async isFilmOwner(user, filmId) {
+        const result = await query(`
+            SELECT 1 FROM videos v
+            JOIN channels c ON v.channel_id = c.id
+            WHERE v.id = $1 AND c.user_id = $2
+        `, [filmId, user.id]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Decide whether the socket's user may join a room
+     * @param {string} type - 'user', 'upload' or 'stream'
+     * @returns {Promise<Object>} - { room } or { error }
+     */
+    async authorize(user, type, id) {
+        if (!id || typeof id !== 'string') {
+            return { error: 'Invalid room' };
+        }
+
+        if (type === 'stream') {
+            const stream = await LiveStream.getById(id).catch(() => null);
+            if (!stream || !await liveStreamService.canView(stream, user)) {
+                return { error: 'Live stream not found' };
+            }
+            return { room: `stream-${id}` };
+        }
+
+        if (!user) {
+            return { error: 'Authentication required' };
+        }
+
+        if (type === 'user') {
+            return id === user.id ? { room: `user-${id}` } : { error: 'Access denied' };
+        }
+
+        if (type === 'upload') {
+            if (user.isAdmin || await this.isFilmOwner(user, id).catch(() => false)) {
+                return { room: `upload-${id}` };
+            }
+            return { error: 'Access denied' };
+        }
+
+        return { error: 'Invalid room' };
+    }
+
+    /**
+     * Register a join handler: authorizes, then calls onJoin(room, id).
+     * Denials go to the ack callback if there is one, otherwise 'room-error'.
+     */
+    onJoin(socket, event, type, onJoin) {
+        socket.on(event, async (id, ack) => {
+            try {
+                const result = await this.authorize(socket.data.user, type, id);
+                if (result.error) {
+                    console.warn(`🚫 Socket ${socket.id} denied ${event} ${id}: ${result.error}`);
+                    if (typeof ack === 'function') {
+                        ack({ success: false, error: result.error });
+                    } else {
+                        socket.emit('room-error', { event, id, error: result.error });
+                    }
+                    return;
+                }
+
+                await onJoin(result.room, id);
+                if (typeof ack === 'function') {
+                    ack({ success: true });
+                }
+            } catch (error) {
+                console.error(`Socket ${event} error:`, error);
+                if (typeof ack === 'function') {
+                    ack({ success: false, error: 'Something went wrong' });
+                }
+            }
+        });
+    }
+}
+
+module.exports = new SocketService();
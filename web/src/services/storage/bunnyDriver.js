@@ -0,0 +1,187 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const StorageDriver = require('./storageDriver');
+
+/**
+ * Bunny Storage zone, served through its pull zone at BUNNY_CDN_URL.
+ * Signed URLs use the pull zone's token authentication (BUNNY_TOKEN_KEY).
+ */
+class BunnyStorageDriver extends StorageDriver {
+    constructor(options = {}) {
+        super('bunny');
+        this.storageZone = options.storageZone || process.env.BUNNY_STORAGE_ZONE;
+        this.storagePassword = options.storagePassword || process.env.BUNNY_STORAGE_PASSWORD;
+        // Primary region (Falkenstein) has no prefix; others are e.g. "ny", "la", "sg"
+        const region = options.region || process.env.BUNNY_STORAGE_REGION;
+        this.storageApiUrl = `https://${region ? `${region}.` : ''}storage.bunnycdn.com/${this.storageZone}`;
+        this.cdnUrl = (options.cdnUrl || process.env.BUNNY_CDN_URL || 'https://southernshortfilms.b-cdn.net').replace(/\/+$/, '');
+        this.tokenKey = options.tokenKey || process.env.BUNNY_TOKEN_KEY;
+        this.apiKey = options.apiKey || process.env.BUNNY_API_KEY;
+    }
+
+    headers(extra = {}) {
+        return { AccessKey: this.storagePassword, ...extra };
+    }
+
+    isNotFound(error) {
+        return error.response?.status === 404;
+    }
+
+    async put(key, source, options = {}) {
+        const normalized = this.normalizeKey(key);
+        const size = Buffer.isBuffer(source) ? source.length : (await fsp.stat(source)).size;
+        const contentType = options.contentType || this.getContentType(normalized);
+
+        await axios.put(
+            `${this.storageApiUrl}/${normalized}`,
+            Buffer.isBuffer(source) ? source : fs.createReadStream(source),
+            {
+                headers: this.headers({
+                    'Content-Type': contentType,
+                    'Content-Length': size
+                }),
+                maxBodyLength: Infinity,
+                maxContentLength: Infinity,
+                onUploadProgress: options.onProgress && (event => options.onProgress(event.loaded))
+            }
+        );
+
+        return {
+            key: normalized,
+            url: this.getUrl(normalized),
+            size,
+            etag: null,
+            contentType
+        };
+    }
+
+    async get(key) {
+        const response = await axios.get(`${this.storageApiUrl}/${this.normalizeKey(key)}`, {
+            headers: this.headers(),
+            responseType: 'arraybuffer',
+            maxContentLength: Infinity
+        });
+        return Buffer.from(response.data);
+    }
+
+    async stream(key, { start, end } = {}) {
+        const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+        const response = await axios.get(`${this.storageApiUrl}/${this.normalizeKey(key)}`, {
+            headers: this.headers(range ? { Range: range } : {}),
+            responseType: 'stream'
+        });
+        return response.data;
+    }
+
+    /**
+     * One directory level of the storage zone
+     */
+    async listDirectory(directory) {
+        try {
+            const response = await axios.get(`${this.storageApiUrl}/${directory}`, {
+                headers: this.headers({ Accept: 'application/json' })
+            });
+            return Array.isArray(response.data) ? response.data : [];
+        } catch (error) {
+            if (this.isNotFound(error)) return [];
+            throw error;
+        }
+    }
+
+    async stat(key) {
+        const normalized = this.normalizeKey(key);
+        const directory = path.posix.dirname(normalized);
+        const entries = await this.listDirectory(directory === '.' ? '' : `${directory}/`);
+        const entry = entries.find(item => !item.IsDirectory && item.ObjectName === path.posix.basename(normalized));
+
+        return entry ? {
+            key: normalized,
+            size: entry.Length,
+            lastModified: new Date(entry.LastChanged),
+            contentType: this.getContentType(normalized),
+            etag: entry.Checksum || null
+        } : null;
+    }
+
+    async list(prefix) {
+        const normalized = this.normalizePrefix(prefix);
+        const objects = [];
+
+        for (const entry of await this.listDirectory(normalized)) {
+            if (entry.IsDirectory) {
+                objects.push(...await this.list(`${normalized}${entry.ObjectName}/`));
+            } else {
+                objects.push({
+                    key: `${normalized}${entry.ObjectName}`,
+                    size: entry.Length,
+                    lastModified: new Date(entry.LastChanged)
+                });
+            }
+        }
+
+        return objects;
+    }
+
+    async delete(key) {
+        try {
+            await axios.delete(`${this.storageApiUrl}/${this.normalizeKey(key)}`, { headers: this.headers() });
+            return true;
+        } catch (error) {
+            if (this.isNotFound(error)) return false;
+            throw error;
+        }
+    }
+
+    async deletePrefix(prefix) {
+        const objects = await this.list(prefix);
+        if (objects.length > 0) {
+            // A trailing slash deletes the directory and everything in it
+            await this.delete(this.normalizePrefix(prefix));
+        }
+        return objects.length;
+    }
+
+    getUrl(key) {
+        return `${this.cdnUrl}/${this.normalizeKey(key)}`;
+    }
+
+    /**
+     * Pull zone token authentication: base64url(sha256(key + path + expires))
+     */
+    async getSignedUrl(key, expiresIn = 3600) {
+        if (!this.tokenKey) {
+            throw new Error('BUNNY_TOKEN_KEY is not set; cannot sign Bunny URLs');
+        }
+
+        const signedPath = `/${this.normalizeKey(key)}`;
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        const token = crypto.createHash('sha256')
+            .update(`${this.tokenKey}${signedPath}${expires}`)
+            .digest('base64')
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+
+        return `${this.cdnUrl}${signedPath}?token=${token}&expires=${expires}`;
+    }
+
+    /**
+     * Purge pull zone cache for specific URLs (after overwriting objects)
+     */
+    async purgeCache(urls) {
+        if (!this.apiKey) return false;
+
+        for (const url of urls) {
+            await axios.post('https://api.bunny.net/purge', null, {
+                params: { url },
+                headers: { AccessKey: this.apiKey }
+            });
+        }
+        return true;
+    }
+}
+
+module.exports = BunnyStorageDriver;
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const StorageDriver = require('./storageDriver');
+const { listFilesRecursive } = require('../../utils/fileUtils');
+
+/**
+ * Local filesystem storage. Objects live under STORAGE_LOCAL_ROOT and are
+ * served by /api/storage/* (STORAGE_LOCAL_URL): public keys as they are,
+ * everything else only with a signed URL carrying an HMAC of key and expiry.
+ */
+class LocalStorageDriver extends StorageDriver {
+    constructor(options = {}) {
+        super('local');
+        // Outside uploads/, which is served statically without access checks
+        this.root = path.resolve(options.root || process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../../storage'));
+        this.baseUrl = (options.baseUrl || process.env.STORAGE_LOCAL_URL || '/api/storage').replace(/\/+$/, '');
+        this.signingSecret = options.signingSecret || process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    }
+
+    resolve(key) {
+        const filePath = path.resolve(this.root, this.normalizeKey(key));
+        if (!filePath.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, source, options = {}) {
+        const normalized = this.normalizeKey(key);
+        const filePath = this.resolve(normalized);
+        await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+        // Write to a temp file first so readers never see a partial object
+        const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+        try {
+            if (Buffer.isBuffer(source)) {
+                await fsp.writeFile(tempPath, source);
+            } else {
+                await fsp.copyFile(source, tempPath);
+            }
+            await fsp.rename(tempPath, filePath);
+        } catch (error) {
+            await fsp.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+
+        const stats = await fsp.stat(filePath);
+        if (options.onProgress) options.onProgress(stats.size);
+
+        return {
+            key: normalized,
+            url: this.getUrl(normalized),
+            size: stats.size,
+            etag: null,
+            contentType: options.contentType || this.getContentType(normalized)
+        };
+    }
+
+    async get(key) {
+        return fsp.readFile(this.resolve(key));
+    }
+
+    async stream(key, { start, end } = {}) {
+        const filePath = this.resolve(key);
+        // Surface a missing file as a rejection instead of a stream error
+        await fsp.access(filePath);
+        return fs.createReadStream(filePath, { start, end });
+    }
+
+    async stat(key) {
+        const normalized = this.normalizeKey(key);
+        try {
+            const stats = await fsp.stat(this.resolve(normalized));
+            if (!stats.isFile()) return null;
+            return {
+                key: normalized,
+                size: stats.size,
+                lastModified: stats.mtime,
+                contentType: this.getContentType(normalized),
+                etag: null
+            };
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(prefix) {
+        const normalized = this.normalizePrefix(prefix);
+        const dirPath = this.resolve(normalized);
+
+        let files;
+        try {
+            files = await listFilesRecursive(dirPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        return Promise.all(files.map(async (file) => {
+            const stats = await fsp.stat(path.join(dirPath, file));
+            return { key: `${normalized}${file}`, size: stats.size, lastModified: stats.mtime };
+        }));
+    }
+
+    async delete(key) {
+        try {
+            await fsp.unlink(this.resolve(key));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async deletePrefix(prefix) {
+        const objects = await this.list(prefix);
+        await fsp.rm(this.resolve(this.normalizePrefix(prefix)), { recursive: true, force: true });
+        return objects.length;
+    }
+
+    getUrl(key) {
+        return `${this.baseUrl}/${this.normalizeKey(key)}`;
+    }
+
+    sign(key, expires) {
+        return crypto.createHmac('sha256', this.signingSecret)
+            .update(`${this.normalizeKey(key)}:${expires}`)
+            .digest('hex');
+    }
+
+    async getSignedUrl(key, expiresIn = 3600) {
+        const normalized = this.normalizeKey(key);
+        const expires = Math.floor(Date.now() / 1000) + expiresIn;
+        return `${this.baseUrl}/${normalized}?expires=${expires}&signature=${this.sign(normalized, expires)}`;
+    }
+
+    /**
+     * Check a signed URL's expiry and signature
+     */
+    verifySignature(key, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!expiresAt || expiresAt < Math.floor(Date.now() / 1000) || !signature) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.sign(key, expiresAt));
+        const given = Buffer.from(String(signature));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,617 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs').promises;
+const {
+    S3Client,
+    PutObjectCommand,
+    CopyObjectCommand,
+    UploadPartCopyCommand,
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+    ListMultipartUploadsCommand,
+    ListPartsCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    ListObjectsV2Command,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    HeadBucketCommand,
+    CreateBucketCommand,
+    PutBucketCorsCommand,
+    PutBucketLifecycleConfigurationCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageDriver = require('./storageDriver');
+
+const MIB = 1024 * 1024;
+// S3 limits: parts of at least 5 MiB (except the last), at most 10,000 parts
+const MIN_PART_SIZE = 5 * MIB;
+const MAX_PARTS = 10000;
+// CopyObject copies at most 5 GiB; larger objects are copied in parts
+const MAX_COPY_SIZE = 5 * 1024 * MIB;
+const COPY_PART_SIZE = 512 * MIB;
+
+/**
+ * S3-compatible object storage (AWS S3, MinIO, Hetzner, Wasabi, ...).
+ * Public objects get S3_ACL (public-read) so a CDN or the browser can fetch
+ * them from S3_PUBLIC_URL; the rest get no ACL, i.e. the bucket's private
+ * default, and are read through presigned GETs.
+ *
+ * Files above S3_MULTIPART_THRESHOLD are streamed from disk as a multipart
+ * upload, S3_MULTIPART_CONCURRENCY parts at a time. Every request carries a
+ * checksum (SHA256 or MD5, S3_CHECKSUM_ALGORITHM) that the server verifies,
+ * failed parts are retried, and an interrupted upload of the same file is
+ * resumed from the parts already stored.
+ *
+ * Storage tiers map to storage classes (S3_STORAGE_CLASS_COOL, default
+ * STANDARD_IA; S3_STORAGE_CLASS_ARCHIVE, default GLACIER_IR). The archive
+ * class must be readable without a restore. Leave a class empty for
+ * providers that don't have it (e.g. MinIO).
+ */
+class S3StorageDriver extends StorageDriver {
+    constructor(options = {}) {
+        super('s3');
+        this.bucket = options.bucket || process.env.S3_BUCKET || process.env.S3_BUCKET_HOT || 'reelshorts';
+        this.endpoint = options.endpoint || this.endpointUrl(process.env.S3_ENDPOINT);
+        this.region = options.region || process.env.S3_REGION || process.env.AWS_REGION || 'us-east-1';
+        // MinIO and most non-AWS providers need path-style requests
+        this.forcePathStyle = options.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === 'true';
+        this.acl = options.acl ?? (process.env.S3_ACL === undefined ? 'public-read' : process.env.S3_ACL);
+        this.serverSideEncryption = options.serverSideEncryption ??
+            (process.env.S3_SERVER_SIDE_ENCRYPTION === undefined ? 'AES256' : process.env.S3_SERVER_SIDE_ENCRYPTION);
+        this.cacheControl = 'max-age=31536000';
+        this.publicUrl = (options.publicUrl || process.env.S3_PUBLIC_URL || this.defaultPublicUrl()).replace(/\/+$/, '');
+
+        this.partSize = Math.max(options.partSize || parseInt(process.env.S3_MULTIPART_PART_SIZE) || 16 * MIB, MIN_PART_SIZE);
+        this.multipartThreshold = options.multipartThreshold || parseInt(process.env.S3_MULTIPART_THRESHOLD) || this.partSize;
+        this.concurrency = options.concurrency || parseInt(process.env.S3_MULTIPART_CONCURRENCY) || 4;
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.S3_UPLOAD_MAX_ATTEMPTS) || 3;
+        this.checksumAlgorithm = (options.checksumAlgorithm || process.env.S3_CHECKSUM_ALGORITHM || 'SHA256').toUpperCase();
+        if (!['SHA256', 'MD5'].includes(this.checksumAlgorithm)) {
+            throw new Error(`Unsupported S3_CHECKSUM_ALGORITHM "${this.checksumAlgorithm}" (expected SHA256 or MD5)`);
+        }
+
+        this.storageClasses = {
+            hot: 'STANDARD',
+            cool: options.coolStorageClass ??
+                (process.env.S3_STORAGE_CLASS_COOL === undefined ? 'STANDARD_IA' : process.env.S3_STORAGE_CLASS_COOL),
+            archive: options.archiveStorageClass ??
+                (process.env.S3_STORAGE_CLASS_ARCHIVE === undefined ? 'GLACIER_IR' : process.env.S3_STORAGE_CLASS_ARCHIVE)
+        };
+
+        const accessKeyId = options.accessKeyId || process.env.S3_ACCESS_KEY;
+        const secretAccessKey = options.secretAccessKey || process.env.S3_SECRET_KEY;
+
+        this.client = new S3Client({
+            region: this.region,
+            endpoint: this.endpoint,
+            forcePathStyle: this.forcePathStyle,
+            // Uploads carry our own checksums; the SDK's default CRC32 trailers
+            // aren't supported by every S3-compatible provider
+            requestChecksumCalculation: 'WHEN_REQUIRED',
+            responseChecksumValidation: 'WHEN_REQUIRED',
+            // Without explicit keys the SDK's default chain applies (AWS_* env, instance role, ...)
+            ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+        });
+    }
+
+    /**
+     * S3_ENDPOINT has historically been a bare hostname; default it to https
+     */
+    endpointUrl(endpoint) {
+        if (!endpoint) return undefined;
+        return /^https?:\/\//.test(endpoint) ? endpoint : `https://${endpoint}`;
+    }
+
+    defaultPublicUrl() {
+        if (!this.endpoint) {
+            return `https://${this.bucket}.s3.${this.region}.amazonaws.com`;
+        }
+        const endpoint = this.endpoint.replace(/\/+$/, '');
+        return this.forcePathStyle
+            ? `${endpoint}/${this.bucket}`
+            : endpoint.replace(/^(https?:\/\/)/, `$1${this.bucket}.`);
+    }
+
+    isNotFound(error) {
+        return error.name === 'NotFound' || error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404;
+    }
+
+    async put(key, source, options = {}) {
+        const normalized = this.normalizeKey(key);
+        const size = Buffer.isBuffer(source) ? source.length : (await fsp.stat(source)).size;
+        const contentType = options.contentType || this.getContentType(normalized);
+
+        const params = {
+            Bucket: this.bucket,
+            Key: normalized,
+            ContentType: contentType,
+            CacheControl: options.cacheControl || `${this.cacheControl}, ${options.public ? 'public' : 'private'}`,
+            Metadata: options.metadata,
+            ...(options.public && this.acl ? { ACL: this.acl } : {}),
+            ...(this.serverSideEncryption ? { ServerSideEncryption: this.serverSideEncryption } : {})
+        };
+
+        const result = !Buffer.isBuffer(source) && size > this.multipartThreshold
+            ? await this.putMultipart(source, size, params, options.onProgress)
+            : await this.putSingle(source, size, params, options.onProgress);
+
+        return {
+            key: normalized,
+            url: this.getUrl(normalized),
+            size,
+            etag: result.ETag,
+            contentType
+        };
+    }
+
+    async putSingle(source, size, params, onProgress) {
+        const digest = await this.digest(source);
+
+        const result = await this.withRetry(`Upload of ${params.Key}`, async () => {
+            const response = await this.client.send(new PutObjectCommand({
+                ...params,
+                Body: Buffer.isBuffer(source) ? source : fs.createReadStream(source),
+                ContentLength: size,
+                ...this.checksumParams(digest)
+            }));
+            if (this.matchesChecksum(response, digest) === false) {
+                throw this.checksumError(params.Key);
+            }
+            return response;
+        });
+
+        if (onProgress) onProgress(size);
+        return result;
+    }
+
+    /**
+     * Stream a file as a multipart upload, resuming an interrupted upload of
+     * the same key. Parts are read straight from disk, so memory use is
+     * bounded by part size × concurrency whatever the file size.
+     */
+    async putMultipart(filePath, size, params, onProgress) {
+        // Raise the part size for very large files to stay under the part limit
+        const partSize = Math.max(this.partSize, Math.ceil(size / MAX_PARTS / MIB) * MIB);
+        const partCount = Math.ceil(size / partSize);
+        const { uploadId, storedParts } = await this.openMultipartUpload(params);
+
+        const parts = [];
+        let uploadedBytes = 0;
+        let nextPart = 1;
+        let failed = false;
+
+        const uploadParts = async () => {
+            while (!failed && nextPart <= partCount) {
+                const partNumber = nextPart++;
+                const start = (partNumber - 1) * partSize;
+                const end = Math.min(start + partSize, size) - 1;
+                const digest = await this.digest(filePath, start, end);
+
+                // A part from the interrupted upload is reused only if it has the same bytes
+                const stored = storedParts.get(partNumber);
+                let response = stored && stored.Size === end - start + 1 && this.matchesChecksum(stored, digest) === true
+                    ? stored
+                    : null;
+
+                if (!response) {
+                    response = await this.withRetry(`Part ${partNumber}/${partCount} of ${params.Key}`, async () => {
+                        const result = await this.client.send(new UploadPartCommand({
+                            Bucket: params.Bucket,
+                            Key: params.Key,
+                            UploadId: uploadId,
+                            PartNumber: partNumber,
+                            Body: fs.createReadStream(filePath, { start, end }),
+                            ContentLength: end - start + 1,
+                            ...this.checksumParams(digest)
+                        }));
+                        if (this.matchesChecksum(result, digest) === false) {
+                            throw this.checksumError(`${params.Key} part ${partNumber}`);
+                        }
+                        return result;
+                    });
+                }
+
+                parts[partNumber - 1] = {
+                    PartNumber: partNumber,
+                    ETag: response.ETag,
+                    ...(this.checksumAlgorithm === 'SHA256' ? { ChecksumSHA256: digest.toString('base64') } : {}),
+                    digest
+                };
+
+                uploadedBytes += end - start + 1;
+                if (onProgress) onProgress(uploadedBytes);
+            }
+        };
+
+        // Let parts in flight finish before failing. The upload is left open
+        // so the next attempt can resume it.
+        const workers = await Promise.allSettled(Array.from({ length: Math.min(this.concurrency, partCount) }, () =>
+            uploadParts().catch((error) => {
+                failed = true;
+                throw error;
+            })
+        ));
+        const failure = workers.find(worker => worker.status === 'rejected');
+        if (failure) {
+            throw failure.reason;
+        }
+
+        const result = await this.withRetry(`Completing ${params.Key}`, () =>
+            this.client.send(new CompleteMultipartUploadCommand({
+                Bucket: params.Bucket,
+                Key: params.Key,
+                UploadId: uploadId,
+                MultipartUpload: {
+                    Parts: parts.map(({ digest, ...part }) => part)
+                }
+            }))
+        );
+
+        // The whole-object checksum is the digest of the part digests, "-<part count>"
+        const composite = this.createHash().update(Buffer.concat(parts.map(part => part.digest))).digest();
+        if (this.matchesChecksum(result, composite) === false) {
+            await this.delete(params.Key);
+            throw this.checksumError(params.Key);
+        }
+
+        return result;
+    }
+
+    /**
+     * Find an interrupted multipart upload of this key to resume, or start one
+     * @returns {Promise<Object>} - { uploadId, storedParts: Map of part number → part }
+     */
+    async openMultipartUpload(params) {
+        const uploads = [];
+        let keyMarker;
+        let uploadIdMarker;
+
+        do {
+            const result = await this.client.send(new ListMultipartUploadsCommand({
+                Bucket: params.Bucket,
+                Prefix: params.Key,
+                KeyMarker: keyMarker,
+                UploadIdMarker: uploadIdMarker
+            }));
+            uploads.push(...(result.Uploads || []).filter(upload => upload.Key === params.Key));
+            keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+            uploadIdMarker = result.IsTruncated ? result.NextUploadIdMarker : undefined;
+        } while (keyMarker);
+
+        // Resume the newest upload made with the same checksum algorithm; abort the rest
+        uploads.sort((a, b) => new Date(b.Initiated) - new Date(a.Initiated));
+        const resumable = uploads.find(upload =>
+            (upload.ChecksumAlgorithm || 'MD5') === this.checksumAlgorithm
+        );
+
+        for (const upload of uploads.filter(upload => upload !== resumable)) {
+            await this.client.send(new AbortMultipartUploadCommand({
+                Bucket: params.Bucket,
+                Key: params.Key,
+                UploadId: upload.UploadId
+            }));
+        }
+
+        if (resumable) {
+            const storedParts = await this.listParts(params.Key, resumable.UploadId);
+            console.log(`🔁 Resuming upload of ${params.Key} (${storedParts.size} parts already stored)`);
+            return { uploadId: resumable.UploadId, storedParts };
+        }
+
+        const result = await this.client.send(new CreateMultipartUploadCommand({
+            ...params,
+            ...(this.checksumAlgorithm === 'SHA256' ? { ChecksumAlgorithm: 'SHA256' } : {})
+        }));
+        return { uploadId: result.UploadId, storedParts: new Map() };
+    }
+
+    async listParts(key, uploadId) {
+        const parts = new Map();
+        let partNumberMarker;
+
+        do {
+            const result = await this.client.send(new ListPartsCommand({
+                Bucket: this.bucket,
+                Key: key,
+                UploadId: uploadId,
+                PartNumberMarker: partNumberMarker
+            }));
+            for (const part of result.Parts || []) {
+                parts.set(part.PartNumber, part);
+            }
+            partNumberMarker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+        } while (partNumberMarker);
+
+        return parts;
+    }
+
+    createHash() {
+        return crypto.createHash(this.checksumAlgorithm === 'MD5' ? 'md5' : 'sha256');
+    }
+
+    /**
+     * Digest of a Buffer, or of a byte range of a file read as a stream
+     */
+    async digest(source, start = 0, end = Infinity) {
+        const hash = this.createHash();
+        if (Buffer.isBuffer(source)) {
+            return hash.update(source.subarray(start, end + 1)).digest();
+        }
+        for await (const chunk of fs.createReadStream(source, { start, end })) {
+            hash.update(chunk);
+        }
+        return hash.digest();
+    }
+
+    /**
+     * Request parameters that make the server reject a body that doesn't match
+     */
+    checksumParams(digest) {
+        return this.checksumAlgorithm === 'MD5'
+            ? { ContentMD5: digest.toString('base64') }
+            : { ChecksumSHA256: digest.toString('base64') };
+    }
+
+    /**
+     * Compare the checksum the server reports for an object or part with ours.
+     * Multipart values carry a "-<part count>" suffix, which is ignored.
+     * @returns {boolean|undefined} - undefined if the response has no checksum to compare
+     */
+    matchesChecksum(response, digest) {
+        if (this.checksumAlgorithm === 'MD5') {
+            // The ETag is the MD5 of the body unless the object is KMS-encrypted
+            if (!response.ETag || this.serverSideEncryption === 'aws:kms') return undefined;
+            return response.ETag.replace(/"/g, '').split('-')[0] === digest.toString('hex');
+        }
+        if (!response.ChecksumSHA256) return undefined;
+        return response.ChecksumSHA256.split('-')[0] === digest.toString('base64');
+    }
+
+    checksumError(what) {
+        const error = new Error(`Checksum mismatch uploading ${what}`);
+        error.name = 'ChecksumMismatch';
+        return error;
+    }
+
+    isRetryable(error) {
+        if (['ChecksumMismatch', 'BadDigest', 'InvalidDigest', 'RequestTimeout'].includes(error.name)) return true;
+        const status = error.$metadata?.httpStatusCode;
+        // No status means the request never got a response (network error, reset)
+        return !status || status >= 500 || status === 408 || status === 429;
+    }
+
+    /**
+     * Run an upload request, retrying transient failures with backoff.
+     * Bodies are recreated by `send` on every attempt.
+     */
+    async withRetry(label, send) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await send();
+            } catch (error) {
+                if (attempt >= this.maxAttempts || !this.isRetryable(error)) {
+                    throw error;
+                }
+                const delay = Math.min(1000 * 2 ** (attempt - 1), 10000);
+                console.warn(`⚠️ ${label} failed (attempt ${attempt}/${this.maxAttempts}), retrying in ${delay}ms: ${error.message}`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async get(key) {
+        const result = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.normalizeKey(key)
+        }));
+        return Buffer.from(await result.Body.transformToByteArray());
+    }
+
+    async stream(key, { start, end } = {}) {
+        const range = start !== undefined ? `bytes=${start}-${end !== undefined ? end : ''}` : undefined;
+        const result = await this.client.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.normalizeKey(key),
+            Range: range
+        }));
+        return result.Body;
+    }
+
+    async stat(key) {
+        const normalized = this.normalizeKey(key);
+        try {
+            const result = await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: normalized
+            }));
+            return {
+                key: normalized,
+                size: result.ContentLength,
+                lastModified: result.LastModified,
+                contentType: result.ContentType,
+                etag: result.ETag
+            };
+        } catch (error) {
+            if (this.isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async list(prefix) {
+        const normalized = this.normalizePrefix(prefix);
+        const objects = [];
+        let continuationToken;
+
+        do {
+            const result = await this.client.send(new ListObjectsV2Command({
+                Bucket: this.bucket,
+                Prefix: normalized,
+                ContinuationToken: continuationToken
+            }));
+            for (const object of result.Contents || []) {
+                objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+            }
+            continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return objects;
+    }
+
+    async delete(key) {
+        // S3 deletes are idempotent and don't report whether the key existed
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.normalizeKey(key)
+        }));
+        return true;
+    }
+
+    async deletePrefix(prefix) {
+        const objects = await this.list(prefix);
+
+        // DeleteObjects takes at most 1000 keys per request
+        for (let i = 0; i < objects.length; i += 1000) {
+            await this.client.send(new DeleteObjectsCommand({
+                Bucket: this.bucket,
+                Delete: {
+                    Objects: objects.slice(i, i + 1000).map(object => ({ Key: object.key })),
+                    Quiet: true
+                }
+            }));
+        }
+
+        return objects.length;
+    }
+
+    /**
+     * Move an object to the storage class of a tier by copying it onto
+     * itself; objects above 5 GiB are copied part by part
+     * @returns {Promise<boolean>} - false if no class is configured for the tier
+     */
+    async setStorageClass(key, tier) {
+        const storageClass = this.storageClasses[tier];
+        if (!storageClass) return false;
+
+        const normalized = this.normalizeKey(key);
+        const head = await this.client.send(new HeadObjectCommand({ Bucket: this.bucket, Key: normalized }));
+        // HeadObject omits the class for STANDARD; copying without a change is rejected
+        if ((head.StorageClass || 'STANDARD') === storageClass) return true;
+
+        const params = {
+            Bucket: this.bucket,
+            Key: normalized,
+            StorageClass: storageClass,
+            ...(this.serverSideEncryption ? { ServerSideEncryption: this.serverSideEncryption } : {})
+        };
+        const copySource = `${this.bucket}/${normalized.split('/').map(encodeURIComponent).join('/')}`;
+
+        if (head.ContentLength <= MAX_COPY_SIZE) {
+            await this.withRetry(`Storage class change of ${normalized}`, () => this.client.send(new CopyObjectCommand({
+                ...params,
+                CopySource: copySource,
+                MetadataDirective: 'COPY'
+            })));
+            return true;
+        }
+
+        const { UploadId } = await this.client.send(new CreateMultipartUploadCommand({
+            ...params,
+            ContentType: head.ContentType,
+            CacheControl: head.CacheControl,
+            Metadata: head.Metadata
+        }));
+
+        try {
+            const parts = [];
+            for (let start = 0, partNumber = 1; start < head.ContentLength; start += COPY_PART_SIZE, partNumber++) {
+                const end = Math.min(start + COPY_PART_SIZE, head.ContentLength) - 1;
+                const result = await this.withRetry(`Copy of part ${partNumber} of ${normalized}`, () => this.client.send(new UploadPartCopyCommand({
+                    Bucket: this.bucket,
+                    Key: normalized,
+                    UploadId,
+                    PartNumber: partNumber,
+                    CopySource: copySource,
+                    CopySourceRange: `bytes=${start}-${end}`
+                })));
+                parts.push({ PartNumber: partNumber, ETag: result.CopyPartResult.ETag });
+            }
+
+            await this.withRetry(`Completing copy of ${normalized}`, () => this.client.send(new CompleteMultipartUploadCommand({
+                Bucket: this.bucket,
+                Key: normalized,
+                UploadId,
+                MultipartUpload: { Parts: parts }
+            })));
+        } catch (error) {
+            await this.client.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: normalized, UploadId }))
+                .catch(() => {});
+            throw error;
+        }
+
+        return true;
+    }
+
+    getUrl(key) {
+        return `${this.publicUrl}/${this.normalizeKey(key)}`;
+    }
+
+    async getSignedUrl(key, expiresIn = 3600) {
+        return getSignedUrl(this.client, new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.normalizeKey(key)
+        }), { expiresIn });
+    }
+
+    /**
+     * Create the bucket (with browser CORS) if it doesn't exist
+     */
+    async ensureBucket() {
+        try {
+            await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+            return false;
+        } catch (error) {
+            if (!this.isNotFound(error)) throw error;
+        }
+
+        await this.client.send(new CreateBucketCommand({
+            Bucket: this.bucket,
+            ...(this.region !== 'us-east-1' && !this.endpoint
+                ? { CreateBucketConfiguration: { LocationConstraint: this.region } }
+                : {})
+        }));
+
+        await this.client.send(new PutBucketCorsCommand({
+            Bucket: this.bucket,
+            CORSConfiguration: {
+                CORSRules: [{
+                    AllowedHeaders: ['*'],
+                    AllowedMethods: ['GET', 'HEAD'],
+                    AllowedOrigins: ['*'],
+                    ExposeHeaders: ['ETag', 'Content-Length', 'Content-Range'],
+                    MaxAgeSeconds: 3000
+                }]
+            }
+        }));
+
+        // Interrupted multipart uploads are resumed on retry; give up on them after a week
+        await this.client.send(new PutBucketLifecycleConfigurationCommand({
+            Bucket: this.bucket,
+            LifecycleConfiguration: {
+                Rules: [{
+                    ID: 'abort-incomplete-multipart-uploads',
+                    Status: 'Enabled',
+                    Filter: { Prefix: '' },
+                    AbortIncompleteMultipartUpload: { DaysAfterInitiation: 7 }
+                }]
+            }
+        }));
+
+        console.log(`✅ Created bucket ${this.bucket}`);
+        return true;
+    }
+}
+
+module.exports = S3StorageDriver;
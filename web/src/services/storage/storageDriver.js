@@ -0,0 +1,83 @@
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.ogg': 'video/ogg',
+    '.m3u8': 'application/x-mpegURL',
+    '.ts': 'video/MP2T',
+    '.m4s': 'video/iso.segment',
+    '.mpd': 'application/dash+xml',
+    '.vtt': 'text/vtt',
+    '.srt': 'application/x-subrip',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml',
+    '.json': 'application/json',
+    '.xml': 'application/xml'
+};
+
+/**
+ * Interface every storage backend implements. Keys are forward-slash paths
+ * relative to the backend's root ("videos/<id>/720p.mp4").
+ *
+ * - put(key, source, options)   source is a local file path or a Buffer;
+ *                               options: contentType, cacheControl, metadata,
+ *                               public (readable without a signed URL),
+ *                               onProgress(bytesUploaded).
+ *                               Resolves { key, url, size, etag }
+ * - get(key)                    Buffer of the whole object
+ * - stream(key, { start, end }) Readable of the object or a byte range
+ * - stat(key)                   { key, size, lastModified, contentType, etag } or null
+ * - list(prefix)                [{ key, size, lastModified }], recursive
+ * - delete(key)                 true if something was deleted
+ * - deletePrefix(prefix)        number of objects deleted
+ * - getUrl(key)                 unsigned URL (only works for public objects)
+ * - getSignedUrl(key, seconds)  URL that stops working after `seconds`
+ * - setStorageClass(key, tier)  move an object to the hot, cool or archive
+ *                               storage class; false if the driver has none
+ */
+class StorageDriver {
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Normalise a key and refuse anything that could escape the root
+     */
+    normalizeKey(key) {
+        const normalized = String(key || '').replace(/\\/g, '/').replace(/^\/+/, '');
+        if (!normalized || normalized.split('/').some(part => part === '..' || part === '.')) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return normalized;
+    }
+
+    normalizePrefix(prefix) {
+        const normalized = this.normalizeKey(prefix);
+        return normalized.endsWith('/') ? normalized : `${normalized}/`;
+    }
+
+    getContentType(key) {
+        return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+    }
+
+    notImplemented(method) {
+        return Promise.reject(new Error(`${this.name} storage driver does not implement ${method}`));
+    }
+
+    put() { return this.notImplemented('put'); }
+    get() { return this.notImplemented('get'); }
+    stream() { return this.notImplemented('stream'); }
+    stat() { return this.notImplemented('stat'); }
+    list() { return this.notImplemented('list'); }
+    delete() { return this.notImplemented('delete'); }
+    deletePrefix() { return this.notImplemented('deletePrefix'); }
+    getUrl() { throw new Error(`${this.name} storage driver does not implement getUrl`); }
+    getSignedUrl() { return this.notImplemented('getSignedUrl'); }
+    setStorageClass() { return Promise.resolve(false); }
+}
+
+module.exports = StorageDriver;
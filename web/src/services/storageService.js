@@ -0,0 +1,151 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { listFilesRecursive } = require('../utils/fileUtils');
+const LocalStorageDriver = require('./storage/localDriver');
+const S3StorageDriver = require('./storage/s3Driver');
+const BunnyStorageDriver = require('./storage/bunnyDriver');
+
+/**
+ * Single entry point for stored media. New files go to the driver named by
+ * STORAGE_DRIVER (local, s3, bunny); each video records the driver it was
+ * stored with, so URLs keep resolving after the default changes.
+ *
+ * Thumbnails are stored public; everything else is private and played
+ * through signed URLs (see playbackService).
+ */
+class StorageService {
+    constructor() {
+        this.driverName = (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+        this.driverClasses = {
+            local: LocalStorageDriver,
+            s3: S3StorageDriver,
+            bunny: BunnyStorageDriver
+        };
+        this.drivers = {};
+    }
+
+    /**
+     * Driver instance by name (default: the configured driver)
+     */
+    getDriver(name = this.driverName) {
+        if (!this.drivers[name]) {
+            const DriverClass = this.driverClasses[name];
+            if (!DriverClass) {
+                throw new Error(`Unknown storage driver "${name}" (expected ${Object.keys(this.driverClasses).join(', ')})`);
+            }
+            this.drivers[name] = new DriverClass();
+        }
+        return this.drivers[name];
+    }
+
+    get driver() {
+        return this.getDriver();
+    }
+
+    put(key, source, options) { return this.driver.put(key, source, options); }
+    get(key) { return this.driver.get(key); }
+    stream(key, range) { return this.driver.stream(key, range); }
+    stat(key) { return this.driver.stat(key); }
+    list(prefix) { return this.driver.list(prefix); }
+    delete(key) { return this.driver.delete(key); }
+    deletePrefix(prefix) { return this.driver.deletePrefix(prefix); }
+    getUrl(key) { return this.driver.getUrl(key); }
+    getSignedUrl(key, expiresIn) { return this.driver.getSignedUrl(key, expiresIn); }
+
+    /**
+     * Key for a file of a video's processed output:
+     * renditions and HLS under videos/<id>/, top-level images under thumbnails/<id>/
+     */
+    getVideoKey(videoId, relativePath) {
+        const file = relativePath.split(path.sep).join('/');
+        if (!file.includes('/') && /\.(jpe?g|png)$/i.test(file)) {
+            return `thumbnails/${videoId}/${file}`;
+        }
+        return `videos/${videoId}/${file}`;
+    }
+
+    isPublicKey(key) {
+        return key.startsWith('thumbnails/');
+    }
+
+    qualityHeight(quality) {
+        if (/^4k$/i.test(quality)) return 2160;
+        return parseInt(quality) || 0;
+    }
+
+    /**
+     * Upload a video's processed output directory
+     * @param {Function} [options.onProgress] - called with { uploadedBytes, totalBytes, uploadedFiles, totalFiles }
+     * @returns {Promise<Object>} - { driver, uploads, keys }; keys locates the
+     *   renditions, thumbnail, preview track and HLS master for playback, and
+     *   the directory and size of each HLS rendition for storage tiering
+     */
+    async uploadVideoFiles(videoId, processedDir, { onProgress } = {}) {
+        const uploads = [];
+        const keys = { renditions: [], thumbnail: null, previewTrack: null, hls: null, hlsRenditions: [] };
+
+        const files = await listFilesRecursive(processedDir);
+        const sizes = await Promise.all(files.map(async file => (await fs.stat(path.join(processedDir, file))).size));
+        const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+        let storedBytes = 0;
+
+        const report = (uploadedBytes, uploadedFiles) => {
+            if (onProgress) {
+                onProgress({ uploadedBytes, totalBytes, uploadedFiles, totalFiles: files.length });
+            }
+        };
+
+        for (const [index, file] of files.entries()) {
+            const key = this.getVideoKey(videoId, file);
+            const upload = await this.driver.put(key, path.join(processedDir, file), {
+                metadata: { videoId },
+                public: this.isPublicKey(key),
+                onProgress: bytes => report(storedBytes + bytes, index)
+            });
+            uploads.push(upload);
+            storedBytes += sizes[index];
+            report(storedBytes, index + 1);
+
+            const rendition = file.match(/^([^/]+)\.mp4$/);
+            if (rendition) {
+                keys.renditions.push({ quality: rendition[1], key, size: upload.size });
+            } else if (file === 'thumbnail.jpg') {
+                keys.thumbnail = key;
+            } else if (file === 'hls/thumbnails/thumbnails.vtt') {
+                keys.previewTrack = key;
+            } else if (file === 'hls/master.m3u8') {
+                keys.hls = key;
+            }
+
+            // Media playlist, init and segments of one rendition (hls/<name>/...)
+            const hlsRendition = file.match(/^hls\/([^/]+)\/[^/]+$/);
+            if (hlsRendition && hlsRendition[1] !== 'thumbnails') {
+                const quality = hlsRendition[1];
+                let rendition = keys.hlsRenditions.find(item => item.quality === quality);
+                if (!rendition) {
+                    rendition = { quality, prefix: `videos/${videoId}/hls/${quality}/`, size: 0 };
+                    keys.hlsRenditions.push(rendition);
+                }
+                rendition.size += upload.size;
+            }
+        }
+
+        keys.renditions.sort((a, b) => this.qualityHeight(a.quality) - this.qualityHeight(b.quality));
+        keys.hlsRenditions.sort((a, b) => this.qualityHeight(a.quality) - this.qualityHeight(b.quality));
+
+        console.log(`📦 Stored ${uploads.length} files for ${videoId} (${this.driverName})`);
+        return { driver: this.driverName, uploads, keys };
+    }
+
+    /**
+     * Remove everything stored for a video
+     */
+    async deleteVideoFiles(videoId, driverName = this.driverName) {
+        const driver = this.getDriver(driverName);
+        const deleted = await driver.deletePrefix(`videos/${videoId}`) + await driver.deletePrefix(`thumbnails/${videoId}`);
+        console.log(`🗑️ Deleted ${deleted} stored files for ${videoId} (${driverName})`);
+        return deleted;
+    }
+}
+
+module.exports = new StorageService();
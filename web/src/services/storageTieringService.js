@@ -0,0 +1,364 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { query } = require('../config/database');
+const { getClient } = require('../config/redis');
+const jobQueue = require('./jobQueue');
+const storageService = require('./storageService');
+
+const GB = 1024 * 1024 * 1024;
+
+/**
+ * Moves stored renditions between storage tiers by how recently a film
+ * was last watched (view_history), or uploaded if it never was:
+ *   hot      within STORAGE_TIER_COOL_DAYS (30)
+ *   cool     within STORAGE_TIER_ARCHIVE_DAYS (90); every rendition kept in
+ *            the driver's cool storage class
+ *   archive  older; MP4 renditions above STORAGE_TIER_ARCHIVE_MAX_HEIGHT (720p)
+ *            are deleted except the highest, which is kept out of playback
+ *            as the master to regenerate them from. The rest move to the
+ *            archive class.
+ *
+ * A sweep runs every STORAGE_TIERING_INTERVAL_HOURS on the job queue.
+ * Playing an archived film queues a restore that regenerates the dropped
+ * renditions from the master and moves the film back to hot.
+ *
+ * HLS renditions (storage_keys.hlsRenditions) change storage class with the
+ * film, every file under the rendition's directory, but are never dropped:
+ * the HLS master playlist and DASH manifest list every rung.
+ *
+ * Drivers without storage classes (local, Bunny) only save the dropped
+ * renditions.
+ */
+class StorageTieringService {
+    constructor() {
+        this.queueName = 'storage-tiering';
+        this.tiers = ['hot', 'cool', 'archive'];
+        this.coolAfterDays = parseInt(process.env.STORAGE_TIER_COOL_DAYS) || 30;
+        this.archiveAfterDays = parseInt(process.env.STORAGE_TIER_ARCHIVE_DAYS) || 90;
+        this.archiveMaxHeight = parseInt(process.env.STORAGE_TIER_ARCHIVE_MAX_HEIGHT) || 720;
+        this.interval = (parseFloat(process.env.STORAGE_TIERING_INTERVAL_HOURS) || 24) * 3600 * 1000;
+        // USD per GB-month; defaults are S3 Standard, Standard-IA and Glacier Instant Retrieval
+        this.costPerGb = {
+            hot: parseFloat(process.env.STORAGE_COST_HOT_GB) || 0.023,
+            cool: parseFloat(process.env.STORAGE_COST_COOL_GB) || 0.0125,
+            archive: parseFloat(process.env.STORAGE_COST_ARCHIVE_GB) || 0.004
+        };
+    }
+
+    async startWorker(options = {}) {
+        await this.scheduleSweep();
+        return jobQueue.process(this.queueName, (job) => this.handleJob(job), options);
+    }
+
+    /**
+     * Queue the next sweep. The job ID is the run time, so every worker that
+     * starts in the same interval schedules the same job.
+     */
+    async scheduleSweep() {
+        const runAt = Math.ceil((Date.now() + 1) / this.interval) * this.interval;
+        return jobQueue.add(this.queueName, { action: 'sweep' }, {
+            delay: runAt - Date.now(),
+            jobId: `sweep-${runAt}`,
+            priority: 'low'
+        });
+    }
+
+    /**
+     * Queue regeneration of an archived film's dropped renditions (at most
+     * one pending restore per film)
+     */
+    async queueRestore(videoId) {
+        const lockKey = `storage_restore:${videoId}`;
+        const claimed = await getClient().set(lockKey, '1', { NX: true, EX: 24 * 3600 });
+        if (!claimed) return null;
+
+        try {
+            return await jobQueue.add(this.queueName, { action: 'restore', videoId }, { priority: 'high' });
+        } catch (error) {
+            await getClient().del(lockKey);
+            throw error;
+        }
+    }
+
+    async handleJob(job) {
+        const { action, videoId } = job.data;
+
+        if (action === 'sweep') {
+            try {
+                return await this.sweep();
+            } finally {
+                await this.scheduleSweep();
+            }
+        }
+        if (action === 'restore') {
+            // The lock stays while a failed restore waits for its retry
+            let restored;
+            try {
+                restored = await this.restore(videoId);
+            } catch (error) {
+                if (jobQueue.isFinalAttempt(job)) {
+                    await getClient().del(`storage_restore:${videoId}`);
+                }
+                throw error;
+            }
+            await getClient().del(`storage_restore:${videoId}`);
+            return restored;
+        }
+
+        const error = new Error(`Unknown storage tiering action: ${action}`);
+        error.retryable = false;
+        throw error;
+    }
+
+    /**
+     * Move every stored film whose tier no longer matches its last activity.
+     * Films leaving the archive are restored (re-encoded) in their own jobs.
+     */
+    async sweep() {
+        const result = await query(`
+            SELECT id, storage_driver, storage_keys, storage_tier, target_tier
+            FROM (
+                SELECT v.id, v.storage_driver, v.storage_keys, COALESCE(v.storage_tier, 'hot') AS storage_tier,
+                       CASE
+                           WHEN activity.last_at > NOW() - make_interval(days => $1) THEN 'hot'
+                           WHEN activity.last_at > NOW() - make_interval(days => $2) THEN 'cool'
+                           ELSE 'archive'
+                       END AS target_tier
+                FROM videos v
+                CROSS JOIN LATERAL (
+                    SELECT GREATEST(v.created_at, (SELECT MAX(vh.created_at) FROM view_history vh WHERE vh.video_id = v.id)) AS last_at
+                ) activity
+                WHERE v.upload_status = 'ready'
+                  AND v.storage_driver IS NOT NULL
+                  AND (jsonb_array_length(COALESCE(v.storage_keys->'renditions', '[]'::jsonb)) > 0
+                       OR jsonb_array_length(COALESCE(v.storage_keys->'hlsRenditions', '[]'::jsonb)) > 0)
+            ) films
+            WHERE target_tier <> storage_tier
+        `, [this.coolAfterDays, this.archiveAfterDays]);
+
+        const moved = { hot: 0, cool: 0, archive: 0, restoring: 0, failed: 0 };
+        for (const video of result.rows) {
+            try {
+                if (video.storage_keys.archive) {
+                    await this.queueRestore(video.id);
+                    moved.restoring++;
+                } else {
+                    await this.applyTier(video, video.target_tier);
+                    moved[video.target_tier]++;
+                }
+            } catch (error) {
+                moved.failed++;
+                console.error(`Storage tiering error for ${video.id}:`, error);
+            }
+        }
+
+        console.log(`🧊 Storage tiering: ${result.rows.length} films due, ${JSON.stringify(moved)}`);
+        return moved;
+    }
+
+    /**
+     * Move a film's renditions to a tier. Storage classes change first and
+     * the row is saved before dropped renditions are deleted, so a failure
+     * part way never leaves the row pointing at deleted files.
+     */
+    async applyTier(video, tier) {
+        const driver = storageService.getDriver(video.storage_driver);
+        const keys = { ...video.storage_keys };
+        let renditions = keys.renditions.map(rendition => ({ ...rendition }));
+        let dropped = [];
+
+        if (tier === 'archive' && !keys.archive) {
+            const above = renditions.filter(rendition => storageService.qualityHeight(rendition.quality) > this.archiveMaxHeight);
+            if (above.length > 0) {
+                const master = above[above.length - 1];
+                dropped = above.slice(0, -1);
+                master.tier = await this.setTier(driver, master, 'archive');
+                keys.archive = {
+                    master,
+                    dropped: dropped.map(({ quality, key, size }) => ({ quality, key, size }))
+                };
+                renditions = renditions.filter(rendition => !above.includes(rendition));
+            }
+        }
+
+        for (const rendition of renditions) {
+            rendition.tier = await this.setTier(driver, rendition, tier);
+        }
+        keys.renditions = renditions;
+
+        if (keys.hlsRenditions) {
+            const hlsRenditions = keys.hlsRenditions.map(rendition => ({ ...rendition }));
+            for (const rendition of hlsRenditions) {
+                rendition.tier = await this.setDirectoryTier(driver, rendition, tier);
+            }
+            keys.hlsRenditions = hlsRenditions;
+        }
+
+        await this.saveTier(video.id, tier, keys);
+
+        for (const rendition of dropped) {
+            await driver.delete(rendition.key);
+        }
+
+        console.log(`🧊 ${video.id} moved to ${tier} storage${dropped.length ? ` (dropped ${dropped.map(r => r.quality).join(', ')})` : ''}`);
+        return keys;
+    }
+
+    /**
+     * @returns {Promise<string>} - the rendition's tier afterwards; 'hot' if
+     *   the driver has no storage class for the tier
+     */
+    async setTier(driver, rendition, tier) {
+        if ((rendition.tier || 'hot') === tier) return tier;
+        return await driver.setStorageClass(rendition.key, tier) ? tier : 'hot';
+    }
+
+    /**
+     * setTier for every stored file of an HLS rendition
+     */
+    async setDirectoryTier(driver, rendition, tier) {
+        if ((rendition.tier || 'hot') === tier) return tier;
+
+        for (const file of await driver.list(rendition.prefix)) {
+            if (!await driver.setStorageClass(file.key, tier)) return 'hot';
+        }
+        return tier;
+    }
+
+    async saveTier(videoId, tier, keys) {
+        await query(`
+            UPDATE videos SET
+                storage_tier = $1,
+                storage_keys = $2,
+                storage_tier_changed_at = NOW(),
+                updated_at = NOW()
+            WHERE id = $3
+        `, [tier, JSON.stringify(keys), videoId]);
+    }
+
+    /**
+     * Bring an archived film back to hot: re-encode the dropped renditions
+     * from the master and return everything to the hot storage class
+     */
+    async restore(videoId) {
+        const result = await query(
+            'SELECT id, storage_driver, storage_keys FROM videos WHERE id = $1',
+            [videoId]
+        );
+        const video = result.rows[0];
+        if (!video || !video.storage_keys?.archive) {
+            return { skipped: true };
+        }
+
+        const driver = storageService.getDriver(video.storage_driver);
+        const { archive, ...keys } = video.storage_keys;
+        const regenerated = await this.regenerate(videoId, driver, archive);
+
+        const renditions = [...keys.renditions, archive.master, ...regenerated];
+        for (const rendition of renditions) {
+            rendition.tier = await this.setTier(driver, rendition, 'hot');
+        }
+        keys.renditions = renditions.sort((a, b) =>
+            storageService.qualityHeight(a.quality) - storageService.qualityHeight(b.quality));
+
+        await this.saveTier(videoId, 'hot', keys);
+        console.log(`🔥 ${videoId} restored to hot storage (regenerated ${regenerated.map(r => r.quality).join(', ') || 'nothing'})`);
+        return { videoId, regenerated: regenerated.length };
+    }
+
+    /**
+     * Encode the dropped renditions from the archived master and store them
+     * under their original keys
+     */
+    async regenerate(videoId, driver, archive) {
+        if (archive.dropped.length === 0) return [];
+
+        // Loaded on demand: only restores need the transcoder
+        const transcodeService = require('./transcodeService');
+        const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'restore-'));
+
+        try {
+            const masterPath = path.join(workDir, 'master.mp4');
+            await pipeline(await driver.stream(archive.master.key), createWriteStream(masterPath));
+
+            const regenerated = [];
+            for (const rendition of archive.dropped) {
+                const quality = transcodeService.outputQualities.find(q => q.name === rendition.quality);
+                if (!quality) {
+                    throw new Error(`Unknown rendition quality ${rendition.quality}`);
+                }
+
+                const outputPath = await transcodeService.transcodeToQuality(masterPath, workDir, quality, videoId);
+                const upload = await driver.put(rendition.key, outputPath, { metadata: { videoId } });
+                regenerated.push({ quality: rendition.quality, key: upload.key, size: upload.size, tier: 'hot' });
+            }
+            return regenerated;
+        } finally {
+            await fs.rm(workDir, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Films and bytes per tier and the estimated monthly saving over keeping
+     * every rendition in hot storage, for the admin dashboard
+     */
+    async getSummary() {
+        const films = await query(`
+            SELECT COALESCE(storage_tier, 'hot') AS tier, COUNT(*) AS count
+            FROM videos
+            WHERE storage_driver IS NOT NULL
+            GROUP BY 1
+        `);
+
+        // Stored renditions (MP4 and HLS, and archived masters) by the class they are in
+        const stored = await query(`
+            SELECT COALESCE(r->>'tier', 'hot') AS tier, COALESCE(SUM((r->>'size')::bigint), 0) AS bytes
+            FROM videos v
+            CROSS JOIN LATERAL jsonb_array_elements(
+                COALESCE(v.storage_keys->'renditions', '[]'::jsonb) ||
+                COALESCE(v.storage_keys->'hlsRenditions', '[]'::jsonb) ||
+                CASE WHEN jsonb_typeof(v.storage_keys->'archive') = 'object'
+                     THEN jsonb_build_array(v.storage_keys->'archive'->'master')
+                     ELSE '[]'::jsonb END
+            ) r
+            WHERE v.storage_driver IS NOT NULL
+            GROUP BY 1
+        `);
+
+        const dropped = await query(`
+            SELECT COALESCE(SUM((d->>'size')::bigint), 0) AS bytes
+            FROM videos v
+            CROSS JOIN LATERAL jsonb_array_elements(v.storage_keys->'archive'->'dropped') d
+            WHERE jsonb_typeof(v.storage_keys->'archive') = 'object'
+        `);
+
+        const tiers = {};
+        for (const tier of this.tiers) {
+            const filmRow = films.rows.find(row => row.tier === tier);
+            const storedRow = stored.rows.find(row => row.tier === tier);
+            tiers[tier] = {
+                videos: filmRow ? parseInt(filmRow.count) : 0,
+                bytes: storedRow ? parseInt(storedRow.bytes) : 0
+            };
+        }
+        const droppedBytes = parseInt(dropped.rows[0].bytes);
+
+        const monthlyCost = this.tiers.reduce((sum, tier) => sum + (tiers[tier].bytes / GB) * this.costPerGb[tier], 0);
+        const storedBytes = this.tiers.reduce((sum, tier) => sum + tiers[tier].bytes, 0);
+        const allHotCost = ((storedBytes + droppedBytes) / GB) * this.costPerGb.hot;
+        const round = (amount) => Math.round(amount * 100) / 100;
+
+        return {
+            tiers,
+            dropped_bytes: droppedBytes,
+            monthly_cost: round(monthlyCost),
+            monthly_cost_all_hot: round(allHotCost),
+            monthly_savings: round(allHotCost - monthlyCost)
+        };
+    }
+}
+
+module.exports = new StorageTieringService();
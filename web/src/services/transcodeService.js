@@ -3,13 +3,26 @@ const path = require('path');
 const fs = require('fs').promises;
 const { query } = require('../config/database');
 const { cache } = require('../config/redis');
-const s3Service = require('./s3Service');
-const bunnyCdnService = require('./bunnyCdnService');
+const { listFilesRecursive } = require('../utils/fileUtils');
+const storageService = require('./storageService');
+const hlsService = require('./hlsService');
+const jobQueue = require('./jobQueue');
+const scanningService = require('./scanningService');
+const fingerprintService = require('./fingerprintService');
+
+// Share of the progress bar for encoding; publishing to storage fills the rest
+const TRANSCODE_PROGRESS_SHARE = 90;
+// How long encodes from a failed attempt are kept for the next attempt to publish
+const ENCODED_OUTPUT_TTL = 24 * 3600;
 
 class TranscodeService {
     constructor() {
         this.isProcessing = false;
         this.currentJob = null;
+        this.queueName = 'transcode';
+        this.worker = null;
+        // MP4 renditions of films stored before everything went through the
+        // HLS ladder; storage tiering re-encodes dropped ones at these settings
         this.outputQualities = [
             { name: '360p', width: 640, height: 360, bitrate: '1000k', audioBitrate: '96k' },
             { name: '480p', width: 854, height: 480, bitrate: '2500k', audioBitrate: '96k' },
@@ -19,6 +32,15 @@ class TranscodeService {
         ];
     }
 
+    /**
+     * Queue a film for transcoding
+     * @param {Object} film - filmId, userId, filePath, originalName
+     * @param {string} priority - critical | high | normal | low
+     */
+    async queueFilm({ filmId, userId, filePath, originalName }, priority = 'normal') {
+        return jobQueue.add(this.queueName, { filmId, userId, filePath, originalName }, { priority });
+    }
+
     async startProcessing() {
         if (this.isProcessing) {
             console.log('⚙️ Transcoding service already running');
@@ -28,40 +50,36 @@ class TranscodeService {
         console.log('🚀 Starting transcoding service...');
         this.isProcessing = true;
 
-        while (this.isProcessing) {
-            try {
-                const job = await cache.rpop('transcode_queue');
-                
-                if (!job) {
-                    // No jobs in queue, wait 5 seconds
-                    await new Promise(resolve => setTimeout(resolve, 5000));
-                    continue;
-                }
+        // Films left in the old transcode_queue list were plain job objects
+        await jobQueue.drainLegacyList('transcode_queue', this.queueName, (job) => job);
 
-                this.currentJob = job;
-                console.log(`📹 Processing film: ${job.filmId}`);
+        this.worker = jobQueue.process(this.queueName, async (job) => {
+            this.currentJob = job.data;
+            console.log(`📹 Processing film: ${job.data.filmId} (attempt ${job.attempts}/${job.maxAttempts})`);
 
-                await this.processFilm(job);
-
-            } catch (error) {
-                console.error('❌ Transcoding service error:', error);
-                
-                if (this.currentJob) {
-                    await this.markFilmAsFailed(this.currentJob.filmId, error.message);
-                }
-                
-                // Wait before continuing
-                await new Promise(resolve => setTimeout(resolve, 10000));
+            try {
+                await this.processFilm(job.data, { finalAttempt: jobQueue.isFinalAttempt(job) });
+            } finally {
+                this.currentJob = null;
             }
-        }
+        });
+
+        await this.worker.done;
+        this.isProcessing = false;
     }
 
     async stopProcessing() {
         console.log('🛑 Stopping transcoding service...');
-        this.isProcessing = false;
+        if (this.worker) {
+            this.worker.stop();
+        }
     }
 
-    async processFilm(job) {
+    /**
+     * Transcode a film. Throws on failure so the job queue can retry it; the
+     * film is only marked failed and its source removed on the final attempt.
+     */
+    async processFilm(job, { finalAttempt = true } = {}) {
         const { filmId, userId, filePath, originalName } = job;
 
         try {
@@ -79,94 +97,43 @@ class TranscodeService {
                 ['processing', filmId]
             );
 
-            // Analyze input file
-            const fileInfo = await this.analyzeFile(filePath);
-            console.log(`📊 File analysis for ${filmId}:`, fileInfo);
-
-            // Create output directory
             const outputDir = path.join(__dirname, '../../uploads/processed', filmId);
-            await fs.mkdir(outputDir, { recursive: true });
-
-            // Generate thumbnail
-            const thumbnailPath = await this.generateThumbnail(filePath, outputDir);
-
-            // Determine which qualities to encode based on source resolution
-            const qualitiesList = this.determineOutputQualities(fileInfo);
-
-            // Transcode to multiple qualities
-            const transcodeResults = [];
-            for (let i = 0; i < qualitiesList.length; i++) {
-                const quality = qualitiesList[i];
-                
-                // Update progress
-                const progress = Math.round((i / qualitiesList.length) * 100);
-                await cache.set(`transcode_progress:${filmId}`, progress, 3600);
-
-                // Check for cancellation again
-                const cancelled = await cache.get(`transcode_cancelled:${filmId}`);
-                if (cancelled) {
-                    console.log(`⏹️ Job cancelled during processing: ${filmId}`);
-                    await this.cleanupFiles(filePath, outputDir);
-                    return;
-                }
 
-                console.log(`🎬 Encoding ${quality.name} for ${filmId}...`);
-                const outputPath = await this.transcodeToQuality(filePath, outputDir, quality, filmId);
-                
-                if (outputPath) {
-                    const fileSize = await this.getFileSize(outputPath);
-                    transcodeResults.push({
-                        quality: quality.name,
-                        path: outputPath,
-                        size: fileSize,
-                        bitrate: quality.bitrate
-                    });
-
-                    // Store in database
-                    await query(`
-                        INSERT INTO video_files (video_id, quality, file_path, file_size, bitrate, codec)
-                        VALUES ($1, $2, $3, $4, $5, $6)
-                    `, [filmId, quality.name, outputPath, fileSize, quality.bitrate, 'h264']);
-                }
-            }
-
-            // Upload to CDN (S3 + Bunny CDN)
-            console.log(`📤 Uploading files to CDN for ${filmId}...`);
-            let cdnUploads = [];
-            
-            try {
-                // Try Bunny CDN first (faster/cheaper)
-                cdnUploads = await bunnyCdnService.uploadVideoFiles(filmId, outputDir);
-                console.log(`✅ Uploaded to Bunny CDN: ${cdnUploads.length} files`);
-            } catch (error) {
-                console.warn('⚠️ Bunny CDN upload failed, falling back to S3:', error.message);
-                try {
-                    // Fallback to S3
-                    cdnUploads = await s3Service.uploadVideoFiles(filmId, outputDir);
-                    console.log(`✅ Uploaded to S3: ${cdnUploads.length} files`);
-                } catch (s3Error) {
-                    console.error('❌ Both CDN uploads failed:', s3Error.message);
-                    // Continue with local files
-                }
+            // An attempt that failed while publishing leaves its encodes in
+            // place; publish those (resuming interrupted uploads) instead of
+            // encoding again
+            let encoded = await this.getEncodedOutput(filmId);
+            if (encoded) {
+                console.log(`♻️ Reusing encoded output for ${filmId}`);
+            } else {
+                encoded = await this.encodeFilm(filmId, filePath, outputDir);
+                if (!encoded) return;
+                await cache.set(`transcode_encoded:${filmId}`, encoded, ENCODED_OUTPUT_TTL);
             }
+            const { transcodeResults, previewTrackPath } = encoded;
+
+            // Store the output through the configured storage driver. A
+            // failure here fails the attempt so the job queue retries it.
+            console.log(`📤 Storing files for ${filmId}...`);
+            await this.setProgress(filmId, 'publishing', TRANSCODE_PROGRESS_SHARE, 'Publishing');
+            const stored = await storageService.uploadVideoFiles(filmId, outputDir, {
+                onProgress: this.publishingProgress(filmId)
+            });
+            const storageDriver = storageService.getDriver(stored.driver);
 
-            // Update URLs in transcodeResults with CDN URLs
             const updatedResults = transcodeResults.map(result => {
-                const cdnFile = cdnUploads.find(upload => 
-                    upload.cdnUrl && upload.cdnUrl.includes(result.quality)
-                );
+                const rendition = stored.keys.renditions.find(item => item.quality === result.quality);
                 return {
                     ...result,
-                    url: cdnFile ? cdnFile.cdnUrl : result.path,
-                    cdnUrl: cdnFile ? cdnFile.cdnUrl : null
+                    key: rendition ? rendition.key : null,
+                    url: rendition ? storageDriver.getUrl(rendition.key) : null
                 };
             });
 
-            // Find thumbnail CDN URL
-            const thumbnailCdn = cdnUploads.find(upload => 
-                upload.cdnUrl && upload.cdnUrl.includes('thumbnail')
-            );
-            const finalThumbnailUrl = thumbnailCdn ? thumbnailCdn.cdnUrl : thumbnailPath;
+            const finalThumbnailUrl = stored.keys.thumbnail ? storageDriver.getUrl(stored.keys.thumbnail) : null;
+            const previewThumbnailsUrl = previewTrackPath && stored.keys.previewTrack
+                ? storageDriver.getUrl(stored.keys.previewTrack)
+                : null;
 
             // Update film record with results
             await query(`
@@ -175,29 +142,39 @@ class TranscodeService {
                     thumbnail_url = $2,
                     video_quality = $3,
                     cdn_urls = $4,
+                    preview_thumbnails_url = $5,
+                    storage_driver = $6,
+                    storage_keys = $7,
                     updated_at = NOW()
-                WHERE id = $5
+                WHERE id = $8
             `, [
                 'ready',
                 finalThumbnailUrl,
                 JSON.stringify(updatedResults.map(r => ({ 
                     quality: r.quality, 
                     size: r.size,
-                    url: r.url,
-                    cdnUrl: r.cdnUrl 
+                    key: r.key,
+                    url: r.url
                 }))),
-                JSON.stringify(cdnUploads),
+                JSON.stringify(stored.uploads.map(upload => ({ key: upload.key, url: upload.url, size: upload.size }))),
+                previewThumbnailsUrl,
+                stored.driver,
+                JSON.stringify(stored.keys),
                 filmId
             ]);
 
+            // Fingerprints and the pre-moderation scan while the source is
+            // still here; neither fails the job, an unscanned film just
+            // waits for a moderator
+            const fingerprints = await fingerprintService.fingerprintVideo(filmId, filePath);
+            await scanningService.scanVideo(filmId, filePath, { fingerprints });
+
             // Clean up original file
             await this.cleanupFiles(filePath);
             
-            // Clean up local processed files after CDN upload
-            if (cdnUploads.length > 0) {
-                await this.cleanupFiles(outputDir);
-                console.log(`🗑️ Cleaned up local files for ${filmId}`);
-            }
+            // The storage driver has its own copy now
+            await this.cleanupFiles(outputDir);
+            console.log(`🗑️ Cleaned up local files for ${filmId}`);
             
             // Mark original as deleted
             await query(
@@ -208,6 +185,7 @@ class TranscodeService {
             // Clear progress cache
             await cache.del(`transcode_progress:${filmId}`);
             await cache.del(`transcode_cancelled:${filmId}`);
+            await cache.del(`transcode_encoded:${filmId}`);
 
             console.log(`✅ Successfully processed film: ${filmId}`);
 
@@ -219,58 +197,129 @@ class TranscodeService {
                     thumbnailUrl: finalThumbnailUrl,
                     qualities: updatedResults.map(r => ({
                         quality: r.quality,
-                        url: r.url,
-                        cdnUrl: r.cdnUrl
+                        url: r.url
                     })),
-                    cdnEnabled: cdnUploads.length > 0
+                    storageDriver: stored.driver
                 });
             }
 
         } catch (error) {
             console.error(`❌ Failed to process film ${filmId}:`, error);
-            await this.markFilmAsFailed(filmId, error.message);
-            await this.cleanupFiles(filePath);
+            if (finalAttempt) {
+                await this.markFilmAsFailed(filmId, error.message);
+                await this.cleanupFiles(filePath, path.join(__dirname, '../../uploads/processed', filmId));
+                await cache.del(`transcode_encoded:${filmId}`);
+            }
+            throw error;
         }
     }
 
-    async analyzeFile(filePath) {
-        return new Promise((resolve, reject) => {
-            ffmpeg.ffprobe(filePath, (err, metadata) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+    /**
+     * Encode thumbnail, scrubbing previews and the per-title HLS/DASH ladder
+     * (AES-128 encrypted HLS only for films with hls_encrypted set) into outputDir
+     * @returns {Promise<Object|null>} - { transcodeResults, previewTrackPath }, or null if the job was cancelled
+     */
+    async encodeFilm(filmId, filePath, outputDir) {
+        await fs.mkdir(outputDir, { recursive: true });
 
-                const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-                const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
-
-                resolve({
-                    duration: metadata.format.duration,
-                    size: metadata.format.size,
-                    bitrate: metadata.format.bit_rate,
-                    video: videoStream ? {
-                        width: videoStream.width,
-                        height: videoStream.height,
-                        codec: videoStream.codec_name,
-                        fps: eval(videoStream.r_frame_rate)
-                    } : null,
-                    audio: audioStream ? {
-                        codec: audioStream.codec_name,
-                        channels: audioStream.channels,
-                        sampleRate: audioStream.sample_rate
-                    } : null
-                });
-            });
+        // Generate thumbnail
+        await this.generateThumbnail(filePath, outputDir);
+
+        // Sprite sheets + WebVTT track for scrubbing previews, kept with the
+        // HLS output. Optional: playback works without them.
+        let previewTrackPath = null;
+        try {
+            const previews = await hlsService.generatePreviewThumbnails(filePath, path.join(outputDir, 'hls'), filmId);
+            previewTrackPath = previews.track;
+        } catch (error) {
+            console.warn(`⚠️ Preview thumbnails failed for ${filmId}:`, error.message);
+        }
+
+        // Check for cancellation again before the long encode
+        const cancelled = await cache.get(`transcode_cancelled:${filmId}`);
+        if (cancelled) {
+            console.log(`⏹️ Job cancelled during processing: ${filmId}`);
+            await this.cleanupFiles(filePath, outputDir);
+            return null;
+        }
+
+        // Every rung comes out of one decode of the source. Films flagged for
+        // encryption get no DASH manifest, since DASH players can't decrypt them.
+        const flags = await query('SELECT hls_encrypted FROM videos WHERE id = $1', [filmId]);
+        const encrypt = Boolean(flags.rows[0]?.hls_encrypted);
+        const message = encrypt ? 'Encoding encrypted HLS' : 'Encoding HLS';
+
+        await this.setProgress(filmId, 'transcoding', 0, message);
+        const hls = await hlsService.generateHLS(filePath, outputDir, filmId, {
+            encrypt,
+            onProgress: (percent) => {
+                this.setProgress(filmId, 'transcoding', Math.floor(percent * TRANSCODE_PROGRESS_SHARE / 100), message)
+                    .catch(error => console.error(`Error updating progress for ${filmId}:`, error));
+            }
         });
+
+        const transcodeResults = await Promise.all(hls.variants.map(async variant => ({
+            quality: variant.quality,
+            path: path.join(hls.hlsDirectory, variant.playlistPath),
+            size: await this.getDirectorySize(path.join(hls.hlsDirectory, path.dirname(variant.playlistPath))),
+            bitrate: `${Math.round(variant.bandwidth / 1000)}k`
+        })));
+        return { transcodeResults, previewTrackPath };
     }
 
-    determineOutputQualities(fileInfo) {
-        if (!fileInfo.video) return [this.outputQualities[0]]; // Default to 360p
+    /**
+     * Encoded output left by an earlier attempt, if all of it is still on disk
+     */
+    async getEncodedOutput(filmId) {
+        const encoded = await cache.get(`transcode_encoded:${filmId}`);
+        if (!encoded || encoded.transcodeResults.length === 0) return null;
 
-        const sourceHeight = fileInfo.video.height;
-        
-        // Only encode qualities that are equal to or less than source
-        return this.outputQualities.filter(quality => quality.height <= sourceHeight);
+        try {
+            await Promise.all(encoded.transcodeResults.map(result => fs.access(result.path)));
+            return encoded;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Progress shown to the uploader: kept in Redis for GET /api/upload/status
+     * and pushed to the film's upload room
+     */
+    async setProgress(filmId, phase, progress, message, details = {}) {
+        const progressData = {
+            status: 'processing',
+            phase,
+            progress,
+            message,
+            ...details,
+            updatedAt: new Date().toISOString()
+        };
+
+        await cache.set(`transcode_progress:${filmId}`, progressData, 3600);
+        if (global.io) {
+            global.io.to(`upload-${filmId}`).emit('upload-progress', { filmId, ...progressData });
+        }
+    }
+
+    /**
+     * onProgress callback for storageService.uploadVideoFiles. Publishing fills
+     * the last part of the progress bar; updates are sent once per percent.
+     */
+    publishingProgress(filmId) {
+        let lastProgress = TRANSCODE_PROGRESS_SHARE;
+
+        return ({ uploadedBytes, totalBytes, uploadedFiles, totalFiles }) => {
+            const fraction = totalBytes > 0 ? uploadedBytes / totalBytes : 1;
+            const progress = TRANSCODE_PROGRESS_SHARE + Math.floor(fraction * (100 - TRANSCODE_PROGRESS_SHARE));
+            if (progress <= lastProgress && uploadedFiles < totalFiles) return;
+            lastProgress = progress;
+
+            this.setProgress(filmId, 'publishing', progress, `Publishing (${uploadedFiles}/${totalFiles} files)`, {
+                uploadedBytes,
+                totalBytes
+            }).catch(error => console.error(`Error updating progress for ${filmId}:`, error));
+        };
     }
 
     async generateThumbnail(inputPath, outputDir) {
@@ -340,6 +389,12 @@ class TranscodeService {
         }
     }
 
+    async getDirectorySize(directory) {
+        const files = await listFilesRecursive(directory);
+        const sizes = await Promise.all(files.map(file => this.getFileSize(path.join(directory, file))));
+        return sizes.reduce((sum, size) => sum + size, 0);
+    }
+
     async markFilmAsFailed(filmId, errorMessage) {
         try {
             await query(
@@ -377,9 +432,10 @@ class TranscodeService {
     // Get queue status
     async getQueueStatus() {
         try {
-            const queueLength = await cache.llen('transcode_queue');
+            const counts = await jobQueue.getCounts(this.queueName);
             return {
-                queueLength,
+                queueLength: counts.waiting + counts.delayed,
+                counts,
                 isProcessing: this.isProcessing,
                 currentJob: this.currentJob
             };
@@ -390,25 +446,8 @@ class TranscodeService {
     }
 }
 
-// Singleton instance
+// Singleton instance; transcode-worker.js starts processing once connections are up
+// and owns the shutdown handlers, so requiring this module has no side effects
 const transcodeService = new TranscodeService();
 
-// Start the service when the module is loaded
-process.nextTick(() => {
-    transcodeService.startProcessing();
-});
-
-// Graceful shutdown
-process.on('SIGINT', async () => {
-    console.log('\n📵 Received SIGINT, shutting down transcoding service...');
-    await transcodeService.stopProcessing();
-    process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-    console.log('\n📵 Received SIGTERM, shutting down transcoding service...');
-    await transcodeService.stopProcessing();
-    process.exit(0);
-});
-
-module.exports = transcodeService;
\ No newline at end of file
+module.exports = transcodeService;
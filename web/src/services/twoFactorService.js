@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { cache, getClient } = require('../config/redis');
+const User = require('../models/User');
+const RecoveryCode = require('../models/RecoveryCode');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // Accept the previous and next code for clock drift
+const SETUP_TTL = 10 * 60;
+const CHALLENGE_TTL = 5 * 60;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * TOTP two-factor authentication (RFC 6238: SHA-1, 6 digits, 30 seconds,
+ * which every authenticator app supports).
+ *
+ * Optional for everyone and required for super admins. A login with 2FA enabled
+ * stops after the password with a short-lived challenge, and the session is
+ * only opened once a code or recovery code is given. Sessions remember when
+ * they last passed a 2FA check, and destructive admin actions
+ * (requireRecentTwoFactor) need one within TWO_FACTOR_RECENT_MINUTES.
+ */
+class TwoFactorService {
+    constructor() {
+        this.issuer = process.env.TWO_FACTOR_ISSUER || 'ReelShorts';
+        this.recentWindow = (parseInt(process.env.TWO_FACTOR_RECENT_MINUTES) || 15) * 60;
+        this.challengeTtl = CHALLENGE_TTL;
+    }
+
+    // Super admins can't use admin tools without 2FA
+    isRequired({ staffRoles = [] }) {
+        return staffRoles.includes('super_admin');
+    }
+
+    generateSecret() {
+        return base32Encode(crypto.randomBytes(20));
+    }
+
+    generateCode(secret, step = Math.floor(Date.now() / 1000 / STEP_SECONDS)) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+        return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+    }
+
+    /**
+     * Check a code against a secret. Each code is accepted once per user, so
+     * one read over a shoulder or out of a log can't be replayed.
+     */
+    async verifyCode(userId, secret, code) {
+        const normalized = String(code || '').replace(/\s/g, '');
+        if (!/^\d{6}$/.test(normalized)) return false;
+
+        const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+        for (let step = currentStep - DRIFT_STEPS; step <= currentStep + DRIFT_STEPS; step++) {
+            const expected = this.generateCode(secret, step);
+            if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) continue;
+
+            const fresh = await getClient().set(`totp_used:${userId}:${step}`, '1', {
+                NX: true,
+                EX: STEP_SECONDS * (DRIFT_STEPS * 2 + 2)
+            });
+            return Boolean(fresh);
+        }
+
+        return false;
+    }
+
+    /**
+     * Check the second factor of an enrolled user: an authenticator code or,
+     * failing that, a recovery code (used up on success)
+     * @returns {Promise<string|null>} - 'totp' or 'recovery_code', or null
+     */
+    async verifySecondFactor(userId, { code, recoveryCode }) {
+        const twoFactor = await User.getTwoFactor(userId);
+        if (!twoFactor || !twoFactor.two_factor_enabled) return null;
+
+        if (code && await this.verifyCode(userId, twoFactor.two_factor_secret, code)) {
+            return 'totp';
+        }
+        if (recoveryCode && await RecoveryCode.consume(userId, recoveryCode)) {
+            const remaining = await RecoveryCode.countRemaining(userId);
+            console.warn(`🔑 Recovery code used by user ${userId}, ${remaining} left`);
+            return 'recovery_code';
+        }
+        return null;
+    }
+
+    /**
+     * Start enrollment: a new secret, held for SETUP_TTL until confirmed with a code
+     * @returns {Promise<Object>} - { secret, otpauthUrl, qrCode (PNG data URL), expiresIn }
+     */
+    async startSetup(user) {
+        const secret = this.generateSecret();
+        await cache.set(`two_factor_setup:${user.id}`, { secret }, SETUP_TTL);
+
+        const label = encodeURIComponent(`${this.issuer}:${user.email}`);
+        const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(this.issuer)}` +
+            `&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+        return {
+            secret,
+            otpauthUrl,
+            qrCode: await QRCode.toDataURL(otpauthUrl),
+            expiresIn: SETUP_TTL
+        };
+    }
+
+    /**
+     * Finish enrollment once the user proves their app has the secret
+     * @returns {Promise<string[]|null>} - new recovery codes, or null if the
+     *   code is wrong or setup expired
+     */
+    async confirmSetup(userId, code) {
+        const pending = await cache.get(`two_factor_setup:${userId}`);
+        if (!pending || !await this.verifyCode(userId, pending.secret, code)) {
+            return null;
+        }
+
+        await User.enableTwoFactor(userId, pending.secret);
+        await cache.del(`two_factor_setup:${userId}`);
+        return RecoveryCode.regenerate(userId);
+    }
+
+    async disable(userId) {
+        await User.disableTwoFactor(userId);
+        await RecoveryCode.deleteAll(userId);
+    }
+
+    /**
+     * Second login step: remember who passed the password check
+     * @returns {Promise<string>} - challenge token for POST /api/auth/login/2fa
+     */
+    async createChallenge(userId, { deviceName = null } = {}) {
+        const token = crypto.randomBytes(32).toString('base64url');
+        await cache.set(`two_factor_challenge:${token}`, { userId, deviceName, attempts: 0 }, CHALLENGE_TTL);
+        return token;
+    }
+
+    getChallenge(token) {
+        if (typeof token !== 'string' || !token) return null;
+        return cache.get(`two_factor_challenge:${token}`);
+    }
+
+    // A wrong code; the challenge is dropped after MAX_CHALLENGE_ATTEMPTS
+    async failChallenge(token, challenge) {
+        challenge.attempts += 1;
+        if (challenge.attempts >= MAX_CHALLENGE_ATTEMPTS) {
+            await cache.del(`two_factor_challenge:${token}`);
+            return 0;
+        }
+
+        await cache.set(`two_factor_challenge:${token}`, challenge, CHALLENGE_TTL);
+        return MAX_CHALLENGE_ATTEMPTS - challenge.attempts;
+    }
+
+    async completeChallenge(token) {
+        await cache.del(`two_factor_challenge:${token}`);
+    }
+
+    // Record that a session just passed a 2FA check
+    async markVerified(userId, sessionId) {
+        const verifiedUntil = new Date(Date.now() + this.recentWindow * 1000).toISOString();
+        await cache.set(`two_factor_verified:${userId}:${sessionId}`, { verifiedUntil }, this.recentWindow);
+        return verifiedUntil;
+    }
+
+    async isRecentlyVerified(userId, sessionId) {
+        if (!sessionId) return false;
+        return Boolean(await cache.exists(`two_factor_verified:${userId}:${sessionId}`));
+    }
+}
+
+module.exports = new TwoFactorService();
@@ -4,6 +4,10 @@ const path = require('path');
 const fs = require('fs').promises;
 const { cache } = require('../config/redis');
 const { query } = require('../config/database');
+const jobQueue = require('./jobQueue');
+const diskSpaceService = require('./diskSpaceService');
+const scanningService = require('./scanningService');
+const fingerprintService = require('./fingerprintService');
 
 const execAsync = promisify(exec);
 
@@ -12,14 +16,27 @@ class VideoProcessingService {
         this.processingPath = process.env.PROCESSING_DRIVE || '/mnt/HC_Volume_103339423';
         this.scriptsPath = path.join(__dirname, '../../../scripts'); // Use scripts from main codebase
         this.inboxPath = path.join(this.processingPath, 'processing', 'inbox');
+        this.workingPath = path.join(this.processingPath, 'processing', 'working');
         this.outputPath = path.join(this.processingPath, 'processing', 'output');
         this.logsPath = path.join(this.processingPath, 'logs');
+        this.queueName = 'video-processing';
+
+        // A dead-lettered job keeps its inbox file so it can be requeued;
+        // the file goes when the job is removed
+        jobQueue.registerSource(this.queueName, {
+            exists: (job) => job.data.inboxFile
+                ? fs.access(job.data.inboxFile).then(() => true, () => false)
+                : false,
+            discard: (job) => job.data.inboxFile
+                ? fs.unlink(job.data.inboxFile).catch(() => {})
+                : null
+        });
     }
 
     /**
      * Add video to processing queue
      */
-    async queueVideo(filmId, filePath, userId) {
+    async queueVideo(filmId, filePath, userId, priority = 'normal') {
         try {
             console.log(`Queueing video for processing: ${filmId}`);
             
@@ -31,22 +48,17 @@ class VideoProcessingService {
             // Move file to processing inbox
             await fs.rename(filePath, inboxFile);
             
-            // Create processing job metadata
-            const jobData = {
+            // Add to processing queue; if that fails the file goes back, so
+            // the caller still has it
+            const job = await jobQueue.add(this.queueName, {
                 filmId,
                 userId,
                 originalName,
-                inboxFile,
-                status: 'queued',
-                queuedAt: new Date().toISOString(),
-                priority: 'normal'
-            };
-            
-            // Store job metadata in Redis
-            await cache.set(`processing_job:${filmId}`, JSON.stringify(jobData), 3600 * 24); // 24 hour TTL
-            
-            // Add to processing queue
-            await cache.lpush('video_processing_queue', filmId);
+                inboxFile
+            }, { priority }).catch(async (error) => {
+                await fs.rename(inboxFile, filePath).catch(() => {});
+                throw error;
+            });
             
             // Update database status
             await query(
@@ -54,8 +66,8 @@ class VideoProcessingService {
                 ['queued', filmId]
             );
             
-            console.log(`Video queued successfully: ${filmId}`);
-            return true;
+            console.log(`Video queued successfully: ${filmId} (job ${job.id})`);
+            return job;
             
         } catch (error) {
             console.error(`Error queueing video ${filmId}:`, error);
@@ -64,56 +76,90 @@ class VideoProcessingService {
     }
 
     /**
-     * Process next video in queue
+     * Start consuming the processing queue
+     * @param {Object} options - concurrency, pollInterval (see jobQueue.process)
      */
-    async processNextVideo() {
-        try {
-            // Get next video from queue (non-blocking)
-            const filmId = await cache.rpop('video_processing_queue');
-            
-            if (!filmId) {
-                return null; // No videos to process
-            }
-            
-            const actualFilmId = Array.isArray(filmId) ? filmId[1] : filmId;
-            
-            // Get job metadata
-            const jobDataStr = await cache.get(`processing_job:${actualFilmId}`);
-            if (!jobDataStr) {
-                console.error(`No job metadata found for film: ${actualFilmId}`);
-                return null;
-            }
-            
-            const jobData = JSON.parse(jobDataStr);
-            
-            // Check if job was cancelled
-            const cancelled = await cache.get(`transcode_cancelled:${actualFilmId}`);
-            if (cancelled) {
-                console.log(`Processing cancelled for film: ${actualFilmId}`);
-                await this.cleanupCancelledJob(actualFilmId, jobData);
+    async startWorker(options = {}) {
+        await this.migrateLegacyQueue();
+        return jobQueue.process(this.queueName, (job) => this.handleJob(job), options);
+    }
+
+    /**
+     * Move films left in the old video_processing_queue list onto the job queue
+     */
+    async migrateLegacyQueue() {
+        return jobQueue.drainLegacyList('video_processing_queue', this.queueName, async (filmId) => {
+            const jobData = await cache.get(`processing_job:${filmId}`);
+            await cache.del(`processing_job:${filmId}`);
+            if (!jobData) {
+                console.error(`No job metadata found for film: ${filmId}`);
                 return null;
             }
-            
-            console.log(`Starting processing for film: ${actualFilmId}`);
-            
+            const { userId, originalName, inboxFile } = typeof jobData === 'string' ? JSON.parse(jobData) : jobData;
+            return { filmId, userId, originalName, inboxFile };
+        });
+    }
+
+    /**
+     * Job handler for the processing queue
+     */
+    async handleJob(job) {
+        const { filmId } = job.data;
+        
+        // Check if job was cancelled
+        const cancelled = await cache.get(`transcode_cancelled:${filmId}`);
+        if (cancelled) {
+            console.log(`Processing cancelled for film: ${filmId}`);
+            await this.cleanupCancelledJob(filmId, job.data);
+            return { cancelled: true };
+        }
+        
+        const reservationId = `job:${job.id}`;
+        const admission = await this.admitJob(reservationId, job.data);
+        if (!admission.admitted) {
+            await this.updateProcessingStatus(filmId, 'queued', 0, 'Waiting for disk space');
+            const error = new Error(`Not enough disk space (needs ${admission.requiredBytes} bytes, ${admission.availableBytes} available)`);
+            error.deferMs = diskSpaceService.deferDelay;
+            throw error;
+        }
+        
+        console.log(`Starting processing for film: ${filmId} (attempt ${job.attempts}/${job.maxAttempts})`);
+        
+        try {
             // Update status to processing
-            await this.updateProcessingStatus(actualFilmId, 'processing', 0);
+            await this.updateProcessingStatus(filmId, 'processing', 0);
             
             // Process the video
-            await this.processVideo(actualFilmId, jobData);
-            
-            return actualFilmId;
-            
-        } catch (error) {
-            console.error('Error processing next video:', error);
-            throw error;
+            await this.processVideo(filmId, job.data, jobQueue.isFinalAttempt(job));
+        } finally {
+            await diskSpaceService.release(reservationId);
+        }
+        
+        return { filmId };
+    }
+
+    /**
+     * Reserve scratch space for a job on the processing drive. A missing
+     * inbox file is admitted so processVideo reports it as a failure.
+     */
+    async admitJob(reservationId, jobData) {
+        const stats = await fs.stat(jobData.inboxFile).catch(() => null);
+        if (!stats) {
+            return { admitted: true };
         }
+        
+        const result = await query('SELECT duration FROM videos WHERE id = $1', [jobData.filmId]);
+        const scratchBytes = diskSpaceService.estimateScratch(stats.size, result.rows[0]?.duration);
+        
+        return diskSpaceService.admit(reservationId, scratchBytes);
     }
 
     /**
      * Process individual video
+     * @param {boolean} finalAttempt - clean up and mark failed on error; otherwise
+     *                                 leave the inbox file for the retry
      */
-    async processVideo(filmId, jobData) {
+    async processVideo(filmId, jobData, finalAttempt = true) {
         try {
             console.log(`Processing video: ${filmId}`);
             
@@ -153,6 +199,11 @@ class VideoProcessingService {
             // Update progress: Complete
             await this.updateProcessingStatus(filmId, 'ready', 100, 'Processing complete');
             
+            // Fingerprints and the pre-moderation scan before the inbox
+            // copy of the source goes
+            const fingerprints = await fingerprintService.fingerprintVideo(filmId, jobData.inboxFile);
+            await scanningService.scanVideo(filmId, jobData.inboxFile, { fingerprints });
+            
             // Cleanup
             await this.cleanupProcessedJob(filmId, jobData);
             
@@ -161,11 +212,18 @@ class VideoProcessingService {
         } catch (error) {
             console.error(`Error processing video ${filmId}:`, error);
             
-            // Update status to failed
-            await this.updateProcessingStatus(filmId, 'failed', 0, `Processing failed: ${error.message}`);
-            
-            // Cleanup
-            await this.cleanupFailedJob(filmId, jobData);
+            // process_video.sh exits on the first error and leaves its copy of the source behind
+            await fs.rm(path.join(this.workingPath, filmId), { recursive: true, force: true }).catch(() => {});
+            
+            if (finalAttempt) {
+                // Update status to failed
+                await this.updateProcessingStatus(filmId, 'failed', 0, `Processing failed: ${error.message}`);
+                
+                // Cleanup
+                await this.cleanupFailedJob(filmId, jobData);
+            } else {
+                await this.updateProcessingStatus(filmId, 'queued', 0, `Processing failed, retrying: ${error.message}`);
+            }
             
             throw error;
         }
@@ -256,30 +314,31 @@ class VideoProcessingService {
      */
     async getQueueStatus() {
         try {
-            const queueLength = await cache.llen('video_processing_queue');
-            const processingJobs = await cache.keys('processing_job:*');
-            
-            const activeJobs = [];
-            for (const jobKey of processingJobs) {
-                const jobDataStr = await cache.get(jobKey);
-                if (jobDataStr) {
-                    const jobData = JSON.parse(jobDataStr);
-                    const progressStr = await cache.get(`transcode_progress:${jobData.filmId}`);
-                    const progress = progressStr ? JSON.parse(progressStr) : null;
-                    
-                    activeJobs.push({
-                        filmId: jobData.filmId,
-                        status: progress?.status || 'queued',
-                        progress: progress?.progress || 0,
-                        queuedAt: jobData.queuedAt
-                    });
-                }
+            const counts = await jobQueue.getCounts(this.queueName);
+            const { jobs: activeJobs } = await jobQueue.getJobs(this.queueName, 'active', { limit: 10 });
+            const { jobs: waitingJobs } = await jobQueue.getJobs(this.queueName, 'waiting', { limit: 10 });
+            
+            const jobs = [];
+            for (const job of [...activeJobs, ...waitingJobs].slice(0, 10)) {
+                const progressStr = await cache.get(`transcode_progress:${job.data.filmId}`);
+                const progress = typeof progressStr === 'string' ? JSON.parse(progressStr) : progressStr;
+                
+                jobs.push({
+                    jobId: job.id,
+                    filmId: job.data.filmId,
+                    status: job.status,
+                    progress: progress?.progress || 0,
+                    attempts: job.attempts,
+                    priority: job.priority,
+                    queuedAt: job.createdAt
+                });
             }
             
             return {
-                queueLength,
-                activeJobs: activeJobs.length,
-                jobs: activeJobs.slice(0, 10) // Return first 10 jobs
+                queueLength: counts.waiting + counts.delayed,
+                activeJobs: counts.active,
+                counts,
+                jobs
             };
             
         } catch (error) {
@@ -315,8 +374,6 @@ class VideoProcessingService {
      */
     async cleanupProcessedJob(filmId, jobData) {
         try {
-            // Remove job metadata
-            await cache.del(`processing_job:${filmId}`);
             await cache.del(`transcode_progress:${filmId}`);
             
             // Remove inbox file
@@ -336,14 +393,10 @@ class VideoProcessingService {
      */
     async cleanupFailedJob(filmId, jobData) {
         try {
-            // Keep job metadata for debugging, but remove progress
+            // Job record and inbox file stay in the dead-letter queue so the
+            // job can be requeued; removing the job deletes the file
             await cache.del(`transcode_progress:${filmId}`);
             
-            // Remove inbox file
-            if (jobData.inboxFile) {
-                await fs.unlink(jobData.inboxFile).catch(() => {});
-            }
-            
             console.log(`Cleaned up failed job: ${filmId}`);
             
         } catch (error) {
@@ -357,7 +410,6 @@ class VideoProcessingService {
     async cleanupCancelledJob(filmId, jobData) {
         try {
             // Remove all job data
-            await cache.del(`processing_job:${filmId}`);
             await cache.del(`transcode_progress:${filmId}`);
             await cache.del(`transcode_cancelled:${filmId}`);
             
@@ -208,6 +208,23 @@ async function deleteDirectory(dirPath) {
     }
 }
 
+// List files under a directory recursively, as paths relative to it
+async function listFilesRecursive(dirPath, prefix = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(dirPath, prefix), { withFileTypes: true });
+
+    for (const entry of entries) {
+        const relativePath = prefix ? path.posix.join(prefix, entry.name) : entry.name;
+        if (entry.isDirectory()) {
+            files.push(...await listFilesRecursive(dirPath, relativePath));
+        } else if (entry.isFile()) {
+            files.push(relativePath);
+        }
+    }
+
+    return files;
+}
+
 // Get file extension from mimetype
 function getExtensionFromMimetype(mimetype) {
     const mimetypeMap = {
@@ -246,6 +263,7 @@ module.exports = {
     ensureDirectory,
     deleteFile,
     deleteDirectory,
+    listFilesRecursive,
     getExtensionFromMimetype,
     isSafePath
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fingerprintService = require('../src/services/fingerprintService');
+
+// A 9x8 greyscale frame from a function of (row, column)
+const frame = (pixel) => {
+    const bytes = Buffer.alloc(9 * 8);
+    for (let row = 0; row < 8; row++) {
+        for (let column = 0; column < 9; column++) {
+            bytes[row * 9 + column] = pixel(row, column);
+        }
+    }
+    return bytes;
+};
+
+// Upload positions from..to (inclusive) matching the other video at position + offset
+const run = (from, to, offset, step = 1) => {
+    const pairs = [];
+    for (let position = from; position <= to + 1e-9; position += step) {
+        pairs.push({ position, matched_position: position + offset });
+    }
+    return pairs;
+};
+
+describe('fingerprintService.dHash', () => {
+    test('sets a bit where a pixel is brighter than its right neighbour', () => {
+        assert.equal(fingerprintService.dHash(frame((row, column) => 250 - column * 20)), 'ffffffffffffffff');
+        assert.equal(fingerprintService.dHash(frame((row, column) => column * 20)), '0000000000000000');
+    });
+
+    test('leaves equal neighbours unset', () => {
+        assert.equal(fingerprintService.dHash(frame(() => 128)), '0000000000000000');
+    });
+
+    test('writes each row as two hex digits, first pixel pair in the high bit', () => {
+        const hash = fingerprintService.dHash(frame((row, column) => (row === 1 && column === 0) || (row === 7 && column === 7) ? 200 : 0));
+
+        assert.equal(hash, '0080000000000001');
+    });
+
+    test('ignores overall brightness and contrast', () => {
+        const base = (row, column) => ((row * 7 + column * 13) % 17) * 10;
+
+        assert.equal(
+            fingerprintService.dHash(frame((row, column) => base(row, column) / 2 + 40)),
+            fingerprintService.dHash(frame(base))
+        );
+    });
+});
+
+describe('fingerprintService.compare', () => {
+    test('needs a minimum number of samples in the upload', () => {
+        assert.deepEqual(fingerprintService.compare(run(0, 1, 0), 2, 1), { similarity: null, segments: [] });
+    });
+
+    test('chains samples at a constant offset into one segment', () => {
+        const result = fingerprintService.compare(run(0, 9, 100), 20, 1);
+
+        assert.equal(result.similarity, 0.5);
+        assert.deepEqual(result.segments, [{ start: 0, end: 10, matchedStart: 100, matchedEnd: 110, samples: 10 }]);
+    });
+
+    test('bridges gaps up to MAX_GAP seconds', () => {
+        const result = fingerprintService.compare([...run(0, 4, 50), ...run(7, 9, 50)], 10, 1);
+
+        assert.deepEqual(result.segments, [{ start: 0, end: 10, matchedStart: 50, matchedEnd: 60, samples: 8 }]);
+    });
+
+    test('starts a new segment after a longer gap', () => {
+        const result = fingerprintService.compare([...run(0, 4, 50), ...run(10, 14, 50)], 20, 1);
+
+        assert.deepEqual(result.segments.map(segment => [segment.start, segment.end]), [[0, 5], [10, 15]]);
+        assert.equal(result.similarity, 0.5);
+    });
+
+    test('starts a new segment when the offset jumps', () => {
+        const result = fingerprintService.compare([...run(0, 4, 100), ...run(5, 9, 20)], 10, 1);
+
+        assert.deepEqual(result.segments.map(segment => [segment.start, segment.matchedStart]), [[0, 100], [5, 25]]);
+        assert.equal(result.similarity, 1);
+    });
+
+    test('tolerates offset drift within OFFSET_TOLERANCE', () => {
+        const pairs = [0, 1, 2, 3].map(position => ({ position, matched_position: position + 30 + position * 0.25 }));
+        const result = fingerprintService.compare(pairs, 4, 1);
+
+        assert.equal(result.segments.length, 1);
+        assert.equal(result.segments[0].samples, 4);
+    });
+
+    test('keeps the longest of chains covering the same stretch', () => {
+        // A static scene matches the other video at two offsets at once
+        const result = fingerprintService.compare([...run(0, 5, 100), ...run(0, 2, 200)], 10, 1);
+
+        assert.deepEqual(result.segments, [{ start: 0, end: 6, matchedStart: 100, matchedEnd: 106, samples: 6 }]);
+        assert.equal(result.similarity, 0.6);
+    });
+
+    test('drops isolated matches', () => {
+        const result = fingerprintService.compare([{ position: 3, matched_position: 40 }, { position: 9, matched_position: 2 }], 10, 1);
+
+        assert.deepEqual(result, { similarity: 0, segments: [] });
+    });
+
+    test('needs MIN_SEGMENT_LENGTH seconds of short-step samples', () => {
+        // Audio windows are 0.25s apart: 7 samples cover under 2 seconds, 8 are enough
+        assert.deepEqual(fingerprintService.compare(run(0, 1.5, 10, 0.25), 40, 0.25).segments, []);
+        assert.deepEqual(fingerprintService.compare(run(0, 1.75, 10, 0.25), 40, 0.25).segments, [
+            { start: 0, end: 2, matchedStart: 10, matchedEnd: 12, samples: 8 }
+        ]);
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const hlsService = require('../src/services/hlsService');
+
+const source = (width, height, { fps = 30, duration = 300, bitrate = null } = {}) => ({
+    duration,
+    bitrate,
+    video: { width, height, fps, codec: 'h264', bitrate },
+    audio: { codec: 'aac', channels: 2, sampleRate: 48000 }
+});
+
+describe('hlsService.buildLadder', () => {
+    test('keeps every candidate rung up to a 1080p source', () => {
+        const ladder = hlsService.buildLadder(source(1920, 1080), 1);
+
+        assert.deepEqual(ladder.map(rung => rung.name), ['360p', '480p', '720p', '1080p']);
+        assert.deepEqual(ladder.map(rung => rung.width), [640, 854, 1280, 1920]);
+        assert.deepEqual(ladder.map(rung => rung.maxrateKbps), [800, 1400, 2800, 5000]);
+        assert.ok(ladder.every(rung => rung.bufsizeKbps === rung.maxrateKbps * 2));
+    });
+
+    test('never goes above the source resolution', () => {
+        const ladder = hlsService.buildLadder(source(1280, 720), 1);
+
+        assert.deepEqual(ladder.map(rung => rung.name), ['360p', '480p', '720p']);
+    });
+
+    test('gives a source below the lowest rung a single rung at its own size', () => {
+        const ladder = hlsService.buildLadder(source(320, 240), 1);
+
+        assert.equal(ladder.length, 1);
+        assert.equal(ladder[0].name, '240p');
+        assert.equal(ladder[0].width, 320);
+        assert.equal(ladder[0].height, 240);
+    });
+
+    test('scales bitrates by complexity', () => {
+        const ladder = hlsService.buildLadder(source(1920, 1080), 1.5);
+
+        assert.deepEqual(ladder.map(rung => rung.maxrateKbps), [1200, 2100, 4200, 7500]);
+    });
+
+    test('caps bitrates at the source and drops a rung too close to the one above', () => {
+        const ladder = hlsService.buildLadder(source(1280, 720, { bitrate: 1500000 }), 1);
+
+        // 480p at 1400k is within 25% of 720p capped at 1500k
+        assert.deepEqual(ladder.map(rung => [rung.name, rung.maxrateKbps]), [['360p', 800], ['720p', 1500]]);
+    });
+
+    test('keeps the lowest rung when a low-bitrate source collapses the ones above', () => {
+        const ladder = hlsService.buildLadder(source(1920, 1080, { bitrate: 1500000 }), 1);
+
+        // 480p and 720p each give way to the next rung up, all capped at 1500k
+        assert.deepEqual(ladder.map(rung => [rung.name, rung.maxrateKbps]), [['360p', 800], ['1080p', 1500]]);
+    });
+
+    test('stays at the lowest rung when the source has too few bits for another', () => {
+        const ladder = hlsService.buildLadder(source(1920, 1080, { bitrate: 900000 }), 1);
+
+        assert.deepEqual(ladder.map(rung => [rung.name, rung.maxrateKbps]), [['360p', 800]]);
+    });
+
+    test('keeps high frame rates above 480p only, with more bits', () => {
+        const ladder = hlsService.buildLadder(source(1920, 1080, { fps: 60 }), 1);
+
+        assert.deepEqual(ladder.map(rung => rung.fps), [30, 30, 60, 60]);
+        assert.deepEqual(ladder.map(rung => rung.maxrateKbps), [800, 1400, 4200, 7500]);
+    });
+
+    test('sizes rungs of a portrait source by its aspect ratio', () => {
+        const ladder = hlsService.buildLadder(source(1080, 1920), 1);
+
+        assert.deepEqual(ladder.map(rung => [rung.width, rung.height]), [[202, 360], [270, 480], [406, 720], [608, 1080]]);
+    });
+
+    test('uses one CRF from the duration band for every rung', () => {
+        const short = hlsService.buildLadder(source(1920, 1080, { duration: 300 }), 1);
+        const long = hlsService.buildLadder(source(1920, 1080, { duration: 25 * 60 }), 1);
+
+        assert.ok(short.every(rung => rung.crf === 19));
+        assert.ok(long.every(rung => rung.crf === 24));
+    });
+});
+
+describe('hlsService.selectCRF', () => {
+    test('picks the higher end of the band for complex content', () => {
+        assert.equal(hlsService.selectCRF(300, 0.5), 18);
+        assert.equal(hlsService.selectCRF(300, 1.6), 20);
+        assert.equal(hlsService.selectCRF(15 * 60, 0.5), 20);
+    });
+
+    test('uses the last band for films longer than every band', () => {
+        assert.equal(hlsService.selectCRF(2 * 3600, 1.6), 26);
+    });
+});
+
+describe('hlsService.computeLadder', () => {
+    afterEach(() => mock.restoreAll());
+
+    test('combines the source analysis and complexity probe into the ladder', async () => {
+        const analysis = source(1280, 720, { bitrate: 4000000 });
+        mock.method(hlsService, 'analyzeSource', async () => analysis);
+        mock.method(hlsService, 'probeComplexity', async () => 1.2);
+
+        const ladder = await hlsService.computeLadder('/films/source.mp4');
+
+        assert.deepEqual(ladder.source, { width: 1280, height: 720, fps: 30, duration: 300, bitrate: 4000000 });
+        assert.equal(ladder.complexity, 1.2);
+        assert.equal(ladder.crf, ladder.rungs[0].crf);
+        assert.deepEqual(ladder.rungs, hlsService.buildLadder(analysis, 1.2));
+        assert.equal(ladder.hasAudio, true);
+        assert.equal(hlsService.probeComplexity.mock.calls[0].arguments[1], analysis);
+    });
+
+    test('notes a source without audio', async () => {
+        mock.method(hlsService, 'analyzeSource', async () => ({ ...source(640, 360), audio: null }));
+        mock.method(hlsService, 'probeComplexity', async () => 1);
+
+        const ladder = await hlsService.computeLadder('/films/silent.mp4');
+
+        assert.equal(ladder.hasAudio, false);
+        assert.deepEqual(ladder.rungs.map(rung => rung.name), ['360p']);
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Services take transaction() from the database module when they load, so
+// it is replaced before they are required (each test file runs in its own process)
+const client = { query: async () => ({ rows: [] }) };
+const database = {
+    query: client.query,
+    transaction: mock.fn(async (callback) => callback(client))
+};
+require.cache[require.resolve('../src/config/database')] = { exports: database };
+
+const VideoModeration = require('../src/models/VideoModeration');
+const moderationService = require('../src/services/moderationService');
+
+const vote = (reviewerId, decision) => ({ reviewer_id: reviewerId, decision });
+
+describe('moderationService.tallyAppealVote', () => {
+    test('leaves the appeal open after the first vote', () => {
+        assert.deepEqual(moderationService.tallyAppealVote([], 'mod-1', 'approved'), { decided: false, votes: 1 });
+    });
+
+    test('decides the appeal when a second reviewer agrees', () => {
+        const votes = [vote('mod-1', 'approved')];
+
+        assert.deepEqual(moderationService.tallyAppealVote(votes, 'mod-2', 'approved'), { decided: true, votes: 2 });
+    });
+
+    test('keeps the appeal open while reviewers disagree', () => {
+        const votes = [vote('mod-1', 'approved')];
+
+        assert.deepEqual(moderationService.tallyAppealVote(votes, 'mod-2', 'rejected'), { decided: false, votes: 2 });
+    });
+
+    test('counts only the votes that agree with the new one', () => {
+        const votes = [vote('mod-1', 'approved'), vote('mod-2', 'rejected')];
+
+        assert.deepEqual(moderationService.tallyAppealVote(votes, 'mod-3', 'rejected'), { decided: true, votes: 3 });
+    });
+
+    test('refuses a second vote from the same reviewer', () => {
+        const votes = [vote('mod-1', 'rejected')];
+
+        assert.throws(
+            () => moderationService.tallyAppealVote(votes, 'mod-1', 'approved'),
+            { code: 'ALREADY_REVIEWED' }
+        );
+    });
+});
+
+describe('moderationService.reviewAppeal', () => {
+    const appeal = { id: 'appeal-1', video_id: 'video-1', original_moderator_id: 'mod-0' };
+    let row;
+    let history;
+
+    beforeEach(() => {
+        row = { ...appeal, status: 'pending' };
+        history = [];
+
+        database.transaction.mock.resetCalls();
+        mock.method(VideoModeration, 'lockAppeal', async () => ({ ...row }));
+        mock.method(VideoModeration, 'getAppealVotes', async () => history
+            .filter(entry => entry.action.startsWith('appeal_vote_'))
+            .map(entry => vote(entry.actorId, entry.action === 'appeal_vote_approve' ? 'approved' : 'rejected')));
+        mock.method(VideoModeration, 'record', async (videoId, entry) => { history.push(entry); });
+        mock.method(VideoModeration, 'closeAppeal', async (closed, { decision }) => { row.status = decision; });
+        mock.method(moderationService, 'notifyOwner', async () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('refuses a vote from the moderator who made the original decision', async () => {
+        await assert.rejects(
+            moderationService.reviewAppeal(appeal, 'mod-0', 'approved'),
+            { code: 'ORIGINAL_MODERATOR' }
+        );
+        assert.equal(history.length, 0);
+    });
+
+    test('records a first vote without deciding the appeal', async () => {
+        const result = await moderationService.reviewAppeal(appeal, 'mod-1', 'approved', { notes: 'Looks fine' });
+
+        assert.deepEqual(result, { decided: false, decision: 'approved', votes: 1 });
+        assert.deepEqual(history.map(entry => entry.action), ['appeal_vote_approve']);
+        assert.equal(VideoModeration.closeAppeal.mock.callCount(), 0);
+        assert.equal(moderationService.notifyOwner.mock.callCount(), 0);
+    });
+
+    test('closes the appeal and notifies the owner once two reviewers agree', async () => {
+        await moderationService.reviewAppeal(appeal, 'mod-1', 'rejected', { reason: 'Still infringing' });
+        const result = await moderationService.reviewAppeal(appeal, 'mod-2', 'rejected');
+
+        assert.deepEqual(result, { decided: true, decision: 'rejected', votes: 2 });
+        assert.equal(VideoModeration.closeAppeal.mock.callCount(), 1);
+        assert.deepEqual(moderationService.notifyOwner.mock.calls.map(call => call.arguments.slice(0, 2)), [['video-1', 'appeal_rejected']]);
+    });
+
+    test('runs the lock, count, vote and close in one transaction on the same client', async () => {
+        await moderationService.reviewAppeal(appeal, 'mod-1', 'approved');
+        await moderationService.reviewAppeal(appeal, 'mod-2', 'approved');
+
+        assert.equal(database.transaction.mock.callCount(), 2);
+        assert.equal(VideoModeration.lockAppeal.mock.calls[1].arguments[1], client);
+        assert.equal(VideoModeration.getAppealVotes.mock.calls[1].arguments[1], client);
+        assert.equal(VideoModeration.record.mock.calls[1].arguments[2], client);
+        assert.equal(VideoModeration.closeAppeal.mock.calls[0].arguments[2], client);
+    });
+
+    test('refuses a vote on an appeal that was decided in the meantime', async () => {
+        row.status = 'approved';
+
+        await assert.rejects(
+            moderationService.reviewAppeal(appeal, 'mod-3', 'approved'),
+            { code: 'APPEAL_CLOSED' }
+        );
+        assert.equal(history.length, 0);
+        assert.equal(moderationService.notifyOwner.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,125 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const scanningService = require('../src/services/scanningService');
+
+describe('scanningService.normalizeRule', () => {
+    test('fills in a built-in rule from its defaults', () => {
+        const rule = scanningService.normalizeRule('mostly_black', { value: 0.8 });
+
+        assert.deepEqual(rule, {
+            name: 'Mostly black frames',
+            kind: 'threshold',
+            score: 30,
+            enabled: true,
+            signal: 'black_ratio',
+            operator: 'gte',
+            value: 0.8
+        });
+    });
+
+    test('keeps the kind and signal of a built-in rule', () => {
+        const rule = scanningService.normalizeRule('mostly_silent', { kind: 'keywords', signal: 'black_ratio', score: '50' });
+
+        assert.equal(rule.kind, 'threshold');
+        assert.equal(rule.signal, 'silence_ratio');
+        assert.equal(rule.score, 50);
+    });
+
+    test('can disable a built-in rule', () => {
+        assert.equal(scanningService.normalizeRule('too_loud', { enabled: false }).enabled, false);
+    });
+
+    test('builds a custom threshold rule', () => {
+        const rule = scanningService.normalizeRule('no_audio', {
+            name: '  No soundtrack ',
+            kind: 'threshold',
+            signal: 'has_audio',
+            operator: 'lte',
+            value: '0',
+            score: 10
+        });
+
+        assert.deepEqual(rule, {
+            name: 'No soundtrack',
+            kind: 'threshold',
+            score: 10,
+            enabled: true,
+            signal: 'has_audio',
+            operator: 'lte',
+            value: 0
+        });
+    });
+
+    test('lowercases, trims and dedupes keywords', () => {
+        const rule = scanningService.normalizeRule('spam_words', {
+            name: 'Spam',
+            kind: 'keywords',
+            keywords: [' Free Money', 'free money', '', 'CLICK HERE'],
+            score: 25
+        });
+
+        assert.deepEqual(rule.keywords, ['free money', 'click here']);
+        assert.equal(rule.signal, undefined);
+    });
+
+    const invalid = {
+        'a key with invalid characters': ['Bad-Key', { name: 'x', kind: 'keywords', keywords: ['a'], score: 1 }],
+        'an unknown kind': ['custom_rule', { name: 'x', kind: 'regex', score: 1 }],
+        'a custom rule without a name': ['custom_rule', { kind: 'keywords', keywords: ['a'], score: 1 }],
+        'a score above 100': ['mostly_black', { score: 101 }],
+        'a fractional score': ['mostly_black', { score: 2.5 }],
+        'an unknown signal': ['custom_rule', { name: 'x', kind: 'threshold', signal: 'brightness', operator: 'gte', value: 1, score: 1 }],
+        'an unknown operator': ['mostly_black', { operator: 'gt' }],
+        'a value that is not a number': ['mostly_black', { value: 'high' }],
+        'a keyword rule without keywords': ['custom_rule', { name: 'x', kind: 'keywords', keywords: [' '], score: 1 }]
+    };
+    for (const [description, [key, input]] of Object.entries(invalid)) {
+        test(`refuses ${description}`, () => {
+            assert.throws(() => scanningService.normalizeRule(key, input), { code: 'INVALID_RULE' });
+        });
+    }
+});
+
+describe('scanningService.evaluate', () => {
+    const rules = [
+        { key: 'mostly_black', name: 'Mostly black frames', kind: 'threshold', signal: 'black_ratio', operator: 'gte', value: 0.9, score: 30, enabled: true },
+        { key: 'quiet', name: 'Quiet', kind: 'threshold', signal: 'loudness_lufs', operator: 'lte', value: -40, score: 10, enabled: true },
+        { key: 'spam_words', name: 'Spam', kind: 'keywords', keywords: ['free money', 'c++'], score: 25, enabled: true },
+        { key: 'disabled', name: 'Disabled', kind: 'threshold', signal: 'black_ratio', operator: 'gte', value: 0, score: 99, enabled: false }
+    ];
+
+    test('matches threshold rules with either operator', () => {
+        const matches = scanningService.evaluate(rules, { black_ratio: 0.95, loudness_lufs: -45 }, '');
+
+        assert.deepEqual(matches, [
+            { key: 'mostly_black', name: 'Mostly black frames', score: 30, detail: 'black_ratio = 0.95' },
+            { key: 'quiet', name: 'Quiet', score: 10, detail: 'loudness_lufs = -45' }
+        ]);
+    });
+
+    test('matches a threshold exactly at its value', () => {
+        const matches = scanningService.evaluate(rules, { black_ratio: 0.9 }, '');
+
+        assert.deepEqual(matches.map(match => match.key), ['mostly_black']);
+    });
+
+    test('skips rules whose signal was not measured', () => {
+        assert.deepEqual(scanningService.evaluate(rules, { black_ratio: null }, ''), []);
+    });
+
+    test('skips disabled rules', () => {
+        assert.ok(!scanningService.evaluate(rules, { black_ratio: 0.5 }, '').some(match => match.key === 'disabled'));
+    });
+
+    test('matches keywords as whole words only', () => {
+        const [match] = scanningService.evaluate(rules, {}, 'get free money now');
+
+        assert.deepEqual(match, { key: 'spam_words', name: 'Spam', score: 25, detail: '"free money" in title, description or tags' });
+        assert.deepEqual(scanningService.evaluate(rules, {}, 'carefree moneybags'), []);
+    });
+
+    test('treats regular expression characters in keywords literally', () => {
+        assert.deepEqual(scanningService.evaluate(rules, {}, 'learning c++ fast').map(match => match.key), ['spam_words']);
+        assert.deepEqual(scanningService.evaluate(rules, {}, 'learning cpp fast'), []);
+    });
+});
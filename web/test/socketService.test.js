@@ -0,0 +1,68 @@
+const { describe, test, mock, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const LiveStream = require('../src/models/LiveStream');
+const liveStreamService = require('../src/services/liveStreamService');
+const socketService = require('../src/services/socketService');
+
+const owner = { id: 'user-1' };
+const stranger = { id: 'user-2' };
+const admin = { id: 'user-3', isAdmin: true };
+
+describe('socketService.authorize', () => {
+    beforeEach(() => {
+        mock.method(socketService, 'isFilmOwner', async (user, filmId) => user.id === owner.id && filmId === 'film-1');
+        mock.method(LiveStream, 'getById', async (id) => (id === 'stream-1' ? { id, user_id: owner.id, is_private: true } : null));
+        mock.method(liveStreamService, 'canView', async (stream, user) => Boolean(user && user.id === stream.user_id));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('refuses a missing or non-string id', async () => {
+        assert.deepEqual(await socketService.authorize(owner, 'user', undefined), { error: 'Invalid room' });
+        assert.deepEqual(await socketService.authorize(owner, 'user', { id: owner.id }), { error: 'Invalid room' });
+    });
+
+    test('refuses an unknown room type', async () => {
+        assert.deepEqual(await socketService.authorize(owner, 'admin', 'anything'), { error: 'Invalid room' });
+    });
+
+    test('lets users join only their own user room', async () => {
+        assert.deepEqual(await socketService.authorize(owner, 'user', owner.id), { room: 'user-user-1' });
+        assert.deepEqual(await socketService.authorize(stranger, 'user', owner.id), { error: 'Access denied' });
+    });
+
+    test('needs a signed-in user for user and upload rooms', async () => {
+        assert.deepEqual(await socketService.authorize(null, 'user', owner.id), { error: 'Authentication required' });
+        assert.deepEqual(await socketService.authorize(null, 'upload', 'film-1'), { error: 'Authentication required' });
+    });
+
+    test('lets the film owner and admins follow an upload', async () => {
+        assert.deepEqual(await socketService.authorize(owner, 'upload', 'film-1'), { room: 'upload-film-1' });
+        assert.deepEqual(await socketService.authorize(admin, 'upload', 'film-1'), { room: 'upload-film-1' });
+        assert.deepEqual(await socketService.authorize(stranger, 'upload', 'film-1'), { error: 'Access denied' });
+    });
+
+    test('denies an upload room when the ownership check fails', async () => {
+        socketService.isFilmOwner.mock.mockImplementation(async () => { throw new Error('connection lost'); });
+
+        assert.deepEqual(await socketService.authorize(owner, 'upload', 'film-1'), { error: 'Access denied' });
+    });
+
+    test('lets anyone who can view a live stream join it, signed in or not', async () => {
+        liveStreamService.canView.mock.mockImplementation(async () => true);
+
+        assert.deepEqual(await socketService.authorize(null, 'stream', 'stream-1'), { room: 'stream-stream-1' });
+    });
+
+    test('hides streams the user cannot view and ones that do not exist', async () => {
+        assert.deepEqual(await socketService.authorize(owner, 'stream', 'stream-1'), { room: 'stream-stream-1' });
+        assert.deepEqual(await socketService.authorize(stranger, 'stream', 'stream-1'), { error: 'Live stream not found' });
+        assert.deepEqual(await socketService.authorize(owner, 'stream', 'stream-9'), { error: 'Live stream not found' });
+    });
+
+    test('hides a stream whose lookup fails', async () => {
+        LiveStream.getById.mock.mockImplementation(async () => { throw new Error('connection lost'); });
+
+        assert.deepEqual(await socketService.authorize(owner, 'stream', 'stream-1'), { error: 'Live stream not found' });
+    });
+});